@@ -0,0 +1,21 @@
+import { useAssetUrl } from '../hooks/useAssetUrl';
+
+// Drop-in <img>/<video> for stored media. `src` may be an S3 key or an asset
+// URL; it is resolved through lib/assets and refreshed when it expires or
+// fails to load. `onError` is only called once every refresh has failed.
+
+export const AssetImage = ({ src, onError, ...props }) => {
+  const asset = useAssetUrl(src, { kind: 'image', onFailed: onError });
+  if (!asset.url) return null;
+  return <img {...props} src={asset.url} onError={asset.onError} />;
+};
+
+export const AssetVideo = ({ src, onError, children, ...props }) => {
+  const asset = useAssetUrl(src, { kind: 'video', onFailed: onError });
+  if (!asset.url) return null;
+  return (
+    <video {...props} src={asset.url} onError={asset.onError}>
+      {children}
+    </video>
+  );
+};
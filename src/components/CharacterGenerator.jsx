@@ -1,11 +1,23 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo } from "react";
 import { characterGenApi } from "../services/api";
+import { jobTracker, JOB_TYPES, JOB_STATUS } from "../services/jobs";
+import { useJobs } from "../hooks/useJobs";
+import { useProjectStore } from "../store/useProjectStore";
 import LoadingSpinner from "./LoadingSpinner";
+import { AssetImage } from "./AssetMedia";
+
+const DEFAULT_ANIMATION_PROMPT = "The character moves naturally with confidence and grace";
+
+const VIDEO_STATUS_BADGES = {
+  [JOB_STATUS.RUNNING]: { label: "🔄 Generating", className: "bg-yellow-600 text-yellow-100" },
+  [JOB_STATUS.COMPLETED]: { label: "✅ Complete", className: "bg-green-600 text-green-100" },
+  [JOB_STATUS.FAILED]: { label: "❌ Failed", className: "bg-red-700 text-red-100" },
+  [JOB_STATUS.CANCELLED]: { label: "⏹ Cancelled", className: "bg-gray-600 text-gray-100" },
+};
 
 function CharacterGenerator({ isOpen, onClose }) {
   const [activeTab, setActiveTab] = useState("generate"); // "generate", "characters", or "videos"
   const [isGenerating, setIsGenerating] = useState(false);
-  const [isGeneratingVideo, setIsGeneratingVideo] = useState(false);
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -22,10 +34,11 @@ function CharacterGenerator({ isOpen, onClose }) {
     artStyle: "fantasy digital art, detailed, vibrant colors"
   });
   const [selectedCharacterForVideo, setSelectedCharacterForVideo] = useState(null);
-  const [generatedVideos, setGeneratedVideos] = useState([]);
+  const [characterJobId, setCharacterJobId] = useState(null);
   const fileInputRef = useRef(null);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [filePreviewUrls, setFilePreviewUrls] = useState([]);
+  const projectId = useProjectStore((state) => state.selectedProject?.id);
 
   const generateUUID = () => {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -35,6 +48,65 @@ function CharacterGenerator({ isOpen, onClose }) {
     });
   };
 
+  // Character and video generations run as tracked jobs, so they keep going
+  // (and are picked up again after a reload) when this dialog is closed
+  const characterJobs = useJobs({ type: JOB_TYPES.CHARACTER, resume: isOpen });
+  const videoJobs = useJobs({ type: JOB_TYPES.CHARACTER_VIDEO, resume: isOpen });
+  const generatedVideos = useMemo(() => [...videoJobs].reverse(), [videoJobs]);
+  const charactersWithRunningVideo = useMemo(
+    () =>
+      new Set(
+        videoJobs
+          .filter((job) => job.status === JOB_STATUS.RUNNING)
+          .map((job) => job.meta.characterId),
+      ),
+    [videoJobs],
+  );
+  const characterJob = characterJobs.find((job) => job.id === characterJobId);
+
+  // Show the final images once the status endpoint reports the character done
+  useEffect(() => {
+    if (characterJob?.status !== JOB_STATUS.COMPLETED || !characterJob.result) return;
+    const character = characterJob.result;
+    setResult((prev) =>
+      prev && prev.character_id === characterJob.params.characterId
+        ? {
+            ...prev,
+            finalCharacterS3Key: character.finalCharacterS3Key || prev.finalCharacterS3Key,
+            spriteSheetS3Key: character.spriteSheetS3Key || prev.spriteSheetS3Key,
+          }
+        : prev,
+    );
+  }, [characterJob]);
+
+  // The video belongs to the selected project; code that acts on a project's
+  // jobs (e.g. cancelling them when it is deleted) finds it by meta.projectId
+  const startVideoJob = (character, { animationPrompt, artStyle }) => {
+    if (!projectId) {
+      setError("No project selected. Please select a project first.");
+      return null;
+    }
+    return jobTracker.startJob(
+      JOB_TYPES.CHARACTER_VIDEO,
+      {
+        animation_prompt: animationPrompt,
+        art_style: artStyle,
+        imageS3Key: character.finalCharacterS3Key,
+        uuid: `${character.id}-video-${Date.now()}`,
+        projectId,
+      },
+      {
+        meta: {
+          projectId,
+          characterId: character.id,
+          characterName: character.name,
+          animationPrompt,
+          artStyle,
+        },
+      },
+    );
+  };
+
   const loadCharacters = async () => {
     setLoadingCharacters(true);
     setError(null);
@@ -52,62 +124,16 @@ function CharacterGenerator({ isOpen, onClose }) {
     }
   };
 
-  const handleGenerateVideo = async (character) => {
+  const handleGenerateVideo = (character) => {
     if (!videoConfig.animationPrompt.trim()) {
       setError("Please enter an animation prompt");
       return;
     }
 
-    setIsGeneratingVideo(true);
     setError(null);
-    setSelectedCharacterForVideo(character);
-
-    // Debug: Log character data structure
-    console.log('Character data for video generation:', {
-      id: character.id,
-      name: character.name,
-      finalCharacterS3Key: character.finalCharacterS3Key,
-      final_character_s3_key: character.final_character_s3_key,
-      final_character_url: character.final_character_url,
-      spriteSheetS3Key: character.spriteSheetS3Key,
-      sprite_sheet_s3_key: character.sprite_sheet_s3_key,
-      sprite_sheet_url: character.sprite_sheet_url
-    });
-
-    try {
-      console.log('Starting manual video generation for character:', character);
-      console.log('Video config:', videoConfig);
-      
-      const videoResult = await characterGenApi.generateVideo({
-        animation_prompt: videoConfig.animationPrompt,
-        art_style: videoConfig.artStyle,
-        imageS3Key: character.finalCharacterS3Key,
-        uuid: `${character.id}-video-${Date.now()}`,
-        projectId: "default" // You can make this configurable if needed
-      });
-
-      if (videoResult.success) {
-        setError(null);
-        // Store the generated video info
-        setGeneratedVideos(prev => [...prev, {
-          id: videoResult.s3Keys?.[0] || videoResult.model,
-          characterId: character.id,
-          characterName: character.name,
-          animationPrompt: videoConfig.animationPrompt,
-          artStyle: videoConfig.artStyle,
-          status: 'generating',
-          timestamp: new Date().toISOString(),
-          model: videoResult.model,
-          totalVideos: videoResult.totalVideos
-        }]);
-        alert(`Video generation started! Model: ${videoResult.model}, Total Videos: ${videoResult.totalVideos}`);
-      }
-    } catch (err) {
-      setError(`Video generation failed: ${err.message}`);
-    } finally {
-      setIsGeneratingVideo(false);
-      setSelectedCharacterForVideo(null);
-    }
+    if (!startVideoJob(character, videoConfig)) return;
+    setSelectedCharacterForVideo(null);
+    setActiveTab("videos");
   };
 
   useEffect(() => {
@@ -183,38 +209,25 @@ function CharacterGenerator({ isOpen, onClose }) {
       setProgress(100);
       setResult(generationResult);
 
+      if (generationResult.success && generationResult.character_id) {
+        const job = jobTracker.startJob(
+          JOB_TYPES.CHARACTER,
+          { characterId: generationResult.character_id },
+          { meta: { characterName: characterData.name } },
+        );
+        setCharacterJobId(job.id);
+      }
+
       // Step 5: Automatically generate video from the final character
       if (generationResult.success && generationResult.video_generation_ready) {
-        try {
-          console.log('Starting automatic video generation for character:', generationResult.character_id);
-          const videoResult = await characterGenApi.generateVideo({
-            animation_prompt: "The character moves naturally with confidence and grace",
-            art_style: characterConfig.artStyle,
-            imageS3Key: generationResult.finalCharacterS3Key,
-            uuid: `${generationResult.character_id}-video`,
-            projectId: "default" // You can make this configurable if needed
-          });
-
-          console.log('Video generation result:', videoResult);
-
-          if (videoResult.success) {
-            setGeneratedVideos(prev => [...prev, {
-              id: videoResult.s3Keys?.[0] || videoResult.model,
-              characterId: generationResult.character_id,
-              characterName: characterConfig.name || "Generated Character",
-              animationPrompt: "The character moves naturally with confidence and grace",
-              artStyle: characterConfig.artStyle,
-              status: 'generating',
-              timestamp: new Date().toISOString(),
-              model: videoResult.model,
-              totalVideos: videoResult.totalVideos
-            }]);
-            console.log('Video added to generated videos list');
-          }
-        } catch (videoErr) {
-          console.error('Video generation failed:', videoErr);
-          // Don't show error to user since character generation was successful
-        }
+        startVideoJob(
+          {
+            id: generationResult.character_id,
+            name: characterData.name,
+            finalCharacterS3Key: generationResult.finalCharacterS3Key,
+          },
+          { animationPrompt: DEFAULT_ANIMATION_PROMPT, artStyle: characterConfig.artStyle },
+        );
       }
 
     } catch (err) {
@@ -234,6 +247,7 @@ function CharacterGenerator({ isOpen, onClose }) {
       description: ""
     });
     setResult(null);
+    setCharacterJobId(null);
     setError(null);
     setProgress(0);
     if (fileInputRef.current) {
@@ -308,6 +322,14 @@ function CharacterGenerator({ isOpen, onClose }) {
                     <div className="space-y-2 text-sm text-gray-300">
                       <p><strong>Character ID:</strong> {result.character_id}</p>
                       <p><strong>Model:</strong> {result.model}</p>
+                      {characterJob?.status === JOB_STATUS.RUNNING && (
+                        <p className="text-yellow-400">
+                          ⏳ Finishing character{characterJob.progress != null ? ` (${characterJob.progress}%)` : "..."}
+                        </p>
+                      )}
+                      {characterJob?.status === JOB_STATUS.FAILED && (
+                        <p className="text-red-400">❌ {characterJob.error?.message}</p>
+                      )}
                       {result.video_generation_ready && (
                         <div className="text-green-400">
                           <p>✅ Video generation ready!</p>
@@ -322,13 +344,10 @@ function CharacterGenerator({ isOpen, onClose }) {
                     <label className="block text-sm font-medium text-gray-300 mb-1">
                       Sprite Sheet
                     </label>
-                    <img
-                      src={result.sprite_sheet_url || `https://ds0fghatf06yb.cloudfront.net/${result.spriteSheetS3Key}`}
+                    <AssetImage
+                      src={result.spriteSheetS3Key || result.sprite_sheet_url}
                       alt="Sprite Sheet"
                       className="w-full h-48 object-contain rounded border border-gray-700 bg-gray-800"
-                      onError={(e) => {
-                        e.target.src = `https://backend.usuals.ai/cdn/${result.spriteSheetS3Key}`;
-                      }}
                     />
                   </div>
                   
@@ -336,13 +355,10 @@ function CharacterGenerator({ isOpen, onClose }) {
                     <label className="block text-sm font-medium text-gray-300 mb-1">
                       Final Character
                     </label>
-                    <img
-                      src={result.final_character_url || `https://ds0fghatf06yb.cloudfront.net/${result.finalCharacterS3Key}`}
+                    <AssetImage
+                      src={result.finalCharacterS3Key || result.final_character_url}
                       alt="Final Character"
                       className="w-full h-48 object-contain rounded border border-gray-700 bg-gray-800"
-                      onError={(e) => {
-                        e.target.src = `https://backend.usuals.ai/cdn/${result.finalCharacterS3Key}`;
-                      }}
                     />
                   </div>
                 </div>
@@ -575,20 +591,15 @@ function CharacterGenerator({ isOpen, onClose }) {
 
                       <div className="space-y-2 mb-4">
                         {(() => {
-                          const imageUrl = character.final_character_url || 
-                            (character.finalCharacterS3Key && `https://ds0fghatf06yb.cloudfront.net/${character.finalCharacterS3Key}`);
+                          const imageSource = character.finalCharacterS3Key || character.final_character_url;
                           
-                          return imageUrl ? (
-                            <img
-                              src={imageUrl}
+                          return imageSource ? (
+                            <AssetImage
+                              src={imageSource}
                               alt={character.name || "Character"}
                               className="w-full h-32 object-contain rounded border border-gray-600 bg-gray-700"
                               onError={(e) => {
-                                if (character.finalCharacterS3Key) {
-                                  e.target.src = `https://backend.usuals.ai/cdn/${character.finalCharacterS3Key}`;
-                                } else {
-                                  e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMzc0MTUxIi8+Cjx0ZXh0IHg9IjEwMCIgeT0iMTAwIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5Q0EzQUYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5ObyBJbWFnZTwvdGV4dD4KPC9zdmc+';
-                                }
+                                e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIyMDAiIGhlaWdodD0iMjAwIiBmaWxsPSIjMzc0MTUxIi8+Cjx0ZXh0IHg9IjEwMCIgeT0iMTAwIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM5Q0EzQUYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5ObyBJbWFnZTwvdGV4dD4KPC9zdmc+';
                               }}
                             />
                           ) : (
@@ -608,10 +619,9 @@ function CharacterGenerator({ isOpen, onClose }) {
                               artStyle: character.artStyle || "fantasy digital art, detailed, vibrant colors"
                             });
                           }}
-                          disabled={isGeneratingVideo}
                           className="flex-1 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 text-white px-3 py-2 rounded text-sm font-medium flex items-center justify-center gap-1"
                         >
-                          {isGeneratingVideo && selectedCharacterForVideo?.id === character.id ? (
+                          {charactersWithRunningVideo.has(character.id) ? (
                             <>
                               <div className="w-3 h-3">
                                 <LoadingSpinner />
@@ -671,7 +681,6 @@ function CharacterGenerator({ isOpen, onClose }) {
                             placeholder="The warrior walks forward with confidence, sword raised high"
                             className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
                             rows="3"
-                            disabled={isGeneratingVideo}
                           />
                         </div>
 
@@ -685,22 +694,20 @@ function CharacterGenerator({ isOpen, onClose }) {
                             onChange={(e) => setVideoConfig(prev => ({ ...prev, artStyle: e.target.value }))}
                             placeholder="fantasy digital art, detailed, vibrant colors"
                             className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-600"
-                            disabled={isGeneratingVideo}
                           />
                         </div>
 
                         <div className="flex gap-2">
                           <button
                             onClick={() => handleGenerateVideo(selectedCharacterForVideo)}
-                            disabled={isGeneratingVideo || !videoConfig.animationPrompt.trim()}
+                            disabled={!videoConfig.animationPrompt.trim()}
                             className="flex-1 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 text-white px-4 py-2 rounded font-medium"
                           >
-                            {isGeneratingVideo ? "Generating..." : "Generate Video"}
+                            Generate Video
                           </button>
                           <button
                             onClick={() => setSelectedCharacterForVideo(null)}
                             className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded font-medium"
-                            disabled={isGeneratingVideo}
                           >
                             Cancel
                           </button>
@@ -748,52 +755,62 @@ function CharacterGenerator({ isOpen, onClose }) {
             ) : (
               <div className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {generatedVideos.map((video) => (
-                    <div
-                      key={video.id}
-                      className="bg-gray-800 border border-gray-700 rounded-lg p-4"
-                    >
-                      <div className="flex items-center justify-between mb-3">
-                        <h4 className="text-white font-medium">
-                          Video for {video.characterName || "Character"}
-                        </h4>
-                        <span className={`text-xs px-2 py-1 rounded ${
-                          video.status === 'generating' 
-                            ? 'bg-yellow-600 text-yellow-100' 
-                            : 'bg-green-600 text-green-100'
-                        }`}>
-                          {video.status === 'generating' ? '🔄 Generating' : '✅ Complete'}
-                        </span>
-                      </div>
+                  {generatedVideos.map((job) => {
+                    const badge = VIDEO_STATUS_BADGES[job.status];
+                    return (
+                      <div
+                        key={job.id}
+                        className="bg-gray-800 border border-gray-700 rounded-lg p-4"
+                      >
+                        <div className="flex items-center justify-between mb-3">
+                          <h4 className="text-white font-medium">
+                            Video for {job.meta.characterName || "Character"}
+                          </h4>
+                          <span className={`text-xs px-2 py-1 rounded ${badge.className}`}>
+                            {badge.label}
+                          </span>
+                        </div>
                       
-                      <div className="space-y-2 mb-3">
-                        <p className="text-gray-300 text-sm">
-                          <strong>Animation:</strong> {video.animationPrompt}
-                        </p>
-                        <p className="text-gray-400 text-xs">
-                          <strong>Style:</strong> {video.artStyle}
-                        </p>
-                        <p className="text-gray-400 text-xs">
-                          <strong>Model:</strong> {video.model || 'Unknown'}
-                        </p>
-                        <p className="text-gray-400 text-xs">
-                          <strong>Videos:</strong> {video.totalVideos || 1}
-                        </p>
-                        <p className="text-gray-400 text-xs">
-                          <strong>Created:</strong> {new Date(video.timestamp).toLocaleString()}
-                        </p>
-                      </div>
+                        <div className="space-y-2 mb-3">
+                          <p className="text-gray-300 text-sm">
+                            <strong>Animation:</strong> {job.meta.animationPrompt}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            <strong>Style:</strong> {job.meta.artStyle}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            <strong>Model:</strong> {job.result?.model || 'Unknown'}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            <strong>Videos:</strong> {job.result?.totalVideos || 1}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            <strong>Created:</strong> {new Date(job.createdAt).toLocaleString()}
+                          </p>
+                        </div>
 
-                      {video.status === 'generating' && (
-                        <div className="flex items-center gap-2 text-yellow-400 text-sm">
-                          <div className="w-4 h-4">
-                            <LoadingSpinner />
+                        {job.status === JOB_STATUS.RUNNING && (
+                          <div className="flex items-center justify-between gap-2 text-yellow-400 text-sm">
+                            <div className="flex items-center gap-2">
+                              <div className="w-4 h-4">
+                                <LoadingSpinner />
+                              </div>
+                              <span>Video generation in progress...</span>
+                            </div>
+                            <button
+                              onClick={() => jobTracker.cancelJob(job.id)}
+                              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded text-xs"
+                            >
+                              Cancel
+                            </button>
                           </div>
-                          <span>Video generation in progress...</span>
-                        </div>
-                      )}
-                    </div>
-                  ))}
+                        )}
+                        {job.status === JOB_STATUS.FAILED && (
+                          <p className="text-red-400 text-sm">{job.error?.message}</p>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             )}
@@ -11,44 +11,59 @@ import { segmentationApi } from "../services/segmentationapi";
 import { chatApi } from "../services/chat";
 import { s3Api } from "../services/s3";
 import { projectApi } from "../services/project";
+import { creditApi } from "../services/credit";
+import { reconcileRun, reconcilePendingRuns } from "../services/credit-reconciliation";
 import ModelSelector from "./ModelSelector";
 import CreditWidget from "./CreditWidget";
 
 import StepList from "./chat-widget/StepList";
 import InputArea from "./chat-widget/InputArea";
-import { useProjectStore } from "../store/useProjectStore";
-import { getTextCreditCost, getImageCreditCost, getVideoCreditCost, formatCreditDeduction } from "../lib/pricing";
+import RunEstimate from "./chat-widget/RunEstimate";
+import RunSummary from "./chat-widget/RunSummary";
+import VideoSettingsPanel from "./chat-widget/VideoSettingsPanel";
+import ProjectBudget from "./ProjectBudget";
+import HistoryPanel from "./HistoryPanel";
+import ProjectManager from "./ProjectManager";
+import { useProjectStore, selectSegmentMedia } from "../store/useProjectStore";
+import { getTextCreditCost, getImageCreditCost, getVideoCreditCost, estimateGenerationCost, formatCreditDeduction } from "../lib/pricing";
+import { isCancelledError } from "../lib/apiError";
+import { isBudgetError } from "../lib/budget";
+import { resolveSegmentVideoSettings } from "../lib/videoSettings";
+import { useModelCatalog } from "../hooks/useModelCatalog";
+import { modelCatalog } from "../services/model-catalog";
+import { creditLedger, OPERATION_STATUS } from "../lib/creditLedger";
+import { createIdempotencyKey, createRequestNonce } from "../lib/idempotency";
+import { jobTracker, JOB_TYPES, JOB_STATUS } from "../services/jobs";
+import { useJobs } from "../hooks/useJobs";
+import { useGenerationQueue } from "../hooks/useGenerationQueue";
+import { preparePrompt } from "../lib/promptPrep";
+import { getAssetKey } from "../lib/assets";
+import { runSegments } from "../lib/segmentRun";
+import { normalizeSegment, normalizeProjectEntities, getSegments, getPrimaryImage, getSegmentVideo, getEntityUrl } from "../lib/entities";
+import PromptPreview from "./PromptPreview";
+import { AssetImage, AssetVideo } from "./AssetMedia";
 
 import React from "react";
 
+// Segments with a visual prompt, i.e. the ones step 4 generates images for
+const getImageSegments = (script) =>
+  (script?.segments || []).filter(seg => seg.visual && seg.visual.trim());
+
+// A script's segments as canonical entities (lib/entities), so generated
+// images and videos can be keyed by segment.id
+const toScriptSegments = (script) =>
+  (script?.segments || []).map((segment, index) =>
+    normalizeSegment(segment, { index, artStyle: script.artStyle }),
+  );
+
 function ChatWidgetSidebar() {
   const { isAuthenticated, logout, user } = useAuth();
 
   const [prompt, setPrompt] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedProject, setSelectedProject] = useState(() => {
-    try {
-      const stored = localStorage.getItem('project-store-selectedProject');
-      return stored ? JSON.parse(stored) : null;
-    } catch (e) {
-      console.error(e);
-      return null;
-    }
-  });
-  const [storedVideosMap, setStoredVideosMap] = useState(() => {
-    try {
-      const stored = localStorage.getItem('project-store-selectedProject');
-      if (stored) {
-        const _project = JSON.parse(stored);
-        return JSON.parse(localStorage.getItem(`project-store-videos`) || "{}");
-      }
-      return JSON.parse(localStorage.getItem("segmentVideos") || "{}");
-    } catch (e) {
-      console.error(e);
-      return {};
-    }
-  });
+  const selectedProject = useProjectStore((state) => state.selectedProject);
+  const storedVideosMap = useProjectStore((state) => selectSegmentMedia(state, state.selectedProject?.id).videos);
 
   const [, setTimelineProgress] = useState({
     expected: 0,
@@ -57,6 +72,7 @@ function ChatWidgetSidebar() {
 
   const [addingTimeline, setAddingTimeline] = useState(false);
   const [showProjectHistory, setShowProjectHistory] = useState(false);
+  const [showProjectManager, setShowProjectManager] = useState(false);
   const [showCharacterGenerator, setShowCharacterGenerator] = useState(false);
   const [creatingProject, setCreatingProject] = useState(false);
   const [createProjectError, setCreateProjectError] = useState(null);
@@ -67,6 +83,8 @@ function ChatWidgetSidebar() {
   const [collapseSteps, setCollapseSteps] = useState(true);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const nameInputRef = useRef(null);
+  // AbortController of the pipeline step that is currently running
+  const abortControllerRef = useRef(null);
 
   // New 6-step flow states
   const [currentStep, setCurrentStep] = useState(0);
@@ -103,9 +121,22 @@ function ChatWidgetSidebar() {
   const [redoStepId, setRedoStepId] = useState(null);
   const [redoImageModel, setRedoImageModel] = useState(chatApi.getDefaultModel('IMAGE'));
   const [redoVideoModel, setRedoVideoModel] = useState(chatApi.getDefaultModel('VIDEO'));
+  // Video duration, aspect ratio and resolution saved on the project
+  const storedVideoSettings = useProjectStore((state) => state.getProjectVideoSettings(selectedProject?.id));
+  const videoSettings = storedVideoSettings || selectedProject?.videoSettings || null;
+  const [videoSettingsError, setVideoSettingsError] = useState(null);
+  // Re-renders when the backend catalog (and its capabilities) arrives
+  useModelCatalog({ type: 'VIDEO' });
 
   // Credit deduction notification state
   const [creditDeductionMessage, setCreditDeductionMessage] = useState(null);
+  // Credit estimate awaiting confirmation before an image/video run:
+  // { stepId, estimate, checking, checkError }. Only shown while the estimate
+  // is for the selected model.
+  const [pendingRun, setPendingRun] = useState(null);
+  // Credit summary of the last image/video run (creditLedger.getRunSummary),
+  // updated once its charges have been reconciled
+  const [runSummary, setRunSummary] = useState(null);
 
 
 
@@ -123,30 +154,6 @@ function ChatWidgetSidebar() {
     { id: 5, name: 'Video Generation', description: 'Generate videos from images' },
   ];
 
-  useEffect(() => {
-    const handleStorage = () => {
-      try {
-        const stored = localStorage.getItem('project-store-selectedProject');
-        const newSelectedProject = stored ? JSON.parse(stored) : null;
-        setSelectedProject(newSelectedProject);
-        
-        if (newSelectedProject) {
-          setStoredVideosMap(
-            JSON.parse(localStorage.getItem(`project-store-videos`) || "{}"),
-          );
-        } else {
-          setStoredVideosMap(
-            JSON.parse(localStorage.getItem("segmentVideos") || "{}"),
-          );
-        }
-      } catch (e) {
-        console.error(e);
-      }
-    };
-    window.addEventListener("storage", handleStorage);
-    return () => window.removeEventListener("storage", handleStorage);
-  }, []);
-
   useEffect(() => {
     if (window?.electronAPI?.res?.timeline?.add) {
       window.electronAPI.res.timeline.add((_evt, payload) => {
@@ -158,22 +165,31 @@ function ChatWidgetSidebar() {
     }
   }, []);
 
-  // Load credit balance when user is authenticated
+  // Load credit balance when user is authenticated, and refund charges for
+  // failed segments of runs a previous session didn't get to reconcile
   useEffect(() => {
     if (isAuthenticated && user?.id) {
       const { fetchBalance } = useProjectStore.getState();
       fetchBalance(user.id);
+      reconcilePendingRuns(user.id)
+        .then((summaries) => {
+          if (summaries.some((summary) => summary?.refunded > 0)) fetchBalance(user.id);
+        })
+        .catch((err) => console.error("Failed to reconcile credits:", err));
     }
   }, [isAuthenticated, user?.id]);
 
-  // Load project data when selectedProject changes
+  // Load project data when another project is selected; edits to the selected
+  // project (budget, video settings) don't reload it
   useEffect(() => {
+    // A run belongs to the project it was started in
+    abortControllerRef.current?.abort();
     if (selectedProject) {
       loadProjectData();
     } else {
       resetFlow();
     }
-  }, [selectedProject]);
+  }, [selectedProject?.id]);
 
 
   // Update step status based on current data
@@ -212,7 +228,7 @@ function ChatWidgetSidebar() {
     
     // Step 4: Image Generation - check if images exist (from API or generation)
     const hasImages = Object.keys(generatedImages).length > 0 || 
-                     (selectedScript?.segments?.some(seg => seg.s3Key || seg.image_s3_key || seg.imageS3Key));
+                     (selectedScript?.segments?.some(seg => seg.imageS3Key));
     if (hasImages) {
       newStepStatus[4] = 'done';
     } else {
@@ -243,7 +259,14 @@ function ChatWidgetSidebar() {
       });
     }
     
-    setStepStatus(newStepStatus);
+    // 'loading' and 'cancelled' are set by the runs themselves; don't derive over them
+    setStepStatus(prev => {
+      const next = { ...newStepStatus };
+      Object.keys(prev).forEach(id => {
+        if (prev[id] === 'loading' || prev[id] === 'cancelled') next[id] = prev[id];
+      });
+      return next;
+    });
   }, [selectedProject, concepts, selectedConcept, scripts, selectedScript, generatedImages, generatedVideos]);
 
   const resetFlow = () => {
@@ -269,7 +292,7 @@ function ChatWidgetSidebar() {
   };
 
   // Helper function to show credit deduction after successful API response
-  const showCreditDeduction = (serviceName, model = null, count = 1) => {
+  const showCreditDeduction = (serviceName, count = 1) => {
     let credits = 0;
     let message = '';
 
@@ -286,24 +309,6 @@ function ChatWidgetSidebar() {
         credits = getTextCreditCost('script & segmentation') * count;
         message = formatCreditDeduction('Script Generation', credits);
         break;
-      case 'Image Generation':
-        if (model) {
-          credits = getImageCreditCost(model) * count;
-          message = formatCreditDeduction(`Image Generation (${model})`, credits);
-        } else {
-          credits = getImageCreditCost('imagen') * count; // default to imagen
-          message = formatCreditDeduction('Image Generation', credits);
-        }
-        break;
-      case 'Video Generation':
-        if (model) {
-          credits = getVideoCreditCost(model, 5) * count; // 8 seconds default
-          message = formatCreditDeduction(`Video Generation (${model})`, credits);
-        } else {
-          credits = getVideoCreditCost('veo2', 5) * count; // default to veo2
-          message = formatCreditDeduction('Video Generation', credits);
-        }
-        break;
       default:
         message = `Credit deducted for ${serviceName}`;
     }
@@ -317,6 +322,21 @@ function ChatWidgetSidebar() {
     }
   };
 
+  // Summary of an image/video run: shown right away with what is known, then
+  // again once the charges have been matched against the credit history and
+  // failed segments refunded
+  const reconcileCreditRun = async (runId) => {
+    setRunSummary(creditLedger.getRunSummary(runId));
+    if (!user?.id) return;
+    try {
+      setRunSummary(await reconcileRun(user.id, runId));
+    } catch (err) {
+      console.error("Failed to reconcile credits:", err);
+      setRunSummary({ ...creditLedger.getRunSummary(runId), error: err.message });
+    }
+    fetchBalance(user.id);
+  };
+
   // Helper function to show request failure message
   const showRequestFailed = (serviceName = null) => {
     const message = serviceName ? `${serviceName} request failed` : "Request failed";
@@ -331,12 +351,69 @@ function ChatWidgetSidebar() {
     }));
   };
 
+  // Abort any previous run and hand out the signal for a new one
+  const startStepRun = () => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return controller.signal;
+  };
+
+  const finishStepRun = (signal) => {
+    if (abortControllerRef.current?.signal === signal) {
+      abortControllerRef.current = null;
+    }
+  };
+
+  const cancelRunningStep = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Abort whatever is still running when the widget goes away
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const generationQueueState = useGenerationQueue();
+  const rateLimitedModels = Object.entries(generationQueueState.models)
+    .filter(([, lane]) => lane.pausedUntil)
+    .map(([model]) => model);
+
+  // Video jobs of this project, including ones resumed from an earlier page load
+  const videoJobs = useJobs({
+    type: JOB_TYPES.SEGMENT_VIDEO,
+    projectId: selectedProject?.id,
+    resume: isAuthenticated,
+  });
+  const resumedVideoJobs = videoJobs.filter(
+    (job) => job.resumed && job.status === JOB_STATUS.RUNNING,
+  );
+
+  // Nobody awaits a resumed job, so pick up its video when it completes
+  useEffect(
+    () =>
+      jobTracker.subscribe(async ({ type, job }) => {
+        if (
+          type !== JOB_STATUS.COMPLETED ||
+          job.type !== JOB_TYPES.SEGMENT_VIDEO ||
+          !job.resumed ||
+          job.meta?.projectId !== selectedProject?.id ||
+          !job.result?.s3_key
+        ) {
+          return;
+        }
+        const videoUrl = await s3Api.downloadVideo(job.result.s3_key);
+        setGeneratedVideos((prev) => ({ ...prev, [job.meta.segmentId]: videoUrl }));
+      }),
+    [selectedProject?.id],
+  );
+
   const getStepIcon = (stepId) => {
     const status = stepStatus[stepId];
     let icon;
     
     if (status === 'loading') {
       icon = '⏳';
+    } else if (status === 'cancelled') {
+      icon = '⏹️';
     } else if (status === 'done') {
       icon = '✅';
     } else if (status === 'pending' && stepId === currentStep) {
@@ -421,18 +498,80 @@ function ChatWidgetSidebar() {
       setSelectedVideoModel(redoVideoModel);
     }
     
-    switch (redoStepId) {
-      case 4:
-        await runImageGeneration();
-        break;
-      case 5:
-        await runVideoGeneration();
-        break;
-    }
+    await requestRun(redoStepId, {
+      model: redoStepId === 4 ? redoImageModel : redoVideoModel,
+    });
     
     setRedoStepId(null);
   };
 
+  // Price of the image (4) or video (5) step for the segments it would run;
+  // null when there is nothing to generate
+  const estimateStep = (stepId, model) => {
+    if (stepId === 5) {
+      const videoModel = model || selectedVideoModel;
+      const catalogModel = modelCatalog.getModel(videoModel);
+      // Each video is priced for its own clip length
+      const durations = (selectedScript?.segments || [])
+        .filter(segment => generatedImages[segment.id])
+        .map(segment => resolveSegmentVideoSettings(catalogModel, videoSettings, segment.id).duration);
+      if (durations.length === 0) return null;
+      return estimateGenerationCost({ type: 'VIDEO', model: videoModel, durations });
+    }
+    const count = getImageSegments(selectedScript).length;
+    if (count === 0) return null;
+    return estimateGenerationCost({ type: 'IMAGE', model: model || selectedImageModel, count });
+  };
+
+  // Video settings are saved on the project; an open estimate is dropped as
+  // its prices may no longer apply
+  const saveVideoSettings = async (next) => {
+    if (!selectedProject?.id) return;
+    setVideoSettingsError(null);
+    setPendingRun(null);
+    try {
+      await useProjectStore.getState().setProjectVideoSettings(selectedProject.id, next);
+    } catch (err) {
+      setVideoSettingsError(err.message || 'Failed to save the video settings.');
+    }
+  };
+
+  // Image and video runs are priced and checked against the balance first;
+  // the run itself starts from the confirmation (RunEstimate)
+  const requestRun = async (stepId, { model } = {}) => {
+    if (loading) return;
+    const estimate = estimateStep(stepId, model);
+
+    // Nothing to charge for; let the run report what's missing
+    if (!estimate) {
+      await (stepId === 5 ? runVideoGeneration() : runImageGeneration());
+      return;
+    }
+
+    setPendingRun({ stepId, estimate, checking: Boolean(user?.id) });
+    if (!user?.id) return;
+
+    // Ignore the answer if the estimate was dismissed or replaced meanwhile
+    const update = (changes) =>
+      setPendingRun(prev => (prev?.estimate === estimate ? { ...prev, ...changes } : prev));
+    try {
+      update({ estimate: await creditApi.checkEstimate(user.id, estimate), checking: false });
+    } catch (err) {
+      console.error("Failed to check credits:", err);
+      update({ checking: false, checkError: err.message });
+    }
+  };
+
+  const confirmRun = async () => {
+    const run = pendingRun;
+    setPendingRun(null);
+    if (run?.stepId === 4) {
+      await runImageGeneration();
+    } else if (run?.stepId === 5) {
+      await runVideoGeneration();
+    }
+  };
+
   const runConceptWriter = async () => {
     if (!prompt.trim()) {
       setError("Please enter a prompt first");
@@ -442,10 +581,11 @@ function ChatWidgetSidebar() {
     setLoading(true);
     setError(null);
     updateStepStatus(0, 'loading');
+    const signal = startStepRun();
 
     try {
       console.log("Starting pipeline with web-info...");
-      const webInfoResult = await webInfoApi.processWebInfo(prompt, selectedProject?.id);
+      const webInfoResult = await webInfoApi.processWebInfo(prompt, selectedProject?.id, { signal });
       console.log("Web-info response:", webInfoResult);
 
       console.log("Calling concept-writer...");
@@ -454,6 +594,7 @@ function ChatWidgetSidebar() {
         prompt,
         webInfoContent,
         selectedProject?.id,
+        { signal },
       );
 
       console.log("Concept-writer response:", conceptsResult);
@@ -476,11 +617,16 @@ function ChatWidgetSidebar() {
       updateStepStatus(0, 'done');
       setCurrentStep(1);
     } catch (error) {
+      if (isCancelledError(error)) {
+        updateStepStatus(0, 'cancelled');
+        return;
+      }
       console.error("Error in concept writer:", error);
       showRequestFailed("Concept Generation");
       setError(error.message || "Failed to generate concepts. Please try again.");
       updateStepStatus(0, 'pending');
     } finally {
+      finishStepRun(signal);
       setLoading(false);
     }
   };
@@ -494,6 +640,7 @@ function ChatWidgetSidebar() {
     setLoading(true);
     setError(null);
     updateStepStatus(2, 'loading');
+    const signal = startStepRun();
 
     try {
       const [res1, res2] = await Promise.all([
@@ -502,26 +649,33 @@ function ChatWidgetSidebar() {
           concept: selectedConcept.title,
           negative_prompt: "",
           project_id: selectedProject?.id,
+          signal,
         }),
         segmentationApi.getSegmentation({
           prompt,
           concept: selectedConcept.title,
           negative_prompt: "",
           project_id: selectedProject?.id,
+          signal,
         }),
       ]);
       
       // Show credit deduction after successful API responses
-      showCreditDeduction("Script Generation", null, 2);
+      showCreditDeduction("Script Generation", 2);
       setScripts({ response1: res1, response2: res2 });
       updateStepStatus(2, 'done');
       setCurrentStep(3);
     } catch (error) {
+      if (isCancelledError(error)) {
+        updateStepStatus(2, 'cancelled');
+        return;
+      }
       console.error("Error in script generation:", error);
       showRequestFailed("Script Generation");
       setError(error.message || "Failed to generate scripts. Please try again.");
       updateStepStatus(2, 'pending');
     } finally {
+      finishStepRun(signal);
       setLoading(false);
     }
   };
@@ -536,13 +690,14 @@ function ChatWidgetSidebar() {
     setError(null);
     updateStepStatus(4, 'loading');
     setGenerationProgress({});
+    const signal = startStepRun();
 
     try {
       const artStyle = selectedScript.artStyle || "";
       const imagesMap = {};
 
       // Only process segments that actually have a visual prompt
-      const segmentsToGenerate = selectedScript.segments.filter(seg => seg.visual && seg.visual.trim());
+      const segmentsToGenerate = getImageSegments(selectedScript);
       if (segmentsToGenerate.length === 0) {
         setError("No visual prompts found in script segments.");
         setLoading(false);
@@ -550,31 +705,81 @@ function ChatWidgetSidebar() {
         return;
       }
 
-      // Create parallel promises for all valid segments
-      const imagePromises = segmentsToGenerate.map(async (segment, index) => {
-        setGenerationProgress((prev) => ({
-          ...prev,
-          [segment.id]: {
-            type: "image",
-            status: "generating",
-            index: index + 1,
-            total: segmentsToGenerate.length,
-          },
-        }));
+      // Every request is recorded so charges for failed segments can be refunded
+      const creditRun = creditLedger.startRun({
+        type: 'IMAGE',
+        model: selectedImageModel,
+        projectId: selectedProject?.id,
+        label: 'Image generation',
+      });
+      // Segments are charged against the project budget; the run pauses once it is used up
+      const { withProjectBudget } = useProjectStore.getState();
+      const imageCost = getImageCreditCost(selectedImageModel);
+      let budgetError = null;
+
+      // All segments are queued at once; ones still queued when the run is
+      // cancelled are skipped
+      const generateSegmentImage = async (segment, index, { onStart }) => {
+        // Requests wait in the generation queue until the model has a free slot
+        const setImageStatus = (status) =>
+          setGenerationProgress((prev) => ({
+            ...prev,
+            [segment.id]: {
+              type: "image",
+              status,
+              index: index + 1,
+              total: segmentsToGenerate.length,
+            },
+          }));
+        setImageStatus("queued");
+
+        // The backend stores the idempotency key on the DEDUCTION as its operationId.
+        // Keyed like chatApi's own keys: by the prompt as it will be sent.
+        const preparedPrompt = preparePrompt(segment.visual, { model: selectedImageModel }).prompt;
+        const operationId = createIdempotencyKey(
+          'image',
+          segment.id,
+          selectedImageModel,
+          preparedPrompt,
+          createRequestNonce(),
+        );
+        let settled = false;
+        const settle = (status, error) => {
+          if (settled) return;
+          settled = true;
+          creditLedger.settleOperation(operationId, status, {
+            error: error?.message ?? null,
+            errorStatus: error?.status ?? null,
+          });
+        };
 
         try {
-          const result = await chatApi.generateImage({
-            visual_prompt: segment.visual,
-            art_style: artStyle,
-            uuid: segment.id,
-            project_id: selectedProject?.id,
-            model: selectedImageModel,
+          const result = await withProjectBudget(selectedProject?.id, imageCost, () => {
+            creditLedger.addOperation(creditRun.id, {
+              operationId,
+              segmentId: segment.id,
+              expectedCredits: imageCost,
+            });
+            return chatApi.generateImage({
+              visual_prompt: segment.visual,
+              art_style: artStyle,
+              uuid: segment.id,
+              project_id: selectedProject?.id,
+              model: selectedImageModel,
+              idempotencyKey: operationId,
+              signal,
+              onStart: () => {
+                onStart();
+                setImageStatus("generating");
+              },
+            });
           });
 
+          settle(result.s3_key ? OPERATION_STATUS.SUCCEEDED : OPERATION_STATUS.EMPTY);
           if (result.s3_key) {
             const imageUrl = await s3Api.downloadImage(result.s3_key);
             imagesMap[segment.id] = imageUrl;
-            segment.s3Key = result.s3_key;
+            segment.imageS3Key = result.s3_key;
 
             setGenerationProgress((prev) => ({
               ...prev,
@@ -601,12 +806,31 @@ function ChatWidgetSidebar() {
             return null;
           }
         } catch (err) {
-          console.error(`Error generating image for segment ${segment.id}:`, err);
+          // Nothing was sent for this segment
+          if (isBudgetError(err)) {
+            budgetError = err;
+            setGenerationProgress((prev) => ({
+              ...prev,
+              [segment.id]: {
+                type: "image",
+                status: "paused",
+                index: index + 1,
+                total: segmentsToGenerate.length,
+                error: err.message,
+              },
+            }));
+            return null;
+          }
+          const cancelled = isCancelledError(err);
+          settle(cancelled ? OPERATION_STATUS.CANCELLED : OPERATION_STATUS.FAILED, err);
+          if (!cancelled) {
+            console.error(`Error generating image for segment ${segment.id}:`, err);
+          }
           setGenerationProgress((prev) => ({
             ...prev,
             [segment.id]: {
               type: "image",
-              status: "error",
+              status: cancelled ? "cancelled" : "error",
               index: index + 1,
               total: segmentsToGenerate.length,
               error: err.message,
@@ -614,25 +838,29 @@ function ChatWidgetSidebar() {
           }));
           return null;
         }
-      });
+      };
 
       // Wait for all image generation requests to complete
-      const imgResults = await Promise.allSettled(imagePromises);
-      if (imgResults.some(r => r.status === 'rejected')) {
+      const { results: imgResults, cancelled, skipped } = await runSegments(
+        segmentsToGenerate,
+        generateSegmentImage,
+        { signal },
+      );
+      // Failed segments resolve to null, as do ones the budget held back
+      if (!cancelled && !budgetError && imgResults.some((result) => result == null)) {
         showRequestFailed('Image Generation');
       }
 
-      // Show credit deduction after successful generation for all segments
-      const totalSegments = segmentsToGenerate.length;
-      showCreditDeduction("Image Generation", selectedImageModel, totalSegments);
+      // Show what the run was charged, refunding failed segments
+      creditLedger.finishRun(creditRun.id);
+      reconcileCreditRun(creditRun.id);
 
-      // Update segments with s3Key for video generation
-      const segmentsWithS3Key = selectedScript.segments.map(segment => ({
-        ...segment,
-        s3Key: segment.s3Key
-      }));
+      // Update segments with imageS3Key for video generation
+      const segmentsWithS3Key = selectedScript.segments.map(segment => ({ ...segment }));
 
-      setGeneratedImages(imagesMap);
+      // A cancelled or paused run keeps the images it already had next to the new ones
+      const paused = !cancelled && budgetError != null;
+      setGeneratedImages(cancelled || paused ? (prev) => ({ ...prev, ...imagesMap }) : imagesMap);
       
       // Update selectedScript with the segments that now have s3Key
       setSelectedScript(prev => ({
@@ -640,6 +868,18 @@ function ChatWidgetSidebar() {
         segments: segmentsWithS3Key
       }));
 
+      if (cancelled) {
+        const generated = Object.keys(imagesMap).length;
+        setError(`Image generation cancelled, ${generated} of ${segmentsToGenerate.length} images generated, ${skipped} not started.`);
+        updateStepStatus(4, 'cancelled');
+        return;
+      }
+      if (paused) {
+        const generated = Object.keys(imagesMap).length;
+        setError(`Image generation paused, ${generated} of ${segmentsToGenerate.length} images generated. ${budgetError.message}`);
+        updateStepStatus(4, 'pending');
+        return;
+      }
       updateStepStatus(4, 'done');
       setCurrentStep(5);
     } catch (error) {
@@ -648,6 +888,7 @@ function ChatWidgetSidebar() {
       setError(error.message || "Failed to generate images. Please try again.");
       updateStepStatus(4, 'pending');
     } finally {
+      finishStepRun(signal);
       setLoading(false);
     }
   };
@@ -663,6 +904,7 @@ function ChatWidgetSidebar() {
     setError(null);
     updateStepStatus(5, 'loading');
     setGenerationProgress({});
+    const signal = startStepRun();
 
     try {
       const segments = selectedScript.segments;
@@ -670,63 +912,97 @@ function ChatWidgetSidebar() {
       const videosMap = {};
       
       // Count valid segments (those with images)
-      const validSegments = segments.filter(segment => {
-        const segmentIdVariants = [segment.id, `seg-${segment.id}`, segment.segmentId, segment.uuid];
-        return segmentIdVariants.some(id => generatedImages[id]);
+      const validSegments = segments.filter(segment => generatedImages[segment.id]);
+
+      // Every request is recorded so charges for failed segments can be refunded
+      const creditRun = creditLedger.startRun({
+        type: 'VIDEO',
+        model: selectedVideoModel,
+        projectId: selectedProject?.id,
+        label: 'Video generation',
       });
-
-      // Create parallel promises for all valid segments
-      const videoPromises = validSegments.map(async (segment, index) => {
-        // Check if this segment has an image in the generatedImages map
-        // Try different segment ID formats to match with generatedImages
-        const segmentIdVariants = [
-          segment.id,
-          `seg-${segment.id}`,
-          segment.segmentId,
-          segment.uuid
-        ];
-        
-        const matchingImageKey = segmentIdVariants.find(id => generatedImages[id]);
-        if (!matchingImageKey) {
-          console.log(`Skipping segment ${segment.id} - no image available. Tried IDs:`, segmentIdVariants);
+      // Segments are charged against the project budget; the run pauses once it is used up
+      const { withProjectBudget } = useProjectStore.getState();
+      let budgetError = null;
+      const catalogModel = modelCatalog.getModel(selectedVideoModel);
+
+      // All segments are queued at once; ones still queued when the run is
+      // cancelled are skipped
+      const generateSegmentVideo = async (segment, index, { onStart }) => {
+        // Generated images are keyed by the canonical segment id
+        const imageUrl = generatedImages[segment.id];
+        if (!imageUrl) {
+          console.log(`Skipping segment ${segment.id} - no image available.`);
           return null;
         }
 
-        setGenerationProgress((prev) => ({
-          ...prev,
-          [segment.id]: {
-            type: "video",
-            status: "generating",
-            index: index + 1,
-            total: validSegments.length,
-          },
-        }));
+        const setVideoStatus = (status) =>
+          setGenerationProgress((prev) => ({
+            ...prev,
+            [segment.id]: {
+              type: "video",
+              status,
+              index: index + 1,
+              total: validSegments.length,
+            },
+          }));
+        setVideoStatus("queued");
+        let operationId = null;
+        let settled = false;
+        const settle = (status, error) => {
+          if (!operationId || settled) return;
+          settled = true;
+          creditLedger.settleOperation(operationId, status, {
+            error: error?.message ?? null,
+            errorStatus: error?.status ?? null,
+          });
+        };
 
         try {
-          // Extract s3Key from the image URL in generatedImages
-          const imageUrl = generatedImages[matchingImageKey];
-          let imageS3Key = null;
-          
-          if (imageUrl && imageUrl.includes('cloudfront.net/')) {
-            // Extract s3Key from CloudFront URL
-            const urlParts = imageUrl.split('cloudfront.net/');
-            if (urlParts.length > 1) {
-              imageS3Key = urlParts[1];
-            }
-          }
+          // The key behind the image shown for the segment
+          const imageS3Key = getAssetKey(imageUrl) || segment.imageS3Key;
+          // Project defaults and this segment's overrides, fitted to the model
+          const settings = resolveSegmentVideoSettings(catalogModel, videoSettings, segment.id);
+          const videoCost = getVideoCreditCost(selectedVideoModel, settings.duration);
           
           console.log(`Generating video for segment ${segment.id} with imageS3Key: ${imageS3Key}`);
-          const result = await chatApi.generateVideo({
-            animation_prompt: segment.animation || segment.visual,
-            art_style: artStyle,
-            image_s3_key: imageS3Key,
-            uuid: segment.id,
-            project_id: selectedProject?.id,
-            model: selectedVideoModel,
+          const result = await withProjectBudget(selectedProject?.id, videoCost, () => {
+            // Tracked as a job so the video still lands if the page is reloaded meanwhile
+            const job = jobTracker.startJob(
+              JOB_TYPES.SEGMENT_VIDEO,
+              {
+                animation_prompt: segment.animation || segment.visual,
+                art_style: artStyle,
+                image_s3_key: imageS3Key,
+                uuid: segment.id,
+                project_id: selectedProject?.id,
+                model: selectedVideoModel,
+                duration: settings.duration,
+                aspect_ratio: settings.aspectRatio,
+                resolution: settings.resolution,
+              },
+              {
+                signal,
+                meta: { projectId: selectedProject?.id, segmentId: segment.id },
+                onStart: () => {
+                  onStart();
+                  setVideoStatus("generating");
+                },
+              },
+            );
+            // The job's idempotency key is the operationId of the DEDUCTION
+            operationId = job.idempotencyKey;
+            creditLedger.addOperation(creditRun.id, {
+              operationId,
+              segmentId: segment.id,
+              expectedCredits: videoCost,
+            });
+            return jobTracker.waitForJob(job.id);
           });
 
           console.log(`Video generation result for segment ${segment.id}:`, result);
 
+          settle(result.s3_key ? OPERATION_STATUS.SUCCEEDED : OPERATION_STATUS.EMPTY);
           if (result.s3_key) {
             const videoUrl = await s3Api.downloadVideo(result.s3_key);
             videosMap[segment.id] = videoUrl;
@@ -757,12 +1033,31 @@ function ChatWidgetSidebar() {
             return null;
           }
         } catch (err) {
-          console.error(`Error generating video for segment ${segment.id}:`, err);
+          // Nothing was sent for this segment
+          if (isBudgetError(err)) {
+            budgetError = err;
+            setGenerationProgress((prev) => ({
+              ...prev,
+              [segment.id]: {
+                type: "video",
+                status: "paused",
+                index: index + 1,
+                total: validSegments.length,
+                error: err.message,
+              },
+            }));
+            return null;
+          }
+          const cancelled = isCancelledError(err);
+          settle(cancelled ? OPERATION_STATUS.CANCELLED : OPERATION_STATUS.FAILED, err);
+          if (!cancelled) {
+            console.error(`Error generating video for segment ${segment.id}:`, err);
+          }
           setGenerationProgress((prev) => ({
             ...prev,
             [segment.id]: {
               type: "video",
-              status: "error",
+              status: cancelled ? "cancelled" : "error",
               index: index + 1,
               total: validSegments.length,
               error: err.message,
@@ -770,26 +1065,37 @@ function ChatWidgetSidebar() {
           }));
           return null;
         }
-      });
+      };
 
       // Wait for all video generation requests to complete
-      await Promise.allSettled(videoPromises);
+      const { cancelled, skipped } = await runSegments(validSegments, generateSegmentVideo, { signal });
 
-      // Show credit deduction after successful generation for valid segments
-      const totalValidSegments = validSegments.length;
-      if (totalValidSegments > 0) {
-        showCreditDeduction("Video Generation", selectedVideoModel, totalValidSegments);
-      }
+      // Show what the run was charged, refunding failed segments
+      creditLedger.finishRun(creditRun.id);
+      reconcileCreditRun(creditRun.id);
 
-      setGeneratedVideos(videosMap);
+      // A cancelled or paused run keeps the videos it already had next to the new ones
+      const paused = !cancelled && budgetError != null;
+      setGeneratedVideos(cancelled || paused ? (prev) => ({ ...prev, ...videosMap }) : videosMap);
 
-      updateStepStatus(5, 'done');
+      if (paused) {
+        const generated = Object.keys(videosMap).length;
+        setError(`Video generation paused, ${generated} of ${validSegments.length} videos generated. ${budgetError.message}`);
+        updateStepStatus(5, 'pending');
+        return;
+      }
+      if (cancelled) {
+        const generated = Object.keys(videosMap).length;
+        setError(`Video generation cancelled, ${generated} of ${validSegments.length} videos generated, ${skipped} not started.`);
+      }
+      updateStepStatus(5, cancelled ? 'cancelled' : 'done');
     } catch (error) {
       console.error("Error in video generation:", error);
       showRequestFailed("Video Generation");
       setError(error.message || "Failed to generate videos. Please try again.");
       updateStepStatus(5, 'pending');
     } finally {
+      finishStepRun(signal);
       setLoading(false);
     }
   };
@@ -800,10 +1106,22 @@ function ChatWidgetSidebar() {
     setCurrentStep(2);
   };
 
-  const handleScriptSelect = (script) => {
+  const applyScriptChoice = (script) => {
     setSelectedScript(script);
-    updateStepStatus(3, 'done');
-    setCurrentStep(4);
+    updateStepStatus(3, script ? 'done' : 'pending');
+    setCurrentStep(script ? 4 : 3);
+  };
+
+  const handleScriptSelect = (script) => {
+    const previous = selectedScript;
+    const next = { ...script, segments: toScriptSegments(script) };
+    applyScriptChoice(next);
+    useProjectStore.getState().recordHistory({
+      label: previous ? "Choose another script" : "Choose a script",
+      projectId: selectedProject?.id,
+      undo: () => applyScriptChoice(previous),
+      redo: () => applyScriptChoice(next),
+    });
   };
 
   const _sendVideosToTimeline = async () => {
@@ -815,7 +1133,7 @@ function ChatWidgetSidebar() {
       payload = selectedScript.segments
         .filter((s) => combinedVideosMap[s.id])
         .sort((a, b) => a.id - b.id)
-        .map((s) => ({ id: s.id, url: combinedVideosMap[s.id] }));
+        .map((s) => ({ id: Number(s.id), url: combinedVideosMap[s.id] }));
     }
 
     // Fallback – use every video we currently know about
@@ -924,14 +1242,6 @@ function ChatWidgetSidebar() {
 
   const canSendTimeline = Object.keys(generatedVideos).length > 0 || Object.keys(storedVideosMap).length > 0;
 
-  // Helper functions for project management
-  const clearProjectLocalStorage = () => {
-    // Clear project selection from localStorage
-    localStorage.removeItem('project-store-projects');
-    localStorage.removeItem('project-store-selectedProject');
-    setSelectedProject(null);
-  };
-
   const loadProjectData = async () => {
     if (!selectedProject) return;
     
@@ -941,123 +1251,53 @@ function ChatWidgetSidebar() {
       
       console.log(`Loading project data for project ID: ${selectedProject.id}`);
       
-      // Fetch project details and all related data from API
-      const [
-        projectDetails,
-        projectConcepts,
-        projectImages,
-        projectVideos,
-        projectSegmentations
-      ] = await Promise.all([
-        projectApi.getProjectById(selectedProject.id),
-        projectApi.getProjectConcepts(selectedProject.id, { page: 1, limit: 50 }),
-        projectApi.getProjectImages(selectedProject.id, { page: 1, limit: 50 }),
-        projectApi.getProjectVideos(selectedProject.id, { page: 1, limit: 50 }),
-        projectApi.getProjectSegmentations(selectedProject.id, { page: 1, limit: 50 })
-      ]);
-      
-      console.log('Raw API responses:', {
-        projectDetails,
-        projectConcepts,
-        projectImages,
-        projectVideos,
-        projectSegmentations
-      });
+      // Hydrate the shared project store (one request, reused if another widget already loaded it)
+      const project = await useProjectStore.getState().hydrateProject(selectedProject.id);
+      const projectConcepts = project?.concepts || [];
+      // Segments, images and videos in canonical form, related by segment id
+      const entities = normalizeProjectEntities(project || {});
       
       // Set concepts if available
-      if (projectConcepts && projectConcepts.success && projectConcepts.data && projectConcepts.data.length > 0) {
-        console.log('Setting concepts:', projectConcepts.data);
-        setConcepts(projectConcepts.data);
+      if (projectConcepts.length > 0) {
+        console.log('Setting concepts:', projectConcepts);
+        setConcepts(projectConcepts);
       } else {
-        console.log('No concepts found in API response');
+        console.log('No concepts found for project');
         setConcepts(null);
       }
       
-      // Set segments/scripts if available first (we need this to map images/videos correctly)
-      let segments = [];
-      if (projectSegmentations && projectSegmentations.success && projectSegmentations.data && projectSegmentations.data.length > 0) {
-        // Take the first segmentation (script) and extract its segments
-        const firstSegmentation = projectSegmentations.data[0];
-        if (firstSegmentation.segments && firstSegmentation.segments.length > 0) {
-          segments = firstSegmentation.segments.map(seg => ({
-            id: seg.segmentId || seg.id,
-            visual: seg.visual,
-            animation: seg.animation,
-            narration: seg.narration,
-            s3Key: seg.s3Key || seg.image_s3_key || seg.imageS3Key,
-            imageUrl: seg.imageUrl || seg.image_url,
-            videoUrl: seg.videoUrl || seg.video_url
-          }));
-          
-          console.log('Setting selected script with segments:', segments);
-          setSelectedScript({ 
-            segments,
-            artStyle: firstSegmentation.artStyle,
-            concept: firstSegmentation.concept
-          });
-        } else {
-          console.log('No segments found in segmentation data');
-          setSelectedScript(null);
-        }
-      } else {
-        console.log('No segmentations found in API response');
-        setSelectedScript(null);
-      }
-
-      // Set images if available - map to segments properly
-      if (projectImages && projectImages.success && Array.isArray(projectImages.data) && projectImages.data.length > 0) {
-        const imagesMap = {};
-        projectImages.data.forEach(img => {
-          const segmentId = img.uuid || img.segment_id || img.segmentId || img.id;
-          if (!segmentId) return;
-
-          // Support old s3Key as well as new imageS3Key / imageS3key
-          const key = img.s3Key || img.imageS3Key || img.imageS3key || img.image_s3_key;
-          const imageUrl = key ? `https://ds0fghatf06yb.cloudfront.net/${key}` : (img.url || img.imageUrl);
-          if (imageUrl) {
-            imagesMap[segmentId] = imageUrl;
-
-            // update segment data so we can reuse for video generation
-            const segment = segments.find(seg => seg.id == segmentId);
-            if (segment && !segment.s3Key) {
-              segment.s3Key = key;
-            }
-          }
+      // The current script is the first segmentation
+      const segments = getSegments(entities);
+      if (segments.length > 0) {
+        // Videos start from the segment's primary image
+        segments.forEach(segment => {
+          segment.imageS3Key ||= getPrimaryImage(entities, segment.id)?.s3Key ?? null;
         });
-        console.log('Setting generated images:', imagesMap);
-        setGeneratedImages(imagesMap);
-      } else {
-        console.log('No images found in API response');
-        setGeneratedImages({});
-      }
- 
-      // Set videos if available - map to segments properly (supports new videoFiles array)
-      if (projectVideos && projectVideos.success && Array.isArray(projectVideos.data) && projectVideos.data.length > 0) {
-        const videosMap = {};
-        projectVideos.data.forEach(video => {
-          const segmentId = video.uuid || video.segment_id || video.segmentId || video.id;
-          if (!segmentId) return;
-
-          let videoKey = null;
-          if (Array.isArray(video.s3Keys) && video.s3Keys.length > 0) {
-            videoKey = video.s3Keys[0];
-          } else if (Array.isArray(video.videoFiles) && video.videoFiles.length > 0) {
-            videoKey = video.videoFiles[0].s3Key;
-          }
-
-          const videoUrl = videoKey ? `https://ds0fghatf06yb.cloudfront.net/${videoKey}` : (video.url || null);
-          if (videoUrl) {
-            videosMap[segmentId] = videoUrl;
-          }
+        console.log('Setting selected script with segments:', segments);
+        const firstSegmentation = project.segmentations[0];
+        setSelectedScript({ 
+          segments,
+          artStyle: firstSegmentation.artStyle,
+          concept: firstSegmentation.concept
         });
-        console.log('Setting generated videos:', videosMap);
-        setGeneratedVideos(videosMap);
-        setStoredVideosMap(videosMap);
       } else {
-        console.log('No videos found in API response');
-        setGeneratedVideos({});
-        setStoredVideosMap({});
+        console.log('No segments found for project');
+        setSelectedScript(null);
       }
+
+      // Each segment shows its primary image and its video
+      const imagesMap = {};
+      const videosMap = {};
+      segments.forEach(segment => {
+        const imageUrl = getEntityUrl(getPrimaryImage(entities, segment.id));
+        if (imageUrl) imagesMap[segment.id] = imageUrl;
+        const videoUrl = getEntityUrl(getSegmentVideo(entities, segment.id));
+        if (videoUrl) videosMap[segment.id] = videoUrl;
+      });
+      console.log('Setting generated images:', imagesMap);
+      setGeneratedImages(imagesMap);
+      console.log('Setting generated videos:', videosMap);
+      setGeneratedVideos(videosMap);
       
       // Reset other states
       setSelectedConcept(null);
@@ -1067,7 +1307,7 @@ function ChatWidgetSidebar() {
       
     } catch (error) {
       console.error("Error loading project data from API:", error);
-      setError("Failed to load project data. Please try again.");
+      setError(error.message || "Failed to load project data. Please try again.");
     } finally {
       setLoading(false);
     }
@@ -1096,9 +1336,8 @@ function ChatWidgetSidebar() {
     setCreatingProject(true);
     try {
       const newProject = await projectApi.createProject({ name: newProjectName, description: newProjectDesc });
-      clearProjectLocalStorage();
-      localStorage.setItem('project-store-selectedProject', JSON.stringify(newProject));
-      localStorage.setItem('project-store-projects', JSON.stringify([newProject]));
+      const { projects, setProjects, setSelectedProject } = useProjectStore.getState();
+      setProjects([newProject, ...projects.filter((project) => project.id !== newProject.id)]);
       setSelectedProject(newProject);
       resetFlow();
       setCreateModalOpen(false);
@@ -1109,17 +1348,43 @@ function ChatWidgetSidebar() {
     }
   };
 
-  const SelectedProjectBanner = () => {
-    if (!selectedProject) return null;
-    return (
-      <div className="px-4 py-2 bg-blue-900 text-blue-100 text-sm border-b border-blue-800">
+  // Cost of the image or video step the user is on, for the low balance warning
+  const nextStepEstimate =
+    (currentStep === 4 || currentStep === 5) && stepStatus[currentStep] !== 'done'
+      ? estimateStep(currentStep)
+      : null;
+
+  // An element rather than a component defined here, so the budget editor
+  // isn't remounted on every render
+  const selectedProjectBanner = selectedProject ? (
+    <div className="px-4 py-2 bg-blue-900 text-blue-100 text-sm border-b border-blue-800 flex items-center justify-between gap-2">
+      <span className="truncate">
         Working on: <span className="font-semibold">{selectedProject.name}</span>
+      </span>
+      <div className="flex items-center gap-2">
+        <HistoryPanel />
+        <ProjectBudget projectId={selectedProject.id} userId={user?.id} />
       </div>
-    );
-  };
-
-  // helper maps combining stored data so UI shows even after reload
-  const combinedVideosMap = React.useMemo(() => ({ ...generatedVideos, ...storedVideosMap }), [generatedVideos, storedVideosMap]);
+    </div>
+  ) : null;
+
+  // helper maps combining stored data so UI shows even after reload; videos
+  // loaded or generated in this session win over saved URLs
+  const combinedVideosMap = React.useMemo(() => ({ ...storedVideosMap, ...generatedVideos }), [generatedVideos, storedVideosMap]);
+
+  // Segments whose prompts will change before sending, for the selected models
+  const promptPreparations = React.useMemo(() => {
+    const segments = selectedScript?.segments || [];
+    const prepare = (getPrompt, model) =>
+      segments
+        .filter((segment) => getPrompt(segment)?.trim())
+        .map((segment) => ({ segment, preparation: preparePrompt(getPrompt(segment), { model }) }))
+        .filter(({ preparation }) => preparation.warnings.length > 0);
+    return {
+      image: prepare((segment) => segment.visual, selectedImageModel),
+      video: prepare((segment) => segment.animation || segment.visual, selectedVideoModel),
+    };
+  }, [selectedScript, selectedImageModel, selectedVideoModel]);
 
   return (
     <div className='z-10' onClick={() => {
@@ -1161,6 +1426,15 @@ function ChatWidgetSidebar() {
                     >
                       🕒 <span>Project History</span>
                     </button>
+                    <button
+                      className='w-full flex items-center gap-2 px-3 py-1 hover:bg-gray-700 rounded'
+                      onClick={() => {
+                        setShowProjectManager(true);
+                        setShowMenu(false);
+                      }}
+                    >
+                      🗂️ <span>Manage Projects</span>
+                    </button>
                     <button
                       onClick={() => setShowCharacterGenerator(true)}
                       className='w-full flex items-center gap-2 px-3 py-1 hover:bg-gray-700 rounded'
@@ -1246,7 +1520,7 @@ function ChatWidgetSidebar() {
         {/* Credit Widget Section */}
         {isAuthenticated && (
           <div className='px-3 py-2 bg-gray-900/50 border-b border-gray-800'>
-            <CreditWidget />
+            <CreditWidget requiredCredits={nextStepEstimate?.total} />
           </div>
         )}
         
@@ -1261,7 +1535,7 @@ function ChatWidgetSidebar() {
         )}
         
 
-        {isAuthenticated && <SelectedProjectBanner />}
+        {isAuthenticated && selectedProjectBanner}
 
         <div className='flex-1 overflow-hidden flex flex-row'>
           {/* Left step panel */}
@@ -1278,6 +1552,7 @@ function ChatWidgetSidebar() {
             handleStepClick={handleStepClick}
             handleRedoStep={handleRedoStep}
             setCurrentStep={setCurrentStep}
+            onCancelStep={cancelRunningStep}
           />
           </div>
 
@@ -1402,10 +1677,15 @@ function ChatWidgetSidebar() {
                         disabled={loading}
                         className="w-full"
                       />
+                      {promptPreparations.image.map(({ segment, preparation }) => (
+                        <PromptPreview key={segment.id} preparation={preparation} label={`Segment ${segment.id} visual prompt`} className='mt-2' />
+                      ))}
                       {/* Button to trigger image generation */}
-                      {stepStatus[4] !== 'done' && (
+                      {pendingRun?.stepId === 4 && pendingRun.estimate.model === selectedImageModel ? (
+                        <RunEstimate run={pendingRun} onConfirm={confirmRun} onCancel={() => setPendingRun(null)} loading={loading} />
+                      ) : stepStatus[4] !== 'done' && (
                         <button
-                          onClick={runImageGeneration}
+                          onClick={() => requestRun(4)}
                           disabled={loading}
                           className={`mt-2 w-full px-3 py-2 rounded-md text-sm font-medium text-white ${loading ? 'bg-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
                         >
@@ -1424,10 +1704,25 @@ function ChatWidgetSidebar() {
                         disabled={loading}
                         className="w-full"
                       />
+                      {selectedProject && (
+                        <VideoSettingsPanel
+                          model={modelCatalog.getModel(selectedVideoModel)}
+                          settings={videoSettings}
+                          segments={selectedScript?.segments || []}
+                          onChange={saveVideoSettings}
+                          disabled={loading}
+                        />
+                      )}
+                      {videoSettingsError && <p className='text-red-400 text-xs mt-1'>{videoSettingsError}</p>}
+                      {promptPreparations.video.map(({ segment, preparation }) => (
+                        <PromptPreview key={segment.id} preparation={preparation} label={`Segment ${segment.id} animation prompt`} className='mt-2' />
+                      ))}
                       {/* Button to trigger video generation */}
-                      {stepStatus[5] !== 'done' && (
+                      {pendingRun?.stepId === 5 && pendingRun.estimate.model === selectedVideoModel ? (
+                        <RunEstimate run={pendingRun} onConfirm={confirmRun} onCancel={() => setPendingRun(null)} loading={loading} />
+                      ) : stepStatus[5] !== 'done' && (
                         <button
-                          onClick={runVideoGeneration}
+                          onClick={() => requestRun(5)}
                           disabled={loading || Object.keys(generatedImages).length === 0}
                           className={`mt-2 w-full px-3 py-2 rounded-md text-sm font-medium text-white ${(loading || Object.keys(generatedImages).length === 0) ? 'bg-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
                         >
@@ -1440,15 +1735,43 @@ function ChatWidgetSidebar() {
               </div>
             )}
 
+            {resumedVideoJobs.length > 0 && (
+              <div className='mb-4 p-2 bg-gray-800 rounded flex items-center gap-2'>
+                <div className='w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin'></div>
+                <span className='text-blue-400 text-xs'>
+                  {resumedVideoJobs.length} video{resumedVideoJobs.length === 1 ? '' : 's'} from your last session still generating...
+                </span>
+              </div>
+            )}
+
+            {runSummary && (currentStep === 4 || currentStep === 5) && (
+              <RunSummary summary={runSummary} onDismiss={() => setRunSummary(null)} />
+            )}
+
             {/* Generation Progress - show when any generation step is active */}
             {Object.keys(generationProgress).length > 0 && (currentStep === 4 || currentStep === 5) && (
               <div className='mb-4'>
-                <h4 className='text-sm font-semibold text-white mb-2'>Generation Progress:</h4>
+                <h4 className='text-sm font-semibold text-white mb-2'>
+                  Generation Progress:
+                  {generationQueueState.queued > 0 && (
+                    <span className='ml-2 text-xs font-normal text-gray-400'>
+                      {generationQueueState.running} running, {generationQueueState.queued} queued
+                    </span>
+                  )}
+                </h4>
+                {rateLimitedModels.length > 0 && (
+                  <p className='text-yellow-400 text-xs mb-2'>
+                    Rate limit reached for {rateLimitedModels.join(', ')}, resuming shortly...
+                  </p>
+                )}
                 <div className='space-y-2'>
                   {Object.entries(generationProgress).map(([segmentId, progress]) => (
                     <div key={segmentId} className='flex items-center justify-between p-2 bg-gray-800 rounded'>
                       <span className='text-gray-300 text-xs'>Segment {segmentId}</span>
                       <div className='flex items-center gap-2'>
+                        {progress.status === "queued" && (
+                          <span className='text-gray-400 text-xs'>⏳ {progress.type} queued</span>
+                        )}
                         {progress.status === "generating" && (
                           <>
                             <div className='w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin'></div>
@@ -1461,6 +1784,12 @@ function ChatWidgetSidebar() {
                         {progress.status === "error" && (
                           <span className='text-red-400 text-xs'>✗ {progress.type} failed</span>
                         )}
+                        {progress.status === "cancelled" && (
+                          <span className='text-gray-400 text-xs'>⏹ {progress.type} cancelled</span>
+                        )}
+                        {progress.status === "paused" && (
+                          <span className='text-yellow-400 text-xs' title={progress.error}>⏸ {progress.type} paused (budget)</span>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -1481,7 +1810,7 @@ function ChatWidgetSidebar() {
                         setModalImageUrl(imageUrl);
                         setShowImageModal(true);
                       }}>
-                      <img
+                      <AssetImage
                         src={imageUrl}
                         alt={`Generated image for segment ${segmentId}`}
                         className='w-full h-20 object-cover rounded border border-gray-700 cursor-pointer'
@@ -1515,7 +1844,7 @@ function ChatWidgetSidebar() {
                         setModalVideoUrl(videoUrl);
                         setShowVideoModal(true);
                       }}>
-                      <video
+                      <AssetVideo
                         src={videoUrl}
                         className='w-full h-20 object-cover rounded border border-gray-700 cursor-pointer'
                         muted
@@ -1628,11 +1957,11 @@ function ChatWidgetSidebar() {
                        </thead>
                       <tbody>
                         {selectedScript.segments.map((segment, index) => {
-                          const segmentId = segment.id || segment.segmentId || segment.uuid || index;
-                          const imageUrl = generatedImages[segmentId] || generatedImages[`seg-${segmentId}`] || segment.imageUrl || segment.image_url;
-                          const videoUrl = generatedVideos[segmentId] || generatedVideos[`seg-${segmentId}`] || segment.videoUrl || segment.video_url;
-                          const imageS3Key = segment.s3Key || segment.image_s3_key || segment.imageS3Key;
-                          const videoS3Key = segment.video_s3_key || segment.videoS3Key;
+                          const segmentId = segment.id;
+                          const imageUrl = generatedImages[segmentId] || segment.imageUrl;
+                          const videoUrl = generatedVideos[segmentId] || segment.videoUrl;
+                          const imageS3Key = segment.imageS3Key;
+                          const videoS3Key = videoUrl ? getAssetKey(videoUrl) : null;
                           
                           return (
                                                          <tr key={segmentId} className="border-b border-gray-700 even:bg-gray-900 odd:bg-gray-800 hover:bg-gray-700 transition-colors">
@@ -1677,7 +2006,7 @@ function ChatWidgetSidebar() {
                                 {imageUrl ? (
                                   <div className="flex flex-col items-center gap-2">
                                     <div className="relative group">
-                                      <img 
+                                      <AssetImage
                                         src={imageUrl} 
                                         alt={`Segment ${segmentId} image`}
                                         className="w-16 h-16 object-cover rounded-lg border-2 border-gray-600 cursor-pointer hover:border-blue-400 transition-colors shadow-lg"
@@ -1715,7 +2044,7 @@ function ChatWidgetSidebar() {
                                  {videoUrl ? (
                                   <div className="flex flex-col items-center gap-2">
                                     <div className="relative group">
-                                      <video 
+                                      <AssetVideo
                                         src={videoUrl} 
                                         className="w-16 h-16 object-cover rounded-lg border-2 border-gray-600 cursor-pointer hover:border-blue-400 transition-colors shadow-lg"
                                         muted
@@ -1895,6 +2224,11 @@ function ChatWidgetSidebar() {
         onClose={() => setShowCharacterGenerator(false)}
       />
 
+      <ProjectManager
+        isOpen={showProjectManager}
+        onClose={() => setShowProjectManager(false)}
+      />
+
       {/* Create Project Modal */}
       {createModalOpen && createPortal(
         <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[10003]">
@@ -1947,7 +2281,7 @@ function ChatWidgetSidebar() {
             setModalImageUrl(null);
           }}
         >
-          <img
+          <AssetImage
             src={modalImageUrl}
             alt="Preview"
             className="max-w-full max-h-full rounded shadow-lg"
@@ -1987,7 +2321,7 @@ function ChatWidgetSidebar() {
             setModalVideoUrl(null);
           }}
         >
-          <video
+          <AssetVideo
             src={modalVideoUrl}
             controls
             autoPlay
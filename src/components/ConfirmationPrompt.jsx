@@ -1,21 +1,34 @@
-function ConfirmationPrompt({ message, onConfirm, onCancel, loading }) {
+// `details` is rendered between the message and the buttons. `confirmDisabled`
+// keeps the confirm button disabled (e.g. not enough credits) while cancel works.
+function ConfirmationPrompt({
+  message,
+  details,
+  onConfirm,
+  onCancel,
+  loading,
+  confirmDisabled = false,
+  confirmLabel = 'Yes',
+  cancelLabel = 'No',
+}) {
+  const blocked = loading || confirmDisabled;
   return (
     <div className="p-4 flex flex-col items-center text-center">
       <p className="text-gray-200 mb-4 max-w-md">{message}</p>
+      {details && <div className="mb-4 w-full max-w-md">{details}</div>}
       <div className="flex gap-4">
         <button
-          className={`px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 text-white ${loading ? 'opacity-60 cursor-not-allowed' : ''}`}
+          className={`px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 text-white ${blocked ? 'opacity-60 cursor-not-allowed' : ''}`}
           onClick={onConfirm}
-          disabled={loading}
+          disabled={blocked}
         >
-          {loading ? 'Processing...' : 'Yes'}
+          {loading ? 'Processing...' : confirmLabel}
         </button>
         <button
           className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500 text-white"
           onClick={onCancel}
           disabled={loading}
         >
-          No
+          {cancelLabel}
         </button>
       </div>
     </div>
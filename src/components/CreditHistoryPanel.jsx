@@ -0,0 +1,272 @@
+import { useEffect, useMemo, useState } from "react";
+import { creditApi } from "../services/credit";
+import { useProjectStore } from "../store/useProjectStore";
+import { isCancelledError } from "../lib/apiError";
+import {
+  TRANSACTION_TYPES,
+  attributeRefunds,
+  filterTransactions,
+  summarizeSpending,
+} from "../lib/creditReport";
+import { toCsv, downloadCsv } from "../lib/csv";
+
+const PAGE_SIZE = 20;
+
+const formatCredits = (credits) => Number((credits || 0).toFixed(2));
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleString();
+};
+
+const TYPE_COLORS = {
+  DEDUCTION: "text-red-400",
+  REFUND: "text-green-400",
+  PURCHASE: "text-blue-400",
+};
+
+function Breakdown({ title, groups, labelOf }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <h4 className="text-gray-300 font-semibold mb-1">{title}</h4>
+      {groups.length === 0 && <div className="text-gray-500">No spending</div>}
+      {groups.map((group) => (
+        <div key={group.key ?? "none"} className="flex justify-between gap-2">
+          <span className="truncate text-gray-400" title={labelOf(group.key)}>
+            {labelOf(group.key)}
+          </span>
+          <span className="text-white whitespace-nowrap">
+            {formatCredits(group.net)}
+            {group.refunded > 0 && (
+              <span className="text-gray-500"> ({formatCredits(group.refunded)} refunded)</span>
+            )}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Credit history for a user: every transaction (loaded page by page), filters
+ * by type, model and date, spend per project and per model, and CSV export of
+ * the filtered transactions.
+ */
+function CreditHistoryPanel({ userId, onClose }) {
+  const projects = useProjectStore((state) => state.projects);
+  const [transactions, setTransactions] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ type: "", model: "", from: "", to: "" });
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    creditApi
+      .getStats(userId)
+      .then((data) => !controller.signal.aborted && setStats(data))
+      .catch((err) => console.error("Failed to load credit stats:", err));
+
+    creditApi
+      .getAllHistory(userId, {
+        signal: controller.signal,
+        // Show transactions as the pages come in
+        onPage: (items, all) => setTransactions([...all]),
+      })
+      .then((all) => setTransactions(all))
+      .catch((err) => {
+        if (isCancelledError(err)) return;
+        console.error("Failed to load credit history:", err);
+        setError(err.message || "Failed to load credit history");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [userId]);
+
+  const projectName = (projectId) => {
+    if (!projectId) return "No project";
+    return projects.find((project) => project.id === projectId)?.name || projectId;
+  };
+
+  const attributed = useMemo(() => attributeRefunds(transactions), [transactions]);
+  const models = useMemo(
+    () => [...new Set(attributed.map((transaction) => transaction.modelName).filter(Boolean))].sort(),
+    [attributed],
+  );
+  const filtered = useMemo(() => filterTransactions(attributed, filters), [attributed, filters]);
+  // The breakdowns cover charges and refunds whatever type is picked
+  const spending = useMemo(
+    () => summarizeSpending(filterTransactions(attributed, { ...filters, type: "" })),
+    [attributed, filters],
+  );
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const visible = filtered.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const updateFilter = (key) => (e) => {
+    setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+    setPage(1);
+  };
+
+  const exportCsv = () => {
+    const csv = toCsv(filtered, [
+      { key: (t) => t.createdAt ?? t.created_at, label: "Date" },
+      { key: "type", label: "Type" },
+      { key: "amount", label: "Credits" },
+      { key: "operationType", label: "Operation" },
+      { key: "modelName", label: "Model" },
+      { key: "projectId", label: "Project ID" },
+      { key: (t) => (t.projectId ? projectName(t.projectId) : ""), label: "Project" },
+      { key: "description", label: "Description" },
+      { key: "operationId", label: "Operation ID" },
+      { key: "balanceAfter", label: "Balance after" },
+      { key: "id", label: "Transaction ID" },
+    ]);
+    downloadCsv(`credit-history-${new Date().toISOString().slice(0, 10)}.csv`, csv);
+  };
+
+  const inputClass =
+    "px-2 py-1 bg-gray-700 text-white rounded text-xs border border-gray-600 focus:outline-none focus:border-blue-500";
+
+  return (
+    <div className="bg-gray-900 text-xs text-gray-300 rounded-lg shadow-lg p-4 w-[40rem] max-w-[95vw] max-h-[85vh] flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-white">Credit history</h3>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={exportCsv}
+            disabled={filtered.length === 0}
+            className="px-2 py-1 bg-blue-600 hover:bg-blue-500 text-white rounded disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white px-1">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-4 gap-2 text-center">
+          {[
+            ["Balance", stats.currentBalance],
+            ["Spent", stats.totalSpent],
+            ["Refunded", stats.totalRefunded],
+            ["Purchased", stats.totalPurchased],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-gray-800 rounded p-2">
+              <div className="text-gray-500">{label}</div>
+              <div className="text-white font-semibold">{formatCredits(value)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <select value={filters.type} onChange={updateFilter("type")} className={inputClass}>
+          <option value="">All types</option>
+          {TRANSACTION_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        <select value={filters.model} onChange={updateFilter("model")} className={inputClass}>
+          <option value="">All models</option>
+          {models.map((model) => (
+            <option key={model} value={model}>
+              {model}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={filters.from} onChange={updateFilter("from")} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={filters.to} onChange={updateFilter("to")} className={inputClass} />
+        </label>
+      </div>
+
+      <div className="flex gap-4 bg-gray-800 rounded p-2">
+        <Breakdown title="Spend per project" groups={spending.byProject} labelOf={projectName} />
+        <Breakdown title="Spend per model" groups={spending.byModel} labelOf={(model) => model || "Other"} />
+      </div>
+
+      {error && <div className="text-red-400">{error}</div>}
+
+      <div className="overflow-y-auto flex-1 min-h-0">
+        <table className="w-full text-left">
+          <thead className="text-gray-500 sticky top-0 bg-gray-900">
+            <tr>
+              <th className="py-1 pr-2 font-normal">Date</th>
+              <th className="py-1 pr-2 font-normal">Type</th>
+              <th className="py-1 pr-2 font-normal text-right">Credits</th>
+              <th className="py-1 pr-2 font-normal">Model</th>
+              <th className="py-1 font-normal">Project</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((transaction) => (
+              <tr key={transaction.id} className="border-t border-gray-800" title={transaction.description || ""}>
+                <td className="py-1 pr-2 whitespace-nowrap">
+                  {formatDate(transaction.createdAt ?? transaction.created_at)}
+                </td>
+                <td className={`py-1 pr-2 ${TYPE_COLORS[transaction.type] || ""}`}>{transaction.type}</td>
+                <td className="py-1 pr-2 text-right text-white">{formatCredits(transaction.amount)}</td>
+                <td className="py-1 pr-2">{transaction.modelName || "-"}</td>
+                <td className="py-1 truncate max-w-[10rem]">
+                  {transaction.projectId ? projectName(transaction.projectId) : "-"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && filtered.length === 0 && !error && (
+          <div className="text-gray-500 text-center py-4">No transactions</div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-gray-400">
+        <span>
+          {filtered.length} transaction{filtered.length === 1 ? "" : "s"}
+          {loading && " (loading more...)"}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage <= 1}
+            className="px-2 py-1 bg-gray-700 rounded disabled:opacity-50"
+          >
+            ‹
+          </button>
+          <span>
+            {currentPage} / {pageCount}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount}
+            className="px-2 py-1 bg-gray-700 rounded disabled:opacity-50"
+          >
+            ›
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CreditHistoryPanel;
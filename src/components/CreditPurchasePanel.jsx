@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { paymentsApi, CREDIT_PACKAGES, PAYMENT_STATUS, PURCHASE_NOT_RECORDED } from "../services/payments";
+
+/**
+ * Buy credits through the installed payment provider (services/payments),
+ * and set the balance below which CreditWidget warns.
+ */
+function CreditPurchasePanel({ userId, balance, warning, threshold, onThresholdChange, onPurchased, onClose }) {
+  const [credits, setCredits] = useState(
+    warning ? String(CREDIT_PACKAGES.find((amount) => amount >= warning.shortfall) || CREDIT_PACKAGES.at(-1)) : "",
+  );
+  const [thresholdValue, setThresholdValue] = useState(String(threshold));
+  const [purchasing, setPurchasing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  // A payment that went through but wasn't recorded yet; retried without paying again
+  const [unrecorded, setUnrecorded] = useState(null);
+  const provider = paymentsApi.getProvider();
+  const available = paymentsApi.isAvailable();
+
+  const purchase = async (e) => {
+    e.preventDefault();
+    setPurchasing(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await paymentsApi.purchaseCredits({
+        userId,
+        credits: unrecorded?.credits ?? credits,
+        paymentId: unrecorded?.paymentId,
+      });
+      setUnrecorded(null);
+      if (result.status === PAYMENT_STATUS.SUCCEEDED) {
+        setMessage(`${result.credits} credits added.`);
+        setCredits("");
+        onPurchased?.(result);
+      } else {
+        setMessage("Payment cancelled, nothing was charged.");
+      }
+    } catch (err) {
+      if (err.code === PURCHASE_NOT_RECORDED) setUnrecorded(err.details);
+      setError(err.message || "The purchase failed");
+    } finally {
+      setPurchasing(false);
+    }
+  };
+
+  const saveThreshold = () => {
+    const value = Number(thresholdValue);
+    if (thresholdValue === "" || !(value >= 0)) {
+      setThresholdValue(String(threshold));
+      return;
+    }
+    onThresholdChange(value);
+  };
+
+  const inputClass =
+    "px-2 py-1 bg-gray-700 text-white rounded text-xs border border-gray-600 focus:outline-none focus:border-blue-500";
+
+  return (
+    <div className="bg-gray-900 text-xs text-gray-300 rounded-lg shadow-lg p-4 w-80 max-w-[95vw] flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-white">{available ? "Buy credits" : "Credits"}</h3>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-white px-1">
+          ✕
+        </button>
+      </div>
+
+      <div>
+        Balance: <span className="text-white font-semibold">{balance.toFixed(1)}</span> credits
+        {warning && <div className="text-yellow-400 mt-1">⚠ {warning.message}</div>}
+      </div>
+
+      {!available && <div className="text-gray-400">Buying credits isn't available yet.</div>}
+
+      {available && (
+        <form onSubmit={purchase} className="flex flex-col gap-2">
+          <div className="grid grid-cols-4 gap-1">
+            {CREDIT_PACKAGES.map((amount) => (
+              <button
+                key={amount}
+                type="button"
+                onClick={() => setCredits(String(amount))}
+                disabled={purchasing || unrecorded != null}
+                className={`py-1 rounded ${Number(credits) === amount ? "bg-blue-600 text-white" : "bg-gray-700 hover:bg-gray-600"}`}
+              >
+                {amount}
+              </button>
+            ))}
+          </div>
+          <input
+            type="number"
+            value={unrecorded ? unrecorded.credits : credits}
+            onChange={(e) => setCredits(e.target.value)}
+            placeholder="Other amount"
+            min="1"
+            step="1"
+            disabled={purchasing || unrecorded != null}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={purchasing || !(Number(unrecorded?.credits ?? credits) > 0)}
+            className="py-1 bg-green-600 hover:bg-green-500 text-white rounded disabled:opacity-50"
+          >
+            {purchasing ? "Processing..." : unrecorded ? "Finish purchase" : "Buy"}
+          </button>
+          <div className="text-gray-500">Paid with {provider.name}</div>
+        </form>
+      )}
+
+      {error && <div className="text-red-400">{error}</div>}
+      {message && <div className="text-green-400">{message}</div>}
+
+      <label className="flex items-center justify-between gap-2 border-t border-gray-800 pt-2">
+        Warn when the balance drops below
+        <input
+          type="number"
+          value={thresholdValue}
+          onChange={(e) => setThresholdValue(e.target.value)}
+          onBlur={saveThreshold}
+          min="0"
+          className={`${inputClass} w-16`}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default CreditPurchasePanel;
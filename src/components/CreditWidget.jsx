@@ -1,36 +1,28 @@
 import { useState } from "react";
+import { createPortal } from "react-dom";
+import CreditHistoryPanel from "./CreditHistoryPanel";
+import CreditPurchasePanel from "./CreditPurchasePanel";
 import { useProjectStore } from "../store/useProjectStore";
+import { paymentsApi } from "../services/payments";
 import { useAuth } from "../hooks/useAuth";
+import { getLowBalanceWarning, readLowBalanceThreshold, saveLowBalanceThreshold } from "../lib/creditAlerts";
 
-function CreditWidget() {
+// `requiredCredits`: estimated cost of the step the user is on, if any
+function CreditWidget({ requiredCredits = 0 }) {
   const { user } = useAuth();
-  const { creditBalance, fetchBalance, addCredits, loadingData } = useProjectStore();
-  const [showAddCredit, setShowAddCredit] = useState(false);
-  const [creditAmount, setCreditAmount] = useState("");
-  const [isAdding, setIsAdding] = useState(false);
+  const { creditBalance, creditBalanceLoaded, fetchBalance, loadingData } = useProjectStore();
+  const [showPurchase, setShowPurchase] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [threshold, setThreshold] = useState(() => readLowBalanceThreshold());
 
-  const handleAddCredit = async (e) => {
-    e.preventDefault();
-    if (!creditAmount || !user?.id) return;
+  // Nothing to warn about until the balance has been read
+  const warning = creditBalanceLoaded
+    ? getLowBalanceWarning({ balance: creditBalance, threshold, required: requiredCredits })
+    : null;
 
-    const amount = parseFloat(creditAmount);
-    if (isNaN(amount) || amount <= 0) return;
-
-    setIsAdding(true);
-    try {
-      await addCredits({
-        userId: user.id,
-        amount,
-        type: "PURCHASE",
-        description: "Manual credit purchase"
-      });
-      setCreditAmount("");
-      setShowAddCredit(false);
-    } catch (error) {
-      console.error("Failed to add credits:", error);
-    } finally {
-      setIsAdding(false);
-    }
+  const changeThreshold = (value) => {
+    setThreshold(value);
+    saveLowBalanceThreshold(value);
   };
 
   const loadBalance = () => {
@@ -50,36 +42,67 @@ function CreditWidget() {
         <span className="text-gray-400">credits</span>
       </div>
 
-      {/* Add Credit Button */}
+      {/* Low Balance Warning */}
+      {warning && (
+        <button
+          onClick={() => setShowPurchase(true)}
+          className="px-1 py-1 text-yellow-400 hover:text-yellow-300 transition-colors"
+          title={warning.message}
+        >
+          ⚠ {warning.reason === "step" ? "Not enough for next step" : "Low balance"}
+        </button>
+      )}
+
+      {/* Buy Credits Button, only with a payment provider installed */}
+      {paymentsApi.isAvailable() && (
+        <button
+          onClick={() => setShowPurchase(true)}
+          className="px-2 py-1 bg-blue-600 hover:bg-blue-500 text-white rounded text-xs transition-colors"
+          disabled={!user?.id}
+          title="Buy credits"
+        >
+          +
+        </button>
+      )}
+      {showPurchase && createPortal(
+        <div
+          className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[10003]"
+          onClick={() => setShowPurchase(false)}
+        >
+          <div onClick={(e) => e.stopPropagation()}>
+            <CreditPurchasePanel
+              userId={user?.id}
+              balance={creditBalance}
+              warning={warning}
+              threshold={threshold}
+              onThresholdChange={changeThreshold}
+              onPurchased={loadBalance}
+              onClose={() => setShowPurchase(false)}
+            />
+          </div>
+        </div>,
+        document.body
+      )}
+
+      {/* Credit History */}
       <button
-        onClick={() => setShowAddCredit(!showAddCredit)}
-        className="px-2 py-1 bg-blue-600 hover:bg-blue-500 text-white rounded text-xs transition-colors"
-        disabled={isAdding}
+        onClick={() => setShowHistory(true)}
+        className="px-1 py-1 text-gray-400 hover:text-white transition-colors"
+        disabled={!user?.id}
+        title="Credit history"
       >
-        {showAddCredit ? "✕" : "+"}
+        📊
       </button>
-
-      {/* Add Credit Form */}
-      {showAddCredit && (
-        <form onSubmit={handleAddCredit} className="flex items-center gap-1">
-          <input
-            type="number"
-            value={creditAmount}
-            onChange={(e) => setCreditAmount(e.target.value)}
-            placeholder="Amount"
-            className="w-16 px-2 py-1 bg-gray-700 text-white rounded text-xs border border-gray-600 focus:outline-none focus:border-blue-500"
-            min="0.1"
-            step="0.1"
-            disabled={isAdding}
-          />
-          <button
-            type="submit"
-            className="px-2 py-1 bg-green-600 hover:bg-green-500 text-white rounded text-xs transition-colors disabled:opacity-50"
-            disabled={isAdding || !creditAmount}
-          >
-            {isAdding ? "..." : "Add"}
-          </button>
-        </form>
+      {showHistory && createPortal(
+        <div
+          className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[10003]"
+          onClick={() => setShowHistory(false)}
+        >
+          <div onClick={(e) => e.stopPropagation()}>
+            <CreditHistoryPanel userId={user?.id} onClose={() => setShowHistory(false)} />
+          </div>
+        </div>,
+        document.body
       )}
 
       {/* Refresh Button */}
@@ -3,8 +3,28 @@ import { useAuth } from "../hooks/useAuth";
 import ChatLoginButton from "./ChatLoginButton";
 import LoginLogoutButton from "./LoginLogoutButton";
 import LoadingSpinner from "./LoadingSpinner";
-import { projectApi } from "../services/project";
 import { chatApi } from "../services/chat";
+import { s3Api } from "../services/s3";
+import { jobTracker, JOB_TYPES, JOB_STATUS } from "../services/jobs";
+import { useJobs } from "../hooks/useJobs";
+import { useGenerationQueue } from "../hooks/useGenerationQueue";
+import { QUEUE_PRIORITY } from "../lib/generationQueue";
+import { useProjectStore } from "../store/useProjectStore";
+import { getAssetUrl } from "../lib/assets";
+import {
+  getSegments,
+  getSegmentImages,
+  getSegmentVideo,
+  getImageVideo,
+  getEntityUrl,
+  toSegmentId,
+} from "../lib/entities";
+import { getImageCreditCost, getVideoCreditCost } from "../lib/pricing";
+import { isBudgetError } from "../lib/budget";
+import { resolveSegmentVideoSettings } from "../lib/videoSettings";
+import { modelCatalog } from "../services/model-catalog";
+import ProjectBudget from "./ProjectBudget";
+import HistoryPanel from "./HistoryPanel";
 
 import ModelSelector from "./ModelSelector";
 import {
@@ -33,7 +53,6 @@ function FlowWidget() {
   const [, setFlowMessages] = useState([]); // track assistant messages
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
-  const [projectData, setProjectData] = useState(null);
   const [regeneratingImages, setRegeneratingImages] = useState(new Set());
   const [regeneratingVideos, setRegeneratingVideos] = useState(new Set());
   const [creatingImages, setCreatingImages] = useState(new Set());
@@ -43,172 +62,85 @@ function FlowWidget() {
   const [selectedImageModel, setSelectedImageModel] = useState(chatApi.getDefaultModel('IMAGE'));
   const [selectedVideoModel, setSelectedVideoModel] = useState(chatApi.getDefaultModel('VIDEO'));
 
-  // New state for all fetched data
-  const [allProjectData, setAllProjectData] = useState({
-    segments: [],
-    images: [],
-    videos: []
-  });
+  // Project data comes from the shared project store, hydrated in one request
+  const [flowProjectId, setFlowProjectId] = useState(null);
+  const selectedProjectId = useProjectStore((state) => state.selectedProject?.id);
+  const hydratedProjectId = useProjectStore((state) => state.hydratedProjectId);
+  const entities = useProjectStore((state) => state.entities);
 
-  // Helper function to refresh project data
-  const refreshProjectData = useCallback(async () => {
+  // Load the selected project into the store. Edits update the store
+  // directly, so it isn't reloaded after them.
+  const loadProjectData = useCallback(async () => {
     if (!isAuthenticated) {
       console.log("User not authenticated, skipping API calls");
       return;
     }
 
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
-
+    const projectId = selectedProjectId;
     if (!projectId) {
-      console.log("No project ID found in localStorage");
+      console.log("No project selected");
       setError("No project selected. Please select a project first.");
       return;
     }
 
-    console.log("Fetching project segmentations and related images/videos for project ID:", projectId);
+    console.log("Hydrating project data for project ID:", projectId);
     try {
       setLoading(true);
-      
-      // Fetch project segmentations, images, and videos in parallel
-      const [
-        segmentationsData,
-        imagesData,
-        videosData
-      ] = await Promise.all([
-        projectApi.getProjectSegmentations(projectId),
-        projectApi.getProjectImages(projectId),
-        projectApi.getProjectVideos(projectId)
-      ]);
-
-      console.log("Project data fetched successfully:");
-      console.log("Segmentations:", segmentationsData);
-      console.log("Images:", imagesData);
-      console.log("Videos:", videosData);
-
-      // Extract segments from the first segmentation
-      let segments = [];
-      if (segmentationsData && segmentationsData.success && segmentationsData.data && segmentationsData.data.length > 0) {
-        const firstSegmentation = segmentationsData.data[0];
-        if (firstSegmentation.segments && Array.isArray(firstSegmentation.segments)) {
-          segments = firstSegmentation.segments;
-        }
-      }
-
-      setAllProjectData({
-        segments: segments,
-        images: imagesData?.data || [],
-        videos: videosData?.data || []
-      });
-
-      // Keep the old projectData for backward compatibility
-      setProjectData({ success: true, project: { segments: segments } });
-      
+      setFlowProjectId(projectId);
+      await useProjectStore.getState().hydrateProject(projectId);
     } catch (error) {
       console.error("Failed to fetch project data:", error);
-      setError("Failed to fetch project data");
+      setError(error.message || "Failed to fetch project data");
     } finally {
       setLoading(false);
     }
-  }, [isAuthenticated]);
-
-
-
-
+  }, [isAuthenticated, selectedProjectId]);
 
-  // Load data from API (no localStorage fallback)
+  // Load data from the store (hydrated from the API and normalized)
   const flowData = useMemo(() => {
-    console.log("🔄 flowData useMemo called, allProjectData:", allProjectData);
-    
-    // 1. Get segments from segmentation API response
-    const segments = allProjectData.segments.map(seg => ({
-      ...seg,
-      id: seg.segmentId || seg.id, // Use segmentId for mapping
-      visual: seg.visual || '',
-      narration: seg.narration || '',
-      animation: seg.animation || ''
-    }));
-    console.log("📋 Processed segments:", segments);
-
-    // 2. Build images/videos lookup by segmentId and store image details
     const images = {};
     const imageDetails = {};
-    const allImagesBySegment = {};
-    
-    if (Array.isArray(allProjectData.images)) {
-      allProjectData.images.forEach(img => {
-        if (img && img.success && img.s3Key && img.uuid) {
-          // Extract segmentId from uuid (handles both 'seg-2' and 'seg-2-1234567890' formats)
-          const segmentId = img.uuid.replace(/^seg-(\d+)(?:-\d+)?$/, '$1');
-          
-          // Initialize arrays if they don't exist
-          if (!allImagesBySegment[segmentId]) {
-            allImagesBySegment[segmentId] = [];
-          }
-          
-          // Add this image to the segment's image list
-          allImagesBySegment[segmentId].push({
-            id: img.id,
-            url: `https://ds0fghatf06yb.cloudfront.net/${img.s3Key}`,
-            visualPrompt: img.visualPrompt,
-            artStyle: img.artStyle,
-            s3Key: img.s3Key,
-            uuid: img.uuid,
-            isPrimary: typeof img.isPrimary === 'boolean' ? img.isPrimary : !img.uuid.includes('-') // Prefer backend flag, fallback to UUID heuristic
-          });
-        }
-      });
-      
-      // For backward compatibility, keep the first image as the main one
-      Object.keys(allImagesBySegment).forEach(segmentId => {
-        const segmentImages = allImagesBySegment[segmentId];
-        if (segmentImages.length > 0) {
-          // Sort by primary first, then by creation time (uuid timestamp)
-          segmentImages.sort((a, b) => {
-            if (a.isPrimary && !b.isPrimary) return -1;
-            if (!a.isPrimary && b.isPrimary) return 1;
-            return 0;
-          });
-          
-          const primaryImage = segmentImages[0];
-          images[segmentId] = primaryImage.url;
-          imageDetails[segmentId] = {
-            id: primaryImage.id,
-            visualPrompt: primaryImage.visualPrompt,
-            artStyle: primaryImage.artStyle,
-            s3Key: primaryImage.s3Key,
-            allImages: segmentImages // Store all images for the segment
-          };
-        }
-      });
-    }
     const videos = {};
     const videoDetails = {};
-    if (Array.isArray(allProjectData.videos)) {
-      allProjectData.videos.forEach(video => {
-        if (
-          video && video.success && video.uuid &&
-          Array.isArray(video.videoFiles) && video.videoFiles.length > 0 && video.videoFiles[0].s3Key
-        ) {
-          const segmentId = video.uuid.replace(/^seg-/, '');
-          videos[segmentId] = `https://ds0fghatf06yb.cloudfront.net/${video.videoFiles[0].s3Key}`;
-          videoDetails[segmentId] = {
-            id: video.id,
-            artStyle: video.artStyle,
-            imageS3Key: video.imageS3Key || null,
-          };
-        }
+    const addVideo = (key, video) => {
+      videos[key] = getEntityUrl(video);
+      videoDetails[key] = {
+        id: video.id,
+        artStyle: video.artStyle,
+        imageS3Key: video.imageS3Key,
+      };
+    };
+
+    // Another widget may have hydrated a different project meanwhile
+    const segments = flowProjectId && hydratedProjectId === flowProjectId ? getSegments(entities) : [];
+    segments.forEach(segment => {
+      // Primary image first
+      const segmentImages = getSegmentImages(entities, segment.id);
+      if (segmentImages.length > 0) {
+        const primaryImage = segmentImages[0];
+        images[segment.id] = getEntityUrl(primaryImage);
+        imageDetails[segment.id] = {
+          id: primaryImage.id,
+          visualPrompt: primaryImage.visualPrompt,
+          artStyle: primaryImage.artStyle,
+          s3Key: primaryImage.s3Key,
+          // Store all images for the segment
+          allImages: segmentImages.map(image => ({
+            ...image,
+            url: getEntityUrl(image),
+            isPrimary: image.id === primaryImage.id,
+          })),
+        };
+      }
+
+      const segmentVideo = getSegmentVideo(entities, segment.id);
+      if (segmentVideo) addVideo(segment.id, segmentVideo);
+      // Videos made from a specific image
+      segmentImages.forEach(image => {
+        const imageVideo = getImageVideo(entities, image.id);
+        if (imageVideo) addVideo(`${segment.id}-${image.id}`, imageVideo);
       });
-    }
+    });
     console.log("🖼️ Images map:", images);
     console.log("📝 Image details:", imageDetails);
     console.log("🎬 Videos map:", videos);
@@ -220,23 +152,13 @@ function FlowWidget() {
     
     console.log("🎬 Videos map (including temporary):", videos);
     return { segments, images, videos, imageDetails, videoDetails };
-  }, [allProjectData, temporaryVideos]);
+  }, [flowProjectId, hydratedProjectId, entities, temporaryVideos]);
 
   // Handle image regeneration
   const handleRegenerateImage = useCallback(async (imageId, segmentData) => {
     if (!isAuthenticated || regeneratingImages.has(imageId)) return;
 
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
+    const projectId = useProjectStore.getState().selectedProject?.id;
 
     if (!projectId) {
       setError("No project selected. Please select a project first.");
@@ -253,26 +175,42 @@ function FlowWidget() {
         console.log("✅ Using existing s3_key from ImageNode edit:", segmentData.s3Key);
         genResponse = { s3_key: segmentData.s3Key };
       } else {
-        // Generate new image
-        genResponse = await chatApi.generateImage({
-          visual_prompt: segmentData.visual,
-          art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
-          uuid: `seg-${segmentData.id}`,
-          project_id: projectId,
-          model: selectedImageModel,
-        });
+        // Generate new image, within the project's credit budget
+        genResponse = await useProjectStore.getState().withProjectBudget(
+          projectId,
+          getImageCreditCost(selectedImageModel),
+          () =>
+            chatApi.generateImage({
+              visual_prompt: segmentData.visual,
+              art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
+              uuid: toSegmentId(segmentData.id),
+              project_id: projectId,
+              model: selectedImageModel,
+              priority: QUEUE_PRIORITY.INTERACTIVE,
+            }),
+        );
         console.log("✅ Image generation successful:", genResponse);
       }
       
-      // Update the image metadata if we have a new s3_key
+      // Point the image at the new file, so the change can be undone
       if (genResponse && genResponse.s3_key) {
-        // Note: The new unified API doesn't have a separate regenerateImage endpoint
-        // The image is regenerated directly through the generateImage call
+        await useProjectStore.getState().updateImage(
+          projectId,
+          imageId,
+          {
+            visualPrompt: segmentData.visual,
+            artStyle: segmentData.artStyle,
+            s3Key: genResponse.s3_key,
+          },
+          {
+            label: segmentData.s3Key
+              ? `Edit prompt of scene ${segmentData.id}`
+              : `Regenerate image of scene ${segmentData.id}`,
+          },
+        );
         console.log("✅ Image regeneration completed with s3_key:", genResponse.s3_key);
       }
       
-      // Refresh project data to get the updated image
-      await refreshProjectData();
       setFlowMessages(prev => [
         ...prev,
         {
@@ -282,7 +220,7 @@ function FlowWidget() {
       ]);
     } catch (error) {
       console.error("❌ Image regeneration (overwrite+patch) failed:", error);
-      setError(`Failed to regenerate image: ${error.message}`);
+      setError(isBudgetError(error) ? error.message : `Failed to regenerate image: ${error.message}`);
     } finally {
       setRegeneratingImages(prev => {
         const newSet = new Set(prev);
@@ -290,23 +228,13 @@ function FlowWidget() {
         return newSet;
       });
     }
-  }, [isAuthenticated, regeneratingImages, refreshProjectData, selectedImageModel]);
+  }, [isAuthenticated, regeneratingImages, selectedImageModel]);
 
   // Handle video regeneration
   const handleRegenerateVideo = useCallback(async (videoId, segmentData) => {
     if (!isAuthenticated || regeneratingVideos.has(videoId)) return;
 
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
+    const projectId = useProjectStore.getState().selectedProject?.id;
 
     if (!projectId) {
       setError("No project selected. Please select a project first.");
@@ -317,22 +245,42 @@ function FlowWidget() {
     try {
       // Always use the s3_key of the connected image for imageS3Key
       const imageS3Key = flowData.imageDetails?.[segmentData.id]?.s3Key || segmentData.imageS3Key;
+      const { getProjectVideoSettings, withProjectBudget } = useProjectStore.getState();
+      const settings = resolveSegmentVideoSettings(
+        modelCatalog.getModel(selectedVideoModel),
+        getProjectVideoSettings(projectId),
+        segmentData.id,
+      );
       
-      const genResponse = await chatApi.generateVideo({
-        animation_prompt: segmentData.animation,
-        art_style: segmentData.artStyle,
-        image_s3_key: imageS3Key,
-        uuid: `seg-${segmentData.id}`,
-        project_id: projectId,
-        model: selectedVideoModel,
-      });
+      const genResponse = await withProjectBudget(
+        projectId,
+        getVideoCreditCost(selectedVideoModel, settings.duration),
+        () => {
+          const job = jobTracker.startJob(
+            JOB_TYPES.SEGMENT_VIDEO,
+            {
+              animation_prompt: segmentData.animation,
+              art_style: segmentData.artStyle,
+              image_s3_key: imageS3Key,
+              uuid: toSegmentId(segmentData.id),
+              project_id: projectId,
+              model: selectedVideoModel,
+              duration: settings.duration,
+              aspect_ratio: settings.aspectRatio,
+              resolution: settings.resolution,
+            },
+            { meta: { projectId, segmentId: segmentData.id, videoId }, priority: QUEUE_PRIORITY.INTERACTIVE },
+          );
+          return jobTracker.waitForJob(job.id);
+        },
+      );
       if (genResponse && genResponse.s3_key) {
         console.log("🔄 Video re-generation response:", genResponse.s3_key);
         // Note: The new unified API doesn't have a separate regenerateVideo endpoint
         // The video is regenerated directly through the generateVideo call
       }
-      // 3. Refresh project data to get the updated video
-      await refreshProjectData();
+      // 3. Reload the project's videos to get the updated one
+      await useProjectStore.getState().refreshProjectResources(projectId, ["videos"]);
       setFlowMessages(prev => [
         ...prev,
         {
@@ -341,7 +289,7 @@ function FlowWidget() {
         },
       ]);
     } catch (error) {
-      setError(`Failed to regenerate video: ${error.message}`);
+      setError(isBudgetError(error) ? error.message : `Failed to regenerate video: ${error.message}`);
     } finally {
       setRegeneratingVideos(prev => {
         const newSet = new Set(prev);
@@ -349,23 +297,13 @@ function FlowWidget() {
         return newSet;
       });
     }
-  }, [isAuthenticated, regeneratingVideos, flowData.imageDetails, refreshProjectData, selectedVideoModel]);
+  }, [isAuthenticated, regeneratingVideos, flowData.imageDetails, selectedVideoModel]);
 
   // Handle creating new image for a segment
   const handleCreateNewImage = useCallback(async (segmentId, segmentData) => {
     if (!isAuthenticated) return;
 
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
+    const projectId = useProjectStore.getState().selectedProject?.id;
 
     if (!projectId) {
       setError("No project selected. Please select a project first.");
@@ -377,19 +315,25 @@ function FlowWidget() {
     try {
       // Generate new image with unique timestamp to avoid overwriting
       const timestamp = Date.now();
-      const uniqueUuid = `seg-${segmentId}-${timestamp}`;
+      const uniqueUuid = `seg-${toSegmentId(segmentId)}-${timestamp}`;
       
-      const genResponse = await chatApi.generateImage({
-        visual_prompt: segmentData.visual,
-        art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
-        uuid: uniqueUuid,
-        project_id: projectId,
-        model: selectedImageModel,
-      });
+      const genResponse = await useProjectStore.getState().withProjectBudget(
+        projectId,
+        getImageCreditCost(selectedImageModel),
+        () =>
+          chatApi.generateImage({
+            visual_prompt: segmentData.visual,
+            art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
+            uuid: uniqueUuid,
+            project_id: projectId,
+            model: selectedImageModel,
+            priority: QUEUE_PRIORITY.INTERACTIVE,
+          }),
+      );
       console.log("✅ New image generation successful:", genResponse);
       
-      // Refresh project data to get the new image
-      await refreshProjectData();
+      // Reload the project's images to get the new one
+      await useProjectStore.getState().refreshProjectResources(projectId, ["images"]);
       setFlowMessages(prev => [
         ...prev,
         {
@@ -399,7 +343,7 @@ function FlowWidget() {
       ]);
     } catch (error) {
       console.error("❌ New image creation failed:", error);
-      setError(`Failed to create new image: ${error.message}`);
+      setError(isBudgetError(error) ? error.message : `Failed to create new image: ${error.message}`);
     } finally {
       setCreatingImages(prev => {
         const newSet = new Set(prev);
@@ -407,7 +351,7 @@ function FlowWidget() {
         return newSet;
       });
     }
-  }, [isAuthenticated, refreshProjectData, selectedImageModel]);
+  }, [isAuthenticated, selectedImageModel]);
 
   // Handle making an image primary
   const handleMakePrimary = useCallback(async (imageId, segmentId, allImages) => {
@@ -422,28 +366,15 @@ function FlowWidget() {
         return;
       }
 
-      // Get project ID from localStorage
-      let projectId;
-      try {
-        const storedProject = localStorage.getItem('project-store-selectedProject');
-        if (storedProject) {
-          const project = JSON.parse(storedProject);
-          projectId = project.id;
-        }
-      } catch (error) {
-        console.error("Error parsing project from localStorage:", error);
-      }
+      const projectId = useProjectStore.getState().selectedProject?.id;
 
       if (!projectId) {
         setError("No project selected. Please select a project first.");
         return;
       }
 
-      // Update project record to mark this image as primary (no new generation)
-      await projectApi.setPrimaryImage(projectId, imageId);
-
-      // Refresh project data to get the updated image
-      await refreshProjectData();
+      // Shown as primary at once; the store reverts it if the request fails
+      await useProjectStore.getState().makePrimaryImage(projectId, segmentId, imageId);
       setFlowMessages(prev => [
         ...prev,
         {
@@ -455,23 +386,13 @@ function FlowWidget() {
       console.error("❌ Failed to make image primary:", error);
       setError(`Failed to make image primary: ${error.message}`);
     }
-  }, [isAuthenticated, refreshProjectData]);
+  }, [isAuthenticated]);
 
   // Handle creating new video for a specific image
   const handleCreateNewVideo = useCallback(async (segmentId, imageId, segmentData) => {
     if (!isAuthenticated || creatingVideos.has(imageId)) return;
 
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
+    const projectId = useProjectStore.getState().selectedProject?.id;
 
     if (!projectId) {
       setError("No project selected. Please select a project first.");
@@ -491,22 +412,42 @@ function FlowWidget() {
 
       // Generate new video with unique timestamp
       const timestamp = Date.now();
-      const uniqueUuid = `seg-${segmentId}-${timestamp}`;
+      const uniqueUuid = `seg-${toSegmentId(segmentId)}-${timestamp}`;
+      const { getProjectVideoSettings, withProjectBudget } = useProjectStore.getState();
+      const settings = resolveSegmentVideoSettings(
+        modelCatalog.getModel(selectedVideoModel),
+        getProjectVideoSettings(projectId),
+        segmentId,
+      );
       
-      const genResponse = await chatApi.generateVideo({
-        animation_prompt: segmentData.animation,
-        art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
-        image_s3_key: targetImage.s3Key,
-        uuid: uniqueUuid,
-        project_id: projectId,
-        model: selectedVideoModel,
-      });
+      const genResponse = await withProjectBudget(
+        projectId,
+        getVideoCreditCost(selectedVideoModel, settings.duration),
+        () => {
+          const job = jobTracker.startJob(
+            JOB_TYPES.SEGMENT_VIDEO,
+            {
+              animation_prompt: segmentData.animation,
+              art_style: segmentData.artStyle || 'cinematic photography with soft lighting',
+              image_s3_key: targetImage.s3Key,
+              uuid: uniqueUuid,
+              project_id: projectId,
+              model: selectedVideoModel,
+              duration: settings.duration,
+              aspect_ratio: settings.aspectRatio,
+              resolution: settings.resolution,
+            },
+            { meta: { projectId, segmentId, imageId }, priority: QUEUE_PRIORITY.INTERACTIVE },
+          );
+          return jobTracker.waitForJob(job.id);
+        },
+      );
       
       console.log("✅ New video generation successful:", genResponse);
       
       // Store the generated video URL in temporary videos state
       if (genResponse && genResponse.s3_key) {
-        const videoUrl = `https://ds0fghatf06yb.cloudfront.net/${genResponse.s3_key}`;
+        const videoUrl = getAssetUrl(genResponse.s3_key);
         const videoKey = `${segmentId}-${imageId}`;
         setTemporaryVideos(prev => new Map(prev).set(videoKey, videoUrl));
         
@@ -520,7 +461,7 @@ function FlowWidget() {
       }
     } catch (error) {
       console.error("❌ New video creation failed:", error);
-      setError(`Failed to create new video: ${error.message}`);
+      setError(isBudgetError(error) ? error.message : `Failed to create new video: ${error.message}`);
     } finally {
       setCreatingVideos(prev => {
         const newSet = new Set(prev);
@@ -676,95 +617,59 @@ function FlowWidget() {
     setEdges(newEdges);
   }, [flowData, setNodes, setEdges]);
 
-  // Add a stable callback to refresh project data after edit
-  const handleAfterImageEdit = useCallback(async () => {
-    await refreshProjectData();
-  }, [refreshProjectData]);
-
-  // Function to fetch project segmentations and related images/videos
-  const fetchAllProjectData = useCallback(async () => {
-    if (!isAuthenticated) {
-      console.log("User not authenticated, skipping API calls");
-      return;
-    }
-
-    // Get project ID from localStorage
-    let projectId;
-    try {
-      const storedProject = localStorage.getItem('project-store-selectedProject');
-      if (storedProject) {
-        const project = JSON.parse(storedProject);
-        projectId = project.id;
-      }
-    } catch (error) {
-      console.error("Error parsing project from localStorage:", error);
-    }
-
-    if (!projectId) {
-      console.log("No project ID found in localStorage");
-      setError("No project selected. Please select a project first.");
-      return;
-    }
-
-    console.log("Fetching project segmentations and related images/videos for project ID:", projectId);
-    try {
-      setLoading(true);
-      
-      // Fetch project segmentations, images, and videos in parallel
-      const [
-        segmentationsData,
-        imagesData,
-        videosData
-      ] = await Promise.all([
-        projectApi.getProjectSegmentations(projectId),
-        projectApi.getProjectImages(projectId),
-        projectApi.getProjectVideos(projectId)
-      ]);
-
-      console.log("Project data fetched successfully:");
-      console.log("Segmentations:", segmentationsData);
-      console.log("Images:", imagesData);
-      console.log("Videos:", videosData);
-
-      // Extract segments from the first segmentation
-      let segments = [];
-      if (segmentationsData && segmentationsData.success && segmentationsData.data && segmentationsData.data.length > 0) {
-        const firstSegmentation = segmentationsData.data[0];
-        if (firstSegmentation.segments && Array.isArray(firstSegmentation.segments)) {
-          segments = firstSegmentation.segments;
-        }
-      }
-
-      setAllProjectData({
-        segments: segments,
-        images: imagesData?.data || [],
-        videos: videosData?.data || []
+  // Add a stable callback to reload the videos after a video edit
+  const handleAfterVideoEdit = useCallback(async () => {
+    if (!flowProjectId) return;
+    await useProjectStore.getState().refreshProjectResources(flowProjectId, ["videos"]);
+  }, [flowProjectId]);
+
+  const generationQueueState = useGenerationQueue();
+
+  // Video jobs resumed after a reload keep their nodes busy until they finish
+  const videoJobs = useJobs({ type: JOB_TYPES.SEGMENT_VIDEO, resume: isAuthenticated });
+  const busyVideos = useMemo(() => {
+    const regenerating = new Set(regeneratingVideos);
+    const creating = new Set(creatingVideos);
+    videoJobs
+      .filter((job) => job.resumed && job.status === JOB_STATUS.RUNNING)
+      .forEach((job) => {
+        if (job.meta?.videoId) regenerating.add(job.meta.videoId);
+        if (job.meta?.imageId) creating.add(job.meta.imageId);
       });
+    return { regenerating, creating };
+  }, [videoJobs, regeneratingVideos, creatingVideos]);
+
+  useEffect(
+    () =>
+      jobTracker.subscribe(async ({ type, job }) => {
+        if (type !== JOB_STATUS.COMPLETED || job.type !== JOB_TYPES.SEGMENT_VIDEO || !job.resumed) {
+          return;
+        }
+        if (job.meta?.videoId) {
+          await useProjectStore.getState().refreshProjectResources(job.meta.projectId, ["videos"]);
+        } else if (job.meta?.imageId && job.result?.s3_key) {
+          const videoUrl = await s3Api.downloadVideo(job.result.s3_key);
+          setTemporaryVideos((prev) =>
+            new Map(prev).set(`${job.meta.segmentId}-${job.meta.imageId}`, videoUrl),
+          );
+        }
+      }),
+    [],
+  );
 
-      // Keep the old projectData for backward compatibility
-      setProjectData({ success: true, project: { segments: segments } });
-      
-    } catch (error) {
-      console.error("Failed to fetch project data:", error);
-      setError("Failed to fetch project data");
-    } finally {
-      setLoading(false);
-    }
-  }, [isAuthenticated]);
-
-  // Update nodeTypes to pass onAfterEdit to ImageNode and VideoNode
+  // Update nodeTypes to pass onAfterEdit to VideoNode
   const nodeTypeMap = useMemo(() => ({
     segmentNode: SegmentNode,
-    imageNode: (props) => <ImageNode {...props} onRegenerateImage={handleRegenerateImage} regeneratingImages={regeneratingImages} onAfterEdit={handleAfterImageEdit} onMakePrimary={handleMakePrimary} isPrimary={props.data?.isPrimary} />,
-    videoNode: (props) => <VideoNode {...props} onRegenerateVideo={handleRegenerateVideo} regeneratingVideos={regeneratingVideos} onAfterEdit={handleAfterImageEdit} />,
+    imageNode: (props) => <ImageNode {...props} onRegenerateImage={handleRegenerateImage} regeneratingImages={regeneratingImages} onMakePrimary={handleMakePrimary} isPrimary={props.data?.isPrimary} />,
+    videoNode: (props) => <VideoNode {...props} onRegenerateVideo={handleRegenerateVideo} regeneratingVideos={busyVideos.regenerating} onAfterEdit={handleAfterVideoEdit} />,
     addImageNode: (props) => <AddImageNode {...props} onCreateNewImage={handleCreateNewImage} creatingImages={creatingImages} hasExistingImages={props.data?.hasExistingImages} />,
-    addVideoNode: (props) => <AddVideoNode {...props} onCreateNewVideo={handleCreateNewVideo} creatingVideos={creatingVideos} />,
-  }), [handleRegenerateImage, regeneratingImages, handleAfterImageEdit, handleRegenerateVideo, regeneratingVideos, handleCreateNewImage, creatingImages, handleMakePrimary, handleCreateNewVideo, creatingVideos]);
+    addVideoNode: (props) => <AddVideoNode {...props} onCreateNewVideo={handleCreateNewVideo} creatingVideos={busyVideos.creating} />,
+  }), [handleRegenerateImage, regeneratingImages, handleAfterVideoEdit, handleRegenerateVideo, busyVideos, handleCreateNewImage, creatingImages, handleMakePrimary, handleCreateNewVideo]);
 
   // Initialize flow when data changes
   useEffect(() => {
     createFlowElements();
-  }, [createFlowElements, projectData]);
+  }, [createFlowElements]);
 
   const onConnect = useCallback(
     (params) => setEdges((eds) => addEdge(params, eds)),
@@ -818,9 +723,9 @@ function FlowWidget() {
   console.log("- stats:", stats);
 
   useEffect(() => {
-    console.log("🔄 FlowWidget: fetchAllProjectData called");
-    fetchAllProjectData();
-  }, [fetchAllProjectData]);
+    console.log("🔄 FlowWidget: loadProjectData called");
+    loadProjectData();
+  }, [loadProjectData]);
 
     return (
     <div className="fixed inset-0 bg-[#0d0d0d] text-white flex flex-col z-[10000]">
@@ -828,6 +733,8 @@ function FlowWidget() {
       <div className="flex justify-between items-center p-4 border-b border-gray-800 bg-gray-900">
         <h2 className="text-lg font-semibold">Video Creation Flow</h2>
         <div className="flex items-center gap-3">
+          {isAuthenticated && flowProjectId && <HistoryPanel />}
+          {isAuthenticated && flowProjectId && <ProjectBudget projectId={flowProjectId} userId={user?.id} />}
           {isAuthenticated && user && (
             <div className="flex items-center gap-2">
               {user.avatar ? (
@@ -873,6 +780,11 @@ function FlowWidget() {
                   <span className="text-gray-400">
                     Completion: <span className="text-purple-400">{stats.completionRate}%</span>
                   </span>
+                  {generationQueueState.queued + generationQueueState.running > 0 && (
+                    <span className="text-gray-400">
+                      Queue: <span className="text-blue-400">{generationQueueState.running} running, {generationQueueState.queued} waiting</span>
+                    </span>
+                  )}
                   {temporaryVideos.size > 0 && (
                     <button
                       onClick={() => setTemporaryVideos(new Map())}
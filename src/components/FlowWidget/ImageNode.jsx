@@ -2,7 +2,14 @@ import React, { useState, useRef } from "react";
 import { Handle, Position } from "@xyflow/react";
 import { createPortal } from "react-dom";
 import { chatApi } from "../../services/chat";
+import { QUEUE_PRIORITY } from "../../lib/generationQueue";
 import ModelSelector from "../ModelSelector";
+import PromptPreview from "../PromptPreview";
+import { AssetImage } from "../AssetMedia";
+import { preparePrompt } from "../../lib/promptPrep";
+import { getImageCreditCost } from "../../lib/pricing";
+import { useProjectStore } from "../../store/useProjectStore";
+import { toSegmentId } from "../../lib/entities";
 
 /**
  * ImageNode props:
@@ -48,31 +55,28 @@ const ImageNode = ({ data, onRegenerateImage, regeneratingImages, onMakePrimary,
     setEditError("");
     setEditSuccess("");
     try {
-      // Get project ID from localStorage
-      let projectId;
-      try {
-        const storedProject = localStorage.getItem('project-store-selectedProject');
-        if (storedProject) {
-          const project = JSON.parse(storedProject);
-          projectId = project.id;
-        }
-      } catch (error) {
-        console.error("Error parsing project from localStorage:", error);
-      }
-      // 1. POST to generate new image with new visual_prompt
-      const genResponse = await chatApi.generateImage({
-        visual_prompt: editPrompt,
-        art_style: data.segmentData.artStyle,
-        uuid: `seg-${data.segmentId}`,
-        project_id: projectId,
-        model: selectedImageModel,
-      });
+      const projectId = useProjectStore.getState().selectedProject?.id;
+      // 1. POST to generate new image with new visual_prompt, within the project's budget
+      const genResponse = await useProjectStore.getState().withProjectBudget(
+        projectId,
+        getImageCreditCost(selectedImageModel),
+        () =>
+          chatApi.generateImage({
+            visual_prompt: editPrompt,
+            art_style: data.segmentData.artStyle,
+            uuid: toSegmentId(data.segmentId),
+            project_id: projectId,
+            model: selectedImageModel,
+            priority: QUEUE_PRIORITY.INTERACTIVE,
+          }),
+      );
       
       // 2. Call the regenerate function to update the image in the flow
       if (genResponse && genResponse.s3_key) {
         // Update the segment data with the new s3_key for regeneration
         const updatedSegmentData = {
           ...data.segmentData,
+          visual: editPrompt,
           s3Key: genResponse.s3_key
         };
         onRegenerateImage(data.imageId, updatedSegmentData);
@@ -155,6 +159,7 @@ const ImageNode = ({ data, onRegenerateImage, regeneratingImages, onMakePrimary,
               disabled={editLoading}
               className="w-full"
             />
+            <PromptPreview preparation={preparePrompt(editPrompt, { model: selectedImageModel })} />
             {editError && <div className="text-xs text-red-400">{editError}</div>}
             {editSuccess && <div className="text-xs text-green-400">{editSuccess}</div>}
             <div className="flex gap-2 mt-2">
@@ -190,8 +195,8 @@ const ImageNode = ({ data, onRegenerateImage, regeneratingImages, onMakePrimary,
           </div>
         )}
         <div className="relative">
-          <img 
-            src={data.imageUrl} 
+          <AssetImage
+            src={data.imageUrl}
             alt={`Scene ${data.segmentId}`} 
             className="w-full h-20 object-cover rounded mb-2"
           />
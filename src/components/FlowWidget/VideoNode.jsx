@@ -2,6 +2,8 @@ import { useState, useRef } from "react";
 import { Handle, Position } from "@xyflow/react";
 import { createPortal } from "react-dom";
 import { videoApi } from "../../services/video-gen";
+import { AssetVideo } from "../AssetMedia";
+import { useProjectStore } from "../../store/useProjectStore";
 
 const VideoNode = ({ data, onRegenerateVideo, regeneratingVideos, onAfterEdit }) => {
   const isRegenerating = data.videoId && regeneratingVideos && regeneratingVideos.has(data.videoId);
@@ -32,17 +34,7 @@ const VideoNode = ({ data, onRegenerateVideo, regeneratingVideos, onAfterEdit })
     setEditError("");
     setEditSuccess("");
     try {
-      // Get project ID from localStorage
-      let projectId;
-      try {
-        const storedProject = localStorage.getItem('project-store-selectedProject');
-        if (storedProject) {
-          const project = JSON.parse(storedProject);
-          projectId = project.id;
-        }
-      } catch (error) {
-        console.error("Error parsing project from localStorage:", error);
-      }
+      const projectId = useProjectStore.getState().selectedProject?.id;
       // 1. Generate new video with the new animation prompt
       const videoGenResponse = await videoApi.generateVideo({
         animation_prompt: editPrompt,
@@ -148,7 +140,7 @@ const VideoNode = ({ data, onRegenerateVideo, regeneratingVideos, onAfterEdit })
           </div>
         )}
         <div className="relative">
-          <video
+          <AssetVideo
             src={data.videoUrl}
             className="w-full h-20 object-cover rounded mb-2"
             muted
@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { useProjectStore } from "../store/useProjectStore";
+import { useHistoryShortcuts } from "../hooks/useHistoryShortcuts";
+
+/**
+ * Undo and redo buttons for the project's history, with a list of the
+ * actions that can be undone (latest first) and redone. Also turns on the
+ * keyboard shortcuts.
+ */
+function HistoryPanel({ className = "" }) {
+  const history = useProjectStore((state) => state.history);
+  const [open, setOpen] = useState(false);
+  const [stepError, setStepError] = useState(null);
+  useHistoryShortcuts();
+
+  const step = async (direction) => {
+    setStepError(null);
+    try {
+      await useProjectStore.getState()[direction]();
+    } catch (err) {
+      setStepError(err.message || `Failed to ${direction}`);
+    }
+  };
+
+  const canUndo = history.past.length > 0 && !history.busy;
+  const canRedo = history.future.length > 0 && !history.busy;
+  const buttonClass =
+    "px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className={`relative flex items-center gap-1 text-xs ${className}`}>
+      <button
+        type="button"
+        onClick={() => step("undo")}
+        disabled={!canUndo}
+        className={buttonClass}
+        title={canUndo ? `Undo ${history.past.at(-1).label} (Ctrl+Z)` : "Nothing to undo"}
+      >
+        ↶
+      </button>
+      <button
+        type="button"
+        onClick={() => step("redo")}
+        disabled={!canRedo}
+        className={buttonClass}
+        title={canRedo ? `Redo ${history.future.at(-1).label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+      >
+        ↷
+      </button>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className={buttonClass}
+        aria-expanded={open}
+      >
+        History{history.busy ? "…" : ""}
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-64 max-h-72 overflow-y-auto bg-gray-900 border border-gray-700 rounded shadow-lg z-[10030] p-2">
+          {history.past.length === 0 && history.future.length === 0 ? (
+            <div className="text-gray-400">No changes yet</div>
+          ) : (
+            <ul className="space-y-1">
+              {history.future.map((entry) => (
+                <li key={entry.id} className="text-gray-500 line-through truncate" title="Undone">
+                  {entry.label}
+                </li>
+              ))}
+              {[...history.past].reverse().map((entry, index) => (
+                <li key={entry.id} className={`truncate ${index === 0 ? "text-white font-medium" : "text-gray-300"}`}>
+                  {entry.label}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {stepError && <span className="text-red-400 truncate max-w-[12rem]" title={stepError}>{stepError}</span>}
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -1,5 +1,22 @@
 import React, { useState } from 'react';
-import { chatApi } from '../services/chat';
+import { modelCatalog } from '../services/model-catalog';
+import { useModelCatalog } from '../hooks/useModelCatalog';
+
+// "20 credits per second", from the catalog's price for the model
+const formatPrice = (pricing) =>
+  pricing ? `${pricing.credits} credit${pricing.credits === 1 ? '' : 's'} ${pricing.unit}` : '';
+
+const formatCapabilities = (model) => {
+  const { durations, aspectRatios, imageSize, resolutions } = model.capabilities;
+  return [
+    imageSize && `Size: ${imageSize}`,
+    durations.length > 0 && `Duration: ${durations.map((seconds) => `${seconds}s`).join(' / ')}`,
+    resolutions.length > 0 && `Resolution: ${resolutions.join(' / ')}`,
+    aspectRatios.length > 0 && `Aspect: ${aspectRatios.join(', ')}`,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+};
 
 const ModelSelector = ({ 
   genType, 
@@ -9,14 +26,15 @@ const ModelSelector = ({
   className = '' 
 }) => {
   const [isOpen, setIsOpen] = useState(false);
-  const availableModels = chatApi.getAvailableModels(genType);
+  const { models: availableModels } = useModelCatalog({ type: genType });
 
   const handleModelSelect = (modelKey) => {
     onModelChange(modelKey);
     setIsOpen(false);
   };
 
-  const selectedModelInfo = availableModels[selectedModel];
+  // Also resolves aliases and models that are no longer offered
+  const selectedModelInfo = modelCatalog.getModel(selectedModel);
 
   return (
     <div className={`relative ${className}`}>
@@ -36,7 +54,9 @@ const ModelSelector = ({
               {selectedModelInfo?.name || 'Select Model'}
             </div>
             <div className="text-xs text-gray-400">
-              {selectedModelInfo?.provider || ''}
+              {[selectedModelInfo?.provider, formatPrice(selectedModelInfo?.pricing)]
+                .filter(Boolean)
+                .join(' • ')}
             </div>
           </div>
           <svg
@@ -53,22 +73,21 @@ const ModelSelector = ({
       {isOpen && !disabled && (
         <div className="absolute z-50 w-full mt-1 bg-gray-800 border border-gray-600 rounded-md shadow-lg">
           <div className="py-1">
-            {Object.entries(availableModels).map(([modelKey, modelInfo]) => (
+            {availableModels.map((modelInfo) => (
               <button
-                key={modelKey}
-                onClick={() => handleModelSelect(modelKey)}
+                key={modelInfo.id}
+                onClick={() => handleModelSelect(modelInfo.id)}
                 className={`
                   w-full px-3 py-2 text-left hover:bg-gray-700 focus:bg-gray-700 focus:outline-none
-                  ${selectedModel === modelKey ? 'bg-blue-600 text-white' : 'text-gray-300'}
+                  ${selectedModelInfo?.id === modelInfo.id ? 'bg-blue-600 text-white' : 'text-gray-300'}
                 `}
               >
-                <div className="text-sm font-medium">{modelInfo.name}</div>
-                <div className="text-xs text-gray-400">{modelInfo.description}</div>
-                <div className="text-xs text-gray-500 mt-1">
-                  {genType === 'IMAGE' && modelInfo.imageSize && `Size: ${modelInfo.imageSize}`}
-                  {genType === 'VIDEO' && modelInfo.duration && `Duration: ${modelInfo.duration}`}
-                  {genType === 'VIDEO' && modelInfo.resolution && ` • Resolution: ${modelInfo.resolution}`}
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-medium">{modelInfo.name}</div>
+                  <div className="text-xs text-gray-400">{formatPrice(modelInfo.pricing)}</div>
                 </div>
+                <div className="text-xs text-gray-400">{modelInfo.description}</div>
+                <div className="text-xs text-gray-500 mt-1">{formatCapabilities(modelInfo)}</div>
               </button>
             ))}
           </div>
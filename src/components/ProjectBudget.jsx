@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import { useProjectStore } from "../store/useProjectStore";
+import { getBudgetStatus } from "../lib/budget";
+
+const formatCredits = (credits) => Number((credits || 0).toFixed(2));
+
+/**
+ * Credit budget of a project for the project header: used against the limit,
+ * what is left, and an inline editor to set or remove the budget.
+ */
+function ProjectBudget({ projectId, userId }) {
+  const entry = useProjectStore((state) => state.projectBudgets[projectId]);
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const load = (options) =>
+    useProjectStore
+      .getState()
+      .loadProjectBudget(projectId, userId, options)
+      .catch((err) => console.error("Failed to load the project budget:", err));
+
+  useEffect(() => {
+    if (!projectId) return;
+    setEditing(false);
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId, userId]);
+
+  if (!projectId) return null;
+  const budget = getBudgetStatus(entry);
+  const hasLimit = budget.limit != null;
+
+  const startEditing = () => {
+    setValue(hasLimit ? String(budget.limit) : "");
+    setSaveError(null);
+    setEditing(true);
+  };
+
+  const save = async (limit) => {
+    if (limit != null && !(Number(limit) >= 0)) {
+      setSaveError("Enter a number of credits");
+      return;
+    }
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await useProjectStore.getState().setProjectBudget(projectId, limit);
+      setEditing(false);
+    } catch (err) {
+      setSaveError(err.message || "Failed to save the budget");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form
+        className="flex items-center gap-1 text-xs"
+        onSubmit={(e) => {
+          e.preventDefault();
+          save(value === "" ? null : value);
+        }}
+      >
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder="Credits"
+          autoFocus
+          className="w-20 px-1 py-0.5 bg-gray-800 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500"
+        />
+        <button type="submit" disabled={saving} className="px-2 py-0.5 bg-blue-600 hover:bg-blue-500 rounded disabled:opacity-50">
+          Save
+        </button>
+        {hasLimit && (
+          <button type="button" disabled={saving} onClick={() => save(null)} className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">
+            Remove
+          </button>
+        )}
+        <button type="button" onClick={() => setEditing(false)} className="px-1 text-blue-300 hover:text-white">
+          ✕
+        </button>
+        {saveError && <span className="text-red-300">{saveError}</span>}
+      </form>
+    );
+  }
+
+  const percent = hasLimit && budget.limit > 0 ? Math.min(100, (budget.used / budget.limit) * 100) : 100;
+  const barColor = budget.exceeded || budget.remaining === 0 ? "bg-red-500" : percent >= 80 ? "bg-yellow-400" : "bg-green-500";
+
+  return (
+    <div className="flex items-center gap-2 text-xs whitespace-nowrap">
+      {hasLimit ? (
+        <>
+          <div className="w-20 h-1.5 bg-blue-950 rounded overflow-hidden">
+            <div className={`h-full ${barColor}`} style={{ width: `${percent}%` }} />
+          </div>
+          <span>
+            {formatCredits(budget.used)} / {formatCredits(budget.limit)} credits
+            <span className="text-blue-300"> · {formatCredits(budget.remaining)} left</span>
+          </span>
+        </>
+      ) : (
+        <span className="text-blue-300">No budget · {formatCredits(budget.used)} credits used</span>
+      )}
+      {entry?.loading && <span className="text-blue-300">…</span>}
+      {entry?.error && !entry.loading && (
+        <button
+          type="button"
+          onClick={() => load({ force: true })}
+          className="text-red-300 hover:text-white underline"
+          title={entry.error}
+        >
+          Couldn't load spend · Retry
+        </button>
+      )}
+      <button type="button" onClick={startEditing} className="text-blue-300 hover:text-white underline">
+        {hasLimit ? "Edit" : "Set budget"}
+      </button>
+    </div>
+  );
+}
+
+export default ProjectBudget;
@@ -0,0 +1,271 @@
+import { useEffect, useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { useProjectStore } from "../store/useProjectStore";
+import { jobTracker, JOB_STATUS } from "../services/jobs";
+import {
+  PROJECT_SORTS,
+  getProjectModifiedAt,
+  queryProjects,
+} from "../lib/projectList";
+import ConfirmationPrompt from "./ConfirmationPrompt";
+
+const formatModified = (project) => {
+  const time = getProjectModifiedAt(project);
+  return time ? new Date(time).toLocaleString() : "";
+};
+
+// Generations still running for a deleted project would only add media to nothing
+const cancelProjectJobs = (projectId) =>
+  jobTracker
+    .getJobs()
+    .filter((job) => job.meta?.projectId === projectId && job.status === JOB_STATUS.RUNNING)
+    .forEach((job) => jobTracker.cancelJob(job.id));
+
+/**
+ * All of the user's projects, searchable, sorted by last change and paged:
+ * open, rename or describe, duplicate and delete them.
+ */
+function ProjectManager({ isOpen, onClose, onOpenProject }) {
+  const projects = useProjectStore((state) => state.projects);
+  const selectedProjectId = useProjectStore((state) => state.selectedProject?.id);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState(PROJECT_SORTS.MODIFIED);
+  const [page, setPage] = useState(1);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ name: "", description: "" });
+  const [deletingId, setDeletingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // Every page of projects, refreshed whenever the manager opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    setError(null);
+    useProjectStore
+      .getState()
+      .fetchAllProjects({ pageSize: 20 })
+      .catch((err) => setError(err.message || "Failed to fetch projects"))
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  const result = useMemo(
+    () => queryProjects(projects, { search, sort, page }),
+    [projects, search, sort, page],
+  );
+
+  if (!isOpen) return null;
+
+  // Run a row action, showing its failure above the list
+  const runAction = async (projectId, action) => {
+    setBusyId(projectId);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const startEditing = (project) => {
+    setEditingId(project.id);
+    setDraft({ name: project.name || "", description: project.description || "" });
+    setDeletingId(null);
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (!name) {
+      setError("Project name is required.");
+      return;
+    }
+    const projectId = editingId;
+    // Shown at once; the store reverts it if saving fails
+    setEditingId(null);
+    await runAction(projectId, () =>
+      useProjectStore.getState().updateProject(projectId, { name, description: draft.description.trim() }),
+    );
+  };
+
+  const duplicate = (project) =>
+    runAction(project.id, async () => {
+      await useProjectStore.getState().duplicateProject(project.id);
+      setSort(PROJECT_SORTS.MODIFIED);
+      setPage(1);
+    });
+
+  const confirmDelete = async (projectId) => {
+    const deleted = await runAction(projectId, () => useProjectStore.getState().deleteProject(projectId));
+    if (deleted) cancelProjectJobs(projectId);
+    setDeletingId(null);
+  };
+
+  const open = (project) => {
+    useProjectStore.getState().setSelectedProject(project);
+    onOpenProject?.(project);
+    onClose();
+  };
+
+  const inputClass =
+    "p-2 rounded bg-gray-700 text-white border border-gray-600 focus:outline-none focus:border-blue-500";
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[10003]">
+      <div className="bg-gray-900 rounded-lg p-4 w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col text-white">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">
+            Projects
+            {loading && <span className="ml-2 text-xs font-normal text-gray-400">Loading...</span>}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-xl" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-3">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            placeholder="Search projects..."
+            className={`flex-1 text-sm ${inputClass}`}
+          />
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className={`text-sm ${inputClass}`}
+          >
+            <option value={PROJECT_SORTS.MODIFIED}>Last modified</option>
+            <option value={PROJECT_SORTS.NAME}>Name</option>
+          </select>
+        </div>
+
+        {error && <div className="text-xs text-red-400 mb-2">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {result.items.length === 0 && !loading && (
+            <div className="text-sm text-gray-400 p-4 text-center">
+              {search ? "No projects match your search." : "No projects found."}
+            </div>
+          )}
+          {result.items.map((project) => {
+            const busy = busyId === project.id;
+            if (editingId === project.id) {
+              return (
+                <form key={project.id} onSubmit={saveEdit} className="bg-gray-800 rounded p-3 flex flex-col gap-2">
+                  <input
+                    value={draft.name}
+                    onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+                    className={`text-sm ${inputClass}`}
+                    placeholder="Project name"
+                    autoFocus
+                    required
+                  />
+                  <textarea
+                    value={draft.description}
+                    onChange={(e) => setDraft((d) => ({ ...d, description: e.target.value }))}
+                    className={`text-sm resize-y min-h-[60px] ${inputClass}`}
+                    placeholder="Description (optional)"
+                    rows={3}
+                  />
+                  <div className="flex gap-2 justify-end text-xs">
+                    <button type="button" onClick={() => setEditingId(null)} className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={!draft.name.trim()} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded disabled:opacity-50">
+                      Save
+                    </button>
+                  </div>
+                </form>
+              );
+            }
+            if (deletingId === project.id) {
+              return (
+                <div key={project.id} className="bg-gray-800 rounded">
+                  <ConfirmationPrompt
+                    message={`Delete "${project.name}"? Its scripts, images and videos can't be recovered.`}
+                    onConfirm={() => confirmDelete(project.id)}
+                    onCancel={() => setDeletingId(null)}
+                    loading={busy}
+                    confirmLabel="Delete"
+                    cancelLabel="Cancel"
+                  />
+                </div>
+              );
+            }
+            return (
+              <div
+                key={project.id}
+                className={`bg-gray-800 rounded p-3 flex items-start gap-3 ${project.id === selectedProjectId ? "border border-blue-600" : ""}`}
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium truncate">
+                    {project.name}
+                    {project.id === selectedProjectId && <span className="ml-2 text-xs text-blue-300">Open</span>}
+                  </div>
+                  {project.description && <div className="text-xs text-gray-400 truncate">{project.description}</div>}
+                  <div className="text-xs text-gray-500">{formatModified(project)}</div>
+                </div>
+                <div className="flex gap-1 text-xs shrink-0">
+                  <button onClick={() => open(project)} disabled={busy} className="px-2 py-1 bg-blue-600 hover:bg-blue-500 rounded disabled:opacity-50">
+                    Open
+                  </button>
+                  <button onClick={() => startEditing(project)} disabled={busy} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">
+                    Edit
+                  </button>
+                  <button onClick={() => duplicate(project)} disabled={busy} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-50">
+                    {busy ? "..." : "Duplicate"}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setDeletingId(project.id);
+                      setEditingId(null);
+                    }}
+                    disabled={busy}
+                    className="px-2 py-1 bg-red-700 hover:bg-red-600 rounded disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {result.pageCount > 1 && (
+          <div className="flex items-center justify-between mt-3 text-xs text-gray-300">
+            <button
+              onClick={() => setPage(result.page - 1)}
+              disabled={result.page <= 1}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-40"
+            >
+              Previous
+            </button>
+            <span>
+              Page {result.page} of {result.pageCount} · {result.total} projects
+            </span>
+            <button
+              onClick={() => setPage(result.page + 1)}
+              disabled={result.page >= result.pageCount}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded disabled:opacity-40"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>,
+    document.body,
+  );
+}
+
+export default ProjectManager;
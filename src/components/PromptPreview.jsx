@@ -0,0 +1,36 @@
+import { useState } from 'react';
+
+/**
+ * Warnings from preparePrompt (lib/promptPrep) plus, on demand, the exact
+ * prompt that will be sent. Renders nothing when the prompt goes out unchanged.
+ */
+const PromptPreview = ({ preparation, label, className = '' }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!preparation || preparation.warnings.length === 0) return null;
+
+  return (
+    <div className={`rounded border border-yellow-700 bg-yellow-900/30 p-2 text-xs text-yellow-200 ${className}`}>
+      {label && <div className="font-medium mb-1">{label}</div>}
+      <ul className="space-y-1">
+        {preparation.warnings.map((warning) => (
+          <li key={warning.code} className="break-words">⚠️ {warning.message}</li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="mt-1 text-yellow-300 underline"
+        onClick={() => setExpanded((value) => !value)}
+      >
+        {expanded ? 'Hide' : 'Show'} what will be sent
+      </button>
+      {expanded && (
+        <div className="mt-1 p-2 rounded bg-gray-900 text-gray-200 whitespace-pre-wrap break-words">
+          {preparation.prompt}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromptPreview;
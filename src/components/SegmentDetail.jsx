@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import LoadingSpinner from './LoadingSpinner';
 import { videoApi } from '../services/video-gen';
 import { s3Api } from '../services/s3';
+import { AssetImage, AssetVideo } from './AssetMedia';
+import { useProjectStore, selectSegmentMedia } from '../store/useProjectStore';
 
 function SegmentDetail({ segment }) {
   const [retryLoading, setRetryLoading] = useState(false);
@@ -9,34 +11,15 @@ function SegmentDetail({ segment }) {
   const [chatMessages, setChatMessages] = useState([]);
   const [segmentImageUrl, setSegmentImageUrl] = useState(null);
   const [segmentVideoUrl, setSegmentVideoUrl] = useState(null);
-  const [selectedProject, setSelectedProject] = useState(() => {
-    try {
-      const stored = localStorage.getItem('project-store-selectedProject');
-      return stored ? JSON.parse(stored) : null;
-    } catch (e) {
-      console.error(e);
-      return null;
-    }
-  });
+  const selectedProject = useProjectStore((state) => state.selectedProject);
+  const segmentMedia = useProjectStore((state) => selectSegmentMedia(state, state.selectedProject?.id));
 
   // Function to load segment data
   const loadSegmentData = () => {
     if (segment) {
-      // Load segment-specific data from localStorage
-      let storedImages = {};
-      let storedVideos = {};
-      
-      if (selectedProject) {
-        storedImages = JSON.parse(localStorage.getItem(`project-store-images`) || '{}');
-        storedVideos = JSON.parse(localStorage.getItem(`project-store-videos`) || '{}');
-      } else {
-        storedImages = JSON.parse(localStorage.getItem('segmentImages') || '{}');
-        storedVideos = JSON.parse(localStorage.getItem('segmentVideos') || '{}');
-      }
-      
       // Get this segment's specific image and video URLs
-      const currentImageUrl = segment.imageUrl || storedImages[segment.id];
-      const currentVideoUrl = segment.videoUrl || storedVideos[segment.id];
+      const currentImageUrl = segment.imageUrl || segmentMedia.images[segment.id];
+      const currentVideoUrl = segment.videoUrl || segmentMedia.videos[segment.id];
       
       // Update state variables
       setSegmentImageUrl(currentImageUrl);
@@ -79,28 +62,10 @@ function SegmentDetail({ segment }) {
     }
   };
 
-  // Initialize chat messages when segment changes
+  // Initialize chat messages when the segment or its stored media change
   useEffect(() => {
     loadSegmentData();
-  }, [segment]);
-
-  // Listen for localStorage changes to update segment data
-  useEffect(() => {
-    const handleStorageChange = () => {
-      // Update selected project when localStorage changes
-      try {
-        const stored = localStorage.getItem('project-store-selectedProject');
-        const newSelectedProject = stored ? JSON.parse(stored) : null;
-        setSelectedProject(newSelectedProject);
-      } catch (e) {
-        console.error(e);
-      }
-      loadSegmentData();
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, [segment]);
+  }, [segment, segmentMedia]);
 
   const handleRetryVideo = async () => {
     if (!segmentImageUrl || !segment?.narration) {
@@ -121,7 +86,7 @@ function SegmentDetail({ segment }) {
       const result = await videoApi.generateVideo({
         animation_prompt: segment.animation || segment.visual,
         art_style: segment.artStyle || '',
-        imageS3Key: segment.s3Key,
+        imageS3Key: segment.imageS3Key,
         uuid: segment.id,
         project_id: selectedProject?.id
       });
@@ -130,17 +95,8 @@ function SegmentDetail({ segment }) {
         // Get CloudFront URL directly
         const videoUrl = await s3Api.downloadVideo(result.s3Keys[0]);
         
-        // Save to project-specific storage
-        let storedVideos = {};
-        if (selectedProject) {
-          storedVideos = JSON.parse(localStorage.getItem(`project-store-videos`) || '{}');
-          storedVideos[segment.id] = videoUrl;
-          localStorage.setItem(`project-store-videos`, JSON.stringify(storedVideos));
-        } else {
-          storedVideos = JSON.parse(localStorage.getItem('segmentVideos') || '{}');
-          storedVideos[segment.id] = videoUrl;
-          localStorage.setItem('segmentVideos', JSON.stringify(storedVideos));
-        }
+        // Remember it for the project (persisted with the store)
+        useProjectStore.getState().setSegmentMedia(selectedProject?.id, 'videos', segment.id, videoUrl);
 
         // Update state variables
         setSegmentVideoUrl(videoUrl);
@@ -202,7 +158,7 @@ function SegmentDetail({ segment }) {
               {message.images && message.images.length > 0 && (
                 <div className="mt-3 space-y-2">
                   {message.images.map((imageUrl, imgIndex) => (
-                    <img 
+                    <AssetImage
                       key={imgIndex}
                       src={imageUrl} 
                       alt={`Scene ${segment.id} image ${imgIndex + 1}`}
@@ -214,14 +170,14 @@ function SegmentDetail({ segment }) {
               {message.videos && message.videos.length > 0 && (
                 <div className="mt-3 space-y-2">
                   {message.videos.map((videoUrl, vidIndex) => (
-                    <video 
+                    <AssetVideo
                       key={vidIndex}
                       src={videoUrl} 
                       controls
                       className="rounded-lg max-w-full h-auto max-h-48"
                     >
                       Your browser does not support the video tag.
-                    </video>
+                    </AssetVideo>
                   ))}
                 </div>
               )}
@@ -1,4 +1,8 @@
+import { AssetImage } from './AssetMedia';
+import { useProjectStore, selectSegmentMedia } from '../store/useProjectStore';
+
 function SegmentList({ segments, onSegmentClick, selectedSegmentId }) {
+  const storedImages = useProjectStore((state) => selectSegmentMedia(state, state.selectedProject?.id).images);
   return (
     <div className="h-full flex flex-col">
       <div className="p-3 border-b border-gray-800">
@@ -18,12 +22,11 @@ function SegmentList({ segments, onSegmentClick, selectedSegmentId }) {
                   <div className="flex items-center gap-2">
                     {/** Thumbnail **/}
                     {(() => {
-                      const imgMap = JSON.parse(localStorage.getItem('segmentImages') || '{}');
-                      const thumbUrl = segment.imageUrl || imgMap[segment.id];
+                      const thumbUrl = segment.imageUrl || storedImages[segment.id];
                       
                       // thumbUrl is now a blob URL from S3 download
                       return thumbUrl ? (
-                        <img src={thumbUrl} alt={`Scene ${segment.id}`} className="w-10 h-10 object-cover rounded" />
+                        <AssetImage src={thumbUrl} alt={`Scene ${segment.id}`} className="w-10 h-10 object-cover rounded" />
                       ) : null;
                     })()}
                     <h3 className="text-sm font-bold text-blue-400">Scene {segment.id}</h3>
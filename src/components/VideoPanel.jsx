@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import LoadingSpinner from './LoadingSpinner';
 import { chatApi } from '../services/chat';
 import { s3Api } from '../services/s3';
+import { AssetVideo } from './AssetMedia';
 import ModelSelector from './ModelSelector';
 
 function VideoPanel({ segment, onClose }) {
@@ -83,13 +84,13 @@ function VideoPanel({ segment, onClose }) {
         {/* Video Preview */}
         {currentVideo && !loading && (
           <div className="space-y-2">
-            <video
+            <AssetVideo
               src={currentVideo}
               controls
               className="w-full rounded-lg bg-black"
             >
               Your browser does not support the video tag.
-            </video>
+            </AssetVideo>
           </div>
         )}
 
@@ -0,0 +1,69 @@
+import React from "react";
+import ConfirmationPrompt from "../ConfirmationPrompt";
+
+const formatCredits = (credits) =>
+  `${Number(credits.toFixed(2))} credit${credits === 1 ? "" : "s"}`;
+
+/**
+ * Credit estimate for an image or video run, shown before anything is
+ * charged. `run` is { estimate, checking, checkError } where the estimate
+ * comes from estimateGenerationCost (lib/pricing), plus { balance, sufficient }
+ * once creditApi.checkEstimate has answered. Confirming is blocked while the
+ * balance is being checked and when it is too low.
+ */
+export default function RunEstimate({ run, onConfirm, onCancel, loading }) {
+  const { estimate, checking, checkError } = run;
+  const noun = estimate.type === "VIDEO" ? "video" : "image";
+  const insufficient = estimate.sufficient === false;
+
+  const details = (
+    <div className="text-left text-xs text-gray-300 space-y-1 bg-gray-900 rounded p-3">
+      <div className="flex justify-between">
+        <span>Segments</span>
+        <span>{estimate.count}</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Price ({estimate.model})</span>
+        <span>
+          {estimate.type !== "VIDEO"
+            ? `${formatCredits(estimate.unitCredits)} per image`
+            : estimate.duration
+              ? `${formatCredits(estimate.unitCredits)}/s × ${estimate.duration}s`
+              : `${formatCredits(estimate.unitCredits)}/s × ${estimate.totalSeconds}s in total`}
+        </span>
+      </div>
+      <div className="flex justify-between font-semibold text-white border-t border-gray-700 pt-1">
+        <span>Total</span>
+        <span>{formatCredits(estimate.total)}</span>
+      </div>
+      {checking && <div className="text-gray-400">Checking your balance...</div>}
+      {estimate.balance != null && (
+        <div className={`flex justify-between ${insufficient ? "text-red-400" : "text-green-400"}`}>
+          <span>Balance</span>
+          <span>{formatCredits(estimate.balance)}</span>
+        </div>
+      )}
+      {insufficient && (
+        <div className="text-red-400">
+          You need {formatCredits(estimate.total - estimate.balance)} more to run this step.
+        </div>
+      )}
+      {checkError && (
+        <div className="text-yellow-400">Couldn&apos;t check your balance: {checkError}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <ConfirmationPrompt
+      message={`Generate ${estimate.count} ${noun}${estimate.count === 1 ? "" : "s"} for ${formatCredits(estimate.total)}?`}
+      details={details}
+      onConfirm={onConfirm}
+      onCancel={onCancel}
+      loading={loading}
+      confirmDisabled={checking || insufficient}
+      confirmLabel={`Generate ${noun}s`}
+      cancelLabel="Cancel"
+    />
+  );
+}
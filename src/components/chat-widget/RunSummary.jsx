@@ -0,0 +1,57 @@
+import React from "react";
+
+const formatCredits = (credits) =>
+  `${Number(credits.toFixed(2))} credit${credits === 1 ? "" : "s"}`;
+
+/**
+ * Credits for one image/video run, from creditLedger.getRunSummary: what the
+ * backend charged, what was refunded for failed or empty results, and any
+ * refund that still has to go through.
+ */
+export default function RunSummary({ summary, onDismiss }) {
+  const { run, counts, charged, refunded, net, unrefunded, reconciled, error } = summary;
+  const failed = counts.failed + counts.empty;
+  const refundErrors = unrefunded.filter((operation) => operation.refundError);
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded text-xs text-gray-300">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-semibold text-white">{run.label}: credits</span>
+        <button type="button" onClick={onDismiss} className="text-gray-500 hover:text-gray-300">
+          ✕
+        </button>
+      </div>
+      <div>
+        {counts.succeeded} succeeded
+        {failed > 0 && `, ${failed} failed`}
+        {counts.cancelled > 0 && `, ${counts.cancelled} cancelled`}
+      </div>
+      {!reconciled && !error && <div className="text-gray-400">Checking charges...</div>}
+      {reconciled && (
+        <div className="mt-1 space-y-0.5">
+          <div className="flex justify-between">
+            <span>Charged</span>
+            <span>{formatCredits(charged)}</span>
+          </div>
+          {refunded > 0 && (
+            <div className="flex justify-between text-green-400">
+              <span>Refunded for failed segments</span>
+              <span>{formatCredits(refunded)}</span>
+            </div>
+          )}
+          <div className="flex justify-between font-semibold text-white">
+            <span>Net</span>
+            <span>{formatCredits(net)}</span>
+          </div>
+        </div>
+      )}
+      {refundErrors.map((operation) => (
+        <div key={operation.operationId} className="text-yellow-400">
+          Refund of {formatCredits(operation.charged)} for segment {operation.segmentId} failed
+          ({operation.refundError}); it will be retried.
+        </div>
+      ))}
+      {error && <div className="text-yellow-400">Couldn&apos;t check the charges: {error}</div>}
+    </div>
+  );
+}
@@ -16,7 +16,22 @@ export default function StepList({
   handleStepClick,
   handleRedoStep,
   setCurrentStep,
+  onCancelStep,
 }) {
+  const runningStep = steps.find((step) => stepStatus[step.id] === "loading");
+
+  const cancelButton = (stepId) => (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        onCancelStep(stepId);
+      }}
+      className="px-2 py-0.5 text-[10px] bg-red-600 hover:bg-red-500 rounded text-white"
+    >
+      Cancel
+    </button>
+  );
+
   return (
     <div className="p-3 border-b border-gray-800">
       {/* Header */}
@@ -24,12 +39,16 @@ export default function StepList({
         <h3 className="text-xs font-semibold text-gray-300 uppercase tracking-wide">
           Video Steps
         </h3>
-        <button
-          className="text-gray-400 hover:text-gray-200 text-sm focus:outline-none"
-          onClick={() => setCollapseSteps((v) => !v)}
-        >
-          {collapseSteps ? "▼" : "▲"}
-        </button>
+        <div className="flex items-center gap-2">
+          {/* Keep the running step cancellable while the list is collapsed */}
+          {collapseSteps && runningStep && onCancelStep && cancelButton(runningStep.id)}
+          <button
+            className="text-gray-400 hover:text-gray-200 text-sm focus:outline-none"
+            onClick={() => setCollapseSteps((v) => !v)}
+          >
+            {collapseSteps ? "▼" : "▲"}
+          </button>
+        </div>
       </div>
 
       {/* Step list */}
@@ -76,6 +95,9 @@ export default function StepList({
                   </button>
                 )}
 
+                {/* Cancel button */}
+                {stepStatus[step.id] === "loading" && onCancelStep && cancelButton(step.id)}
+
                 {/* Run button */}
                 {stepStatus[step.id] !== "done" && !disabled && (
                   <button
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import {
+  ASPECT_RATIOS,
+  VIDEO_SETTING_FIELDS,
+  getVideoOptions,
+  resolveVideoSettings,
+  resolveSegmentVideoSettings,
+  setSegmentVideoSettings,
+} from "../../lib/videoSettings";
+
+const LABELS = {
+  duration: "Duration",
+  aspectRatio: "Aspect ratio",
+  resolution: "Resolution",
+};
+
+const formatValue = (field, value) => (field === "duration" ? `${value}s` : value);
+
+// Values offered for a setting: what the model lists, aspect ratios limited to
+// the ones the editor supports
+const optionsFor = (model, field) => {
+  const options = getVideoOptions(model, field);
+  return field === "aspectRatio"
+    ? options.filter((ratio) => ASPECT_RATIOS.includes(ratio))
+    : options;
+};
+
+function SettingSelect({ model, field, value, emptyLabel, onChange, disabled }) {
+  const options = optionsFor(model, field);
+  if (options.length === 0) return null;
+  return (
+    <label className="flex flex-col gap-0.5">
+      <span className="text-gray-500">{LABELS[field]}</span>
+      <select
+        value={value ?? ""}
+        onChange={(e) => {
+          const { value: picked } = e.target;
+          onChange(picked === "" ? null : field === "duration" ? Number(picked) : picked);
+        }}
+        disabled={disabled}
+        className="px-1 py-0.5 bg-gray-700 text-white rounded border border-gray-600"
+      >
+        <option value="">{emptyLabel}</option>
+        {options.map((option) => (
+          <option key={option} value={option}>
+            {formatValue(field, option)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Duration, aspect ratio and resolution for the video step: project defaults
+ * and per-segment overrides, limited to what the selected model supports.
+ * `settings` is the project's videoSettings (lib/videoSettings); `onChange`
+ * gets the whole new object.
+ */
+export default function VideoSettingsPanel({ model, settings, segments, onChange, disabled }) {
+  const [showSegments, setShowSegments] = useState(false);
+  const defaults = resolveVideoSettings(model, settings);
+
+  const changeDefault = (field) => (value) => onChange({ ...settings, [field]: value });
+  const changeSegment = (segmentId, field) => (value) =>
+    onChange(
+      setSegmentVideoSettings(settings, segmentId, {
+        ...settings?.segments?.[segmentId],
+        [field]: value,
+      }),
+    );
+
+  return (
+    <div className="mt-2 p-2 bg-gray-800 rounded text-xs text-gray-300 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {VIDEO_SETTING_FIELDS.map((field) => (
+          <SettingSelect
+            key={field}
+            model={model}
+            field={field}
+            value={settings?.[field]}
+            emptyLabel={`Model default (${formatValue(field, resolveVideoSettings(model)[field])})`}
+            onChange={changeDefault(field)}
+            disabled={disabled}
+          />
+        ))}
+      </div>
+      {defaults.adjusted.length > 0 && (
+        <div className="text-yellow-400">
+          {model?.name || "This model"} doesn&apos;t support the project&apos;s{" "}
+          {defaults.adjusted.map((field) => LABELS[field].toLowerCase()).join(" and ")}; its default is used.
+        </div>
+      )}
+      {segments.length > 0 && (
+        <button
+          type="button"
+          onClick={() => setShowSegments((prev) => !prev)}
+          className="text-blue-400 hover:text-blue-300"
+        >
+          {showSegments ? "Hide" : "Per-segment settings"}
+          {Object.keys(settings?.segments || {}).length > 0 &&
+            ` (${Object.keys(settings.segments).length} changed)`}
+        </button>
+      )}
+      {showSegments &&
+        segments.map((segment) => {
+          const resolved = resolveSegmentVideoSettings(model, settings, segment.id);
+          return (
+            <div key={segment.id} className="flex flex-wrap items-end gap-2 border-t border-gray-700 pt-2">
+              <span className="w-20 text-gray-400">Segment {segment.id}</span>
+              {VIDEO_SETTING_FIELDS.map((field) => (
+                <SettingSelect
+                  key={field}
+                  model={model}
+                  field={field}
+                  value={settings?.segments?.[segment.id]?.[field]}
+                  emptyLabel={`Project (${formatValue(field, defaults[field])})`}
+                  onChange={changeSegment(segment.id, field)}
+                  disabled={disabled}
+                />
+              ))}
+              {resolved.adjusted.length > 0 && <span className="text-yellow-400">adjusted for this model</span>}
+            </div>
+          );
+        })}
+    </div>
+  );
+}
@@ -1,5 +1,13 @@
 import { createContext, useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
 import { API_BASE_URL } from '../lib/axiosInstance';
+import {
+  subscribeToSession,
+  notifyReauthenticated,
+  cancelReauthentication,
+} from '../lib/session';
+import ConfirmationPrompt from '../components/ConfirmationPrompt';
+import { isMockApiEnabled, MOCK_TOKEN, MOCK_USER } from '../mocks/config';
 
 const AuthContext = createContext();
 
@@ -20,6 +28,8 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('authToken'));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Set when a request hit a 401 that could not be refreshed silently
+  const [sessionExpired, setSessionExpired] = useState(false);
 
   // Check if we're running in Electron
   const isElectron = window.electronAPI && window.electronAPI.req;
@@ -131,6 +141,21 @@ export const AuthProvider = ({ children }) => {
     }
   }, [isElectron]);
 
+  // React to the 401 handling in lib/session: pick up silently refreshed
+  // tokens, or log out and ask the user to sign in again
+  useEffect(() => {
+    return subscribeToSession((event) => {
+      if (event.type === 'refreshed') {
+        setToken(event.token);
+        if (event.user) setUser(event.user);
+      } else if (event.type === 'expired') {
+        logout();
+        if (event.showPrompt) setSessionExpired(true);
+      }
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const handleAuthSuccess = (authData) => {
     if (authData.access_token) {
       setToken(authData.access_token);
@@ -138,15 +163,31 @@ export const AuthProvider = ({ children }) => {
       localStorage.setItem('authToken', authData.access_token);
       localStorage.setItem('authUser', JSON.stringify(authData.user));
       setError(null);
+      setSessionExpired(false);
+      // Replay the requests that were interrupted by the expired session
+      notifyReauthenticated(authData.access_token);
     }
   };
 
+  const handleSessionSignIn = () => {
+    setSessionExpired(false);
+    login();
+  };
+
+  const handleSessionDismiss = () => {
+    setSessionExpired(false);
+    cancelReauthentication();
+  };
+
   const login = async () => {
     try {
       setError(null);
       setLoading(true);
       
-      if (isElectron) {
+      if (isMockApiEnabled()) {
+        // The mock backend accepts any token; sign in as the demo user
+        handleAuthSuccess({ access_token: MOCK_TOKEN, user: MOCK_USER });
+      } else if (isElectron) {
         // In Electron, trigger the login flow through IPC
         if (window.electronAPI.req.auth) {
           const result = await window.electronAPI.req.auth.initiateLogin();
@@ -197,6 +238,21 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       {children}
+      {sessionExpired && createPortal(
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[10030]">
+          <div className="bg-gray-800 rounded-lg shadow-lg">
+            <ConfirmationPrompt
+              message="Your session has expired. Sign in again to continue where you left off."
+              confirmLabel="Sign in"
+              cancelLabel="Cancel"
+              onConfirm={handleSessionSignIn}
+              onCancel={handleSessionDismiss}
+              loading={loading}
+            />
+          </div>
+        </div>,
+        document.body
+      )}
     </AuthContext.Provider>
   );
 }; 
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  getAssetConfig,
+  getAssetKey,
+  getAssetUrl,
+  getUrlExpiry,
+  resolveAsset,
+} from "../lib/assets";
+
+const MIN_REFRESH_DELAY_MS = 5000;
+
+/**
+ * A loadable URL for a stored asset (S3 key or asset URL), kept fresh.
+ *
+ * Starts with the synchronous URL, then resolves it (signing, mock clips).
+ * Signed URLs are refreshed shortly before they expire. `onError` should be
+ * passed to the media element: the first failure re-signs the URL, the next
+ * one tries the fallback origin, if one is configured; after that `onFailed`
+ * is called.
+ *
+ * Returns { url, onError }.
+ */
+export const useAssetUrl = (source, { kind = "image", onFailed } = {}) => {
+  const key = getAssetKey(source);
+  const [url, setUrl] = useState(() => getAssetUrl(source));
+  const attempts = useRef(0);
+
+  useEffect(() => {
+    let active = true;
+    attempts.current = 0;
+    setUrl(getAssetUrl(source));
+    resolveAsset(source, { kind })
+      .then((resolved) => active && setUrl(resolved))
+      .catch((error) => console.error("Failed to resolve asset:", error));
+    return () => {
+      active = false;
+    };
+  }, [source, kind]);
+
+  // Refresh signed URLs before they run out. The floor keeps a signer that
+  // hands out very short-lived URLs from being called in a tight loop.
+  useEffect(() => {
+    const expiresAt = getUrlExpiry(url);
+    if (!key || expiresAt == null) return undefined;
+    const delay = Math.max(
+      MIN_REFRESH_DELAY_MS,
+      expiresAt - getAssetConfig().refreshMarginMs - Date.now(),
+    );
+    const timer = setTimeout(() => {
+      resolveAsset(key, { kind, force: true })
+        .then(setUrl)
+        .catch((error) => console.error("Failed to refresh asset URL:", error));
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [url, key, kind]);
+
+  const onError = useCallback(
+    async (event) => {
+      attempts.current += 1;
+      if (!key || attempts.current > 2) {
+        onFailed?.(event);
+        return;
+      }
+      try {
+        const next =
+          attempts.current === 1
+            ? await resolveAsset(key, { kind, force: true })
+            : getAssetUrl(key, { fallback: true });
+        if (next && next !== url) {
+          setUrl(next);
+        } else if (attempts.current === 1 && getAssetUrl(key, { fallback: true })) {
+          // Re-resolving gave the same URL; go straight to the fallback
+          attempts.current = 2;
+          setUrl(getAssetUrl(key, { fallback: true }));
+        } else {
+          onFailed?.(event);
+        }
+      } catch (error) {
+        console.error("Failed to refresh asset URL:", error);
+        onFailed?.(event);
+      }
+    },
+    [key, kind, url, onFailed],
+  );
+
+  return { url, onError };
+};
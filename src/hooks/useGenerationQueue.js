@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from "react";
+import { generationQueue } from "../lib/generationQueue";
+
+// Live queue depth: { queued, running, models: { [model]: { queued, running, limit, pausedUntil } } }
+export const useGenerationQueue = () =>
+  useSyncExternalStore(generationQueue.subscribe, generationQueue.getSnapshot);
@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { useProjectStore } from "../store/useProjectStore";
+
+// Keys typed into these go to the field, not to the history
+const isEditable = (target) =>
+  target instanceof Element &&
+  (target.isContentEditable || target.closest("input, textarea, select") !== null);
+
+// "undo", "redo" or null for a keydown event
+export const getHistoryShortcut = (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+  const key = event.key.toLowerCase();
+  if (key === "z") return event.shiftKey ? "redo" : "undo";
+  if (key === "y" && !event.shiftKey) return "redo";
+  return null;
+};
+
+/**
+ * Undo and redo the project store's history with Ctrl/Cmd+Z and
+ * Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y, except while typing in a field. Several
+ * widgets may use this at once; a key press is handled only once.
+ */
+export const useHistoryShortcuts = ({ enabled = true } = {}) => {
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const onKeyDown = (event) => {
+      const direction = getHistoryShortcut(event);
+      if (!direction || event.defaultPrevented || isEditable(event.target)) return;
+      event.preventDefault();
+      // Failures are recorded in the store's `error`
+      const step = useProjectStore.getState()[direction];
+      step().catch((error) => console.error(`Failed to ${direction}:`, error));
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled]);
+};
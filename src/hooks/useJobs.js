@@ -0,0 +1,27 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+import { jobTracker } from "../services/jobs";
+
+/**
+ * Generation jobs from the job tracker, re-rendering on every change.
+ *
+ * - type / projectId: only return matching jobs
+ * - resume: continue jobs left running by a previous page load. Pass the
+ *   auth state so resumed requests are not sent before sign-in.
+ */
+export const useJobs = ({ type, projectId, resume = false } = {}) => {
+  const jobs = useSyncExternalStore(jobTracker.subscribe, jobTracker.getJobs);
+
+  useEffect(() => {
+    if (resume) jobTracker.resumeJobs();
+  }, [resume]);
+
+  return useMemo(
+    () =>
+      jobs.filter(
+        (job) =>
+          (!type || job.type === type) &&
+          (!projectId || job.meta?.projectId === projectId),
+      ),
+    [jobs, type, projectId],
+  );
+};
@@ -0,0 +1,32 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+import { modelCatalog } from "../services/model-catalog";
+
+/**
+ * Models from the model catalog, re-rendering when the backend catalog
+ * arrives. Loads the catalog on first use (cached for an hour).
+ *
+ * - type: only return models of this generation type ("IMAGE" / "video")
+ * - includeUnavailable: also return priced models that can't be selected
+ */
+export const useModelCatalog = ({ type, includeUnavailable = false } = {}) => {
+  const catalog = useSyncExternalStore(
+    modelCatalog.subscribe,
+    modelCatalog.getSnapshot,
+  );
+
+  useEffect(() => {
+    modelCatalog.load();
+  }, []);
+
+  const models = useMemo(
+    () =>
+      catalog.models.filter(
+        (model) =>
+          (!type || model.type === type.toUpperCase()) &&
+          (includeUnavailable || model.available),
+      ),
+    [catalog, type, includeUnavailable],
+  );
+
+  return { models, catalog };
+};
@@ -0,0 +1,82 @@
+import { axiosInstance } from "./axiosInstance";
+import { getAuthHeaders } from "./auth";
+import { toApiError, isCancelledError } from "./apiError";
+import { withRetry } from "./retry";
+
+/**
+ * Single request layer used by every service module.
+ *
+ * Attaches auth headers, returns the response body and converts every failure
+ * into an ApiError (logged once here, so services don't need their own
+ * try/catch).
+ *
+ * Options:
+ * - auth: set to false for requests that must not carry our token (e.g. S3 PUTs);
+ *   those are also left out of the 401 re-authentication in lib/session
+ * - label: name used in the error log, defaults to "METHOD url"
+ * - retry: retry policy name or object (see lib/retry), off by default
+ * - idempotencyKey: sent as the Idempotency-Key header on every attempt
+ * - params, headers, signal: passed through to axios
+ */
+const request = async ({
+  method = "get",
+  url,
+  data,
+  params,
+  headers,
+  signal,
+  auth = true,
+  label,
+  retry,
+  idempotencyKey,
+}) => {
+  const name = label || `${method.toUpperCase()} ${url}`;
+  const send = async () => {
+    try {
+      const authHeaders = auth ? await getAuthHeaders() : {};
+      const response = await axiosInstance.request({
+        method,
+        url,
+        data,
+        params,
+        signal,
+        skipSessionRefresh: !auth,
+        headers: {
+          ...authHeaders,
+          ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+          ...headers,
+        },
+      });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error);
+    }
+  };
+
+  try {
+    return await withRetry(send, retry, {
+      signal,
+      onRetry: ({ attempt, error, delayMs }) =>
+        console.warn(`${name} failed (${error.code}), retry ${attempt} in ${delayMs}ms`),
+    });
+  } catch (error) {
+    const apiError = toApiError(error);
+    if (!isCancelledError(apiError)) {
+      console.error(`Error in ${name}:`, apiError);
+    }
+    throw apiError;
+  }
+};
+
+export const apiClient = {
+  request,
+  get: (url, options = {}) => request({ ...options, method: "get", url }),
+  post: (url, data, options = {}) =>
+    request({ ...options, method: "post", url, data }),
+  put: (url, data, options = {}) =>
+    request({ ...options, method: "put", url, data }),
+  patch: (url, data, options = {}) =>
+    request({ ...options, method: "patch", url, data }),
+  delete: (url, options = {}) =>
+    request({ ...options, method: "delete", url }),
+};
@@ -0,0 +1,163 @@
+import axios from "axios";
+
+// Generic, user-safe messages keyed by HTTP status. Backend messages are only
+// surfaced for 4xx responses; 5xx bodies can leak internals.
+const STATUS_MESSAGES = {
+  400: "The request was invalid. Please check your input and try again.",
+  401: "Your session has expired. Please sign in again.",
+  402: "You don't have enough credits for this operation.",
+  403: "You don't have permission to do that.",
+  404: "The requested resource was not found.",
+  408: "The request timed out. Please try again.",
+  409: "This change conflicts with newer data. Refresh and try again.",
+  413: "The request is too large.",
+  422: "Some of the provided data is invalid.",
+  429: "Too many requests. Please wait a moment and try again.",
+};
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  402: "INSUFFICIENT_CREDITS",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  408: "TIMEOUT",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "RATE_LIMITED",
+};
+
+const SERVER_ERROR_MESSAGE =
+  "The server ran into a problem. Please try again shortly.";
+const NETWORK_ERROR_MESSAGE =
+  "Unable to reach the server. Check your connection and try again.";
+const MAX_BACKEND_MESSAGE_LENGTH = 200;
+
+/**
+ * Structured error thrown by every service call.
+ *
+ * - status: HTTP status (0 when the request never got a response)
+ * - code: backend error code, or a derived one such as NETWORK_ERROR
+ * - message: safe to show to the user as-is
+ * - retryable: whether repeating the same request may succeed
+ * - retryAfterMs: wait requested by the server (Retry-After on 429/503), or null
+ * - details: raw response body, for logging/debugging only
+ */
+export class ApiError extends Error {
+  constructor({
+    message,
+    status = 0,
+    code = "UNKNOWN_ERROR",
+    retryable = false,
+    retryAfterMs = null,
+    details = null,
+    cause,
+  } = {}) {
+    super(message || "Something went wrong. Please try again.");
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+    if (cause) this.cause = cause;
+  }
+}
+
+const toCode = (value) =>
+  String(value)
+    .trim()
+    .replace(/[^a-zA-Z0-9]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .toUpperCase();
+
+const pickBackendMessage = (body) => {
+  if (!body || typeof body !== "object") {
+    return typeof body === "string" ? body : null;
+  }
+  const { message } = body;
+  if (Array.isArray(message)) return message.join(". ");
+  if (typeof message === "string") return message;
+  if (typeof body.error === "string") return body.error;
+  return null;
+};
+
+const pickBackendCode = (body) => {
+  if (!body || typeof body !== "object") return null;
+  if (typeof body.code === "string") return body.code;
+  if (typeof body.errorCode === "string") return body.errorCode;
+  if (typeof body.error === "string") return toCode(body.error);
+  return null;
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const readHeader = (headers, name) =>
+  typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+const isRetryableStatus = (status) =>
+  status === 408 || status === 429 || status >= 500;
+
+// A request axios sent that got no response: offline, DNS, CORS, timeout
+const isNetworkFailure = (error) =>
+  Boolean(error?.isAxiosError && error.request && !error.response);
+
+// Convert anything thrown by axios (or by our own code) into an ApiError.
+// Only failures of a sent request are retryable; anything else, e.g. a bug
+// while building the request, is not, so retrying doesn't hide it.
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error) || error?.code === "ERR_CANCELED") {
+    return new ApiError({
+      message: "The request was cancelled.",
+      code: "CANCELLED",
+      cause: error,
+    });
+  }
+
+  if (isNetworkFailure(error)) {
+    const timedOut = error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT";
+    return new ApiError({
+      message: timedOut ? STATUS_MESSAGES[408] : NETWORK_ERROR_MESSAGE,
+      code: timedOut ? "TIMEOUT" : "NETWORK_ERROR",
+      retryable: true,
+      cause: error,
+    });
+  }
+
+  const response = error?.response;
+  if (!response) {
+    return new ApiError({ code: "UNEXPECTED_ERROR", cause: error });
+  }
+
+  const { status, data } = response;
+  const backendMessage = pickBackendMessage(data);
+  const useBackendMessage =
+    status < 500 &&
+    backendMessage &&
+    backendMessage.length <= MAX_BACKEND_MESSAGE_LENGTH;
+
+  return new ApiError({
+    message: useBackendMessage
+      ? backendMessage
+      : STATUS_MESSAGES[status] || SERVER_ERROR_MESSAGE,
+    status,
+    code: pickBackendCode(data) || STATUS_CODES[status] || `HTTP_${status}`,
+    retryable: isRetryableStatus(status),
+    retryAfterMs: parseRetryAfter(readHeader(response.headers, "retry-after")),
+    details: data ?? null,
+    cause: error,
+  });
+};
+
+export const isCancelledError = (error) =>
+  error instanceof ApiError && error.code === "CANCELLED";
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { AxiosError, CanceledError } from "axios";
+import { ApiError, toApiError, isCancelledError, parseRetryAfter } from "./apiError";
+
+const httpError = (status, data, headers = {}) =>
+  new AxiosError("failed", "ERR_BAD_RESPONSE", {}, {}, { status, data, headers });
+
+describe("toApiError", () => {
+  it("passes ApiErrors through", () => {
+    const error = new ApiError({ code: "X" });
+    expect(toApiError(error)).toBe(error);
+  });
+
+  it("maps cancellations", () => {
+    const error = toApiError(new CanceledError());
+    expect(error.code).toBe("CANCELLED");
+    expect(isCancelledError(error)).toBe(true);
+  });
+
+  it("maps network errors and timeouts as retryable", () => {
+    const network = toApiError(new AxiosError("Network Error", "ERR_NETWORK", {}, {}));
+    const timeout = toApiError(new AxiosError("timeout", "ECONNABORTED", {}, {}));
+
+    expect(network).toMatchObject({ code: "NETWORK_ERROR", status: 0, retryable: true });
+    expect(timeout).toMatchObject({ code: "TIMEOUT", retryable: true });
+  });
+
+  it("doesn't retry errors thrown before a request went out", () => {
+    const bug = new TypeError("Cannot read properties of undefined (reading 'token')");
+    const unsent = new AxiosError("Invalid URL", "ERR_INVALID_URL");
+
+    expect(toApiError(bug)).toMatchObject({ code: "UNEXPECTED_ERROR", status: 0, retryable: false, cause: bug });
+    expect(toApiError(unsent)).toMatchObject({ code: "UNEXPECTED_ERROR", retryable: false });
+  });
+
+  it("uses short backend messages and codes for 4xx responses", () => {
+    const error = toApiError(httpError(409, { message: "Name taken", errorCode: "NAME_TAKEN" }));
+
+    expect(error).toMatchObject({ status: 409, code: "NAME_TAKEN", message: "Name taken", retryable: false });
+    expect(error.details).toEqual({ message: "Name taken", errorCode: "NAME_TAKEN" });
+  });
+
+  it("derives a code from the error string", () => {
+    expect(toApiError(httpError(400, { error: "Bad Request" })).code).toBe("BAD_REQUEST");
+  });
+
+  it("replaces long backend messages with the generic one", () => {
+    const error = toApiError(httpError(400, { message: "x".repeat(500) }));
+    expect(error.message).toBe("The request was invalid. Please check your input and try again.");
+  });
+
+  it("never shows 5xx bodies and marks them retryable", () => {
+    const error = toApiError(httpError(503, { message: "db down at host 10.0.0.1" }));
+
+    expect(error.message).toBe("The server ran into a problem. Please try again shortly.");
+    expect(error.retryable).toBe(true);
+    expect(error.code).toBe("HTTP_503");
+  });
+
+  it("marks 408 and 429 retryable", () => {
+    expect(toApiError(httpError(408, {})).retryable).toBe(true);
+    expect(toApiError(httpError(429, {})).retryable).toBe(true);
+    expect(toApiError(httpError(401, {})).retryable).toBe(false);
+  });
+
+  it("reads Retry-After from the response", () => {
+    expect(toApiError(httpError(429, {}, { "retry-after": "7" })).retryAfterMs).toBe(7000);
+    expect(toApiError(httpError(429, {})).retryAfterMs).toBeNull();
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("accepts seconds or an HTTP date", () => {
+    const now = Date.parse("2025-01-01T00:00:00Z");
+
+    expect(parseRetryAfter("2", now)).toBe(2000);
+    expect(parseRetryAfter("Wed, 01 Jan 2025 00:00:10 GMT", now)).toBe(10000);
+    expect(parseRetryAfter("Tue, 31 Dec 2024 00:00:00 GMT", now)).toBe(0);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
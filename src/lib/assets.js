@@ -0,0 +1,221 @@
+import { isMockApiEnabled } from "../mocks/config";
+
+export const DEFAULT_ASSET_BASE_URL = "https://ds0fghatf06yb.cloudfront.net";
+
+const env = import.meta.env || {};
+
+// Runtime override, e.g. localStorage.setItem("assetBaseUrl", "http://localhost:9000/media")
+const storedBaseUrl = () => {
+  try {
+    return localStorage.getItem("assetBaseUrl");
+  } catch {
+    return null;
+  }
+};
+
+const trimSlash = (url) => (url ? url.replace(/\/+$/, "") : url);
+
+const defaultConfig = () => ({
+  baseUrl: trimSlash(
+    storedBaseUrl() || env.VITE_ASSET_BASE_URL || DEFAULT_ASSET_BASE_URL,
+  ),
+  // Tried when the primary URL fails to load; there is none unless configured
+  fallbackBaseUrl: trimSlash(env.VITE_ASSET_FALLBACK_URL) || null,
+  // async (key, { kind }) => url | { url, expiresAt }, for signed URLs
+  signUrl: null,
+  // Signed URLs are refreshed this long before they expire
+  refreshMarginMs: 60 * 1000,
+});
+
+let config = defaultConfig();
+// Signed URLs by key: { url, expiresAt }
+const signed = new Map();
+// Keys of URLs handed out by the resolver that don't contain the key (data:, blob:, signed)
+const keysByUrl = new Map();
+
+// Placeholders for the mock backend's media (mocks/media). Loaded only in
+// mock mode, so the mock code stays out of the production bundle.
+let mockMedia = null;
+let mockMediaLoad = null;
+
+export const loadMockMedia = () => {
+  if (!isMockApiEnabled()) return Promise.resolve(null);
+  mockMediaLoad ||= import("../mocks/media").then((media) => {
+    mockMedia = media;
+    return media;
+  });
+  return mockMediaLoad;
+};
+
+// Started right away so synchronous lookups have it by the time media renders
+loadMockMedia();
+
+const isMockMediaKey = (key) => Boolean(mockMedia?.isMockMediaKey(key));
+
+const remember = (url, key) => {
+  if (url && key) keysByUrl.set(url, key);
+  return url;
+};
+
+/**
+ * Where stored media (S3 keys) are served from. Configure per environment with
+ * VITE_ASSET_BASE_URL / VITE_ASSET_FALLBACK_URL, or at runtime:
+ *
+ *   configureAssets({ baseUrl: "https://staging-cdn.example.com" });
+ *   configureAssets({ signUrl: async (key) => ({ url, expiresAt }) });
+ *
+ * Pass no overrides to go back to the environment defaults.
+ */
+export const configureAssets = (overrides) => {
+  config = overrides
+    ? {
+        ...config,
+        ...overrides,
+        baseUrl: trimSlash(overrides.baseUrl ?? config.baseUrl),
+        fallbackBaseUrl:
+          overrides.fallbackBaseUrl === undefined
+            ? config.fallbackBaseUrl
+            : trimSlash(overrides.fallbackBaseUrl) || null,
+      }
+    : defaultConfig();
+  signed.clear();
+  return config;
+};
+
+export const getAssetConfig = () => config;
+
+const isAbsoluteUrl = (value) => /^(https?:|data:|blob:)/i.test(value);
+
+// "u1/images/a b.png" -> "u1/images/a%20b.png"
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * The S3 key behind an asset URL, or null for URLs that aren't stored assets.
+ * Accepts keys too, so callers can pass whatever they have.
+ */
+export const getAssetKey = (value) => {
+  if (!value || typeof value !== "string") return null;
+  if (keysByUrl.has(value)) return keysByUrl.get(value);
+  if (isMockMediaKey(value)) return value;
+  // Site-relative paths are app files, not stored assets
+  if (value.startsWith("/")) return null;
+  if (!isAbsoluteUrl(value)) return value;
+  if (!/^https?:/i.test(value)) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const bases = [
+    config.baseUrl,
+    config.fallbackBaseUrl,
+    DEFAULT_ASSET_BASE_URL,
+  ];
+  const base = bases.find(
+    (candidate) => candidate && value.startsWith(`${candidate}/`),
+  );
+  let path = null;
+  if (base) {
+    path = `${url.origin}${url.pathname}`.slice(base.length + 1);
+  } else if (url.hostname.endsWith(".cloudfront.net")) {
+    // Assets from other CloudFront distributions, e.g. older environments
+    path = url.pathname.slice(1);
+  }
+  if (!path) return null;
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+};
+
+/**
+ * Synchronous URL for a key, for building src attributes and maps. Signed
+ * and mock video URLs need resolveAsset(); until then this returns the
+ * unsigned URL or the mock still image. URLs that aren't assets are returned as is.
+ * With `fallback`, the URL on the fallback origin, or null when none is configured.
+ */
+export const getAssetUrl = (keyOrUrl, { fallback = false } = {}) => {
+  const key = getAssetKey(keyOrUrl);
+  if (!key) return keyOrUrl || null;
+  if (isMockMediaKey(key)) return remember(mockMedia.getMockImageUrl(key), key);
+  if (fallback && !config.fallbackBaseUrl) return null;
+  if (!fallback && signed.has(key)) return signed.get(key).url;
+  const base = fallback ? config.fallbackBaseUrl : config.baseUrl;
+  return `${base}/${encodeKey(key)}`;
+};
+
+/**
+ * When a signed URL stops working: CloudFront `Expires` or S3
+ * `X-Amz-Date` + `X-Amz-Expires`. Returns ms since epoch, or null.
+ */
+export const getUrlExpiry = (url) => {
+  if (!url || !/^https?:/i.test(url)) return null;
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return null;
+  }
+  if (params.has("Expires")) return Number(params.get("Expires")) * 1000;
+  const amzDate = params.get("X-Amz-Date");
+  const amzExpires = params.get("X-Amz-Expires");
+  if (amzDate && amzExpires) {
+    const iso = amzDate.replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+      "$1-$2-$3T$4:$5:$6Z",
+    );
+    return Date.parse(iso) + Number(amzExpires) * 1000;
+  }
+  return null;
+};
+
+const isFresh = (entry) =>
+  entry.expiresAt == null ||
+  entry.expiresAt - config.refreshMarginMs > Date.now();
+
+/**
+ * Resolve a key or asset URL to a URL that loads now.
+ *
+ * - mock keys become local placeholders (a recorded clip for videos)
+ * - with `signUrl` configured, keys are signed and the URL is cached until
+ *   shortly before it expires; `force` signs again, e.g. after a load error
+ * - otherwise the unsigned URL from getAssetUrl()
+ *
+ * Values that aren't assets (external or blob: URLs) are returned unchanged.
+ */
+export const resolveAsset = async (
+  keyOrUrl,
+  { kind = "image", force = false } = {},
+) => {
+  const key = getAssetKey(keyOrUrl);
+  if (!key) return keyOrUrl || null;
+
+  await loadMockMedia();
+  if (isMockMediaKey(key)) {
+    return remember(
+      kind === "video"
+        ? await mockMedia.getMockVideoUrl(key)
+        : mockMedia.getMockImageUrl(key),
+      key,
+    );
+  }
+
+  if (!config.signUrl) return getAssetUrl(key);
+
+  const cached = signed.get(key);
+  if (cached && !force && isFresh(cached)) return cached.url;
+
+  const result = await config.signUrl(key, { kind });
+  const entry =
+    typeof result === "string"
+      ? { url: result, expiresAt: getUrlExpiry(result) }
+      : {
+          url: result.url,
+          expiresAt: result.expiresAt ?? getUrlExpiry(result.url),
+        };
+  signed.set(key, entry);
+  return remember(entry.url, key);
+};
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  configureAssets,
+  getAssetKey,
+  getAssetUrl,
+  getUrlExpiry,
+  resolveAsset,
+  DEFAULT_ASSET_BASE_URL,
+} from "./assets";
+import { createMockMediaKey } from "../mocks/media";
+
+describe("assets", () => {
+  afterEach(() => {
+    configureAssets();
+    vi.useRealTimers();
+  });
+
+  it("builds URLs from keys on the configured origin", () => {
+    expect(getAssetUrl("u1/images/a b.png")).toBe(
+      `${DEFAULT_ASSET_BASE_URL}/u1/images/a%20b.png`,
+    );
+
+    configureAssets({ baseUrl: "http://localhost:9000/media/" });
+
+    expect(getAssetUrl("u1/images/a.png")).toBe(
+      "http://localhost:9000/media/u1/images/a.png",
+    );
+    expect(getAssetUrl("u1/images/a.png", { fallback: true })).toBeNull();
+
+    configureAssets({ fallbackBaseUrl: "https://backup-cdn.example.com/" });
+
+    expect(getAssetUrl("u1/images/a.png", { fallback: true })).toBe(
+      "https://backup-cdn.example.com/u1/images/a.png",
+    );
+  });
+
+  it("extracts keys from asset URLs and leaves other URLs alone", () => {
+    configureAssets({ baseUrl: "https://staging-cdn.example.com" });
+
+    expect(
+      getAssetKey("https://staging-cdn.example.com/u1/a%20b.png?Expires=1"),
+    ).toBe("u1/a b.png");
+    expect(getAssetKey(`${DEFAULT_ASSET_BASE_URL}/u1/a.png`)).toBe("u1/a.png");
+    expect(getAssetKey("https://other.cloudfront.net/u1/a.png")).toBe(
+      "u1/a.png",
+    );
+    expect(getAssetKey("u1/a.png")).toBe("u1/a.png");
+    expect(getAssetKey("https://example.com/a.png")).toBeNull();
+    // API URLs aren't assets
+    expect(getAssetKey("https://backend.usuals.ai/cdn/u1/a.png")).toBeNull();
+    expect(getAssetKey("blob:http://localhost/123")).toBeNull();
+    expect(getAssetKey("/logo.svg")).toBeNull();
+    expect(getAssetUrl("https://example.com/a.png")).toBe(
+      "https://example.com/a.png",
+    );
+  });
+
+  it("reads the expiry of CloudFront and S3 signed URLs", () => {
+    expect(
+      getUrlExpiry(
+        "https://cdn.example.com/a.png?Expires=1700000000&Signature=x",
+      ),
+    ).toBe(1700000000 * 1000);
+    expect(
+      getUrlExpiry(
+        "https://b.s3.amazonaws.com/a.png?X-Amz-Date=20240101T000000Z&X-Amz-Expires=3600",
+      ),
+    ).toBe(Date.parse("2024-01-01T01:00:00Z"));
+    expect(getUrlExpiry("https://cdn.example.com/a.png")).toBeNull();
+  });
+
+  it("signs keys and refreshes them shortly before they expire", async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+    let version = 0;
+    const signUrl = vi.fn(async (key) => ({
+      url: `https://cdn/${key}?v=${++version}`,
+      expiresAt: 10 * 60 * 1000,
+    }));
+    configureAssets({ signUrl });
+
+    expect(await resolveAsset("u1/a.png")).toBe("https://cdn/u1/a.png?v=1");
+    expect(await resolveAsset("u1/a.png")).toBe("https://cdn/u1/a.png?v=1");
+    expect(getAssetKey("https://cdn/u1/a.png?v=1")).toBe("u1/a.png");
+
+    vi.setSystemTime(9.5 * 60 * 1000);
+    expect(await resolveAsset("u1/a.png")).toBe("https://cdn/u1/a.png?v=2");
+    expect(await resolveAsset("u1/a.png", { force: true })).toBe(
+      "https://cdn/u1/a.png?v=3",
+    );
+    expect(signUrl).toHaveBeenCalledTimes(3);
+  });
+
+  it("resolves mock keys to local placeholders and maps them back", async () => {
+    localStorage.setItem("useMockApi", "true");
+    const key = createMockMediaKey("images", "A lighthouse", "svg");
+
+    const url = await resolveAsset(key);
+    localStorage.removeItem("useMockApi");
+
+    expect(url.startsWith("data:image/svg+xml")).toBe(true);
+    expect(getAssetKey(url)).toBe(key);
+  });
+});
@@ -1,7 +1,17 @@
 import axios from "axios";
+import { attachSessionHandling } from "./session";
+import { isMockApiEnabled } from "../mocks/config";
 
 export const API_BASE_URL = "https://backend.usuals.ai";
 
 export const axiosInstance = axios.create({
   baseURL: API_BASE_URL,
+  // In mock mode requests are answered in the browser (see src/mocks); the
+  // mock code is only loaded when it is switched on
+  ...(isMockApiEnabled() && {
+    adapter: (config) =>
+      import("../mocks").then(({ mockAdapter }) => mockAdapter(config)),
+  }),
 });
+
+attachSessionHandling(axiosInstance);
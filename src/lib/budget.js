@@ -0,0 +1,59 @@
+import { ApiError } from "./apiError";
+
+export const BUDGET_EXCEEDED = "BUDGET_EXCEEDED";
+// The project has a budget but what it has spent isn't known yet
+export const BUDGET_UNKNOWN = "BUDGET_UNKNOWN";
+
+const formatCredits = (credits) => Number(credits.toFixed(2));
+
+/**
+ * Where a project stands against its credit budget. `limit` is the budget
+ * (null: no budget), `spent` what the credit history says the project cost
+ * and `reserved` what requests in flight are expected to cost.
+ */
+export const getBudgetStatus = ({ limit = null, spent = 0, reserved = 0 } = {}) => {
+  const used = spent + reserved;
+  return {
+    limit,
+    spent,
+    reserved,
+    used,
+    remaining: limit == null ? null : Math.max(0, limit - used),
+    exceeded: limit != null && used > limit,
+  };
+};
+
+/**
+ * Whether a call costing `cost` fits the budget. Throws ApiError with code
+ * BUDGET_EXCEEDED and a message for the user when it doesn't, and with
+ * BUDGET_UNKNOWN while the spend of a budgeted project hasn't loaded
+ * (`loaded: false`), so nothing runs against a budget it can't check.
+ */
+export const assertWithinBudget = (budget, cost, { projectName } = {}) => {
+  const status = getBudgetStatus(budget);
+  const name = projectName ? `"${projectName}"` : "this project";
+  if (status.limit != null && budget?.loaded === false) {
+    throw new ApiError({
+      message: budget.error
+        ? `Couldn't check the credit budget of ${name}: ${budget.error}. Reload the budget to continue.`
+        : `The credit budget of ${name} is still being checked. Try again in a moment.`,
+      code: BUDGET_UNKNOWN,
+      details: { cost, ...status },
+    });
+  }
+  if (status.limit == null || status.used + cost <= status.limit) return status;
+  throw new ApiError({
+    message:
+      `This would exceed the credit budget of ${name}: ` +
+      `${formatCredits(cost)} needed, ${formatCredits(status.remaining)} of ${formatCredits(status.limit)} left. ` +
+      "Raise the budget to continue.",
+    code: BUDGET_EXCEEDED,
+    details: { cost, ...status },
+  });
+};
+
+export const isBudgetExceededError = (error) => error?.code === BUDGET_EXCEEDED;
+
+// The call was held back by the budget, whether it is used up or unknown
+export const isBudgetError = (error) =>
+  error?.code === BUDGET_EXCEEDED || error?.code === BUDGET_UNKNOWN;
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import {
+  BUDGET_UNKNOWN,
+  getBudgetStatus,
+  assertWithinBudget,
+  isBudgetError,
+  isBudgetExceededError,
+} from "./budget";
+
+describe("budget", () => {
+  it("reports used and remaining credits", () => {
+    expect(getBudgetStatus({ limit: 100, spent: 40, reserved: 10 })).toEqual({
+      limit: 100,
+      spent: 40,
+      reserved: 10,
+      used: 50,
+      remaining: 50,
+      exceeded: false,
+    });
+    expect(getBudgetStatus({ spent: 40 })).toMatchObject({ limit: null, remaining: null });
+  });
+
+  it("allows calls up to the limit", () => {
+    expect(assertWithinBudget({ limit: 100, spent: 90 }, 10).remaining).toBe(10);
+    expect(assertWithinBudget({ limit: null, spent: 1000 }, 10).limit).toBeNull();
+  });
+
+  it("rejects calls that would exceed the limit", () => {
+    const error = (() => {
+      try {
+        assertWithinBudget({ limit: 100, spent: 80, reserved: 15 }, 12.5, { projectName: "Trailer" });
+      } catch (e) {
+        return e;
+      }
+      return null;
+    })();
+
+    expect(isBudgetExceededError(error)).toBe(true);
+    expect(error.message).toBe(
+      'This would exceed the credit budget of "Trailer": 12.5 needed, 5 of 100 left. Raise the budget to continue.',
+    );
+  });
+
+  it("holds calls back until the spend of a budgeted project is known", () => {
+    const attempt = (budget) => {
+      try {
+        assertWithinBudget(budget, 1, { projectName: "Trailer" });
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+
+    const loading = attempt({ limit: 100, loaded: false });
+    expect(loading.code).toBe(BUDGET_UNKNOWN);
+    expect(isBudgetError(loading)).toBe(true);
+    expect(attempt({ limit: 100, loaded: false, error: "Network down" }).message).toBe(
+      'Couldn\'t check the credit budget of "Trailer": Network down. Reload the budget to continue.',
+    );
+    // Without a budget there is nothing to check
+    expect(attempt({ limit: null, loaded: false })).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+export const DEFAULT_LOW_BALANCE_THRESHOLD = 10;
+
+const THRESHOLD_KEY = "lowBalanceThreshold";
+
+const formatCredits = (credits) => Number(credits.toFixed(2));
+
+// The user's warning threshold in credits, or the default
+export const readLowBalanceThreshold = (storage = globalThis.localStorage) => {
+  try {
+    const stored = storage?.getItem(THRESHOLD_KEY);
+    const threshold = stored == null ? NaN : Number(stored);
+    return Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_LOW_BALANCE_THRESHOLD;
+  } catch {
+    return DEFAULT_LOW_BALANCE_THRESHOLD;
+  }
+};
+
+export const saveLowBalanceThreshold = (threshold, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(THRESHOLD_KEY, String(threshold));
+  } catch (error) {
+    console.warn("Failed to save the low balance threshold:", error);
+  }
+};
+
+/**
+ * Whether the balance calls for a warning: below what the current step is
+ * estimated to cost (`required`, from estimateGenerationCost) or below the
+ * user's threshold. Returns { reason: "step" | "threshold", shortfall,
+ * message } or null.
+ */
+export const getLowBalanceWarning = ({ balance, threshold = DEFAULT_LOW_BALANCE_THRESHOLD, required = 0 }) => {
+  if (required > 0 && balance < required) {
+    return {
+      reason: "step",
+      shortfall: required - balance,
+      message: `${formatCredits(balance)} credits left; the next step needs about ${formatCredits(required)}.`,
+    };
+  }
+  if (threshold != null && balance < threshold) {
+    return {
+      reason: "threshold",
+      shortfall: threshold - balance,
+      message: `${formatCredits(balance)} credits left, below your warning level of ${formatCredits(threshold)}.`,
+    };
+  }
+  return null;
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_LOW_BALANCE_THRESHOLD,
+  getLowBalanceWarning,
+  readLowBalanceThreshold,
+  saveLowBalanceThreshold,
+} from "./creditAlerts";
+
+const memoryStorage = () => {
+  const data = {};
+  return {
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+};
+
+describe("credit alerts", () => {
+  it("warns when the balance won't cover the current step", () => {
+    expect(getLowBalanceWarning({ balance: 30, threshold: 10, required: 50 })).toMatchObject({
+      reason: "step",
+      shortfall: 20,
+    });
+  });
+
+  it("warns below the threshold and not above it", () => {
+    expect(getLowBalanceWarning({ balance: 4, threshold: 10 })).toMatchObject({
+      reason: "threshold",
+      shortfall: 6,
+    });
+    expect(getLowBalanceWarning({ balance: 30, threshold: 10, required: 25 })).toBeNull();
+    expect(getLowBalanceWarning({ balance: 4, threshold: null })).toBeNull();
+  });
+
+  it("keeps the threshold in storage", () => {
+    const storage = memoryStorage();
+    expect(readLowBalanceThreshold(storage)).toBe(DEFAULT_LOW_BALANCE_THRESHOLD);
+    saveLowBalanceThreshold(25, storage);
+    expect(readLowBalanceThreshold(storage)).toBe(25);
+    saveLowBalanceThreshold("nonsense", storage);
+    expect(readLowBalanceThreshold(storage)).toBe(DEFAULT_LOW_BALANCE_THRESHOLD);
+  });
+});
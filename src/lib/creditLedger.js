@@ -0,0 +1,244 @@
+import { createRequestNonce } from "./idempotency";
+
+export const OPERATION_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  // The request failed
+  FAILED: "failed",
+  // The request succeeded but returned nothing usable (no s3_key)
+  EMPTY: "empty",
+  CANCELLED: "cancelled",
+};
+
+const STORAGE_KEY = "creditLedger";
+const MAX_STORED_RUNS = 20;
+
+// Charges for these outcomes are refunded
+const REFUNDABLE_STATUSES = [OPERATION_STATUS.FAILED, OPERATION_STATUS.EMPTY];
+
+const readStoredRuns = (storage, storageKey) => {
+  try {
+    const stored = JSON.parse(storage?.getItem(storageKey) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const sum = (operations, field) =>
+  operations.reduce((total, operation) => total + (operation[field] || 0), 0);
+
+export const isRefundable = (operation) =>
+  REFUNDABLE_STATUSES.includes(operation.status) &&
+  operation.charged > 0 &&
+  !(operation.refunded > 0);
+
+/**
+ * Client-side record of what each generation run was charged for.
+ *
+ * Every paid request is an operation keyed by its `operationId`, the
+ * idempotency key the backend stores on the DEDUCTION transaction. Runs
+ * record the outcome of each operation; applyTransactions() then matches the
+ * credit history against them, so charges for failed or empty results can be
+ * found and refunded (services/credit-reconciliation). Runs are kept in
+ * localStorage so a reload doesn't lose unreconciled charges.
+ */
+export const createCreditLedger = ({
+  storage = globalThis.localStorage,
+  storageKey = STORAGE_KEY,
+  now = () => Date.now(),
+} = {}) => {
+  const listeners = new Set();
+  let runs = readStoredRuns(storage, storageKey);
+
+  const persist = () => {
+    runs = runs.slice(-MAX_STORED_RUNS);
+    try {
+      storage?.setItem(storageKey, JSON.stringify(runs));
+    } catch (error) {
+      console.warn("Failed to persist the credit ledger:", error);
+    }
+  };
+
+  const emit = () => {
+    [...listeners].forEach((listener) => listener(runs));
+  };
+
+  const getRun = (runId) => runs.find((run) => run.id === runId) || null;
+
+  // Runs are replaced rather than mutated so React snapshots stay comparable
+  const updateRun = (runId, update) => {
+    const current = getRun(runId);
+    if (!current) return null;
+    const next = { ...update(current), updatedAt: now() };
+    runs = runs.map((run) => (run.id === runId ? next : run));
+    persist();
+    emit();
+    return next;
+  };
+
+  const findRunId = (operationId) =>
+    runs.find((run) =>
+      run.operations.some((operation) => operation.operationId === operationId),
+    )?.id;
+
+  const updateOperation = (operationId, patch) => {
+    const runId = findRunId(operationId);
+    if (!runId) return null;
+    return updateRun(runId, (run) => ({
+      ...run,
+      operations: run.operations.map((operation) =>
+        operation.operationId === operationId
+          ? { ...operation, ...patch }
+          : operation,
+      ),
+    }));
+  };
+
+  const ledger = {
+    // { type: "IMAGE" | "VIDEO", model, projectId, label }
+    startRun({ type, model, projectId = null, label } = {}) {
+      const run = {
+        id: `run-${createRequestNonce()}`,
+        type,
+        model,
+        projectId,
+        label: label || `${type} generation`,
+        operations: [],
+        startedAt: now(),
+        finishedAt: null,
+        reconciledAt: null,
+        updatedAt: now(),
+      };
+      runs = [...runs, run];
+      persist();
+      emit();
+      return run;
+    },
+
+    // One paid request of the run; `expectedCredits` is what it should cost
+    addOperation(runId, { operationId, segmentId = null, expectedCredits = 0 }) {
+      return updateRun(runId, (run) => ({
+        ...run,
+        operations: [
+          ...run.operations,
+          {
+            operationId,
+            segmentId,
+            expectedCredits,
+            status: OPERATION_STATUS.PENDING,
+            error: null,
+            // HTTP status of the failure, 0 when no response came back
+            errorStatus: null,
+            addedAt: now(),
+            charged: 0,
+            chargeTransactionId: null,
+            refunded: 0,
+            refundTransactionId: null,
+            refundError: null,
+          },
+        ],
+      }));
+    },
+
+    settleOperation(operationId, status, { error = null, errorStatus = null } = {}) {
+      return updateOperation(operationId, { status, error, errorStatus });
+    },
+
+    finishRun(runId) {
+      return updateRun(runId, (run) => ({ ...run, finishedAt: now() }));
+    },
+
+    /**
+     * Match credit history transactions to operations by operationId:
+     * DEDUCTIONs set `charged`, REFUNDs set `refunded`. Returns the number of
+     * transactions that belonged to a tracked operation.
+     */
+    applyTransactions(transactions = []) {
+      let matched = 0;
+      transactions.forEach((transaction) => {
+        const operationId = transaction.operationId ?? transaction.operation_id;
+        if (!operationId || !findRunId(operationId)) return;
+        const amount = Math.abs(Number(transaction.amount) || 0);
+        if (transaction.type === "DEDUCTION") {
+          updateOperation(operationId, {
+            charged: amount,
+            chargeTransactionId: transaction.id ?? null,
+          });
+          matched += 1;
+        } else if (transaction.type === "REFUND") {
+          updateOperation(operationId, {
+            refunded: amount,
+            refundTransactionId: transaction.id ?? null,
+            refundError: null,
+          });
+          matched += 1;
+        }
+      });
+      return matched;
+    },
+
+    recordRefund(operationId, { amount, transactionId = null, error = null }) {
+      return updateOperation(
+        operationId,
+        error
+          ? { refundError: error }
+          : { refunded: amount, refundTransactionId: transactionId, refundError: null },
+      );
+    },
+
+    markReconciled(runId) {
+      return updateRun(runId, (run) => ({ ...run, reconciledAt: now() }));
+    },
+
+    getRun,
+
+    getOperation: (operationId) =>
+      getRun(findRunId(operationId))?.operations.find(
+        (operation) => operation.operationId === operationId,
+      ) || null,
+
+    // Stable between changes, so it can back useSyncExternalStore
+    getRuns: () => runs,
+
+    /**
+     * Totals for a run: what was expected, charged and refunded, how many
+     * operations ended in each status, and the charges still to be refunded.
+     */
+    getRunSummary(runId) {
+      const run = getRun(runId);
+      if (!run) return null;
+      const { operations } = run;
+      const counts = Object.fromEntries(
+        Object.values(OPERATION_STATUS).map((status) => [
+          status,
+          operations.filter((operation) => operation.status === status).length,
+        ]),
+      );
+      const charged = sum(operations, "charged");
+      const refunded = sum(operations, "refunded");
+      return {
+        run,
+        counts,
+        expected: sum(
+          operations.filter((operation) => operation.status === OPERATION_STATUS.SUCCEEDED),
+          "expectedCredits",
+        ),
+        charged,
+        refunded,
+        net: charged - refunded,
+        unrefunded: operations.filter(isRefundable),
+        reconciled: run.reconciledAt != null,
+      };
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return ledger;
+};
+
+export const creditLedger = createCreditLedger();
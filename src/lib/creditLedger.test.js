@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createCreditLedger, OPERATION_STATUS } from "./creditLedger";
+
+const createStorage = () => {
+  const data = {};
+  return {
+    data,
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+};
+
+describe("creditLedger", () => {
+  let storage;
+  let ledger;
+  let run;
+
+  beforeEach(() => {
+    storage = createStorage();
+    ledger = createCreditLedger({ storage });
+    run = ledger.startRun({ type: "IMAGE", model: "imagen", projectId: "p1" });
+    ledger.addOperation(run.id, { operationId: "op-1", segmentId: 1, expectedCredits: 2 });
+    ledger.addOperation(run.id, { operationId: "op-2", segmentId: 2, expectedCredits: 2 });
+    ledger.addOperation(run.id, { operationId: "op-3", segmentId: 3, expectedCredits: 2 });
+    ledger.settleOperation("op-1", OPERATION_STATUS.SUCCEEDED);
+    ledger.settleOperation("op-2", OPERATION_STATUS.FAILED, { error: "boom" });
+    ledger.settleOperation("op-3", OPERATION_STATUS.CANCELLED);
+  });
+
+  it("matches history transactions to operations by operationId", () => {
+    const matched = ledger.applyTransactions([
+      { id: "t1", type: "DEDUCTION", amount: 2, operationId: "op-1" },
+      { id: "t2", type: "DEDUCTION", amount: 2, operationId: "op-2" },
+      { id: "t3", type: "DEDUCTION", amount: 5, operationId: "someone-else" },
+      { id: "t4", type: "PURCHASE", amount: 50 },
+    ]);
+
+    const summary = ledger.getRunSummary(run.id);
+    expect(matched).toBe(2);
+    expect(summary.charged).toBe(4);
+    expect(summary.expected).toBe(2);
+    expect(summary.counts).toMatchObject({ succeeded: 1, failed: 1, cancelled: 1 });
+    expect(summary.unrefunded.map((operation) => operation.operationId)).toEqual(["op-2"]);
+  });
+
+  it("stops listing an operation as unrefunded once refunded", () => {
+    ledger.applyTransactions([{ id: "t2", type: "DEDUCTION", amount: 2, operationId: "op-2" }]);
+
+    ledger.recordRefund("op-2", { error: "offline" });
+    expect(ledger.getRunSummary(run.id).unrefunded[0].refundError).toBe("offline");
+
+    ledger.recordRefund("op-2", { amount: 2, transactionId: "r1" });
+    const summary = ledger.getRunSummary(run.id);
+    expect(summary.unrefunded).toEqual([]);
+    expect(summary.refunded).toBe(2);
+    expect(summary.net).toBe(0);
+  });
+
+  it("keeps runs across reloads", () => {
+    ledger.finishRun(run.id);
+
+    const restored = createCreditLedger({ storage });
+
+    expect(restored.getRun(run.id).operations).toHaveLength(3);
+    expect(restored.getRun(run.id).finishedAt).not.toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+export const TRANSACTION_TYPES = ["DEDUCTION", "REFUND", "PURCHASE"];
+
+const transactionTime = (transaction) => {
+  const time = Date.parse(transaction.createdAt ?? transaction.created_at ?? "");
+  return Number.isNaN(time) ? null : time;
+};
+
+const operationIdOf = (transaction) =>
+  transaction.operationId ?? transaction.operation_id ?? null;
+
+/**
+ * Fill in model and project on refunds from the deduction they refund (same
+ * operationId), so refunds count against the model and project that were
+ * charged.
+ */
+export const attributeRefunds = (transactions) => {
+  const deductions = new Map();
+  transactions.forEach((transaction) => {
+    const operationId = operationIdOf(transaction);
+    if (transaction.type === "DEDUCTION" && operationId) {
+      deductions.set(operationId, transaction);
+    }
+  });
+  return transactions.map((transaction) => {
+    if (transaction.type !== "REFUND") return transaction;
+    const charge = deductions.get(operationIdOf(transaction));
+    if (!charge) return transaction;
+    return {
+      ...transaction,
+      modelName: transaction.modelName ?? charge.modelName,
+      projectId: transaction.projectId ?? charge.projectId,
+    };
+  });
+};
+
+// "YYYY-MM-DD" (from <input type="date">) is a local day, not UTC midnight
+const toDate = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+/**
+ * Filter transactions by { type, model, from, to }. `from` / `to` are
+ * dates or "YYYY-MM-DD" strings; `to` includes the whole day.
+ */
+export const filterTransactions = (transactions, { type, model, from, to } = {}) => {
+  const start = from ? toDate(from).setHours(0, 0, 0, 0) : null;
+  const end = to ? toDate(to).setHours(23, 59, 59, 999) : null;
+  return transactions.filter((transaction) => {
+    if (type && transaction.type !== type) return false;
+    if (model && transaction.modelName !== model) return false;
+    if (start != null || end != null) {
+      const time = transactionTime(transaction);
+      if (time == null) return false;
+      if (start != null && time < start) return false;
+      if (end != null && time > end) return false;
+    }
+    return true;
+  });
+};
+
+const breakdown = (transactions, keyOf) => {
+  const groups = new Map();
+  transactions.forEach((transaction) => {
+    if (transaction.type !== "DEDUCTION" && transaction.type !== "REFUND") return;
+    const key = keyOf(transaction) ?? null;
+    const group = groups.get(key) || { key, spent: 0, refunded: 0, net: 0, count: 0 };
+    const amount = Math.abs(Number(transaction.amount) || 0);
+    if (transaction.type === "DEDUCTION") {
+      group.spent += amount;
+      group.count += 1;
+    } else {
+      group.refunded += amount;
+    }
+    group.net = group.spent - group.refunded;
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.net - a.net);
+};
+
+/**
+ * Spend per project and per model: { byProject, byModel, totals }. Each group
+ * is { key, spent, refunded, net, count } where count is the number of
+ * charges; key is null for transactions without a project or model.
+ */
+export const summarizeSpending = (transactions) => {
+  const attributed = attributeRefunds(transactions);
+  const totals = Object.fromEntries(TRANSACTION_TYPES.map((type) => [type, 0]));
+  attributed.forEach((transaction) => {
+    if (transaction.type in totals) {
+      totals[transaction.type] += Math.abs(Number(transaction.amount) || 0);
+    }
+  });
+  return {
+    byProject: breakdown(attributed, (transaction) => transaction.projectId),
+    byModel: breakdown(attributed, (transaction) => transaction.modelName),
+    totals,
+  };
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { attributeRefunds, filterTransactions, summarizeSpending } from "./creditReport";
+
+const TRANSACTIONS = [
+  { id: "r1", type: "REFUND", amount: 20, operationId: "op-2", createdAt: "2025-03-03T10:00:00Z" },
+  { id: "t2", type: "DEDUCTION", amount: 20, modelName: "kling-v2.1-master", projectId: "p1", operationId: "op-2", createdAt: "2025-03-02T10:00:00Z" },
+  { id: "t1", type: "DEDUCTION", amount: 1, modelName: "recraft-v3", projectId: "p1", operationId: "op-1", createdAt: "2025-03-01T10:00:00Z" },
+  { id: "t0", type: "DEDUCTION", amount: 3, modelName: "script & segmentation", createdAt: "2025-02-28T10:00:00Z" },
+  { id: "p0", type: "PURCHASE", amount: 100, createdAt: "2025-02-27T10:00:00Z" },
+];
+
+describe("creditReport", () => {
+  it("attributes refunds to the charge they refund", () => {
+    expect(attributeRefunds(TRANSACTIONS)[0]).toMatchObject({
+      modelName: "kling-v2.1-master",
+      projectId: "p1",
+    });
+  });
+
+  it("filters by type, model and date range", () => {
+    const ids = (list) => list.map((transaction) => transaction.id);
+
+    expect(ids(filterTransactions(TRANSACTIONS, { type: "DEDUCTION" }))).toEqual(["t2", "t1", "t0"]);
+    expect(ids(filterTransactions(TRANSACTIONS, { model: "recraft-v3" }))).toEqual(["t1"]);
+    expect(ids(filterTransactions(TRANSACTIONS, { from: "2025-02-28", to: "2025-03-01" }))).toEqual([
+      "t1",
+      "t0",
+    ]);
+  });
+
+  it("breaks spending down per project and per model", () => {
+    const { byProject, byModel, totals } = summarizeSpending(TRANSACTIONS);
+
+    expect(totals).toEqual({ DEDUCTION: 24, REFUND: 20, PURCHASE: 100 });
+    expect(byProject).toEqual([
+      { key: null, spent: 3, refunded: 0, net: 3, count: 1 },
+      { key: "p1", spent: 21, refunded: 20, net: 1, count: 2 },
+    ]);
+    expect(byModel.find((group) => group.key === "kling-v2.1-master")).toEqual({
+      key: "kling-v2.1-master",
+      spent: 20,
+      refunded: 20,
+      net: 0,
+      count: 1,
+    });
+  });
+});
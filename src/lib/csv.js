@@ -0,0 +1,38 @@
+// Quote a cell when it contains a delimiter, quote or line break (RFC 4180).
+// Cells starting with = + - @ are prefixed with ' so spreadsheets don't run
+// them as formulas.
+const escapeCell = (value) => {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows of objects to CSV text. `columns` is a list of { key, label } where
+ * `key` is a property name or a function of the row.
+ */
+export const toCsv = (rows, columns) => {
+  const header = columns.map((column) => escapeCell(column.label ?? column.key));
+  const lines = rows.map((row) =>
+    columns
+      .map((column) =>
+        escapeCell(typeof column.key === "function" ? column.key(row) : row[column.key]),
+      )
+      .join(","),
+  );
+  return [header.join(","), ...lines].join("\r\n");
+};
+
+// Save CSV text as a file. The BOM makes Excel read it as UTF-8.
+export const downloadCsv = (filename, csv) => {
+  const blob = new Blob(["\uFEFF", csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
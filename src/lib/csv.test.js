@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { toCsv } from "./csv";
+
+describe("toCsv", () => {
+  it("writes a header and one line per row", () => {
+    const csv = toCsv(
+      [
+        { id: "t1", amount: 2.5 },
+        { id: "t2", amount: null },
+      ],
+      [{ key: "id", label: "ID" }, { key: "amount" }, { key: (row) => row.id.toUpperCase(), label: "Upper" }],
+    );
+
+    expect(csv).toBe("ID,amount,Upper\r\nt1,2.5,T1\r\nt2,,T2");
+  });
+
+  it("quotes delimiters, quotes and line breaks", () => {
+    const csv = toCsv([{ text: 'say "hi", then\nleave' }], [{ key: "text" }]);
+
+    expect(csv.split("\r\n")[1]).toBe('"say ""hi"", then\nleave"');
+  });
+
+  it("neutralises spreadsheet formulas", () => {
+    expect(toCsv([{ text: "=SUM(A1)" }], [{ key: "text" }]).split("\r\n")[1]).toBe("'=SUM(A1)");
+    expect(toCsv([{ n: -5 }], [{ key: "n" }]).split("\r\n")[1]).toBe("-5");
+  });
+});
@@ -0,0 +1,322 @@
+import { ApiError } from "./apiError";
+import { getAssetUrl } from "./assets";
+
+/**
+ * Canonical Segment, Image, Video and Voiceover entities, mapped from backend
+ * payloads whatever spelling they use, and checked against a schema.
+ *
+ * Relations are explicit: images, videos and voiceovers carry the `segmentId`
+ * they belong to and a video carries the `imageId` it was made from.
+ * normalizeProjectEntities() keeps them in tables by id with indexes for
+ * those relations; the get* helpers read them, e.g. getPrimaryImage().
+ *
+ * Ids are strings. Segment ids drop the uuid decoration generations are sent
+ * with: "seg-2" and "seg-2-1712345678901" both belong to segment "2".
+ */
+
+export const ENTITY_TYPES = {
+  SEGMENT: "segment",
+  IMAGE: "image",
+  VIDEO: "video",
+  VOICEOVER: "voiceover",
+};
+
+export const INVALID_ENTITY = "INVALID_ENTITY";
+
+const SCHEMAS = {
+  segment: {
+    id: "string",
+    segmentationId: "string?",
+    index: "number",
+    visual: "text",
+    animation: "text",
+    narration: "text",
+    artStyle: "string?",
+    imageS3Key: "string?",
+    imageUrl: "string?",
+    videoUrl: "string?",
+  },
+  image: {
+    id: "string",
+    segmentId: "string",
+    uuid: "string?",
+    s3Key: "string?",
+    url: "string?",
+    visualPrompt: "string?",
+    artStyle: "string?",
+    model: "string?",
+    isPrimary: "boolean",
+    success: "boolean",
+  },
+  video: {
+    id: "string",
+    segmentId: "string",
+    imageId: "string?",
+    uuid: "string?",
+    s3Key: "string?",
+    s3Keys: "array",
+    url: "string?",
+    imageS3Key: "string?",
+    animationPrompt: "string?",
+    artStyle: "string?",
+    model: "string?",
+    success: "boolean",
+  },
+  voiceover: {
+    id: "string",
+    segmentId: "string?",
+    s3Key: "string?",
+    url: "string?",
+    narration: "string?",
+    success: "boolean",
+  },
+};
+
+// Media entities need something to play
+const HAS_MEDIA = ["image", "video", "voiceover"];
+
+const isType = (value, type) => {
+  const optional = type.endsWith("?");
+  if (value == null) return optional;
+  const base = optional ? type.slice(0, -1) : type;
+  if (base === "array") return Array.isArray(value);
+  // "text" may be empty, "string" may not
+  if (base === "text") return typeof value === "string";
+  if (base === "string") return typeof value === "string" && value !== "";
+  return typeof value === base;
+};
+
+// Problems with a normalized entity, one message each; empty when it is valid
+export const validateEntity = (type, entity) => {
+  const errors = Object.entries(SCHEMAS[type])
+    .filter(([field, fieldType]) => !isType(entity[field], fieldType))
+    .map(([field, fieldType]) => `${field} must be ${fieldType.replace("?", " or empty")}`);
+  if (HAS_MEDIA.includes(type) && !entity.s3Key && !entity.url) {
+    errors.push("s3Key or url is required");
+  }
+  return errors;
+};
+
+const toId = (value) =>
+  value == null || value === "" ? null : String(value);
+
+const firstOf = (...values) => values.find((value) => value != null && value !== "") ?? null;
+
+// "seg-2" and "seg-2-<timestamp>" -> "2"; other ids are kept as they are
+export const toSegmentId = (value) => {
+  const id = toId(value);
+  if (!id?.startsWith("seg-")) return id;
+  return id.slice(4).replace(/-\d{10,}$/, "") || null;
+};
+
+export const normalizeSegment = (raw, { index = 0, segmentationId = null, artStyle = null } = {}) => ({
+  id: toSegmentId(firstOf(raw.segmentId, raw.id)) ?? String(index + 1),
+  segmentationId: toId(segmentationId),
+  index,
+  visual: raw.visual || "",
+  animation: raw.animation || "",
+  narration: raw.narration || "",
+  artStyle: firstOf(raw.artStyle, artStyle),
+  imageS3Key: firstOf(raw.s3Key, raw.imageS3Key, raw.image_s3_key),
+  imageUrl: firstOf(raw.imageUrl, raw.image_url),
+  videoUrl: firstOf(raw.videoUrl, raw.video_url),
+});
+
+export const normalizeImage = (raw) => ({
+  id: toId(raw.id),
+  segmentId: toSegmentId(firstOf(raw.segmentId, raw.segment_id, raw.uuid)),
+  uuid: toId(raw.uuid),
+  s3Key: firstOf(raw.s3Key, raw.imageS3Key, raw.imageS3key, raw.image_s3_key, raw.s3_key),
+  url: firstOf(raw.url, raw.imageUrl),
+  visualPrompt: firstOf(raw.visualPrompt, raw.visual_prompt),
+  artStyle: firstOf(raw.artStyle, raw.art_style),
+  model: firstOf(raw.model),
+  isPrimary: raw.isPrimary === true,
+  success: raw.success !== false,
+  createdAt: raw.createdAt ?? null,
+});
+
+const videoKeys = (raw) => {
+  if (Array.isArray(raw.s3Keys) && raw.s3Keys.length > 0) return raw.s3Keys;
+  if (Array.isArray(raw.videoFiles)) {
+    return raw.videoFiles.map((file) => file?.s3Key).filter(Boolean);
+  }
+  const key = firstOf(raw.s3Key, raw.s3_key);
+  return key ? [key] : [];
+};
+
+export const normalizeVideo = (raw) => {
+  const s3Keys = videoKeys(raw);
+  return {
+    id: toId(raw.id),
+    segmentId: toSegmentId(firstOf(raw.segmentId, raw.segment_id, raw.uuid)),
+    imageId: toId(raw.imageId),
+    uuid: toId(raw.uuid),
+    s3Key: s3Keys[0] ?? null,
+    s3Keys,
+    url: firstOf(raw.url, raw.videoUrl),
+    imageS3Key: firstOf(raw.imageS3Key, raw.image_s3_key),
+    animationPrompt: firstOf(raw.animationPrompt, raw.animation_prompt),
+    artStyle: firstOf(raw.artStyle, raw.art_style),
+    model: firstOf(raw.model),
+    success: raw.success !== false,
+    createdAt: raw.createdAt ?? null,
+  };
+};
+
+export const normalizeVoiceover = (raw) => ({
+  id: toId(raw.id),
+  segmentId: toSegmentId(firstOf(raw.segmentId, raw.segment_id, raw.uuid)),
+  s3Key: firstOf(raw.s3Key, raw.s3_key, raw.audioS3Key),
+  url: firstOf(raw.url, raw.audioUrl),
+  narration: firstOf(raw.narration, raw.narration_prompt),
+  success: raw.success !== false,
+  createdAt: raw.createdAt ?? null,
+});
+
+const NORMALIZERS = {
+  segment: normalizeSegment,
+  image: normalizeImage,
+  video: normalizeVideo,
+  voiceover: normalizeVoiceover,
+};
+
+/**
+ * Normalize one payload record, throwing INVALID_ENTITY (with the problems in
+ * `details.errors`) when it doesn't fit the schema.
+ */
+export const parseEntity = (type, raw, options) => {
+  const entity = NORMALIZERS[type](raw || {}, options);
+  const errors = validateEntity(type, entity);
+  if (errors.length > 0) {
+    throw new ApiError({
+      message: `Invalid ${type} in the response: ${errors.join(", ")}.`,
+      code: INVALID_ENTITY,
+      details: { type, errors, record: raw },
+    });
+  }
+  return entity;
+};
+
+const emptyTable = () => ({ byId: {}, ids: [] });
+
+const createEntities = () => ({
+  segments: emptyTable(),
+  images: emptyTable(),
+  videos: emptyTable(),
+  voiceovers: emptyTable(),
+  imageIdsBySegment: {},
+  videoIdsBySegment: {},
+  videoIdsByImage: {},
+  voiceoverIdsBySegment: {},
+  invalid: [],
+});
+
+// Entities of a project with no resources; shared, don't modify
+export const EMPTY_ENTITIES = createEntities();
+
+const addTo = (index, key, id) => {
+  if (key == null) return;
+  (index[key] ||= []).push(id);
+};
+
+/**
+ * Normalize a project's resources (as returned by hydrateProject) into
+ * tables by id plus relation indexes. Segments come from the current script,
+ * the first segmentation. Records that fail validation are left out and
+ * listed in `invalid` as { type, record, errors }; failed generations
+ * (success: false) are kept in the tables but not in the indexes.
+ */
+export const normalizeProjectEntities = ({
+  segmentations = [],
+  images = [],
+  videos = [],
+  voiceovers = [],
+} = {}) => {
+  const entities = createEntities();
+
+  const collect = (type, table, records, options = () => undefined) =>
+    (Array.isArray(records) ? records : []).forEach((record, index) => {
+      try {
+        const entity = parseEntity(type, record, options(index));
+        if (!table.byId[entity.id]) table.ids.push(entity.id);
+        table.byId[entity.id] = entity;
+      } catch (error) {
+        entities.invalid.push({ type, record, errors: error.details?.errors || [error.message] });
+      }
+    });
+
+  const script = Array.isArray(segmentations) ? segmentations[0] : null;
+  collect(ENTITY_TYPES.SEGMENT, entities.segments, script?.segments, (index) => ({
+    index,
+    segmentationId: script.id,
+    artStyle: script.artStyle,
+  }));
+  collect(ENTITY_TYPES.IMAGE, entities.images, images);
+  collect(ENTITY_TYPES.VIDEO, entities.videos, videos);
+  collect(ENTITY_TYPES.VOICEOVER, entities.voiceovers, voiceovers);
+
+  const imageIdByKey = {};
+  entities.images.ids.forEach((id) => {
+    const image = entities.images.byId[id];
+    if (!image.success) return;
+    addTo(entities.imageIdsBySegment, image.segmentId, id);
+    if (image.s3Key) imageIdByKey[image.s3Key] = id;
+  });
+  // Primary first; otherwise in the backend's order
+  Object.values(entities.imageIdsBySegment).forEach((ids) =>
+    ids.sort((a, b) => entities.images.byId[b].isPrimary - entities.images.byId[a].isPrimary),
+  );
+
+  entities.videos.ids.forEach((id) => {
+    const video = entities.videos.byId[id];
+    video.imageId ??= imageIdByKey[video.imageS3Key] ?? null;
+    if (!video.success) return;
+    addTo(entities.videoIdsBySegment, video.segmentId, id);
+    addTo(entities.videoIdsByImage, video.imageId, id);
+  });
+
+  entities.voiceovers.ids.forEach((id) => {
+    const voiceover = entities.voiceovers.byId[id];
+    if (voiceover.success) addTo(entities.voiceoverIdsBySegment, voiceover.segmentId, id);
+  });
+
+  if (entities.invalid.length > 0) {
+    console.warn("Skipped invalid project records:", entities.invalid);
+  }
+  return entities;
+};
+
+const pick = (table, ids) => (ids || []).map((id) => table.byId[id]);
+
+// The current script's segments, in order
+export const getSegments = (entities) => pick(entities.segments, entities.segments.ids);
+
+// A segment's images, primary first
+export const getSegmentImages = (entities, segmentId) =>
+  pick(entities.images, entities.imageIdsBySegment[toSegmentId(segmentId)]);
+
+// The image flagged primary for a segment, or its first image; null without images
+export const getPrimaryImage = (entities, segmentId) =>
+  getSegmentImages(entities, segmentId)[0] ?? null;
+
+// The video made from an image, or null
+export const getImageVideo = (entities, imageId) =>
+  pick(entities.videos, entities.videoIdsByImage[toId(imageId)])[0] ?? null;
+
+// The video shown for a segment: the primary image's, otherwise its first one
+export const getSegmentVideo = (entities, segmentId) => {
+  const primary = getPrimaryImage(entities, segmentId);
+  return (
+    (primary && getImageVideo(entities, primary.id)) ||
+    pick(entities.videos, entities.videoIdsBySegment[toSegmentId(segmentId)])[0] ||
+    null
+  );
+};
+
+export const getSegmentVoiceover = (entities, segmentId) =>
+  pick(entities.voiceovers, entities.voiceoverIdsBySegment[toSegmentId(segmentId)])[0] ?? null;
+
+// Where to load an image, video or voiceover from
+export const getEntityUrl = (entity) =>
+  entity ? (entity.s3Key ? getAssetUrl(entity.s3Key) : entity.url) : null;
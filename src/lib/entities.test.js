@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  INVALID_ENTITY,
+  toSegmentId,
+  normalizeImage,
+  normalizeVideo,
+  parseEntity,
+  normalizeProjectEntities,
+  getSegments,
+  getSegmentImages,
+  getPrimaryImage,
+  getSegmentVideo,
+  getImageVideo,
+  getSegmentVoiceover,
+} from "./entities";
+
+describe("toSegmentId", () => {
+  it("maps every id a segment's media is sent with to the segment id", () => {
+    expect(toSegmentId(2)).toBe("2");
+    expect(toSegmentId("seg-2")).toBe("2");
+    expect(toSegmentId("seg-2-1712345678901")).toBe("2");
+    expect(toSegmentId("intro")).toBe("intro");
+    expect(toSegmentId(null)).toBeNull();
+  });
+});
+
+describe("normalizers", () => {
+  it("read the S3 key whichever way the payload spells it", () => {
+    expect(normalizeImage({ id: 1, uuid: "seg-1", imageS3key: "images/a.png" }).s3Key).toBe("images/a.png");
+    expect(normalizeImage({ id: 2, segment_id: 1, image_s3_key: "images/b.png" })).toMatchObject({
+      id: "2",
+      segmentId: "1",
+      s3Key: "images/b.png",
+    });
+    expect(normalizeVideo({ id: 3, uuid: "seg-1", videoFiles: [{ s3Key: "videos/c.mp4" }] })).toMatchObject({
+      s3Key: "videos/c.mp4",
+      s3Keys: ["videos/c.mp4"],
+    });
+    expect(normalizeVideo({ id: 4, uuid: 1, s3Keys: ["videos/d.mp4"] }).s3Key).toBe("videos/d.mp4");
+  });
+
+  it("reject records that don't fit the schema", () => {
+    expect(() => parseEntity("image", { id: "i1", uuid: "seg-1" })).toThrow(
+      expect.objectContaining({
+        code: INVALID_ENTITY,
+        details: expect.objectContaining({ errors: ["s3Key or url is required"] }),
+      }),
+    );
+    expect(() => parseEntity("video", { s3Keys: ["videos/x.mp4"] })).toThrow(/id must be string/);
+  });
+});
+
+describe("normalizeProjectEntities", () => {
+  const project = {
+    segmentations: [
+      {
+        id: "script-1",
+        artStyle: "noir",
+        segments: [
+          { id: 1, visual: "Harbour at dawn", narration: "It began at sea." },
+          { id: 2, visual: "Empty street" },
+        ],
+      },
+      { id: "older", segments: [{ id: 9, visual: "Discarded" }] },
+    ],
+    images: [
+      { id: "i1", uuid: "seg-1", s3Key: "images/1a.png" },
+      { id: "i2", uuid: "seg-1-1712345678901", s3Key: "images/1b.png", isPrimary: true },
+      { id: "i3", uuid: 2, imageS3Key: "images/2a.png", success: false },
+      { id: "bad", uuid: "seg-2" },
+    ],
+    videos: [
+      { id: "v1", uuid: "seg-1", imageS3Key: "images/1a.png", videoFiles: [{ s3Key: "videos/1a.mp4" }] },
+      { id: "v2", uuid: "seg-1", imageS3Key: "images/1b.png", s3Keys: ["videos/1b.mp4"] },
+    ],
+    voiceovers: [{ id: "a1", segmentId: 1, s3_key: "audio/1.mp3" }],
+  };
+
+  it("keeps the current script's segments with their media related by id", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const entities = normalizeProjectEntities(project);
+    warn.mockRestore();
+
+    expect(getSegments(entities).map((segment) => [segment.id, segment.artStyle])).toEqual([
+      ["1", "noir"],
+      ["2", "noir"],
+    ]);
+    expect(getSegmentImages(entities, 1).map((image) => image.id)).toEqual(["i2", "i1"]);
+    expect(getPrimaryImage(entities, "seg-1").id).toBe("i2");
+    // Failed generations and invalid records aren't offered
+    expect(getPrimaryImage(entities, 2)).toBeNull();
+    expect(entities.images.byId.i3.success).toBe(false);
+    expect(entities.invalid).toEqual([expect.objectContaining({ type: "image", record: project.images[3] })]);
+
+    expect(getImageVideo(entities, "i1").id).toBe("v1");
+    expect(getSegmentVideo(entities, 1).id).toBe("v2");
+    expect(getSegmentVoiceover(entities, 1).s3Key).toBe("audio/1.mp3");
+  });
+
+  it("falls back to the segment's first image when none is flagged primary", () => {
+    const entities = normalizeProjectEntities({
+      images: [
+        { id: "i1", uuid: "seg-1", s3Key: "images/1a.png" },
+        { id: "i2", uuid: "seg-1", s3Key: "images/1b.png" },
+      ],
+    });
+
+    expect(getPrimaryImage(entities, 1).id).toBe("i1");
+    expect(getSegments(entities)).toEqual([]);
+  });
+});
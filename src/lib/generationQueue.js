@@ -0,0 +1,202 @@
+import { ApiError } from "./apiError";
+
+/**
+ * Maximum requests in flight per model. Models without an entry use `default`.
+ * Providers rate-limit per model, so each model gets its own lane.
+ */
+export const MODEL_CONCURRENCY = {
+  default: 3,
+  "recraft-v3": 4,
+  imagen: 3,
+  "kling-v2.1-master": 2,
+  gen4_turbo: 2,
+};
+
+// Higher runs first; equal priorities run in the order they were queued
+export const QUEUE_PRIORITY = {
+  BATCH: 0,
+  INTERACTIVE: 10,
+};
+
+// Pause used after a 429 without Retry-After, doubled per repeat
+const RATE_LIMIT_PAUSE_MS = 5000;
+const MAX_RATE_LIMIT_PAUSE_MS = 60000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+const cancelledError = () =>
+  new ApiError({ message: "The request was cancelled.", code: "CANCELLED" });
+
+const byPriority = (a, b) => b.priority - a.priority || a.seq - b.seq;
+
+/**
+ * Queue for generation requests with a concurrency limit per model.
+ *
+ *   generationQueue.enqueue((signal) => apiClient.post(...), { model, priority, signal })
+ *
+ * A task that fails with 429 pauses its model for the Retry-After period (or
+ * a growing default) and is queued again in its original position, so a rate
+ * limit delays the batch instead of failing it. Tasks must therefore be safe
+ * to repeat, i.e. send an idempotency key and hand 429s back instead of
+ * retrying them (retry policy `retryOnRateLimit: false`).
+ */
+export const createGenerationQueue = ({
+  concurrency = MODEL_CONCURRENCY,
+  now = () => Date.now(),
+} = {}) => {
+  const limits = { ...concurrency };
+  const lanes = new Map();
+  const listeners = new Set();
+  let pending = [];
+  let seq = 0;
+  let snapshot = null;
+
+  const laneFor = (model) => {
+    if (!lanes.has(model)) {
+      lanes.set(model, { running: 0, pausedUntil: 0, timer: null, pauses: 0 });
+    }
+    return lanes.get(model);
+  };
+
+  const limitFor = (model) => limits[model] ?? limits.default ?? 1;
+
+  const buildSnapshot = () => {
+    const models = {};
+    lanes.forEach((lane, model) => {
+      models[model] = {
+        queued: 0,
+        running: lane.running,
+        limit: limitFor(model),
+        pausedUntil: lane.pausedUntil > now() ? lane.pausedUntil : null,
+      };
+    });
+    pending.forEach((entry) => {
+      models[entry.model].queued += 1;
+    });
+    const running = [...lanes.values()].reduce((sum, lane) => sum + lane.running, 0);
+    return { queued: pending.length, running, models };
+  };
+
+  const notify = () => {
+    snapshot = buildSnapshot();
+    [...listeners].forEach((listener) => listener(snapshot));
+  };
+
+  const insert = (entry) => {
+    pending = [...pending, entry].sort(byPriority);
+  };
+
+  const remove = (entry) => {
+    pending = pending.filter((item) => item !== entry);
+  };
+
+  const pauseLane = (model, ms) => {
+    const lane = laneFor(model);
+    lane.pausedUntil = Math.max(lane.pausedUntil, now() + ms);
+    clearTimeout(lane.timer);
+    lane.timer = setTimeout(() => {
+      lane.timer = null;
+      pump();
+    }, lane.pausedUntil - now());
+  };
+
+  const run = async (entry) => {
+    const lane = laneFor(entry.model);
+    lane.running += 1;
+    entry.onStart?.();
+    try {
+      const result = await entry.task(entry.signal);
+      lane.pauses = 0;
+      entry.signal?.removeEventListener("abort", entry.onAbort);
+      entry.resolve(result);
+    } catch (error) {
+      if (
+        error?.status === 429 &&
+        entry.rateLimitRetries < MAX_RATE_LIMIT_RETRIES &&
+        !entry.signal?.aborted
+      ) {
+        entry.rateLimitRetries += 1;
+        lane.pauses += 1;
+        const fallbackMs = Math.min(
+          MAX_RATE_LIMIT_PAUSE_MS,
+          RATE_LIMIT_PAUSE_MS * Math.pow(2, lane.pauses - 1),
+        );
+        console.warn(
+          `${entry.model} is rate limited, pausing it for ${error.retryAfterMs ?? fallbackMs}ms`,
+        );
+        pauseLane(entry.model, error.retryAfterMs ?? fallbackMs);
+        insert(entry);
+      } else {
+        entry.signal?.removeEventListener("abort", entry.onAbort);
+        entry.reject(error);
+      }
+    } finally {
+      lane.running -= 1;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    pending.forEach((entry) => {
+      const lane = laneFor(entry.model);
+      if (lane.pausedUntil > now() || lane.running >= limitFor(entry.model)) return;
+      remove(entry);
+      run(entry);
+    });
+    notify();
+  };
+
+  const queue = {
+    /**
+     * Run `task(signal)` once its model has a free slot. Options:
+     * - model: lane to queue in (provider model name)
+     * - priority: see QUEUE_PRIORITY
+     * - signal: aborting it removes a queued task; a running one gets the signal
+     * - onStart: called each time the task leaves the queue
+     */
+    enqueue(task, { model = "default", priority = QUEUE_PRIORITY.BATCH, signal, onStart } = {}) {
+      if (signal?.aborted) return Promise.reject(cancelledError());
+      return new Promise((resolve, reject) => {
+        const entry = {
+          task,
+          model,
+          priority,
+          signal,
+          onStart,
+          resolve,
+          reject,
+          seq: seq++,
+          rateLimitRetries: 0,
+        };
+        entry.onAbort = () => {
+          if (!pending.includes(entry)) return;
+          remove(entry);
+          reject(cancelledError());
+          notify();
+        };
+        signal?.addEventListener("abort", entry.onAbort, { once: true });
+        laneFor(model);
+        insert(entry);
+        pump();
+      });
+    },
+
+    // Change the limit for one model (or "default") at runtime
+    setConcurrency(model, limit) {
+      limits[model] = limit;
+      pump();
+    },
+
+    // { queued, running, models: { [model]: { queued, running, limit, pausedUntil } } }
+    getSnapshot: () => snapshot,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  snapshot = buildSnapshot();
+  return queue;
+};
+
+export const generationQueue = createGenerationQueue();
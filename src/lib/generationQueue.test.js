@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createGenerationQueue, QUEUE_PRIORITY } from "./generationQueue";
+import { ApiError } from "./apiError";
+
+// Task whose completion the test controls
+const deferredTask = (log, name) => {
+  let finish;
+  let fail;
+  const task = vi.fn(
+    () =>
+      new Promise((resolve, reject) => {
+        log.push(name);
+        finish = resolve;
+        fail = reject;
+      }),
+  );
+  return { task, finish: (value) => finish(value), fail: (error) => fail(error) };
+};
+
+const rateLimited = (retryAfterMs = null) =>
+  new ApiError({ status: 429, code: "RATE_LIMITED", retryable: true, retryAfterMs });
+
+describe("generationQueue", () => {
+  let queue;
+  let log;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    queue = createGenerationQueue({ concurrency: { default: 1, fast: 2 } });
+    log = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("limits concurrent tasks per model", async () => {
+    const tasks = ["a", "b", "c"].map((name) => deferredTask(log, name));
+    const results = tasks.map((t) => queue.enqueue(t.task, { model: "fast" }));
+
+    expect(log).toEqual(["a", "b"]);
+    expect(queue.getSnapshot()).toMatchObject({ queued: 1, running: 2 });
+
+    tasks[0].finish("A");
+    await expect(results[0]).resolves.toBe("A");
+    expect(log).toEqual(["a", "b", "c"]);
+  });
+
+  it("runs different models independently", () => {
+    queue.enqueue(deferredTask(log, "slow-1").task, { model: "slow" });
+    queue.enqueue(deferredTask(log, "slow-2").task, { model: "slow" });
+    queue.enqueue(deferredTask(log, "fast-1").task, { model: "fast" });
+
+    expect(log).toEqual(["slow-1", "fast-1"]);
+    expect(queue.getSnapshot().models.slow).toMatchObject({ queued: 1, running: 1, limit: 1 });
+  });
+
+  it("starts queued tasks by priority, then in order", async () => {
+    const first = deferredTask(log, "first");
+    queue.enqueue(first.task);
+    queue.enqueue(deferredTask(log, "batch-1").task);
+    queue.enqueue(deferredTask(log, "batch-2").task);
+    queue.enqueue(deferredTask(log, "interactive").task, { priority: QUEUE_PRIORITY.INTERACTIVE });
+
+    first.finish();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(log).toEqual(["first", "interactive"]);
+  });
+
+  it("calls onStart when a task leaves the queue", async () => {
+    const first = deferredTask(log, "first");
+    const onStart = vi.fn();
+    queue.enqueue(first.task);
+    queue.enqueue(deferredTask(log, "second").task, { onStart });
+
+    expect(onStart).not.toHaveBeenCalled();
+    first.finish();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onStart).toHaveBeenCalledTimes(1);
+  });
+
+  it("pauses the model for Retry-After on 429 and requeues the task first", async () => {
+    const limited = deferredTask(log, "limited");
+    const waiting = deferredTask(log, "waiting");
+    const result = queue.enqueue(limited.task);
+    queue.enqueue(waiting.task);
+
+    limited.fail(rateLimited(3000));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(queue.getSnapshot().models.default.pausedUntil).not.toBeNull();
+    expect(log).toEqual(["limited"]);
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(log).toEqual(["limited", "limited"]);
+    limited.finish("done");
+    await expect(result).resolves.toBe("done");
+  });
+
+  it("backs off without Retry-After and gives up after repeated 429s", async () => {
+    const task = vi.fn(async () => {
+      throw rateLimited();
+    });
+    const result = queue.enqueue(task).catch((e) => e);
+
+    await vi.advanceTimersByTimeAsync(5000 + 10000 + 20000 + 40000 + 60000);
+
+    expect(task).toHaveBeenCalledTimes(6);
+    expect((await result).status).toBe(429);
+  });
+
+  it("passes other errors straight through", async () => {
+    const failing = deferredTask(log, "a");
+    const result = queue.enqueue(failing.task).catch((e) => e);
+
+    failing.fail(new ApiError({ status: 402, code: "INSUFFICIENT_CREDITS" }));
+
+    expect((await result).code).toBe("INSUFFICIENT_CREDITS");
+    expect(queue.getSnapshot()).toMatchObject({ queued: 0, running: 0 });
+  });
+
+  it("removes a queued task when its signal aborts", async () => {
+    queue.enqueue(deferredTask(log, "running").task);
+    const controller = new AbortController();
+    const queued = deferredTask(log, "queued");
+    const result = queue.enqueue(queued.task, { signal: controller.signal }).catch((e) => e);
+
+    controller.abort();
+
+    expect((await result).code).toBe("CANCELLED");
+    expect(queued.task).not.toHaveBeenCalled();
+    expect(queue.getSnapshot().queued).toBe(0);
+  });
+
+  it("rejects tasks whose signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await queue.enqueue(vi.fn(), { signal: controller.signal }).catch((e) => e);
+
+    expect(error.code).toBe("CANCELLED");
+  });
+
+  it("notifies subscribers and applies new limits", () => {
+    const snapshots = [];
+    queue.subscribe((snapshot) => snapshots.push(snapshot.running));
+    queue.enqueue(deferredTask(log, "a").task);
+    queue.enqueue(deferredTask(log, "b").task);
+
+    queue.setConcurrency("default", 2);
+
+    expect(log).toEqual(["a", "b"]);
+    expect(snapshots.at(-1)).toBe(2);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Undo/redo history of user actions.
+ *
+ * An entry is { id, label, projectId, undo, redo }: `undo` and `redo` are
+ * (possibly async) functions that revert and repeat the action, including
+ * the backend call it made. `past` ends with the latest action, `future`
+ * with the next one to redo. Recording an action drops the future.
+ */
+
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [], busy: false };
+
+let nextEntryId = 0;
+
+export const pushHistory = (history, { label, projectId = null, undo, redo }) => ({
+  ...history,
+  past: [
+    ...history.past,
+    { id: ++nextEntryId, label, projectId, undo, redo },
+  ].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+// Where undo and redo take an entry from, and where they leave it
+const DIRECTIONS = {
+  undo: { from: "past", to: "future" },
+  redo: { from: "future", to: "past" },
+};
+
+// The entry undo ("undo") or redo ("redo") would apply, or null
+export const peekHistory = (history, direction) =>
+  history[DIRECTIONS[direction].from].at(-1) ?? null;
+
+// History after `entry` was undone or redone. Unchanged when the entry is no
+// longer there, e.g. because the history was cleared meanwhile.
+export const moveHistoryEntry = (history, entry, direction) => {
+  const { from, to } = DIRECTIONS[direction];
+  if (!history[from].includes(entry)) return history;
+  return {
+    ...history,
+    [from]: history[from].filter((item) => item !== entry),
+    [to]: [...history[to], entry],
+  };
+};
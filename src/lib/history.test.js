@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import {
+  HISTORY_LIMIT,
+  EMPTY_HISTORY,
+  pushHistory,
+  peekHistory,
+  moveHistoryEntry,
+} from "./history";
+
+const record = (history, label) =>
+  pushHistory(history, { label, undo: () => {}, redo: () => {} });
+
+describe("history", () => {
+  it("moves entries between past and future, and drops the future on a new action", () => {
+    let history = record(record(EMPTY_HISTORY, "first"), "second");
+    const second = peekHistory(history, "undo");
+    expect(second.label).toBe("second");
+
+    history = moveHistoryEntry(history, second, "undo");
+    expect(peekHistory(history, "undo").label).toBe("first");
+    expect(peekHistory(history, "redo")).toBe(second);
+
+    history = moveHistoryEntry(history, second, "redo");
+    expect(peekHistory(history, "redo")).toBeNull();
+
+    history = record(moveHistoryEntry(history, second, "undo"), "third");
+    expect(history.past.map((entry) => entry.label)).toEqual(["first", "third"]);
+    expect(history.future).toEqual([]);
+  });
+
+  it("keeps the latest entries up to the limit", () => {
+    let history = EMPTY_HISTORY;
+    for (let i = 0; i <= HISTORY_LIMIT; i += 1) history = record(history, `action ${i}`);
+
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].label).toBe("action 1");
+  });
+
+  it("ignores entries that are no longer in the history", () => {
+    const history = record(EMPTY_HISTORY, "first");
+    const entry = peekHistory(history, "undo");
+
+    expect(moveHistoryEntry(EMPTY_HISTORY, entry, "undo")).toBe(EMPTY_HISTORY);
+  });
+});
@@ -0,0 +1,26 @@
+// 53-bit string hash (cyrb53). Synchronous and available everywhere, unlike
+// crypto.subtle which is missing on insecure origins.
+const hashString = (input) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// Random component for one logical request; every retry of it reuses it.
+export const createRequestNonce = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Build an idempotency key from the parts that identify a generation, e.g.
+ * ("image", segmentUuid, model, prompt, nonce). Identical parts always give
+ * the same key, so the backend can recognise a retried request.
+ */
+export const createIdempotencyKey = (...parts) =>
+  `idem-${hashString(parts.map((part) => part ?? "").join("|"))}`;
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { createIdempotencyKey, createRequestNonce } from "./idempotency";
+
+describe("idempotency", () => {
+  it("gives the same key for the same parts", () => {
+    expect(createIdempotencyKey("image", "seg-1", "imagen", "prompt")).toBe(
+      createIdempotencyKey("image", "seg-1", "imagen", "prompt"),
+    );
+  });
+
+  it("gives different keys for different parts", () => {
+    expect(createIdempotencyKey("image", "seg-1")).not.toBe(createIdempotencyKey("image", "seg-2"));
+    expect(createIdempotencyKey("image", "a", "b")).toMatch(/^idem-[0-9a-z]+$/);
+  });
+
+  it("treats missing parts as empty", () => {
+    expect(createIdempotencyKey("video", undefined, null)).toBe(createIdempotencyKey("video", "", ""));
+  });
+
+  it("creates unique nonces", () => {
+    expect(createRequestNonce()).not.toBe(createRequestNonce());
+  });
+});
@@ -0,0 +1,307 @@
+import { ApiError, toApiError, isCancelledError } from "./apiError";
+import { sleep } from "./retry";
+import { createIdempotencyKey, createRequestNonce } from "./idempotency";
+
+export const JOB_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const STORAGE_KEY = "generationJobs";
+// Finished jobs are kept for a while so a reloaded page can still show them
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_STORED_JOBS = 50;
+
+/**
+ * Polling schedule for job types with a status endpoint. The first poll runs
+ * right away, then the delay grows by `factor` up to `maxDelayMs`. A job that
+ * is still running after `timeoutMs` fails with code TIMEOUT.
+ */
+export const DEFAULT_POLL_POLICY = {
+  initialDelayMs: 2000,
+  maxDelayMs: 30000,
+  factor: 1.5,
+  timeoutMs: 30 * 60 * 1000,
+};
+
+export const getPollDelay = (pollCount, policy = DEFAULT_POLL_POLICY) =>
+  pollCount === 0
+    ? 0
+    : Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.factor, pollCount - 1));
+
+const isFinished = (job) => job.status !== JOB_STATUS.RUNNING;
+
+const serializeError = (error) => ({
+  message: error.message,
+  code: error.code,
+  status: error.status,
+});
+
+const readStoredJobs = (storage, storageKey) => {
+  try {
+    const stored = JSON.parse(storage?.getItem(storageKey) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Tracks long-running generations (videos, characters) independently of the
+ * component that started them.
+ *
+ * Each job type registers a handler with up to two steps:
+ * - start(job, { signal, onStart, priority }): sends the generation request.
+ *   Its return value is the job result, or for types that also poll, stored
+ *   as `job.state`. `onStart` and `priority` are the ones given to startJob,
+ *   if any.
+ * - poll(job, { signal }): asks a status endpoint and returns
+ *   { done, result?, progress?, error? }. Polling backs off per `pollPolicy`.
+ *
+ * Running jobs are persisted and picked up again by resumeJobs() after a
+ * reload. A job whose request was interrupted is started again with the same
+ * idempotency key, so the backend does not charge for it twice.
+ */
+export const createJobTracker = ({
+  storage = globalThis.localStorage,
+  storageKey = STORAGE_KEY,
+  now = () => Date.now(),
+} = {}) => {
+  const handlers = new Map();
+  const listeners = new Set();
+  const controllers = new Map();
+  const waiters = new Map();
+  let jobs = readStoredJobs(storage, storageKey);
+  let resumed = false;
+
+  const persist = () => {
+    const cutoff = now() - FINISHED_JOB_TTL_MS;
+    jobs = jobs
+      .filter((job) => !isFinished(job) || job.updatedAt >= cutoff)
+      .slice(-MAX_STORED_JOBS);
+    try {
+      storage?.setItem(storageKey, JSON.stringify(jobs));
+    } catch (error) {
+      console.warn("Failed to persist generation jobs:", error);
+    }
+  };
+
+  const emit = (type, job) => {
+    [...listeners].forEach((listener) => listener({ type, job }));
+  };
+
+  const getJob = (id) => jobs.find((job) => job.id === id) || null;
+
+  // Jobs are replaced rather than mutated so React snapshots stay comparable
+  const updateJob = (id, patch, eventType = "updated") => {
+    const current = getJob(id);
+    if (!current) return null;
+    const next = { ...current, ...patch, updatedAt: now() };
+    jobs = jobs.map((job) => (job.id === id ? next : job));
+    persist();
+    emit(eventType, next);
+    return next;
+  };
+
+  const settleWaiters = (job) => {
+    const pending = waiters.get(job.id);
+    if (!pending) return;
+    waiters.delete(job.id);
+    pending.forEach(({ resolve, reject }) => {
+      if (job.status === JOB_STATUS.COMPLETED) {
+        resolve(job.result);
+      } else if (job.status === JOB_STATUS.CANCELLED) {
+        reject(new ApiError({ message: "The request was cancelled.", code: "CANCELLED" }));
+      } else {
+        reject(new ApiError(job.error || {}));
+      }
+    });
+  };
+
+  const finish = (id, status, patch = {}) => {
+    const current = getJob(id);
+    if (!current || isFinished(current)) return current;
+    const job = updateJob(id, { ...patch, status }, status);
+    controllers.delete(id);
+    settleWaiters(job);
+    return job;
+  };
+
+  const pollUntilDone = async (job, handler, signal) => {
+    const policy = { ...DEFAULT_POLL_POLICY, ...handler.pollPolicy };
+    for (let pollCount = job.pollCount || 0; ; pollCount++) {
+      if (now() - job.createdAt > policy.timeoutMs) {
+        throw new ApiError({
+          message: "The generation is taking too long. Check back later.",
+          code: "TIMEOUT",
+        });
+      }
+      await sleep(getPollDelay(pollCount, policy), signal);
+
+      let update;
+      try {
+        update = await handler.poll(getJob(job.id), { signal });
+      } catch (error) {
+        // Network blips and 5xx while polling don't mean the job failed
+        const apiError = toApiError(error);
+        if (!apiError.retryable) throw apiError;
+        console.warn(`Polling ${job.type} job ${job.id} failed (${apiError.code}), retrying`);
+        update = {};
+      }
+
+      if (update.error) throw new ApiError(update.error);
+      if (update.done) return update.result;
+      const patch = { pollCount: pollCount + 1 };
+      if (typeof update.progress === "number") patch.progress = update.progress;
+      updateJob(job.id, patch, "progress");
+    }
+  };
+
+  const run = async (job, { onStart, priority } = {}) => {
+    const handler = handlers.get(job.type);
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    const { signal } = controller;
+
+    try {
+      let current = job;
+      if (!current.started) {
+        const output = handler.start ? await handler.start(current, { signal, onStart, priority }) : undefined;
+        if (signal.aborted) return;
+        if (!handler.poll) {
+          finish(job.id, JOB_STATUS.COMPLETED, { result: output ?? null, progress: 100 });
+          return;
+        }
+        current = updateJob(job.id, { started: true, state: output ?? current.state });
+      }
+      const result = await pollUntilDone(current, handler, signal);
+      finish(job.id, JOB_STATUS.COMPLETED, { result: result ?? null, progress: 100 });
+    } catch (error) {
+      const apiError = toApiError(error);
+      // cancelJob() has already recorded the cancellation
+      if (isCancelledError(apiError) && getJob(job.id)?.status !== JOB_STATUS.RUNNING) return;
+      finish(
+        job.id,
+        isCancelledError(apiError) ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+        { error: serializeError(apiError) },
+      );
+    }
+  };
+
+  const tracker = {
+    // handler: { start?, poll?, pollPolicy? }, see above
+    registerJobType(type, handler) {
+      handlers.set(type, handler);
+    },
+
+    /**
+     * Register and start a job. `meta` is stored with the job for the UI
+     * (projectId, segmentId, names...). Aborting `signal` cancels the job.
+     * `onStart` and `priority` are handed to the start step (not persisted),
+     * e.g. to learn when a queued request is actually sent or to queue it
+     * ahead of batch work. A resumed job runs without them.
+     */
+    startJob(type, params = {}, { meta = {}, signal, onStart, priority } = {}) {
+      if (!handlers.has(type)) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+      const nonce = createRequestNonce();
+      const job = {
+        id: `job-${nonce}`,
+        type,
+        params,
+        meta,
+        status: JOB_STATUS.RUNNING,
+        progress: null,
+        result: null,
+        error: null,
+        started: false,
+        state: null,
+        pollCount: 0,
+        idempotencyKey: createIdempotencyKey("job", type, JSON.stringify(params), nonce),
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      jobs = [...jobs, job];
+      persist();
+      emit("added", job);
+
+      if (signal) {
+        if (signal.aborted) {
+          tracker.cancelJob(job.id);
+          return getJob(job.id);
+        }
+        signal.addEventListener("abort", () => tracker.cancelJob(job.id), { once: true });
+      }
+      run(job, { onStart, priority });
+      return job;
+    },
+
+    // Resolves with the job result; rejects with an ApiError if it fails or is cancelled
+    waitForJob(id) {
+      const job = getJob(id);
+      if (!job) {
+        return Promise.reject(
+          new ApiError({ message: "The generation job no longer exists.", code: "NOT_FOUND" }),
+        );
+      }
+      return new Promise((resolve, reject) => {
+        waiters.set(id, [...(waiters.get(id) || []), { resolve, reject }]);
+        if (isFinished(job)) settleWaiters(job);
+      });
+    },
+
+    // Stops tracking the job. The backend may still finish (and charge) it.
+    cancelJob(id) {
+      const job = getJob(id);
+      if (!job || isFinished(job)) return;
+      const controller = controllers.get(id);
+      finish(id, JOB_STATUS.CANCELLED);
+      controller?.abort();
+    },
+
+    // Continue the jobs that were running when the page was last closed
+    resumeJobs() {
+      if (resumed) return;
+      resumed = true;
+      jobs
+        .filter((job) => !isFinished(job) && !controllers.has(job.id))
+        .forEach((job) => {
+          if (!handlers.has(job.type)) {
+            finish(job.id, JOB_STATUS.FAILED, {
+              error: { message: "This generation can no longer be tracked.", code: "UNKNOWN_JOB_TYPE" },
+            });
+            return;
+          }
+          run(updateJob(job.id, { resumed: true }));
+        });
+    },
+
+    clearFinishedJobs() {
+      jobs = jobs.filter((job) => !isFinished(job));
+      persist();
+      emit("cleared", null);
+    },
+
+    getJob,
+
+    // Stable between changes, so it can back useSyncExternalStore
+    getJobs: () => jobs,
+
+    /**
+     * Subscribe to job events: { type, job } where type is "added",
+     * "progress", "updated", "completed", "failed", "cancelled" or "cleared"
+     * (job is null). Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return tracker;
+};
+
+export const jobTracker = createJobTracker();
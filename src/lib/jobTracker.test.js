@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createJobTracker, getPollDelay, JOB_STATUS, DEFAULT_POLL_POLICY } from "./jobTracker";
+import { ApiError } from "./apiError";
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+};
+
+const storedJobs = (storage) => JSON.parse(storage.data.generationJobs);
+
+describe("getPollDelay", () => {
+  it("polls immediately, then backs off up to the cap", () => {
+    expect(getPollDelay(0)).toBe(0);
+    expect(getPollDelay(1)).toBe(DEFAULT_POLL_POLICY.initialDelayMs);
+    expect(getPollDelay(2)).toBe(3000);
+    expect(getPollDelay(50)).toBe(DEFAULT_POLL_POLICY.maxDelayMs);
+  });
+});
+
+describe("jobTracker", () => {
+  let storage;
+  let tracker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    storage = createStorage();
+    tracker = createJobTracker({ storage });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("completes a start-only job with the start result", async () => {
+    const start = vi.fn(async () => ({ s3_key: "v.mp4" }));
+    tracker.registerJobType("video", { start });
+
+    const job = tracker.startJob("video", { uuid: "seg-1" }, { meta: { projectId: "p1" } });
+
+    await expect(tracker.waitForJob(job.id)).resolves.toEqual({ s3_key: "v.mp4" });
+    expect(start.mock.calls[0][0].idempotencyKey).toMatch(/^idem-/);
+    expect(tracker.getJob(job.id)).toMatchObject({
+      status: JOB_STATUS.COMPLETED,
+      progress: 100,
+      meta: { projectId: "p1" },
+    });
+  });
+
+  it("hands the queue priority to the start step without storing it", async () => {
+    const start = vi.fn(async () => ({ s3_key: "v.mp4" }));
+    tracker.registerJobType("video", { start });
+
+    const job = tracker.startJob("video", { uuid: "seg-1" }, { priority: 10 });
+    await tracker.waitForJob(job.id);
+
+    expect(start.mock.calls[0][1].priority).toBe(10);
+    expect(storedJobs(storage)[0].params).toEqual({ uuid: "seg-1" });
+  });
+
+  it("polls with backoff until the job is done and reports progress", async () => {
+    const poll = vi
+      .fn()
+      .mockResolvedValueOnce({ done: false, progress: 20 })
+      .mockResolvedValueOnce({ done: false, progress: 60 })
+      .mockResolvedValueOnce({ done: true, result: { id: "c1" } });
+    tracker.registerJobType("character", { poll });
+    const events = [];
+    tracker.subscribe((event) => events.push(`${event.type}:${event.job?.progress}`));
+
+    const job = tracker.startJob("character", { characterId: "c1" });
+    const done = tracker.waitForJob(job.id);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(poll).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(poll).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(poll).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(3000);
+
+    await expect(done).resolves.toEqual({ id: "c1" });
+    expect(events).toEqual([
+      "added:null",
+      "updated:null",
+      "progress:20",
+      "progress:60",
+      "completed:100",
+    ]);
+  });
+
+  it("keeps polling through transient errors", async () => {
+    const poll = vi
+      .fn()
+      .mockRejectedValueOnce(new ApiError({ status: 503, code: "HTTP_503", retryable: true }))
+      .mockResolvedValueOnce({ done: true, result: "ok" });
+    tracker.registerJobType("character", { poll, pollPolicy: { initialDelayMs: 10 } });
+
+    const job = tracker.startJob("character", {});
+    await vi.advanceTimersByTimeAsync(10);
+
+    await expect(tracker.waitForJob(job.id)).resolves.toBe("ok");
+  });
+
+  it("fails the job when the handler reports an error", async () => {
+    tracker.registerJobType("character", {
+      poll: async () => ({ error: { message: "Bad reference images", code: "GENERATION_FAILED" } }),
+    });
+
+    const job = tracker.startJob("character", {});
+    const done = tracker.waitForJob(job.id).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(0);
+    const error = await done;
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.code).toBe("GENERATION_FAILED");
+    expect(tracker.getJob(job.id).status).toBe(JOB_STATUS.FAILED);
+    expect(tracker.getJob(job.id).error.message).toBe("Bad reference images");
+  });
+
+  it("fails jobs that outlive the poll timeout", async () => {
+    tracker.registerJobType("character", {
+      poll: async () => ({ done: false }),
+      pollPolicy: { initialDelayMs: 1000, maxDelayMs: 1000, timeoutMs: 5000 },
+    });
+
+    const job = tracker.startJob("character", {});
+    const done = tracker.waitForJob(job.id).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(7000);
+
+    expect((await done).code).toBe("TIMEOUT");
+  });
+
+  it("cancels a job when asked or when its signal aborts", async () => {
+    let startSignal;
+    tracker.registerJobType("video", {
+      start: (job, { signal }) => {
+        startSignal = signal;
+        return new Promise(() => {});
+      },
+    });
+    const controller = new AbortController();
+
+    const first = tracker.startJob("video", {});
+    const second = tracker.startJob("video", {}, { signal: controller.signal });
+    const firstDone = tracker.waitForJob(first.id).catch((e) => e);
+    const secondDone = tracker.waitForJob(second.id).catch((e) => e);
+
+    tracker.cancelJob(first.id);
+    controller.abort();
+
+    expect((await firstDone).code).toBe("CANCELLED");
+    expect((await secondDone).code).toBe("CANCELLED");
+    expect(startSignal.aborted).toBe(true);
+    expect(tracker.getJob(second.id).status).toBe(JOB_STATUS.CANCELLED);
+  });
+
+  it("ignores a late result from a cancelled job", async () => {
+    let finishStart;
+    tracker.registerJobType("video", {
+      start: () => new Promise((resolve) => (finishStart = resolve)),
+    });
+
+    const job = tracker.startJob("video", {});
+    tracker.cancelJob(job.id);
+    finishStart({ s3_key: "late.mp4" });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(tracker.getJob(job.id)).toMatchObject({ status: JOB_STATUS.CANCELLED, result: null });
+  });
+
+  it("persists running jobs and resumes them with the same idempotency key", async () => {
+    tracker.registerJobType("video", { start: () => new Promise(() => {}) });
+    const job = tracker.startJob("video", { uuid: "seg-1" });
+    expect(storedJobs(storage)[0]).toMatchObject({ id: job.id, status: JOB_STATUS.RUNNING });
+
+    // Simulate a reload
+    const start = vi.fn(async () => ({ s3_key: "v.mp4" }));
+    const reloaded = createJobTracker({ storage });
+    reloaded.registerJobType("video", { start });
+    reloaded.resumeJobs();
+    reloaded.resumeJobs();
+
+    await expect(reloaded.waitForJob(job.id)).resolves.toEqual({ s3_key: "v.mp4" });
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(start.mock.calls[0][0].idempotencyKey).toBe(job.idempotencyKey);
+    expect(reloaded.getJob(job.id).resumed).toBe(true);
+  });
+
+  it("resumes polling jobs without starting them again", async () => {
+    tracker.registerJobType("character", {
+      start: async () => ({ characterId: "c1" }),
+      poll: () => new Promise(() => {}),
+    });
+    const job = tracker.startJob("character", {});
+    await vi.advanceTimersByTimeAsync(0);
+
+    const start = vi.fn();
+    const poll = vi.fn(async (current) => ({ done: true, result: current.state }));
+    const reloaded = createJobTracker({ storage });
+    reloaded.registerJobType("character", { start, poll });
+    reloaded.resumeJobs();
+    await vi.advanceTimersByTimeAsync(DEFAULT_POLL_POLICY.maxDelayMs);
+
+    await expect(reloaded.waitForJob(job.id)).resolves.toEqual({ characterId: "c1" });
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  it("fails resumed jobs of a type that is no longer registered", () => {
+    storage.data.generationJobs = JSON.stringify([
+      { id: "job-1", type: "legacy", status: JOB_STATUS.RUNNING, createdAt: Date.now(), updatedAt: Date.now() },
+    ]);
+    const reloaded = createJobTracker({ storage });
+
+    reloaded.resumeJobs();
+
+    expect(reloaded.getJob("job-1")).toMatchObject({
+      status: JOB_STATUS.FAILED,
+      error: { code: "UNKNOWN_JOB_TYPE" },
+    });
+  });
+
+  it("drops finished jobs after a day", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    storage.data.generationJobs = JSON.stringify([
+      { id: "old", type: "video", status: JOB_STATUS.COMPLETED, updatedAt: Date.now() - day - 1 },
+      { id: "recent", type: "video", status: JOB_STATUS.COMPLETED, updatedAt: Date.now() },
+    ]);
+    const reloaded = createJobTracker({ storage });
+    reloaded.registerJobType("video", { start: async () => "ok" });
+
+    reloaded.startJob("video", {});
+
+    expect(storedJobs(storage).map((job) => job.id)).not.toContain("old");
+    expect(storedJobs(storage).map((job) => job.id)).toContain("recent");
+  });
+
+  it("rejects unknown job types and missing jobs", async () => {
+    expect(() => tracker.startJob("nope", {})).toThrow("Unknown job type: nope");
+    expect((await tracker.waitForJob("missing").catch((e) => e)).code).toBe("NOT_FOUND");
+  });
+
+  it("clears finished jobs but keeps running ones", async () => {
+    tracker.registerJobType("video", { start: async () => "ok" });
+    tracker.registerJobType("slow", { start: () => new Promise(() => {}) });
+    const done = tracker.startJob("video", {});
+    await tracker.waitForJob(done.id);
+    const running = tracker.startJob("slow", {});
+
+    tracker.clearFinishedJobs();
+
+    expect(tracker.getJobs().map((job) => job.id)).toEqual([running.id]);
+  });
+});
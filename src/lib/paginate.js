@@ -0,0 +1,61 @@
+import { ApiError } from "./apiError";
+
+export const DEFAULT_PAGE_SIZE = 100;
+
+// Upper bound on pages, so a backend that never reports the end can't loop forever
+const MAX_PAGES = 1000;
+
+const cancelledError = () =>
+  new ApiError({ message: "The request was cancelled.", code: "CANCELLED" });
+
+// List endpoints return { data, pagination } or a bare array
+const readPage = (response) => {
+  if (Array.isArray(response)) return { items: response, pagination: null };
+  return {
+    items: Array.isArray(response?.data) ? response.data : [],
+    pagination: response?.pagination || null,
+  };
+};
+
+const isLastPage = ({ items, pagination }, page, limit) => {
+  if (items.length === 0) return true;
+  if (pagination?.totalPages != null) return page >= pagination.totalPages;
+  if (pagination?.total != null) return page * limit >= pagination.total;
+  if (pagination?.hasMore != null) return !pagination.hasMore;
+  if (pagination?.hasNext != null) return !pagination.hasNext;
+  return items.length < limit;
+};
+
+/**
+ * Walk a paginated list endpoint page by page.
+ *
+ *   for await (const { items, page } of iteratePages((params) => api.list(params))) { ... }
+ *
+ * `fetchPage({ page, limit, signal })` is called until the pagination data
+ * (totalPages, total, hasMore/hasNext), an empty page or a short page marks
+ * the end. Aborting `signal` stops before the next page with CANCELLED.
+ */
+export async function* iteratePages(
+  fetchPage,
+  { pageSize = DEFAULT_PAGE_SIZE, startPage = 1, signal } = {},
+) {
+  for (let page = startPage; page < startPage + MAX_PAGES; page += 1) {
+    if (signal?.aborted) throw cancelledError();
+    const result = readPage(await fetchPage({ page, limit: pageSize, signal }));
+    yield { ...result, page };
+    if (isLastPage(result, page, pageSize)) return;
+  }
+}
+
+/**
+ * Fetch every page and resolve to all items. `onPage(items, allSoFar)` runs
+ * after each page so large collections can render while the rest loads.
+ */
+export const fetchAllPages = async (fetchPage, { onPage, ...options } = {}) => {
+  let all = [];
+  for await (const { items } of iteratePages(fetchPage, options)) {
+    all = [...all, ...items];
+    onPage?.(items, all);
+  }
+  return all;
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from "vitest";
+import { iteratePages, fetchAllPages } from "./paginate";
+
+// Serves `items` in pages shaped like the backend's list endpoints
+const pagedSource = (
+  items,
+  pagination = (page, limit) => ({
+    page,
+    limit,
+    total: items.length,
+    totalPages: Math.ceil(items.length / limit),
+  }),
+) =>
+  vi.fn(async ({ page, limit }) => ({
+    success: true,
+    data: items.slice((page - 1) * limit, page * limit),
+    pagination: pagination(page, limit),
+  }));
+
+const range = (n) => Array.from({ length: n }, (_, i) => i + 1);
+
+describe("iteratePages", () => {
+  it("yields pages until totalPages is reached", async () => {
+    const fetchPage = pagedSource(range(5));
+    const pages = [];
+
+    for await (const { items, page } of iteratePages(fetchPage, {
+      pageSize: 2,
+    })) {
+      pages.push([page, items]);
+    }
+
+    expect(pages).toEqual([
+      [1, [1, 2]],
+      [2, [3, 4]],
+      [3, [5]],
+    ]);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  it("stops on hasMore when there is no total", async () => {
+    const fetchPage = pagedSource(range(4), (page) => ({
+      page,
+      hasMore: page < 2,
+    }));
+
+    const all = await fetchAllPages(fetchPage, { pageSize: 2 });
+
+    expect(all).toEqual([1, 2, 3, 4]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops on a short page for bare arrays", async () => {
+    const fetchPage = vi.fn(async ({ page }) => (page === 1 ? [1, 2] : [3]));
+
+    expect(await fetchAllPages(fetchPage, { pageSize: 2 })).toEqual([1, 2, 3]);
+  });
+
+  it("stops on an empty page", async () => {
+    const fetchPage = pagedSource(range(2), () => ({}));
+
+    expect(await fetchAllPages(fetchPage, { pageSize: 2 })).toEqual([1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it("stops with CANCELLED once the signal aborts", async () => {
+    const controller = new AbortController();
+    const fetchPage = pagedSource(range(6));
+
+    const error = await fetchAllPages(fetchPage, {
+      pageSize: 2,
+      signal: controller.signal,
+      onPage: () => controller.abort(),
+    }).catch((e) => e);
+
+    expect(error.code).toBe("CANCELLED");
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(fetchPage.mock.calls[0][0].signal).toBe(controller.signal);
+  });
+});
+
+describe("fetchAllPages", () => {
+  it("reports each page with everything loaded so far", async () => {
+    const onPage = vi.fn();
+
+    await fetchAllPages(pagedSource(range(3)), { pageSize: 2, onPage });
+
+    expect(onPage.mock.calls).toEqual([
+      [
+        [1, 2],
+        [1, 2],
+      ],
+      [[3], [1, 2, 3]],
+    ]);
+  });
+});
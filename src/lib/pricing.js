@@ -1,3 +1,5 @@
+// Bundled copy of the backend's price table (GET /credits/pricing), keyed the
+// way the backend keys it. Used until the model catalog has loaded.
 export const CREDIT_PRICES = {
   // Image Generation
   IMAGE: {
@@ -83,14 +85,24 @@ export const CREDIT_PRICES = {
   },
 };
 
+const bundledLookup = (category, model) => CREDIT_PRICES[category]?.[model];
+let lookupPrice = bundledLookup;
+
+// The model catalog (services/model-catalog) installs a lookup backed by the
+// backend's price table that also accepts model aliases. Pass nothing to go
+// back to CREDIT_PRICES.
+export const setPriceLookup = (lookup) => {
+  lookupPrice = lookup || bundledLookup;
+};
+
 export const getCreditCost = (category, model, isEdit = false) => {
-  const categoryPrices = CREDIT_PRICES[category.toUpperCase()];
-  if (!categoryPrices) {
+  const normalizedCategory = category.toUpperCase();
+  const modelPrices = lookupPrice(normalizedCategory, model);
+  if (!modelPrices && !CREDIT_PRICES[normalizedCategory]) {
     console.warn(`Unknown category: ${category}`);
     return 0;
   }
 
-  const modelPrices = categoryPrices[model];
   if (!modelPrices) {
     console.warn(`Unknown model: ${model} for category: ${category}`);
     return 0;
@@ -117,6 +129,57 @@ export const getAudioCreditCost = (model, duration = 1, isEdit = false) => {
   return baseCost * duration;
 };
 
+/**
+ * What a run of `count` image or video generations will cost:
+ * count × price per unit (× duration in seconds for videos). Videos of
+ * different lengths pass `durations`, one per video, instead of `count` and
+ * `duration`.
+ *
+ * Returns { type, model, count, duration, totalSeconds, isEdit, unitCredits,
+ * perItem, total }; `duration` and `perItem` are null when the lengths
+ * differ, `duration` and `totalSeconds` are null for images.
+ */
+export const estimateGenerationCost = ({
+  type,
+  model,
+  count,
+  duration = 5,
+  durations,
+  isEdit = false,
+}) => {
+  const normalizedType = type.toUpperCase();
+  const isVideo = normalizedType === "VIDEO";
+  const unitCredits = getCreditCost(normalizedType, model, isEdit);
+  if (!isVideo) {
+    const perItem = getImageCreditCost(model, isEdit);
+    return {
+      type: normalizedType,
+      model,
+      count,
+      duration: null,
+      totalSeconds: null,
+      isEdit,
+      unitCredits,
+      perItem,
+      total: perItem * count,
+    };
+  }
+  const lengths = durations || Array.from({ length: count }, () => duration);
+  const sameLength = lengths.every((length) => length === lengths[0]);
+  const commonLength = sameLength ? (lengths[0] ?? duration) : null;
+  return {
+    type: normalizedType,
+    model,
+    count: lengths.length,
+    duration: commonLength,
+    totalSeconds: lengths.reduce((total, length) => total + length, 0),
+    isEdit,
+    unitCredits,
+    perItem: commonLength == null ? null : getVideoCreditCost(model, commonLength, isEdit),
+    total: lengths.reduce((total, length) => total + getVideoCreditCost(model, length, isEdit), 0),
+  };
+};
+
 export const formatCreditDeduction = (serviceName, credits) => {
   return `${credits} credit${
     credits !== 1 ? "s" : ""
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import {
+  CREDIT_PRICES,
+  getCreditCost,
+  getTextCreditCost,
+  getImageCreditCost,
+  getVideoCreditCost,
+  getAudioCreditCost,
+  estimateGenerationCost,
+  formatCreditDeduction,
+} from "./pricing";
+
+describe("pricing", () => {
+  describe("getCreditCost", () => {
+    it("returns regular and edit prices", () => {
+      expect(getCreditCost("IMAGE", "imagen")).toBe(2);
+      expect(getCreditCost("IMAGE", "imagen", true)).toBe(4);
+    });
+
+    it("accepts the category in any case", () => {
+      expect(getCreditCost("image", "recraft-v3")).toBe(1);
+    });
+
+    it("returns 0 for unknown categories and models", () => {
+      expect(getCreditCost("HOLOGRAM", "imagen")).toBe(0);
+      expect(getCreditCost("IMAGE", "unknown-model")).toBe(0);
+    });
+  });
+
+  it("prices text services per request", () => {
+    expect(getTextCreditCost("web-info")).toBe(1);
+    expect(getTextCreditCost("concept generator")).toBe(1);
+    expect(getTextCreditCost("script & segmentation")).toBe(3);
+    expect(getTextCreditCost("script & segmentation", true)).toBe(6);
+  });
+
+  it("prices images per image", () => {
+    expect(getImageCreditCost("recraft-v3")).toBe(1);
+    expect(getImageCreditCost("recraft-v3", true)).toBe(2);
+  });
+
+  it("prices video per second with a 5 second default", () => {
+    expect(getVideoCreditCost("gen4_turbo")).toBe(12.5);
+    expect(getVideoCreditCost("veo2", 8)).toBe(200);
+    expect(getVideoCreditCost("gen4_turbo", 4, true)).toBe(15);
+  });
+
+  it("prices audio per minute", () => {
+    expect(getAudioCreditCost("elevenlabs")).toBe(2);
+    expect(getAudioCreditCost("elevenlabs", 3)).toBe(6);
+  });
+
+  it("estimates a run as count × unit price × duration", () => {
+    expect(estimateGenerationCost({ type: "video", model: "gen4_turbo", count: 4, duration: 10 })).toEqual({
+      type: "VIDEO",
+      model: "gen4_turbo",
+      count: 4,
+      duration: 10,
+      totalSeconds: 40,
+      isEdit: false,
+      unitCredits: 2.5,
+      perItem: 25,
+      total: 100,
+    });
+    expect(estimateGenerationCost({ type: "VIDEO", model: "gen4_turbo", durations: [5, 10, 5] })).toMatchObject({
+      count: 3,
+      duration: null,
+      totalSeconds: 20,
+      perItem: null,
+      total: 50,
+    });
+    expect(estimateGenerationCost({ type: "IMAGE", model: "imagen", count: 3 })).toMatchObject({
+      duration: null,
+      perItem: 2,
+      total: 6,
+    });
+  });
+
+  it("has a price for every listed model", () => {
+    Object.values(CREDIT_PRICES).forEach((models) => {
+      Object.values(models).forEach((price) => {
+        expect(typeof price.credits).toBe("number");
+        expect(typeof price.editCredits).toBe("number");
+      });
+    });
+  });
+
+  it("formats deduction messages", () => {
+    expect(formatCreditDeduction("Image Generation", 1)).toBe(
+      "1 credit deducted for Image Generation",
+    );
+    expect(formatCreditDeduction("Video Generation", 12.5)).toBe(
+      "12.5 credits deducted for Video Generation",
+    );
+  });
+});
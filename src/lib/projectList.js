@@ -0,0 +1,48 @@
+export const PROJECT_PAGE_SIZE = 20;
+
+export const PROJECT_SORTS = {
+  MODIFIED: "modified",
+  NAME: "name",
+};
+
+// When a project was last changed, as a timestamp (0 when unknown)
+export const getProjectModifiedAt = (project) => {
+  const value = project?.updatedAt ?? project?.updated_at ?? project?.createdAt ?? project?.created_at;
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? 0 : time;
+};
+
+const matchesSearch = (project, terms) => {
+  const text = `${project.name || ""} ${project.description || ""}`.toLowerCase();
+  return terms.every((term) => text.includes(term));
+};
+
+const COMPARATORS = {
+  // Most recently changed first
+  [PROJECT_SORTS.MODIFIED]: (a, b) => getProjectModifiedAt(b) - getProjectModifiedAt(a),
+  [PROJECT_SORTS.NAME]: (a, b) => (a.name || "").localeCompare(b.name || "", undefined, { sensitivity: "base" }),
+};
+
+/**
+ * One page of the user's projects for the project manager: those whose name
+ * or description contains every word of `search`, sorted by `sort`
+ * (PROJECT_SORTS). `page` starts at 1 and is clamped to the pages there are.
+ * Returns { items, page, pageCount, total }.
+ */
+export const queryProjects = (
+  projects,
+  { search = "", sort = PROJECT_SORTS.MODIFIED, page = 1, pageSize = PROJECT_PAGE_SIZE } = {},
+) => {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const matching = (projects || [])
+    .filter((project) => project && matchesSearch(project, terms))
+    .sort(COMPARATORS[sort] || COMPARATORS[PROJECT_SORTS.MODIFIED]);
+  const pageCount = Math.max(1, Math.ceil(matching.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: matching.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+    total: matching.length,
+  };
+};
@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { PROJECT_SORTS, getProjectModifiedAt, queryProjects } from "./projectList";
+
+const projects = [
+  { id: "a", name: "Harbour film", description: "Ships at dawn", updatedAt: "2026-03-01T10:00:00Z" },
+  { id: "b", name: "zoom ad", description: "Coffee", updatedAt: "2026-05-01T10:00:00Z" },
+  { id: "c", name: "Coffee story", createdAt: "2026-04-01T10:00:00Z" },
+];
+
+describe("queryProjects", () => {
+  it("sorts by last modified, falling back to creation, or by name", () => {
+    expect(queryProjects(projects).items.map((project) => project.id)).toEqual(["b", "c", "a"]);
+    expect(
+      queryProjects(projects, { sort: PROJECT_SORTS.NAME }).items.map((project) => project.id),
+    ).toEqual(["c", "a", "b"]);
+    expect(getProjectModifiedAt({})).toBe(0);
+  });
+
+  it("searches names and descriptions for every word", () => {
+    expect(queryProjects(projects, { search: "coffee" }).items.map((project) => project.id)).toEqual(["b", "c"]);
+    expect(queryProjects(projects, { search: "ships HARBOUR" }).total).toBe(1);
+  });
+
+  it("pages through any number of projects", () => {
+    const many = Array.from({ length: 45 }, (_, i) => ({ id: String(i), name: `Project ${i}`, updatedAt: i }));
+
+    const last = queryProjects(many, { page: 3 });
+    expect(last).toMatchObject({ page: 3, pageCount: 3, total: 45 });
+    expect(last.items.map((project) => project.id)).toEqual(["4", "3", "2", "1", "0"]);
+    // Out of range pages are clamped
+    expect(queryProjects(many, { page: 9 }).page).toBe(3);
+    expect(queryProjects([], { page: 2 })).toEqual({ items: [], page: 1, pageCount: 1, total: 0 });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Character budgets for prompts sent to /chat, per model. Image prompts stay
+ * below the backend's 950-character limit; video budgets follow the
+ * provider limits (Kling 2500, Runway 1000).
+ */
+export const PROMPT_LIMITS = {
+  default: 800,
+  "recraft-v3": 800,
+  imagen: 800,
+  "kling-v2.1-master": 2500,
+  gen4_turbo: 1000,
+};
+
+export const PROMPT_WARNINGS = {
+  REMOVED_CHARACTERS: "REMOVED_CHARACTERS",
+  TRUNCATED: "TRUNCATED",
+};
+
+// Typographic punctuation with a plain equivalent
+const REPLACEMENTS = [
+  [/[‘’‚‛′]/g, "'"],
+  [/[“”„‟″]/g, '"'],
+  [/[–—―−]/g, "-"],
+  [/…/g, "..."],
+  [/•/g, "-"],
+];
+
+// Emoji, pictographs and their modifiers, private-use and lone surrogates,
+// and control/format characters except ZWNJ/ZWJ, which some scripts need
+const UNSUPPORTED =
+  /\p{Extended_Pictographic}|[\u{1F3FB}-\u{1F3FF}]|\u{FE0E}|\u{FE0F}|\u{20E3}|\p{Co}|\p{Cs}|(?![\u{200C}\u{200D}])\p{Cf}|(?![\t\n\r])\p{Cc}/gu;
+
+// Removals worth reporting; invisible characters are dropped silently
+const VISIBLE = /\p{Extended_Pictographic}|\p{Co}|\p{Cs}/u;
+
+// Prefer cutting at a space if one is this close to the limit
+const WORD_BOUNDARY_WINDOW = 0.2;
+
+const codePoints = (text) => Array.from(text);
+
+const preview = (text, length = 80) => {
+  const chars = codePoints(text);
+  return chars.length > length ? `${chars.slice(0, length).join("")}…` : text;
+};
+
+const truncate = (chars, maxLength) => {
+  if (chars.length <= maxLength) return chars.join("");
+  let cut = maxLength;
+  if (chars[maxLength] !== " ") {
+    const lastSpace = chars.lastIndexOf(" ", maxLength);
+    if (lastSpace >= maxLength * (1 - WORD_BOUNDARY_WINDOW)) cut = lastSpace;
+  }
+  return chars.slice(0, cut).join("").trimEnd();
+};
+
+/**
+ * Turn user or script text into the prompt that is actually sent for `model`.
+ *
+ * Text in any script is kept: the prompt is NFC-normalised Unicode, which the
+ * backend accepts as JSON. Typographic quotes and dashes become ASCII, line
+ * breaks and runs of whitespace collapse to single spaces, and only emoji and
+ * invisible control characters are removed. Removed emoji and anything cut
+ * off are reported in `warnings`, so the UI can show what will be sent.
+ *
+ * Returns { prompt, original, model, maxLength, truncated, omitted, removed, warnings }.
+ * Lengths count code points, like the backend does.
+ */
+export const preparePrompt = (text, { model = "default", maxLength } = {}) => {
+  const original = text || "";
+  const limit = maxLength ?? PROMPT_LIMITS[model] ?? PROMPT_LIMITS.default;
+
+  let normalised = original.normalize("NFC");
+  REPLACEMENTS.forEach(([pattern, replacement]) => {
+    normalised = normalised.replace(pattern, replacement);
+  });
+
+  const removed = [];
+  const cleaned = normalised
+    .replace(UNSUPPORTED, (char) => {
+      if (!VISIBLE.test(char)) return "";
+      removed.push(char);
+      return " ";
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const chars = codePoints(cleaned);
+  const prompt = truncate(chars, limit);
+  const truncated = prompt.length < cleaned.length;
+  const omitted = truncated ? cleaned.slice(prompt.length).trim() : "";
+
+  const warnings = [];
+  if (removed.length > 0) {
+    warnings.push({
+      code: PROMPT_WARNINGS.REMOVED_CHARACTERS,
+      message: `Removed ${removed.length} unsupported character${removed.length === 1 ? "" : "s"}: ${[...new Set(removed)].join(" ")}`,
+    });
+  }
+  if (truncated) {
+    warnings.push({
+      code: PROMPT_WARNINGS.TRUNCATED,
+      message: `Shortened from ${chars.length} to ${codePoints(prompt).length} characters (limit ${limit} for ${model}). Not sent: "${preview(omitted)}"`,
+    });
+  }
+
+  return {
+    prompt,
+    original,
+    model,
+    maxLength: limit,
+    truncated,
+    omitted,
+    removed,
+    warnings,
+  };
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { preparePrompt, PROMPT_LIMITS, PROMPT_WARNINGS } from "./promptPrep";
+
+describe("preparePrompt", () => {
+  it("keeps accented and non-Latin text", () => {
+    const spanish = "Un niño llamado José camina por la montaña";
+    const hindi = "पहाड़ों पर सूर्योदय";
+
+    expect(preparePrompt(spanish).prompt).toBe(spanish);
+    expect(preparePrompt(hindi).prompt).toBe(hindi);
+    expect(preparePrompt(`${spanish} ${hindi}`).warnings).toEqual([]);
+  });
+
+  it("normalises to NFC", () => {
+    expect(preparePrompt("Jose\u0301").prompt).toBe("Jos\u00e9");
+  });
+
+  it("replaces typographic punctuation and collapses whitespace", () => {
+    expect(preparePrompt("  “Hello”\n\n— it’s   late…  ").prompt).toBe(`"Hello" - it's late...`);
+  });
+
+  it("removes emoji with a warning and drops invisible characters silently", () => {
+    const result = preparePrompt("A cup ☕\ufe0f of co\u00adffee\u200b 🎉");
+
+    expect(result.prompt).toBe("A cup of coffee");
+    expect(result.removed).toEqual(["☕", "🎉"]);
+    expect(result.warnings).toEqual([
+      { code: PROMPT_WARNINGS.REMOVED_CHARACTERS, message: "Removed 2 unsupported characters: ☕ 🎉" },
+    ]);
+  });
+
+  it("keeps the joiners some scripts need", () => {
+    expect(preparePrompt("क्\u200dष").prompt).toBe("क्\u200dष");
+  });
+
+  it("uses the model's budget and cuts at a word boundary", () => {
+    const words = "mountain ".repeat(200).trim();
+
+    const image = preparePrompt(words, { model: "recraft-v3" });
+    const video = preparePrompt(words, { model: "kling-v2.1-master" });
+
+    expect(image.prompt.length).toBeLessThanOrEqual(PROMPT_LIMITS["recraft-v3"]);
+    expect(image.prompt.endsWith("mountain")).toBe(true);
+    expect(image.truncated).toBe(true);
+    expect(`${image.prompt} ${image.omitted}`).toBe(words);
+    expect(image.warnings[0].code).toBe(PROMPT_WARNINGS.TRUNCATED);
+    expect(video.truncated).toBe(false);
+  });
+
+  it("counts code points rather than UTF-16 units", () => {
+    const result = preparePrompt("𝒜".repeat(10), { maxLength: 10 });
+
+    expect(result.truncated).toBe(false);
+    expect(result.prompt).toBe("𝒜".repeat(10));
+  });
+
+  it("falls back to the default budget for unknown models", () => {
+    expect(preparePrompt("x", { model: "new-model" }).maxLength).toBe(PROMPT_LIMITS.default);
+  });
+});
@@ -0,0 +1,87 @@
+import { ApiError } from "./apiError";
+
+/**
+ * Retry policies per operation type.
+ *
+ * Only operations that send an idempotency key retry by default: the backend
+ * deducts credits per request, so a blind retry could charge twice.
+ *
+ * - retries: extra attempts after the first one
+ * - baseDelayMs / maxDelayMs / factor: exponential backoff, capped
+ * - retryOnRateLimit: set to false to hand 429s back to the caller, e.g. the
+ *   generation queue, which pauses the whole model instead
+ *
+ * A Retry-After sent by the server is honoured when it is longer than the backoff.
+ */
+export const RETRY_POLICIES = {
+  default: { retries: 0, baseDelayMs: 500, maxDelayMs: 5000, factor: 2, retryOnRateLimit: true },
+  image: { retries: 3, baseDelayMs: 1000, maxDelayMs: 15000, factor: 2 },
+  video: { retries: 2, baseDelayMs: 2000, maxDelayMs: 30000, factor: 2 },
+};
+
+// Override (part of) a policy at runtime, e.g. from settings or tests.
+export const configureRetryPolicy = (operation, overrides = {}) => {
+  RETRY_POLICIES[operation] = {
+    ...RETRY_POLICIES.default,
+    ...RETRY_POLICIES[operation],
+    ...overrides,
+  };
+  return RETRY_POLICIES[operation];
+};
+
+// Accepts a policy name, a partial policy object or false (no retries).
+export const resolveRetryPolicy = (policy) => {
+  if (!policy) return { ...RETRY_POLICIES.default, retries: 0 };
+  if (typeof policy === "string") {
+    return RETRY_POLICIES[policy] || RETRY_POLICIES.default;
+  }
+  return { ...RETRY_POLICIES.default, ...policy };
+};
+
+// Exponential backoff with "full jitter": a random delay between 0 and the cap.
+export const getBackoffDelay = (attempt, policy, random = Math.random) => {
+  const cap = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * Math.pow(policy.factor, attempt),
+  );
+  return Math.round(random() * cap);
+};
+
+const cancelledError = () =>
+  new ApiError({ message: "The request was cancelled.", code: "CANCELLED" });
+
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Run `fn(attempt)` and retry it while it fails with a retryable ApiError.
+ * `onRetry({ attempt, error, delayMs })` is called before each wait.
+ */
+export const withRetry = async (fn, policy, { signal, onRetry } = {}) => {
+  const resolved = resolveRetryPolicy(policy);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error?.retryable || attempt >= resolved.retries) throw error;
+      if (error.status === 429 && resolved.retryOnRateLimit === false) throw error;
+      const delayMs = Math.max(getBackoffDelay(attempt, resolved), error.retryAfterMs || 0);
+      onRetry?.({ attempt: attempt + 1, error, delayMs });
+      await sleep(delayMs, signal);
+    }
+  }
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from "vitest";
+import { ApiError } from "./apiError";
+import {
+  RETRY_POLICIES,
+  configureRetryPolicy,
+  resolveRetryPolicy,
+  getBackoffDelay,
+  sleep,
+  withRetry,
+} from "./retry";
+
+const retryable = () => new ApiError({ code: "HTTP_503", retryable: true });
+const fast = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+describe("retry", () => {
+  it("resolves policies by name, object or false", () => {
+    expect(resolveRetryPolicy("image")).toBe(RETRY_POLICIES.image);
+    expect(resolveRetryPolicy("unknown")).toBe(RETRY_POLICIES.default);
+    expect(resolveRetryPolicy(false).retries).toBe(0);
+    expect(resolveRetryPolicy({ retries: 5 })).toMatchObject({ retries: 5, factor: 2 });
+  });
+
+  it("configures a policy on top of the existing one", () => {
+    const before = { ...RETRY_POLICIES.video };
+    expect(configureRetryPolicy("video", { retries: 7 })).toMatchObject({
+      retries: 7,
+      baseDelayMs: before.baseDelayMs,
+    });
+    RETRY_POLICIES.video = before;
+  });
+
+  it("caps exponential backoff and applies jitter", () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000, factor: 2 };
+    expect(getBackoffDelay(0, policy, () => 1)).toBe(100);
+    expect(getBackoffDelay(3, policy, () => 1)).toBe(800);
+    expect(getBackoffDelay(10, policy, () => 1)).toBe(1000);
+    expect(getBackoffDelay(3, policy, () => 0.5)).toBe(400);
+  });
+
+  it("retries retryable errors until it succeeds", async () => {
+    const fn = vi.fn().mockRejectedValueOnce(retryable()).mockResolvedValue("ok");
+    const onRetry = vi.fn();
+
+    await expect(withRetry(fn, fast, { onRetry })).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1 }));
+  });
+
+  it("stops after the configured number of retries", async () => {
+    const fn = vi.fn().mockRejectedValue(retryable());
+
+    await expect(withRetry(fn, fast)).rejects.toMatchObject({ code: "HTTP_503" });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it("does not retry non-retryable errors", async () => {
+    const fn = vi.fn().mockRejectedValue(new ApiError({ code: "BAD_REQUEST" }));
+
+    await expect(withRetry(fn, fast)).rejects.toMatchObject({ code: "BAD_REQUEST" });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves 429s to the caller when retryOnRateLimit is off", async () => {
+    const rateLimited = new ApiError({ status: 429, code: "RATE_LIMITED", retryable: true });
+    const fn = vi.fn().mockRejectedValue(rateLimited);
+
+    await expect(withRetry(fn, { ...fast, retryOnRateLimit: false })).rejects.toBe(rateLimited);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits at least as long as Retry-After asks", async () => {
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(new ApiError({ status: 429, retryable: true, retryAfterMs: 1500 }))
+      .mockResolvedValue("ok");
+    const onRetry = vi.fn();
+
+    vi.useFakeTimers();
+    const result = withRetry(fn, fast, { onRetry });
+    await vi.advanceTimersByTimeAsync(1500);
+    vi.useRealTimers();
+
+    await expect(result).resolves.toBe("ok");
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delayMs: 1500 }));
+  });
+
+  it("aborts a pending backoff", async () => {
+    const controller = new AbortController();
+    const pending = sleep(10000, controller.signal);
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: "CANCELLED" });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Start one generation per segment at once and wait for all of them. The
+ * generation queue decides when each request goes out, so
+ * `runSegment(segment, index, { onStart })` must hand `onStart` on to it
+ * (chatApi's or the job's `onStart`). A segment that hasn't started when
+ * `signal` is aborted is dropped from the queue and counts as skipped.
+ *
+ * Resolves to { results, cancelled, skipped }: what each segment resolved to
+ * (null when it threw), whether the run was cancelled and how many segments
+ * never started.
+ */
+export const runSegments = async (segments, runSegment, { signal } = {}) => {
+  const started = new Set();
+  const results = await Promise.all(
+    segments.map(async (segment, index) => {
+      try {
+        return await runSegment(segment, index, {
+          onStart: () => started.add(index),
+        });
+      } catch {
+        return null;
+      }
+    }),
+  );
+  const cancelled = Boolean(signal?.aborted);
+  return {
+    results,
+    cancelled,
+    skipped: cancelled ? segments.length - started.size : 0,
+  };
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { runSegments } from "./segmentRun";
+import { createGenerationQueue } from "./generationQueue";
+
+describe("runSegments", () => {
+  it("skips the segments still queued when the run is cancelled", async () => {
+    const queue = createGenerationQueue({ concurrency: { default: 2 } });
+    const controller = new AbortController();
+    const running = [];
+
+    const run = runSegments(
+      ["s1", "s2", "s3", "s4", "s5"],
+      (segment, index, { onStart }) =>
+        queue.enqueue(
+          () =>
+            new Promise((resolve) => {
+              running.push(() => resolve(segment));
+            }),
+          { signal: controller.signal, onStart },
+        ),
+      { signal: controller.signal },
+    );
+
+    // Two segments are running, three wait for a slot
+    expect(running).toHaveLength(2);
+    controller.abort();
+    // Requests already sent still finish
+    running.forEach((finish) => finish());
+
+    expect(await run).toEqual({
+      results: ["s1", "s2", null, null, null],
+      cancelled: true,
+      skipped: 3,
+    });
+    expect(running).toHaveLength(2);
+  });
+
+  it("skips nothing when the run isn't cancelled", async () => {
+    const result = await runSegments(["s1", "s2"], async (segment) => {
+      if (segment === "s2") throw new Error("boom");
+      return segment;
+    });
+
+    expect(result).toEqual({ results: ["s1", null], cancelled: false, skipped: 0 });
+  });
+});
@@ -0,0 +1,157 @@
+import { ApiError } from "./apiError";
+
+const SESSION_EXPIRED_MESSAGE = "Your session has expired. Please sign in again.";
+
+const listeners = new Set();
+// Shared by every request that hit a 401 while the session is being renewed
+let pendingReauth = null;
+// Resolvers for the interactive sign-in, set while the prompt is showing
+let waitingForSignIn = null;
+
+/**
+ * Subscribe to session events:
+ * - { type: "refreshed", token, user }: a new token was obtained silently
+ * - { type: "expired", showPrompt }: the user has to sign in again. Every
+ *   AuthProvider gets this, but only the first one mounted has showPrompt set so
+ *   embedded widgets don't stack two prompts.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emit = (event) => {
+  [...listeners].forEach((listener, index) =>
+    listener({ ...event, showPrompt: index === 0 }),
+  );
+};
+
+const storeToken = (token, user) => {
+  localStorage.setItem("authToken", token);
+  if (user) localStorage.setItem("authUser", JSON.stringify(user));
+};
+
+// Try to get a new token without user interaction: first the Electron store
+// (the main process may already hold a newer token), then the backend.
+const refreshToken = async (instance, failedToken) => {
+  const electronAuth = window.electronAPI?.req?.auth;
+  if (electronAuth) {
+    try {
+      const result = await electronAuth.getToken();
+      if (result.status === 1 && result.token && result.token !== failedToken) {
+        storeToken(result.token);
+        return { token: result.token };
+      }
+    } catch (error) {
+      console.warn("Failed to read token from Electron store:", error);
+    }
+  }
+
+  if (!failedToken) return null;
+  try {
+    const response = await instance.post("/auth/refresh", null, {
+      headers: { Authorization: `Bearer ${failedToken}` },
+      skipSessionRefresh: true,
+    });
+    const { access_token: token, user } = response.data || {};
+    if (token) {
+      storeToken(token, user);
+      return { token, user };
+    }
+  } catch {
+    // Refresh not possible, fall through to the sign-in prompt
+  }
+  return null;
+};
+
+const waitForSignIn = () => {
+  if (listeners.size === 0) {
+    return Promise.reject(
+      new ApiError({ message: SESSION_EXPIRED_MESSAGE, status: 401, code: "SESSION_EXPIRED" }),
+    );
+  }
+  return new Promise((resolve, reject) => {
+    waitingForSignIn = { resolve, reject };
+    emit({ type: "expired" });
+  });
+};
+
+const reauthenticate = (instance, failedToken) => {
+  if (!pendingReauth) {
+    pendingReauth = (async () => {
+      const refreshed = await refreshToken(instance, failedToken);
+      if (refreshed) {
+        emit({ type: "refreshed", ...refreshed });
+        return refreshed.token;
+      }
+      return waitForSignIn();
+    })().finally(() => {
+      pendingReauth = null;
+    });
+  }
+  return pendingReauth;
+};
+
+// Called by AuthContext once the user has signed in again; replays the
+// requests that were waiting on the prompt.
+export const notifyReauthenticated = (token) => {
+  if (!waitingForSignIn || !token) return;
+  waitingForSignIn.resolve(token);
+  waitingForSignIn = null;
+};
+
+// Called when the user dismisses the prompt; the waiting requests fail.
+export const cancelReauthentication = () => {
+  if (!waitingForSignIn) return;
+  waitingForSignIn.reject(
+    new ApiError({ message: SESSION_EXPIRED_MESSAGE, status: 401, code: "SESSION_EXPIRED" }),
+  );
+  waitingForSignIn = null;
+};
+
+const untilAborted = (promise, signal) => {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () =>
+      reject(new ApiError({ message: "The request was cancelled.", code: "CANCELLED" }));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+};
+
+const bearerToken = (headers) => {
+  const value = headers?.Authorization || headers?.authorization;
+  return typeof value === "string" ? value.replace(/^Bearer\s+/i, "") : null;
+};
+
+/**
+ * Install the 401 handling on an axios instance. A request rejected with 401
+ * waits for a silent refresh or, failing that, for the user to sign in again,
+ * and is then sent once more with the new token. Requests made with
+ * `skipSessionRefresh` (unauthenticated calls, the refresh itself) are left alone.
+ */
+export const attachSessionHandling = (instance) =>
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      if (
+        !config ||
+        response?.status !== 401 ||
+        config.skipSessionRefresh ||
+        config.retriedAfterAuth
+      ) {
+        throw error;
+      }
+
+      const token = await untilAborted(
+        reauthenticate(instance, bearerToken(config.headers)),
+        config.signal,
+      );
+      config.retriedAfterAuth = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return instance.request(config);
+    },
+  );
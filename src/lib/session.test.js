@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import axios, { AxiosError } from "axios";
+import {
+  attachSessionHandling,
+  subscribeToSession,
+  notifyReauthenticated,
+  cancelReauthentication,
+} from "./session";
+
+const unauthorized = (config) =>
+  new AxiosError("Unauthorized", "ERR_BAD_REQUEST", config, {}, {
+    status: 401,
+    data: {},
+    headers: {},
+    config,
+  });
+
+// axios instance whose backend accepts only `validToken` and answers
+// /auth/refresh with `refreshReply`
+const createClient = ({ validToken, refreshReply }) => {
+  const calls = [];
+  const instance = axios.create({
+    adapter: async (config) => {
+      const auth = config.headers.Authorization;
+      calls.push({ url: config.url, auth });
+      if (config.url === "/auth/refresh") {
+        if (!refreshReply) throw unauthorized(config);
+        return { data: refreshReply, status: 200, headers: {}, config };
+      }
+      if (auth !== `Bearer ${validToken}`) throw unauthorized(config);
+      return { data: "ok", status: 200, headers: {}, config };
+    },
+  });
+  attachSessionHandling(instance);
+  return { instance, calls };
+};
+
+describe("session handling", () => {
+  let unsubscribe;
+  let events;
+
+  beforeEach(() => {
+    events = [];
+    unsubscribe = subscribeToSession((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    cancelReauthentication();
+    localStorage.clear();
+  });
+
+  it("refreshes silently and replays the request", async () => {
+    const { instance, calls } = createClient({
+      validToken: "new",
+      refreshReply: { access_token: "new", user: { id: "u1" } },
+    });
+
+    const response = await instance.get("/data", { headers: { Authorization: "Bearer old" } });
+
+    expect(response.data).toBe("ok");
+    expect(calls.map((c) => c.url)).toEqual(["/data", "/auth/refresh", "/data"]);
+    expect(localStorage.getItem("authToken")).toBe("new");
+    expect(events).toEqual([{ type: "refreshed", token: "new", user: { id: "u1" }, showPrompt: true }]);
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    const { instance, calls } = createClient({ validToken: "new", refreshReply: { access_token: "new" } });
+    const headers = { Authorization: "Bearer old" };
+
+    await Promise.all([instance.get("/a", { headers }), instance.get("/b", { headers })]);
+
+    expect(calls.filter((c) => c.url === "/auth/refresh")).toHaveLength(1);
+  });
+
+  it("waits for the user to sign in again when refresh fails", async () => {
+    const { instance, calls } = createClient({ validToken: "fresh" });
+
+    const pending = instance.get("/data", { headers: { Authorization: "Bearer old" } });
+    await vi.waitFor(() => expect(events).toEqual([{ type: "expired", showPrompt: true }]));
+    notifyReauthenticated("fresh");
+
+    await expect(pending).resolves.toMatchObject({ data: "ok" });
+    expect(calls.at(-1)).toEqual({ url: "/data", auth: "Bearer fresh" });
+  });
+
+  it("only lets the first subscriber show the prompt", async () => {
+    const second = [];
+    const unsubscribeSecond = subscribeToSession((event) => second.push(event));
+    const { instance } = createClient({ validToken: "fresh" });
+
+    const pending = instance.get("/data", { headers: { Authorization: "Bearer old" } });
+    await vi.waitFor(() => expect(second).toHaveLength(1));
+    expect(events[0].showPrompt).toBe(true);
+    expect(second[0].showPrompt).toBe(false);
+
+    notifyReauthenticated("fresh");
+    await pending;
+    unsubscribeSecond();
+  });
+
+  it("fails the waiting requests when sign-in is cancelled", async () => {
+    const { instance } = createClient({ validToken: "fresh" });
+
+    const pending = instance.get("/data", { headers: { Authorization: "Bearer old" } });
+    await vi.waitFor(() => expect(events).toHaveLength(1));
+    cancelReauthentication();
+
+    await expect(pending).rejects.toMatchObject({ code: "SESSION_EXPIRED", status: 401 });
+  });
+
+  it("stops waiting when the request is aborted", async () => {
+    const { instance } = createClient({ validToken: "fresh" });
+    const controller = new AbortController();
+
+    const pending = instance.get("/data", {
+      headers: { Authorization: "Bearer old" },
+      signal: controller.signal,
+    });
+    await vi.waitFor(() => expect(events).toHaveLength(1));
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: "CANCELLED" });
+  });
+
+  it("leaves requests marked skipSessionRefresh alone", async () => {
+    const { instance, calls } = createClient({ validToken: "new", refreshReply: { access_token: "new" } });
+
+    await expect(
+      instance.put("/upload", "x", { headers: { Authorization: "Bearer old" }, skipSessionRefresh: true }),
+    ).rejects.toMatchObject({ response: { status: 401 } });
+    expect(calls).toHaveLength(1);
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+import { createRequestNonce } from "./idempotency";
+
+/**
+ * A message channel between windows (browser tabs, Electron renderers) of the
+ * same origin: BroadcastChannel where there is one, otherwise messages are
+ * passed through localStorage and its `storage` event. Either way a window
+ * doesn't receive its own messages.
+ *
+ * Returns { post(message), subscribe(listener) -> unsubscribe, close() }.
+ */
+export const createSyncChannel = (
+  name,
+  {
+    BroadcastChannel = globalThis.BroadcastChannel,
+    storage = globalThis.localStorage,
+    target = globalThis.window,
+  } = {},
+) => {
+  const listeners = new Set();
+  const emit = (message) => [...listeners].forEach((listener) => listener(message));
+
+  let post;
+  let close;
+  if (BroadcastChannel) {
+    const channel = new BroadcastChannel(name);
+    // Node's channel would otherwise keep the process alive
+    channel.unref?.();
+    channel.onmessage = (event) => emit(event.data);
+    post = (message) => channel.postMessage(message);
+    close = () => channel.close();
+  } else {
+    const onStorage = (event) => {
+      if (event.key !== name || !event.newValue) return;
+      try {
+        emit(JSON.parse(event.newValue).message);
+      } catch (error) {
+        console.warn("Ignored an unreadable sync message:", error);
+      }
+    };
+    target?.addEventListener("storage", onStorage);
+    post = (message) => {
+      try {
+        // The nonce makes every write a change, so repeated messages still fire
+        storage?.setItem(name, JSON.stringify({ message, nonce: createRequestNonce() }));
+        storage?.removeItem(name);
+      } catch (error) {
+        console.warn("Failed to send a sync message:", error);
+      }
+    };
+    close = () => target?.removeEventListener("storage", onStorage);
+  }
+
+  return {
+    post,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      listeners.clear();
+      close();
+    },
+  };
+};
+
+// Lamport timestamps, ties broken by client id so every window picks the same winner
+const isNewer = (candidate, current) =>
+  !current ||
+  candidate.clock > current.clock ||
+  (candidate.clock === current.clock && candidate.clientId > current.clientId);
+
+const pickFields = (state, fields) =>
+  Object.fromEntries(fields.map((field) => [field, state[field]]));
+
+/**
+ * Keep parts of a zustand store in sync across a sync channel.
+ *
+ * `units` names groups of state fields that change together, e.g.
+ * { selection: ["selectedProject"] }. A unit is replaced as a whole: when two
+ * windows change it concurrently, the change with the higher Lamport clock
+ * wins and equal clocks go to the higher client id, so all windows settle on
+ * the same value whatever order the messages arrive in.
+ *
+ * Remote values are applied with `apply(patch)`, which defaults to
+ * store.setState. A window that joins asks the others for their state.
+ * Returns { clientId, stop }.
+ */
+export const createStoreSync = ({
+  store,
+  channel,
+  units,
+  apply = (patch) => store.setState(patch),
+  clientId = createRequestNonce(),
+}) => {
+  let clock = 0;
+  // Version of each unit's current value: { clock, clientId }
+  const versions = {};
+  let applyingRemote = false;
+
+  const postUpdate = (unitNames) => {
+    const payload = {};
+    unitNames.forEach((unit) => {
+      // Units that were never changed have nothing to win a conflict with
+      if (!versions[unit]) return;
+      payload[unit] = { ...versions[unit], values: pickFields(store.getState(), units[unit]) };
+    });
+    if (Object.keys(payload).length > 0) {
+      channel.post({ type: "update", from: clientId, units: payload });
+    }
+  };
+
+  const receive = (message) => {
+    if (!message || message.from === clientId) return;
+    if (message.type === "hello") {
+      // Bring the new window up to date
+      postUpdate(Object.keys(units));
+    }
+    const patch = {};
+    Object.entries(message.units || {}).forEach(([unit, incoming]) => {
+      if (!units[unit]) return;
+      clock = Math.max(clock, incoming.clock);
+      if (!isNewer(incoming, versions[unit])) return;
+      versions[unit] = { clock: incoming.clock, clientId: incoming.clientId };
+      Object.assign(patch, pickFields(incoming.values, units[unit]));
+    });
+    if (Object.keys(patch).length === 0) return;
+    applyingRemote = true;
+    try {
+      apply(patch);
+    } finally {
+      applyingRemote = false;
+    }
+  };
+
+  const unsubscribeStore = store.subscribe((state, previous) => {
+    if (applyingRemote) return;
+    const changed = Object.keys(units).filter((unit) =>
+      units[unit].some((field) => state[field] !== previous[field]),
+    );
+    if (changed.length === 0) return;
+    clock += 1;
+    changed.forEach((unit) => {
+      versions[unit] = { clock, clientId };
+    });
+    postUpdate(changed);
+  });
+  const unsubscribeChannel = channel.subscribe(receive);
+  channel.post({ type: "hello", from: clientId, units: {} });
+
+  return {
+    clientId,
+    stop: () => {
+      unsubscribeStore();
+      unsubscribeChannel();
+    },
+  };
+};
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from "vitest";
+import { createStore } from "zustand/vanilla";
+import { createSyncChannel, createStoreSync } from "./storeSync";
+
+// Channels to each other, delivering messages when flush() is called so
+// tests can interleave them
+const createHub = () => {
+  const channels = [];
+  const queue = [];
+  return {
+    channel: () => {
+      const listeners = new Set();
+      const channel = {
+        post: (message) =>
+          channels
+            .filter((other) => other !== channel)
+            .forEach((other) => queue.push(() => other.listeners.forEach((listener) => listener(message)))),
+        subscribe: (listener) => {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+        listeners,
+      };
+      channels.push(channel);
+      return channel;
+    },
+    flush: () => {
+      while (queue.length > 0) queue.shift()();
+    },
+  };
+};
+
+const UNITS = { selection: ["selectedProject"], media: ["images", "videos"] };
+
+const createWindow = (hub, clientId) => {
+  const store = createStore(() => ({ selectedProject: null, images: [], videos: [], loading: false }));
+  createStoreSync({ store, channel: hub.channel(), units: UNITS, clientId });
+  return store;
+};
+
+describe("createStoreSync", () => {
+  it("shares changes to synced units, and nothing else", () => {
+    const hub = createHub();
+    const a = createWindow(hub, "a");
+    const b = createWindow(hub, "b");
+
+    a.setState({ selectedProject: { id: "p1" }, loading: true });
+    a.setState({ images: [{ id: "i1" }] });
+    hub.flush();
+
+    expect(b.getState()).toMatchObject({ selectedProject: { id: "p1" }, images: [{ id: "i1" }], loading: false });
+    // Applying a remote change isn't sent back
+    b.setState({ videos: [{ id: "v1" }] });
+    hub.flush();
+    expect(a.getState().videos).toEqual([{ id: "v1" }]);
+    expect(a.getState().images).toEqual([{ id: "i1" }]);
+  });
+
+  it("settles concurrent changes the same way in every window", () => {
+    const hub = createHub();
+    const a = createWindow(hub, "a");
+    const b = createWindow(hub, "b");
+    hub.flush();
+
+    // Same Lamport clock: the higher client id wins everywhere
+    a.setState({ selectedProject: { id: "from-a" } });
+    b.setState({ selectedProject: { id: "from-b" } });
+    hub.flush();
+    expect(a.getState().selectedProject).toEqual({ id: "from-b" });
+    expect(b.getState().selectedProject).toEqual({ id: "from-b" });
+
+    // A change made after seeing another one wins over it
+    a.setState({ selectedProject: { id: "later" } });
+    hub.flush();
+    expect(b.getState().selectedProject).toEqual({ id: "later" });
+  });
+
+  it("brings a window that joins up to date", () => {
+    const hub = createHub();
+    const a = createWindow(hub, "a");
+    a.setState({ selectedProject: { id: "p1" } });
+    hub.flush();
+
+    const c = createWindow(hub, "c");
+    hub.flush();
+
+    expect(c.getState().selectedProject).toEqual({ id: "p1" });
+    expect(c.getState().images).toEqual([]);
+  });
+});
+
+describe("createSyncChannel", () => {
+  it("falls back to storage events without BroadcastChannel", () => {
+    const target = new EventTarget();
+    const writes = [];
+    const storage = {
+      setItem: (key, value) => writes.push([key, value]),
+      removeItem: vi.fn(),
+    };
+    const channel = createSyncChannel("sync", { BroadcastChannel: null, storage, target });
+    const received = vi.fn();
+    channel.subscribe(received);
+
+    channel.post({ type: "update" });
+    expect(writes).toHaveLength(1);
+    expect(storage.removeItem).toHaveBeenCalledWith("sync");
+
+    // What another window sees for that write
+    const event = new Event("storage");
+    Object.assign(event, { key: "sync", newValue: writes[0][1] });
+    target.dispatchEvent(event);
+    expect(received).toHaveBeenCalledWith({ type: "update" });
+
+    channel.close();
+    target.dispatchEvent(event);
+    expect(received).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,97 @@
+import { ApiError } from "./apiError";
+
+// Aspect ratios offered for videos; a model may support fewer
+export const ASPECT_RATIOS = ["16:9", "9:16", "1:1"];
+
+// Clip length when neither the settings nor the model say otherwise
+export const DEFAULT_VIDEO_DURATION = 5;
+
+export const UNSUPPORTED_VIDEO_SETTINGS = "UNSUPPORTED_VIDEO_SETTINGS";
+
+// Each setting and the model capability listing its values
+const CAPABILITIES = {
+  duration: "durations",
+  aspectRatio: "aspectRatios",
+  resolution: "resolutions",
+};
+
+export const VIDEO_SETTING_FIELDS = Object.keys(CAPABILITIES);
+
+const isSet = (value) => value != null && value !== "";
+
+const normalizeValue = (field, value) => (field === "duration" ? Number(value) : value);
+
+// The values a catalog model supports for a setting; empty when it doesn't say
+export const getVideoOptions = (model, field) =>
+  model?.capabilities?.[CAPABILITIES[field]] || [];
+
+/**
+ * Settings for one video from layers of settings, most specific first (e.g.
+ * the segment's overrides, then the project defaults). Fields no layer sets
+ * take the model's default, the first value it lists. A value the model
+ * doesn't support is replaced by its default and named in `adjusted`, so
+ * defaults chosen for another model don't stop a run.
+ *
+ * Returns { duration, aspectRatio, resolution, adjusted }.
+ */
+export const resolveVideoSettings = (model, ...layers) => {
+  const settings = { adjusted: [] };
+  VIDEO_SETTING_FIELDS.forEach((field) => {
+    const options = getVideoOptions(model, field);
+    const layer = layers.find((candidate) => isSet(candidate?.[field]));
+    let value = layer ? normalizeValue(field, layer[field]) : null;
+    if (value != null && options.length > 0 && !options.includes(value)) {
+      settings.adjusted.push(field);
+      value = null;
+    }
+    settings[field] =
+      value ?? options[0] ?? (field === "duration" ? DEFAULT_VIDEO_DURATION : null);
+  });
+  return settings;
+};
+
+/**
+ * The settings of a project (`project.videoSettings`: defaults plus
+ * `segments`, overrides by segment id) that apply to one segment.
+ */
+export const resolveSegmentVideoSettings = (model, videoSettings, segmentId) =>
+  resolveVideoSettings(model, videoSettings?.segments?.[segmentId], videoSettings);
+
+// Project settings with a segment's overrides replaced; empty overrides are dropped
+export const setSegmentVideoSettings = (videoSettings, segmentId, overrides) => {
+  const { [segmentId]: _previous, ...segments } = videoSettings?.segments || {};
+  const kept = Object.fromEntries(
+    Object.entries(overrides || {}).filter(([, value]) => isSet(value)),
+  );
+  return {
+    ...videoSettings,
+    segments: Object.keys(kept).length > 0 ? { ...segments, [segmentId]: kept } : segments,
+  };
+};
+
+/**
+ * Check explicitly set values against what the model supports. Returns one
+ * message per unsupported value; models that don't list a capability accept
+ * any value for it.
+ */
+export const validateVideoSettings = (model, settings = {}) =>
+  VIDEO_SETTING_FIELDS.flatMap((field) => {
+    if (!isSet(settings[field])) return [];
+    const options = getVideoOptions(model, field);
+    const value = normalizeValue(field, settings[field]);
+    if (options.length === 0 || options.includes(value)) return [];
+    const shown = field === "duration" ? `${value}s` : value;
+    return [`${model.name || model.id} doesn't support ${shown} (supports ${options.join(", ")})`];
+  });
+
+// Throws UNSUPPORTED_VIDEO_SETTINGS when validateVideoSettings finds problems
+export const assertVideoSettings = (model, settings) => {
+  const errors = validateVideoSettings(model, settings);
+  if (errors.length > 0) {
+    throw new ApiError({
+      message: `${errors.join("; ")}.`,
+      code: UNSUPPORTED_VIDEO_SETTINGS,
+      details: { errors },
+    });
+  }
+};
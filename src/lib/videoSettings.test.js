@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import {
+  resolveVideoSettings,
+  resolveSegmentVideoSettings,
+  setSegmentVideoSettings,
+  validateVideoSettings,
+} from "./videoSettings";
+
+const kling = {
+  id: "kling-v2.1-master",
+  name: "Kling v2.1 Master",
+  capabilities: { durations: [5, 10], aspectRatios: ["16:9", "9:16", "1:1"], resolutions: ["1080p"] },
+};
+const veo3 = {
+  id: "veo3",
+  name: "Google Veo 3",
+  capabilities: { durations: [8], aspectRatios: ["16:9"], resolutions: ["720p", "1080p"] },
+};
+
+describe("video settings", () => {
+  it("takes the most specific setting, then the model default", () => {
+    expect(resolveVideoSettings(kling, { duration: "10" }, { duration: 5, aspectRatio: "9:16" })).toEqual({
+      duration: 10,
+      aspectRatio: "9:16",
+      resolution: "1080p",
+      adjusted: [],
+    });
+    expect(resolveVideoSettings(null)).toMatchObject({ duration: 5, aspectRatio: null, resolution: null });
+  });
+
+  it("replaces values the model doesn't support with its defaults", () => {
+    expect(resolveVideoSettings(veo3, { duration: 10, aspectRatio: "1:1", resolution: "1080p" })).toEqual({
+      duration: 8,
+      aspectRatio: "16:9",
+      resolution: "1080p",
+      adjusted: ["duration", "aspectRatio"],
+    });
+  });
+
+  it("keeps per-segment overrides on the project settings", () => {
+    let settings = { duration: 5, aspectRatio: "16:9" };
+    settings = setSegmentVideoSettings(settings, "s2", { duration: 10, aspectRatio: "" });
+    expect(settings.segments).toEqual({ s2: { duration: 10 } });
+    expect(resolveSegmentVideoSettings(kling, settings, "s2").duration).toBe(10);
+    expect(resolveSegmentVideoSettings(kling, settings, "s1").duration).toBe(5);
+
+    settings = setSegmentVideoSettings(settings, "s2", {});
+    expect(settings.segments).toEqual({});
+  });
+
+  it("reports unsupported values", () => {
+    expect(validateVideoSettings(veo3, { duration: 5, aspectRatio: "16:9" })).toEqual([
+      "Google Veo 3 doesn't support 5s (supports 8)",
+    ]);
+    expect(validateVideoSettings(kling, { duration: 10, resolution: null })).toEqual([]);
+  });
+});
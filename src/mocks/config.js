@@ -0,0 +1,19 @@
+// Switch for the in-browser mock backend. Enable it with VITE_USE_MOCK_API=true
+// in .env, or at runtime with localStorage.setItem("useMockApi", "true") and a reload.
+export const isMockApiEnabled = () => {
+  if (import.meta.env?.VITE_USE_MOCK_API === "true") return true;
+  try {
+    return localStorage.getItem("useMockApi") === "true";
+  } catch {
+    return false;
+  }
+};
+
+export const MOCK_TOKEN = "mock-token";
+
+export const MOCK_USER = {
+  id: "mock-user",
+  name: "Demo User",
+  email: "demo@usuals.local",
+  avatar: null,
+};
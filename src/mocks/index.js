@@ -0,0 +1,79 @@
+import { AxiosError, CanceledError } from "axios";
+import { handleMockRequest, MockHttpError } from "./mockBackend";
+
+export { isMockApiEnabled, MOCK_TOKEN, MOCK_USER } from "./config";
+export { resetMockBackend } from "./mockBackend";
+
+const parseBody = (data) => {
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+const waitFor = (ms, config) =>
+  new Promise((resolve, reject) => {
+    const { signal } = config;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CanceledError(null, config));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+
+/**
+ * axios adapter that answers every request from the in-memory mock backend.
+ * Responses and errors have the same shape as real ones, so interceptors,
+ * ApiError conversion and retries behave as they would against the API.
+ */
+export const mockAdapter = async (config) => {
+  const url = new URL(config.url, config.baseURL || window.location.origin);
+  const query = { ...Object.fromEntries(url.searchParams), ...config.params };
+  const method = (config.method || "get").toLowerCase();
+
+  // Always settle asynchronously, like a real request
+  await waitFor(0, config);
+
+  let status;
+  let data;
+  try {
+    ({ status, data } = await handleMockRequest({
+      method,
+      path: url.pathname,
+      query,
+      body: parseBody(config.data),
+      idempotencyKey: config.headers?.get?.("Idempotency-Key") ?? config.headers?.["Idempotency-Key"],
+      wait: (ms) => waitFor(ms, config),
+    }));
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) throw error;
+    status = error.status;
+    data = { message: error.message, code: error.code, statusCode: error.status };
+  }
+
+  const response = {
+    data,
+    status,
+    statusText: String(status),
+    headers: { "content-type": "application/json" },
+    config,
+    request: null,
+  };
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response,
+  );
+};
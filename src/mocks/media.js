@@ -0,0 +1,136 @@
+// Placeholder media for the mock backend. Generated assets get S3-style keys
+// under "mock/" so the rest of the app can keep treating them as S3 keys, and
+// s3Api turns them into local URLs instead of CloudFront ones.
+const MOCK_KEY_PREFIX = "mock/";
+const VIDEO_DURATION_MS = 2000;
+
+const labels = new Map();
+const videoUrls = new Map();
+let keyCounter = 0;
+
+export const isMockMediaKey = (key) =>
+  typeof key === "string" && key.startsWith(MOCK_KEY_PREFIX);
+
+// kind: "images" | "videos" | "audio" | "uploads"
+export const createMockMediaKey = (kind, label, extension) => {
+  keyCounter += 1;
+  const key = `${MOCK_KEY_PREFIX}${kind}/${Date.now().toString(36)}-${keyCounter}.${extension}`;
+  labels.set(key, label || "");
+  return key;
+};
+
+const hueFor = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % 360;
+};
+
+const escapeXml = (text) =>
+  text.replace(/[<>&"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+// Labels are lost on reload; fall back to the key itself
+const labelFor = (key) => labels.get(key) || key;
+
+const wrapLabel = (label, lineLength = 48, maxLines = 3) => {
+  const lines = [];
+  let line = "";
+  label.split(/\s+/).forEach((word) => {
+    if ((line + " " + word).trim().length > lineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = `${line} ${word}`.trim();
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += "…";
+  }
+  return lines;
+};
+
+export const getMockImageUrl = (key) => {
+  const label = labelFor(key);
+  const hue = hueFor(key);
+  const text = wrapLabel(label)
+    .map(
+      (line, i) =>
+        `<text x="48" y="${460 + i * 34}" font-size="26" fill="#f3f4f6">${escapeXml(line)}</text>`,
+    )
+    .join("");
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="576" viewBox="0 0 1024 576">` +
+    `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">` +
+    `<stop offset="0" stop-color="hsl(${hue},55%,35%)"/>` +
+    `<stop offset="1" stop-color="hsl(${(hue + 60) % 360},55%,18%)"/>` +
+    `</linearGradient></defs>` +
+    `<rect width="1024" height="576" fill="url(#g)"/>` +
+    `<circle cx="780" cy="200" r="110" fill="hsl(${(hue + 30) % 360},70%,60%)" opacity="0.5"/>` +
+    `<text x="48" y="80" font-size="22" font-family="monospace" fill="#d1d5db">MOCK</text>` +
+    text +
+    `</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// Record a short animated clip from a canvas so <video> elements have something
+// to play. Needs MediaRecorder; elsewhere (tests, old browsers) callers get the
+// still image instead.
+const recordPlaceholderVideo = (key) =>
+  new Promise((resolve, reject) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = 320;
+    canvas.height = 180;
+    const ctx = canvas.getContext("2d");
+    const recorder = new MediaRecorder(canvas.captureStream(25), {
+      mimeType: "video/webm",
+    });
+    const chunks = [];
+    const hue = hueFor(key);
+    const label = wrapLabel(labelFor(key), 36, 1)[0] || "";
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+    };
+    recorder.onerror = (event) => reject(event.error);
+    recorder.onstop = () =>
+      resolve(URL.createObjectURL(new Blob(chunks, { type: "video/webm" })));
+
+    const start = Date.now();
+    const draw = () => {
+      const t = Math.min((Date.now() - start) / VIDEO_DURATION_MS, 1);
+      ctx.fillStyle = `hsl(${hue}, 45%, 22%)`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = `hsl(${(hue + 30) % 360}, 70%, 60%)`;
+      ctx.beginPath();
+      ctx.arc(30 + t * 260, 100, 18, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = "#f3f4f6";
+      ctx.font = "12px sans-serif";
+      ctx.fillText(`MOCK ${label}`, 10, 20);
+      if (t < 1) {
+        setTimeout(draw, 40);
+      } else {
+        recorder.stop();
+      }
+    };
+    recorder.start();
+    draw();
+  });
+
+export const getMockVideoUrl = (key) => {
+  if (!videoUrls.has(key)) {
+    const canRecord =
+      typeof MediaRecorder !== "undefined" &&
+      MediaRecorder.isTypeSupported?.("video/webm");
+    videoUrls.set(
+      key,
+      canRecord
+        ? recordPlaceholderVideo(key).catch(() => getMockImageUrl(key))
+        : Promise.resolve(getMockImageUrl(key)),
+    );
+  }
+  return videoUrls.get(key);
+};
@@ -0,0 +1,751 @@
+import {
+  CREDIT_PRICES,
+  getTextCreditCost,
+  getImageCreditCost,
+  getVideoCreditCost,
+  getAudioCreditCost,
+} from "../lib/pricing";
+import { DEFAULT_MODELS } from "../services/model-catalog";
+import { MOCK_TOKEN, MOCK_USER } from "./config";
+import { createMockMediaKey } from "./media";
+
+// Simulated response times so loading states are visible
+const LATENCY_MS = {
+  text: 700,
+  image: 1500,
+  video: 3000,
+};
+
+const STARTING_BALANCE = 500;
+const DEFAULT_VIDEO_MODEL = "kling-v2.1-master";
+const DEFAULT_IMAGE_MODEL = "recraft-v3";
+const PROJECT_RESOURCES = [
+  "conversations",
+  "concepts",
+  "images",
+  "videos",
+  "voiceovers",
+  "segmentations",
+  "summaries",
+  "research",
+];
+
+export class MockHttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+let idCounter = 0;
+const mockId = (prefix) => {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}${idCounter}`;
+};
+
+const now = () => new Date().toISOString();
+
+const createState = ({ latency = true } = {}) => {
+  const state = {
+    latency,
+    balance: STARTING_BALANCE,
+    transactions: [],
+    projects: new Map(),
+    characters: [],
+    // Idempotency-Key -> response, so retried generations aren't charged twice
+    idempotentResponses: new Map(),
+  };
+  addProject(state, {
+    id: "mock-project-1",
+    name: "Demo project",
+    description: "Seeded by the mock backend",
+  });
+  return state;
+};
+
+function addProject(state, { id = mockId("project"), name, description = "" }) {
+  const project = {
+    id,
+    name,
+    description,
+    userId: MOCK_USER.id,
+    createdAt: now(),
+    updatedAt: now(),
+  };
+  const entry = { project };
+  PROJECT_RESOURCES.forEach((resource) => {
+    entry[resource] = [];
+  });
+  state.projects.set(id, entry);
+  return project;
+}
+
+let state = createState();
+
+// Start over with a fresh demo account. Tests pass { latency: false }.
+export const resetMockBackend = (options) => {
+  state = createState(options);
+};
+
+export const getMockState = () => state;
+
+// ---------------------------------------------------------------------------
+// Credits
+// ---------------------------------------------------------------------------
+
+// The price table keys Kling as "kling v2.1-master" while the model id is
+// "kling-v2.1-master"; accept both.
+const videoPriceKey = (model) =>
+  CREDIT_PRICES.VIDEO[model] ? model : model.replace("-", " ");
+
+const recordTransaction = (fields) => {
+  const transaction = {
+    id: mockId("txn"),
+    userId: MOCK_USER.id,
+    createdAt: now(),
+    balanceAfter: state.balance,
+    ...fields,
+  };
+  state.transactions.unshift(transaction);
+  return transaction;
+};
+
+const charge = ({ amount, operationType, modelName, description, operationId, projectId }) => {
+  if (amount > state.balance) {
+    throw new MockHttpError(
+      402,
+      `Insufficient credits: ${amount} needed, ${state.balance} available`,
+      "INSUFFICIENT_CREDITS",
+    );
+  }
+  state.balance -= amount;
+  return recordTransaction({
+    type: "DEDUCTION",
+    amount,
+    operationType,
+    modelName,
+    description,
+    operationId: operationId || null,
+    projectId: projectId || null,
+  });
+};
+
+const operationCost = (operationType, modelName, isEditCall) => {
+  switch (operationType) {
+    case "IMAGE":
+      return getImageCreditCost(modelName, isEditCall);
+    case "VIDEO":
+      return getVideoCreditCost(videoPriceKey(modelName), 5, isEditCall);
+    case "AUDIO":
+      return getAudioCreditCost(modelName, 1, isEditCall);
+    default:
+      return getTextCreditCost(modelName, isEditCall);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const getProjectEntry = (projectId) => {
+  const entry = state.projects.get(projectId);
+  if (!entry) throw new MockHttpError(404, "Project not found", "NOT_FOUND");
+  return entry;
+};
+
+// Generation endpoints accept an optional projectId
+const projectEntryFor = (projectId) =>
+  projectId ? state.projects.get(projectId) : null;
+
+const touch = (entry) => {
+  entry.project.updatedAt = now();
+};
+
+const paginate = (items, query) => {
+  const page = Math.max(1, Number(query.page) || 1);
+  const limit = Math.max(1, Number(query.limit) || 10);
+  const start = (page - 1) * limit;
+  return {
+    success: true,
+    data: items.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total: items.length,
+      totalPages: Math.max(1, Math.ceil(items.length / limit)),
+    },
+  };
+};
+
+// Stable, so records created in the same millisecond keep insertion order
+const newestFirst = (items) =>
+  [...items].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+const topicOf = (prompt = "") => prompt.trim().replace(/\s+/g, " ").slice(0, 80) || "your idea";
+
+const SCENE_BEATS = [
+  "An establishing shot that sets the mood",
+  "The main subject is introduced up close",
+  "A turning point that raises the stakes",
+  "The payoff, bright and energetic",
+  "A closing shot with room for the call to action",
+];
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+const routes = [];
+const route = (method, pattern, handler) => {
+  const keys = [];
+  const regex = new RegExp(
+    `^${pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    })}/?$`,
+  );
+  routes.push({ method, regex, keys, handler });
+};
+
+// Auth ----------------------------------------------------------------------
+
+route("get", "/auth/status", () => ({ authenticated: true, user: MOCK_USER }));
+
+route("post", "/auth/refresh", () => ({ access_token: MOCK_TOKEN, user: MOCK_USER }));
+
+// Pipeline ------------------------------------------------------------------
+
+route("post", "/get-web-info", async ({ body, wait }) => {
+  await wait(LATENCY_MS.text);
+  const topic = topicOf(body.prompt);
+  charge({
+    amount: getTextCreditCost("web-info"),
+    operationType: "TEXT",
+    modelName: "web-info",
+    description: "Web research",
+    projectId: body.projectId,
+  });
+  const content =
+    `Mock research for "${topic}": audiences respond to short, visual stories, ` +
+    `a clear hook in the first seconds and a single call to action.`;
+  const entry = projectEntryFor(body.projectId);
+  if (entry) {
+    entry.research.unshift({ id: mockId("research"), prompt: body.prompt, content, createdAt: now() });
+    touch(entry);
+  }
+  return { choices: [{ message: { role: "assistant", content } }] };
+});
+
+route("post", "/concept-writer", async ({ body, wait }) => {
+  await wait(LATENCY_MS.text);
+  const topic = topicOf(body.prompt);
+  charge({
+    amount: getTextCreditCost("concept generator"),
+    operationType: "TEXT",
+    modelName: "concept generator",
+    description: "Concept generation",
+    projectId: body.projectId,
+  });
+  const concepts = [
+    { title: `The Origin of ${topic}`, tone: "Inspiring", goal: "Awareness" },
+    { title: `${topic} in 30 Seconds`, tone: "Playful", goal: "Engagement" },
+    { title: `Why ${topic} Matters`, tone: "Serious", goal: "Conversion" },
+  ].map((concept) => ({
+    ...concept,
+    concept: `A short video about ${topic}, told in a ${concept.tone.toLowerCase()} tone.`,
+  }));
+  const entry = projectEntryFor(body.projectId);
+  if (entry) {
+    concepts.forEach((concept) =>
+      entry.concepts.unshift({ id: mockId("concept"), ...concept, createdAt: now() }),
+    );
+    touch(entry);
+  }
+  return { concepts };
+});
+
+route("post", "/segmentation", async ({ body, wait }) => {
+  await wait(LATENCY_MS.text);
+  charge({
+    amount: getTextCreditCost("script & segmentation"),
+    operationType: "TEXT",
+    modelName: "script & segmentation",
+    description: "Script & segmentation",
+    projectId: body.projectId,
+  });
+  const topic = topicOf(body.concept || body.prompt);
+  const artStyle = "cinematic, soft lighting";
+  const segments = SCENE_BEATS.map((beat, index) => ({
+    id: index + 1,
+    visual: `${beat}: ${topic}`,
+    animation: `Slow camera push-in while ${beat.toLowerCase()}`,
+    narration: `Scene ${index + 1} of the story about ${topic}.`,
+  }));
+  const entry = projectEntryFor(body.projectId);
+  if (entry) {
+    entry.segmentations.unshift({
+      id: mockId("segmentation"),
+      prompt: body.prompt,
+      concept: body.concept,
+      artStyle,
+      segments,
+      createdAt: now(),
+    });
+    touch(entry);
+  }
+  return { segments, artStyle };
+});
+
+route("post", "/voiceover", async ({ body, wait }) => {
+  await wait(LATENCY_MS.text);
+  charge({
+    amount: getAudioCreditCost("elevenlabs", 1),
+    operationType: "AUDIO",
+    modelName: "elevenlabs",
+    description: "Voiceover",
+  });
+  const s3_key = createMockMediaKey("audio", body.narration_prompt, "mp3");
+  return { success: true, s3_key };
+});
+
+const createImageRecord = ({ projectId, uuid, visualPrompt, artStyle, model, operationId }) => {
+  const s3Key = createMockMediaKey("images", visualPrompt, "svg");
+  const entry = projectEntryFor(projectId);
+  if (entry) {
+    const segmentUuid = String(uuid);
+    const hasPrimary = entry.images.some(
+      (image) => image.uuid === segmentUuid && image.isPrimary,
+    );
+    entry.images.unshift({
+      id: mockId("image"),
+      uuid: segmentUuid,
+      s3Key,
+      visualPrompt,
+      artStyle,
+      model,
+      isPrimary: !hasPrimary,
+      success: true,
+      operationId: operationId || null,
+      projectId,
+      createdAt: now(),
+    });
+    touch(entry);
+  }
+  return s3Key;
+};
+
+const createVideoRecord = ({
+  projectId,
+  uuid,
+  animationPrompt,
+  artStyle,
+  imageS3Key,
+  model,
+  operationId,
+}) => {
+  const s3Key = createMockMediaKey("videos", animationPrompt, "webm");
+  const entry = projectEntryFor(projectId);
+  if (entry) {
+    entry.videos.unshift({
+      id: mockId("video"),
+      uuid: String(uuid),
+      animationPrompt,
+      artStyle,
+      imageS3Key,
+      model,
+      videoFiles: [{ s3Key }],
+      success: true,
+      operationId: operationId || null,
+      projectId,
+      createdAt: now(),
+    });
+    touch(entry);
+  }
+  return s3Key;
+};
+
+route("post", "/chat", async ({ body, wait, idempotencyKey }) => {
+  const { model, gen_type: genType, projectId } = body;
+  if (genType === "image") {
+    await wait(LATENCY_MS.image);
+    const imageModel = model || DEFAULT_IMAGE_MODEL;
+    charge({
+      amount: getImageCreditCost(imageModel),
+      operationType: "IMAGE",
+      modelName: imageModel,
+      description: `Image generation (${imageModel})`,
+      operationId: idempotencyKey,
+      projectId,
+    });
+    const s3_key = createImageRecord({
+      projectId,
+      uuid: body.uuid,
+      visualPrompt: body.visual_prompt,
+      artStyle: body.art_style,
+      model: imageModel,
+      operationId: idempotencyKey,
+    });
+    return { s3_key, model: imageModel, image_size_bytes: 0 };
+  }
+  if (genType === "video") {
+    await wait(LATENCY_MS.video);
+    const videoModel = model || DEFAULT_VIDEO_MODEL;
+    charge({
+      amount: getVideoCreditCost(videoPriceKey(videoModel), Number(body.duration) || 5),
+      operationType: "VIDEO",
+      modelName: videoModel,
+      description: `Video generation (${videoModel})`,
+      operationId: idempotencyKey,
+      projectId,
+    });
+    const s3_key = createVideoRecord({
+      projectId,
+      uuid: body.uuid,
+      animationPrompt: body.animation_prompt,
+      artStyle: body.art_style,
+      imageS3Key: body.image_s3_key,
+      model: videoModel,
+      operationId: idempotencyKey,
+    });
+    return { s3_key, model: videoModel };
+  }
+  throw new MockHttpError(400, `Unsupported gen_type: ${genType}`, "BAD_REQUEST");
+});
+
+// Legacy generation endpoints ----------------------------------------------
+
+route("post", "/image-gen", async ({ body, wait }) => {
+  await wait(LATENCY_MS.image);
+  charge({
+    amount: getImageCreditCost(DEFAULT_IMAGE_MODEL),
+    operationType: "IMAGE",
+    modelName: DEFAULT_IMAGE_MODEL,
+    description: "Image generation",
+    projectId: body.projectId,
+  });
+  const s3_key = createImageRecord({
+    projectId: body.projectId,
+    uuid: body.uuid,
+    visualPrompt: body.visual_prompt,
+    artStyle: body.art_style,
+    model: DEFAULT_IMAGE_MODEL,
+  });
+  return { success: true, s3_key };
+});
+
+route("patch", "/image-gen/:id", ({ params, body }) => {
+  for (const entry of state.projects.values()) {
+    const image = entry.images.find((item) => item.id === params.id);
+    if (image) {
+      Object.assign(image, {
+        visualPrompt: body.visual_prompt ?? image.visualPrompt,
+        artStyle: body.art_style ?? image.artStyle,
+        s3Key: body.s3_key ?? image.s3Key,
+      });
+      touch(entry);
+      return { success: true, data: image };
+    }
+  }
+  throw new MockHttpError(404, "Image not found", "NOT_FOUND");
+});
+
+route("post", "/video-gen", async ({ body, wait }) => {
+  await wait(LATENCY_MS.video);
+  charge({
+    amount: getVideoCreditCost(videoPriceKey(DEFAULT_VIDEO_MODEL)),
+    operationType: "VIDEO",
+    modelName: DEFAULT_VIDEO_MODEL,
+    description: "Video generation",
+    projectId: body.projectId,
+  });
+  const s3Key = createVideoRecord({
+    projectId: body.projectId,
+    uuid: body.uuid,
+    animationPrompt: body.animation_prompt,
+    artStyle: body.art_style,
+    imageS3Key: body.imageS3Key,
+    model: DEFAULT_VIDEO_MODEL,
+  });
+  // Character videos are named "<characterId>-video-..."; the character
+  // record reports the video once it exists
+  const character = state.characters.find((item) => body.uuid?.startsWith(`${item.id}-video`));
+  if (character) character.videoS3Key = s3Key;
+  return { success: true, s3Keys: [s3Key], model: DEFAULT_VIDEO_MODEL, totalVideos: 1 };
+});
+
+route("patch", "/video-gen/:id", ({ params, body }) => {
+  for (const entry of state.projects.values()) {
+    const video = entry.videos.find((item) => item.id === params.id);
+    if (video) {
+      Object.assign(video, {
+        animationPrompt: body.animation_prompt ?? video.animationPrompt,
+        artStyle: body.art_style ?? video.artStyle,
+        imageS3Key: body.image_s3_key ?? video.imageS3Key,
+      });
+      if (Array.isArray(body.video_s3_keys)) {
+        video.videoFiles = body.video_s3_keys.map((s3Key) => ({ s3Key }));
+      }
+      touch(entry);
+      return { success: true, data: video };
+    }
+  }
+  throw new MockHttpError(404, "Video not found", "NOT_FOUND");
+});
+
+// Projects ------------------------------------------------------------------
+
+const listProjects = () =>
+  [...state.projects.values()]
+    .map((entry) => entry.project)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+route("get", "/projects", ({ query }) => paginate(listProjects(), query).data);
+
+route("post", "/projects", ({ body }) => {
+  if (!body.name || !String(body.name).trim()) {
+    throw new MockHttpError(400, "Project name is required", "BAD_REQUEST");
+  }
+  return addProject(state, { name: body.name, description: body.description });
+});
+
+route("get", "/projects/:id", ({ params }) => {
+  const entry = getProjectEntry(params.id);
+  const stats = {};
+  PROJECT_RESOURCES.forEach((resource) => {
+    stats[resource] = entry[resource].length;
+  });
+  return { ...entry.project, stats };
+});
+
+route("get", "/projects/:id/full", ({ params }) => {
+  const entry = getProjectEntry(params.id);
+  const data = { ...entry.project };
+  PROJECT_RESOURCES.forEach((resource) => {
+    data[resource] = newestFirst(entry[resource]);
+  });
+  return { success: true, data };
+});
+
+route("patch", "/projects/:id", ({ params, body }) => {
+  const entry = getProjectEntry(params.id);
+  Object.assign(entry.project, body, { id: entry.project.id });
+  touch(entry);
+  return entry.project;
+});
+
+route("delete", "/projects/:id", ({ params }) => {
+  getProjectEntry(params.id);
+  state.projects.delete(params.id);
+  return { success: true };
+});
+
+route("patch", "/projects/:id/primary-image", ({ params, body }) => {
+  const entry = getProjectEntry(params.id);
+  const image = entry.images.find((item) => item.id === body.imageId);
+  if (!image) throw new MockHttpError(404, "Image not found", "NOT_FOUND");
+  // Primary is per segment; "seg-2" and "seg-2-<timestamp>" belong to segment 2
+  const segmentOf = (uuid) => uuid.replace(/^seg-(\d+)(?:-\d+)?$/, "$1");
+  entry.images.forEach((item) => {
+    if (segmentOf(item.uuid) === segmentOf(image.uuid)) {
+      item.isPrimary = item.id === image.id;
+    }
+  });
+  touch(entry);
+  return { success: true, data: image };
+});
+
+PROJECT_RESOURCES.forEach((resource) => {
+  route("get", `/projects/:id/${resource}`, ({ params, query }) =>
+    paginate(newestFirst(getProjectEntry(params.id)[resource]), query),
+  );
+});
+
+// Credits -------------------------------------------------------------------
+
+route("get", "/credits/balance/:userId", () => ({ credits: state.balance }));
+
+route("get", "/credits/stats/:userId", () => {
+  const totals = { DEDUCTION: 0, REFUND: 0, PURCHASE: 0 };
+  state.transactions.forEach((transaction) => {
+    totals[transaction.type] = (totals[transaction.type] || 0) + transaction.amount;
+  });
+  return {
+    currentBalance: state.balance,
+    totalSpent: totals.DEDUCTION,
+    totalRefunded: totals.REFUND,
+    totalPurchased: totals.PURCHASE,
+    transactionCount: state.transactions.length,
+  };
+});
+
+route("get", "/credits/history/:userId", ({ query }) =>
+  paginate(state.transactions, query),
+);
+
+route("get", "/credits/check/:userId/:operationType/:modelName", ({ params, query }) => {
+  const requiredCredits = operationCost(
+    params.operationType.toUpperCase(),
+    params.modelName,
+    query.isEditCall === true || query.isEditCall === "true",
+  );
+  return {
+    hasSufficientCredits: state.balance >= requiredCredits,
+    requiredCredits,
+    currentBalance: state.balance,
+  };
+});
+
+route("post", "/credits/deduct", ({ body }) => {
+  const amount = operationCost(
+    String(body.operationType).toUpperCase(),
+    body.modelName,
+    body.isEditCall,
+  );
+  const transaction = charge({
+    amount,
+    operationType: body.operationType,
+    modelName: body.modelName,
+    description: body.description,
+    operationId: body.operationId,
+  });
+  return { success: true, newBalance: state.balance, transactionId: transaction.id };
+});
+
+// An operation is refunded once, and by no more than its DEDUCTION took
+const checkRefund = (operationId, amount) => {
+  const matches = (type) =>
+    state.transactions.find(
+      (transaction) => transaction.type === type && operationId && transaction.operationId === operationId,
+    );
+  if (matches("REFUND")) {
+    throw new MockHttpError(409, "This operation was already refunded", "ALREADY_REFUNDED");
+  }
+  const deduction = matches("DEDUCTION");
+  if (!deduction) {
+    throw new MockHttpError(404, "No charge found for this operation", "NOT_FOUND");
+  }
+  if (amount > deduction.amount) {
+    throw new MockHttpError(400, "Refund exceeds the charge", "BAD_REQUEST");
+  }
+};
+
+route("post", "/credits/add", ({ body }) => {
+  const amount = Number(body.amount);
+  if (!(amount > 0)) {
+    throw new MockHttpError(400, "Amount must be positive", "BAD_REQUEST");
+  }
+  if (body.type === "REFUND") checkRefund(body.operationId, amount);
+  state.balance += amount;
+  const transaction = recordTransaction({
+    type: body.type || "PURCHASE",
+    amount,
+    description: body.description,
+    operationId: body.operationId || null,
+  });
+  return { success: true, amount, newBalance: state.balance, transactionId: transaction.id };
+});
+
+route("get", "/credits/pricing", () => ({ success: true, data: CREDIT_PRICES }));
+
+// The mock offers exactly the bundled models
+route("get", "/models", () => ({ success: true, data: DEFAULT_MODELS }));
+
+// Character generation ------------------------------------------------------
+
+route("post", "/uploads/presign", ({ body }) => {
+  const count = Number(body.count) || 6;
+  const keys = Array.from({ length: count }, (_, index) =>
+    createMockMediaKey("uploads", `${body.uuid} reference ${index + 1}`, "png"),
+  );
+  return { keys, putUrls: keys.map((key) => `/mock-uploads/${encodeURIComponent(key)}`) };
+});
+
+route("put", "/mock-uploads/:key", () => "");
+
+route("post", "/character-gen", async ({ body, wait }) => {
+  await wait(LATENCY_MS.image);
+  // Character generation has no entry in CREDIT_PRICES, so it is free here
+  const name = body.name || "Generated Character";
+  const finalCharacterS3Key = createMockMediaKey("images", `${name}: ${body.visual_prompt}`, "svg");
+  const spriteSheetS3Key = createMockMediaKey("images", `${name} sprite sheet`, "svg");
+  const character = {
+    id: mockId("character"),
+    uuid: body.uuid,
+    name,
+    description: body.description,
+    visualPrompt: body.visual_prompt,
+    artStyle: body.art_style,
+    status: "COMPLETED",
+    finalCharacterS3Key,
+    spriteSheetS3Key,
+    createdAt: now(),
+  };
+  state.characters.unshift(character);
+  return {
+    success: true,
+    character_id: character.id,
+    finalCharacterS3Key,
+    spriteSheetS3Key,
+    video_generation_ready: true,
+  };
+});
+
+route("get", "/character-gen", () => ({ success: true, characters: state.characters }));
+
+route("get", "/character-gen/:id", ({ params }) => {
+  const character = state.characters.find((item) => item.id === params.id);
+  if (!character) throw new MockHttpError(404, "Character not found", "NOT_FOUND");
+  return { success: true, character };
+});
+
+route("post", "/character-gen/:id/generate-video", async ({ params, body, wait }) => {
+  const character = state.characters.find((item) => item.id === params.id);
+  if (!character) throw new MockHttpError(404, "Character not found", "NOT_FOUND");
+  await wait(LATENCY_MS.video);
+  charge({
+    amount: getVideoCreditCost(videoPriceKey(DEFAULT_VIDEO_MODEL)),
+    operationType: "VIDEO",
+    modelName: DEFAULT_VIDEO_MODEL,
+    description: `Character video (${character.name})`,
+  });
+  const s3Key = createMockMediaKey("videos", body.animation_prompt || character.name, "webm");
+  return { success: true, s3Keys: [s3Key], model: DEFAULT_VIDEO_MODEL, totalVideos: 1 };
+});
+
+/**
+ * Answer one request. `wait(ms)` is supplied by the adapter so simulated
+ * latency can be aborted. Returns { status, data }; failures are thrown as
+ * MockHttpError.
+ */
+export const handleMockRequest = async ({ method, path, query, body, idempotencyKey, wait }) => {
+  const match = routes
+    .filter((candidate) => candidate.method === method)
+    .map((candidate) => ({ candidate, result: candidate.regex.exec(path) }))
+    .find(({ result }) => result);
+  if (!match) {
+    throw new MockHttpError(
+      404,
+      `The mock backend has no handler for ${method.toUpperCase()} ${path}`,
+      "NOT_FOUND",
+    );
+  }
+
+  if (idempotencyKey && state.idempotentResponses.has(idempotencyKey)) {
+    return { status: 200, data: state.idempotentResponses.get(idempotencyKey) };
+  }
+
+  const params = {};
+  match.candidate.keys.forEach((key, index) => {
+    params[key] = decodeURIComponent(match.result[index + 1]);
+  });
+  const data = await match.candidate.handler({
+    params,
+    query,
+    body: body || {},
+    idempotencyKey,
+    wait: (ms) => wait(state.latency ? ms : 0),
+  });
+  if (idempotencyKey) state.idempotentResponses.set(idempotencyKey, data);
+  return { status: 200, data };
+};
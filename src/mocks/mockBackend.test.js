@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import axios from "axios";
+import { mockAdapter, resetMockBackend } from "./index";
+import { toApiError } from "../lib/apiError";
+import { getImageCreditCost, getTextCreditCost, getVideoCreditCost } from "../lib/pricing";
+
+const api = axios.create({ baseURL: "https://backend.usuals.ai", adapter: mockAdapter });
+const PROJECT = "mock-project-1";
+
+const balance = async () => (await api.get("/credits/balance/mock-user")).data.credits;
+const failure = (promise) => promise.then(() => null, toApiError);
+
+describe("mock backend", () => {
+  beforeEach(() => {
+    resetMockBackend({ latency: false });
+  });
+
+  it("seeds a demo project and balance", async () => {
+    const projects = (await api.get("/projects")).data;
+
+    expect(projects.map((p) => p.id)).toEqual([PROJECT]);
+    expect(await balance()).toBe(500);
+  });
+
+  it("runs the text pipeline and charges per CREDIT_PRICES", async () => {
+    const web = (await api.post("/get-web-info", { prompt: "coffee", projectId: PROJECT })).data;
+    const { concepts } = (await api.post("/concept-writer", { prompt: "coffee", web_info: "", projectId: PROJECT })).data;
+    const script = (await api.post("/segmentation", { prompt: "coffee", concept: concepts[0].title, projectId: PROJECT })).data;
+
+    expect(web.choices[0].message.content).toContain("coffee");
+    expect(concepts[0]).toEqual(expect.objectContaining({ title: expect.any(String), tone: expect.any(String) }));
+    expect(script.segments.length).toBeGreaterThan(0);
+    expect(await balance()).toBe(
+      500 -
+        getTextCreditCost("web-info") -
+        getTextCreditCost("concept generator") -
+        getTextCreditCost("script & segmentation"),
+    );
+  });
+
+  it("stores generated media on the project", async () => {
+    const image = (await api.post("/chat", { gen_type: "image", model: "imagen", uuid: 1, visual_prompt: "cup", projectId: PROJECT })).data;
+    await api.post("/chat", { gen_type: "video", model: "kling-v2.1-master", uuid: 1, image_s3_key: image.s3_key, projectId: PROJECT });
+
+    const images = (await api.get(`/projects/${PROJECT}/images`)).data;
+    const videos = (await api.get(`/projects/${PROJECT}/videos`)).data;
+
+    expect(image.s3_key).toMatch(/^mock\/images\//);
+    expect(images.data[0]).toMatchObject({ uuid: "1", s3Key: image.s3_key, isPrimary: true });
+    expect(videos.data[0].videoFiles[0].s3Key).toMatch(/^mock\/videos\//);
+    expect(await balance()).toBe(500 - getImageCreditCost("imagen") - getVideoCreditCost("kling v2.1-master"));
+  });
+
+  it("does not charge twice for the same idempotency key", async () => {
+    const request = { gen_type: "image", model: "imagen", uuid: 1, visual_prompt: "cup" };
+    const headers = { "Idempotency-Key": "idem-1" };
+
+    const first = (await api.post("/chat", request, { headers })).data;
+    const second = (await api.post("/chat", request, { headers })).data;
+
+    expect(second).toEqual(first);
+    expect(await balance()).toBe(500 - getImageCreditCost("imagen"));
+  });
+
+  it("rejects with 402 once the balance runs out", async () => {
+    const request = { gen_type: "video", model: "veo3", uuid: 1 };
+    await api.post("/chat", request);
+    await api.post("/chat", request);
+
+    const error = await failure(api.post("/chat", request));
+
+    expect(error).toMatchObject({ status: 402, code: "INSUFFICIENT_CREDITS" });
+  });
+
+  it("records transactions in the history", async () => {
+    await api.post("/credits/add", { userId: "mock-user", amount: 20, type: "PURCHASE" });
+    await api.post("/chat", { gen_type: "image", model: "recraft-v3", uuid: 1 }, { headers: { "Idempotency-Key": "op-1" } });
+
+    const history = (await api.get("/credits/history/mock-user", { params: { page: 1, limit: 10 } })).data;
+
+    expect(history.pagination.total).toBe(2);
+    expect(history.data[0]).toMatchObject({ type: "DEDUCTION", amount: 1, operationId: "op-1", balanceAfter: 519 });
+    expect(history.data[1]).toMatchObject({ type: "PURCHASE", amount: 20, balanceAfter: 520 });
+  });
+
+  it("paginates project resources", async () => {
+    for (let uuid = 1; uuid <= 3; uuid++) {
+      await api.post("/chat", { gen_type: "image", uuid, projectId: PROJECT });
+    }
+
+    const page = (await api.get(`/projects/${PROJECT}/images`, { params: { page: 2, limit: 2 } })).data;
+
+    expect(page.data).toHaveLength(1);
+    expect(page.pagination).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+  });
+
+  it("moves the primary flag within a segment", async () => {
+    await api.post("/chat", { gen_type: "image", uuid: "seg-2", projectId: PROJECT });
+    await api.post("/chat", { gen_type: "image", uuid: "seg-2-123", projectId: PROJECT });
+    const [newer, older] = (await api.get(`/projects/${PROJECT}/images`)).data.data;
+
+    await api.patch(`/projects/${PROJECT}/primary-image`, { imageId: newer.id });
+    const images = (await api.get(`/projects/${PROJECT}/images`)).data.data;
+
+    expect(images.find((i) => i.id === newer.id).isPrimary).toBe(true);
+    expect(images.find((i) => i.id === older.id).isPrimary).toBe(false);
+  });
+
+  it("creates, updates and deletes projects", async () => {
+    const project = (await api.post("/projects", { name: "Launch" })).data;
+    await api.patch(`/projects/${project.id}`, { name: "Launch v2" });
+
+    expect((await api.get(`/projects/${project.id}`)).data.name).toBe("Launch v2");
+
+    await api.delete(`/projects/${project.id}`);
+    expect(await failure(api.get(`/projects/${project.id}`))).toMatchObject({ status: 404 });
+  });
+
+  it("handles the character upload flow", async () => {
+    const { keys, putUrls } = (await api.post("/uploads/presign", { uuid: "u", count: 2 })).data;
+    await api.put(putUrls[0], "file");
+    const started = (await api.post("/character-gen", { uuid: "u", reference_images: keys, name: "Hero" })).data;
+    const status = (await api.get(`/character-gen/${started.character_id}`)).data;
+
+    expect(keys).toHaveLength(2);
+    expect(started.video_generation_ready).toBe(true);
+    expect(status.character).toMatchObject({ name: "Hero", status: "COMPLETED" });
+  });
+
+  it("answers unknown routes with 404", async () => {
+    expect(await failure(api.get("/nope"))).toMatchObject({ status: 404, code: "NOT_FOUND" });
+  });
+
+  it("cancels requests while they wait", async () => {
+    resetMockBackend();
+    const controller = new AbortController();
+    const pending = failure(api.post("/chat", { gen_type: "video" }, { signal: controller.signal }));
+    controller.abort();
+
+    expect(await pending).toMatchObject({ code: "CANCELLED" });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { characterGenApi, testApi } from "./api";
+import { stubHttp } from "../test/httpStub";
+
+describe("characterGenApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+    localStorage.setItem("authToken", "t-1");
+  });
+
+  afterEach(() => {
+    http.restore();
+    localStorage.removeItem("authToken");
+  });
+
+  it("requests presigned upload URLs", async () => {
+    http.on("post", "/uploads/presign", { data: { keys: ["k"], putUrls: ["https://s3/put"] } });
+
+    const result = await characterGenApi.getPresignedUrls({ uuid: "u" });
+
+    expect(result.keys).toEqual(["k"]);
+    expect(http.requests[0].data).toEqual({ uuid: "u", count: 6 });
+  });
+
+  it("uploads to S3 without our bearer token", async () => {
+    http.on("put", "/put", { data: "" });
+    const file = new File(["x"], "a.png", { type: "image/png" });
+
+    await expect(characterGenApi.uploadImageToS3(file, "https://s3.example.com/put")).resolves.toBe(true);
+
+    expect(http.requests[0].headers.Authorization).toBeUndefined();
+    expect(http.requests[0].headers["Content-Type"]).toBe("image/png");
+  });
+
+  it("unwraps the character from the status response", async () => {
+    http.on("get", "/character-gen/c1", { data: { character: { id: "c1", status: "COMPLETED" } } });
+
+    await expect(characterGenApi.checkCharacterStatus("c1")).resolves.toEqual({
+      id: "c1",
+      status: "COMPLETED",
+    });
+  });
+
+  it("filters characters by project only when given", async () => {
+    http.on("get", "/character-gen", { data: { characters: [] } });
+
+    await characterGenApi.getAllCharacters();
+    await characterGenApi.getAllCharacters("p1");
+
+    expect(http.requests[0].params).toBeUndefined();
+    expect(http.requests[1].params).toEqual({ projectId: "p1" });
+  });
+
+  it("starts character generation and video generation", async () => {
+    http.on("post", "/character-gen", { data: { success: true, character_id: "c1" } });
+    http.on("post", "/character-gen/c1/generate-video", { data: { success: true } });
+    http.on("post", "/video-gen", { data: { success: true } });
+
+    await characterGenApi.startCharacterGeneration({ uuid: "u" });
+    await characterGenApi.generateVideoFromCharacter("c1", { animation_prompt: "a" });
+    await characterGenApi.generateVideo({ uuid: "u" });
+
+    expect(http.requests.map((r) => r.path)).toEqual([
+      "/character-gen",
+      "/character-gen/c1/generate-video",
+      "/video-gen",
+    ]);
+  });
+
+  it("propagates failures", async () => {
+    http.on("post", "/character-gen", { status: 422, data: { message: "Exactly 6 images required" } });
+
+    const error = await characterGenApi.startCharacterGeneration({}).catch((e) => e);
+
+    expect(error.status).toBe(422);
+    expect(error.message).toBe("Exactly 6 images required");
+  });
+});
+
+describe("testApi", () => {
+  it("checks the auth status", async () => {
+    const http = stubHttp();
+    http.on("get", "/auth/status", { data: { authenticated: true } });
+
+    await expect(testApi.testAuth()).resolves.toEqual({ authenticated: true });
+    http.restore();
+  });
+});
@@ -1,39 +1,35 @@
-import { axiosInstance } from "../lib/axiosInstance";
-import { getAuthHeaders } from "./api";
+import { apiClient } from "../lib/apiClient";
+import { createIdempotencyKey, createRequestNonce } from "../lib/idempotency";
+import { resolveRetryPolicy } from "../lib/retry";
+import { generationQueue, QUEUE_PRIORITY } from "../lib/generationQueue";
+import { preparePrompt } from "../lib/promptPrep";
+import { resolveVideoSettings, assertVideoSettings } from "../lib/videoSettings";
+import { modelCatalog } from "./model-catalog";
 
-// Available models for generation
-export const AVAILABLE_MODELS = {
-  IMAGE: {
-    'recraft-v3': {
-      name: 'Recraft AI v3',
-      description: 'Realistic photographic image generation',
-      provider: 'Recraft AI',
-      imageSize: '1024x1024'
-    },
-    'imagen': {
-      name: 'Google Imagen',
-      description: 'High-quality image generation',
-      provider: 'Google Gemini',
-      imageSize: 'Variable'
-    }
-  },
-  VIDEO: {
-    'kling-v2.1-master': {
-      name: 'Kling v2.1 Master',
-      description: 'Image-to-video generation',
-      provider: 'Fal.ai',
-      duration: '5 seconds',
-      resolution: 'Variable'
-    },
-    'gen4_turbo': {
-      name: 'RunwayML Gen4 Turbo',
-      description: 'Advanced video generation',
-      provider: 'RunwayML',
-      duration: '5 seconds',
-      resolution: '1280:720'
-    }
-  }
-};
+// Generation calls deduct credits, so every attempt carries an idempotency key
+// derived from the segment uuid and the prompt. A fresh nonce per call keeps a
+// deliberate re-generation from being de-duplicated, while all retries of one
+// call share the same key. Pass `idempotencyKey` to reuse a key explicitly and
+// `retry` to override the default policy for the operation type, and `signal`
+// (an AbortSignal) to cancel the request including any pending retry.
+//
+// Both calls go through the shared generation queue (lib/generationQueue),
+// which limits concurrent requests per model and waits out 429s. `priority`
+// orders queued requests and `onStart` is called when the request is sent.
+//
+// `model` may be any id or alias from the model catalog (services/model-catalog)
+// and defaults to the catalog's default model for the type.
+//
+// Videos take `duration` (seconds), `aspect_ratio` and `resolution`. Values
+// the model doesn't support are rejected before anything is sent; missing
+// ones get the model's defaults (lib/videoSettings).
+
+// The queue handles rate limits for the whole model, so the request itself
+// must not retry 429s on its own schedule
+const queuedRetryPolicy = (retry) => ({
+  ...resolveRetryPolicy(retry),
+  retryOnRateLimit: false,
+});
 
 // Unified chat API wrapper
 export const chatApi = {
@@ -43,40 +39,43 @@ export const chatApi = {
     art_style, 
     uuid, 
     project_id, 
-    model = 'recraft-v3' 
+    model: requestedModel,
+    idempotencyKey,
+    retry = 'image',
+    signal,
+    priority = QUEUE_PRIORITY.BATCH,
+    onStart,
   }) => {
-    try {
-      // Prepare a safe prompt: remove non-ASCII chars, line breaks, collapse whitespace, clamp length
-      const MAX_PROMPT_LENGTH = 800; // keep strictly below backend 950-char limit
-      const sanitisedPrompt = (visual_prompt || "")
-        .replace(/[^\u0020-\u007E]/g, "") // strip non-printable / non-ASCII
-        .replace(/\n+/g, " ")           // remove newlines
-        .replace(/\s+/g, " ")           // collapse whitespace
-        .trim();
-      const safePrompt = sanitisedPrompt.substring(0, MAX_PROMPT_LENGTH);
+    const model = modelCatalog.resolveModelId(
+      requestedModel || modelCatalog.getDefaultModel('image')
+    );
+    // Same preparation the UI previews (lib/promptPrep): keeps any script,
+    // removes emoji and clamps to the model's budget
+    const safePrompt = preparePrompt(visual_prompt, { model }).prompt;
+
+    const payload = {
+      model,
+      gen_type: 'image',
+      uuid,
+      visual_prompt: safePrompt,
+      art_style: art_style && art_style.trim() ? art_style.trim() : "realistic",
+      projectId: project_id
+    };
 
-      const payload = {
-        model,
-        gen_type: 'image',
-        uuid,
-        visual_prompt: safePrompt,
-        art_style: art_style && art_style.trim() ? art_style.trim() : "realistic",
-        projectId: project_id
-      };
+    const key =
+      idempotencyKey ||
+      createIdempotencyKey('image', uuid, model, safePrompt, createRequestNonce());
 
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/chat", payload, {
-        headers,
-      });
-      console.log("Chat API image generation response:", data);
-      return data;
-    } catch (error) {
-      if (error.response?.data) {
-        throw new Error(typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data));
-      }
-      console.error("Error in chatApi.generateImage:", error);
-      throw error;
-    }
+    return generationQueue.enqueue(
+      () =>
+        apiClient.post("/chat", payload, {
+          label: "chatApi.generateImage",
+          retry: queuedRetryPolicy(retry),
+          signal,
+          idempotencyKey: key,
+        }),
+      { model, priority, signal, onStart },
+    );
   },
 
   // Generate video using the new unified chat endpoint
@@ -86,45 +85,57 @@ export const chatApi = {
     image_s3_key, 
     uuid, 
     project_id, 
-    model = 'kling-v2.1-master' 
+    model: requestedModel,
+    duration,
+    aspect_ratio,
+    resolution,
+    idempotencyKey,
+    retry = 'video',
+    signal,
+    priority = QUEUE_PRIORITY.BATCH,
+    onStart,
   }) => {
-    try {
-      const payload = {
-        model,
-        gen_type: 'video',
-        uuid,
-        animation_prompt,
-        image_s3_key,
-        art_style: art_style && art_style.trim() ? art_style.trim() : "realistic",
-        projectId: project_id
-      };
+    const model = modelCatalog.resolveModelId(
+      requestedModel || modelCatalog.getDefaultModel('video')
+    );
+    const safePrompt = preparePrompt(animation_prompt, { model }).prompt;
+    const catalogModel = modelCatalog.getModel(model);
+    const requested = { duration, aspectRatio: aspect_ratio, resolution };
+    assertVideoSettings(catalogModel, requested);
+    const settings = resolveVideoSettings(catalogModel, requested);
 
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/chat", payload, {
-        headers,
-      });
-      console.log("Chat API video generation response:", data);
-      return data;
-    } catch (error) {
-            if (error.response?.data) {
-        throw new Error(typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data));
-      }
-      console.error("Error in chatApi.generateVideo:", error);
-      throw error;
-    }
-  },
+    const payload = {
+      model,
+      gen_type: 'video',
+      uuid,
+      animation_prompt: safePrompt,
+      image_s3_key,
+      art_style: art_style && art_style.trim() ? art_style.trim() : "realistic",
+      projectId: project_id,
+      duration: settings.duration,
+      aspect_ratio: settings.aspectRatio,
+      ...(settings.resolution ? { resolution: settings.resolution } : {}),
+    };
+
+    const key =
+      idempotencyKey ||
+      createIdempotencyKey('video', uuid, model, image_s3_key, safePrompt, createRequestNonce());
 
-  // Get available models for a specific generation type
-  getAvailableModels: (genType) => {
-    return AVAILABLE_MODELS[genType.toUpperCase()] || {};
+    return generationQueue.enqueue(
+      () =>
+        apiClient.post("/chat", payload, {
+          label: "chatApi.generateVideo",
+          retry: queuedRetryPolicy(retry),
+          signal,
+          idempotencyKey: key,
+        }),
+      { model, priority, signal, onStart },
+    );
   },
 
-  // Get default model for a generation type
-  getDefaultModel: (genType) => {
-    const models = AVAILABLE_MODELS[genType.toUpperCase()];
-    if (!models) return null;
-    
-    // Return the first model as default
-    return Object.keys(models)[0];
-  }
-}; 
\ No newline at end of file
+  // Models offered for a generation type, from the model catalog
+  getAvailableModels: (genType) => modelCatalog.getModels(genType),
+
+  // Default model for a generation type, or null
+  getDefaultModel: (genType) => modelCatalog.getDefaultModel(genType)
+};
@@ -1,62 +1,240 @@
-// Example usage of the new unified chat API
-import { chatApi, AVAILABLE_MODELS } from './chat';
-
-// Example: Generate an image
-const generateImageExample = async () => {
-  try {
-    const result = await chatApi.generateImage({
-      visual_prompt: "A majestic mountain landscape at sunset",
-      art_style: "photorealistic",
-      uuid: "user-123",
-      project_id: "project-456",
-      model: "recraft-v3" // or "imagen"
-    });
-    
-    console.log("Image generation result:", result);
-    // Expected response: { s3_key: "user-123/images/abc123-def456.png", model: "recraft-v3", image_size_bytes: 245760 }
-  } catch (error) {
-    console.error("Image generation failed:", error);
-  }
-};
-
-// Example: Generate a video
-const generateVideoExample = async () => {
-  try {
-    const result = await chatApi.generateVideo({
-      animation_prompt: "The mountain landscape comes alive with flowing clouds and moving shadows",
-      art_style: "cinematic",
-      image_s3_key: "user-123/images/abc123-def456.png",
-      uuid: "user-123",
-      project_id: "project-456",
-      model: "kling-v2.1-master" // or "gen4_turbo"
-    });
-    
-    console.log("Video generation result:", result);
-    // Expected response: { s3_key: "user-123/videos/xyz789-uvw012.mp4", model: "kling-v2.1-master" }
-  } catch (error) {
-    console.error("Video generation failed:", error);
-  }
-};
-
-// Example: Get available models
-const getAvailableModelsExample = () => {
-  const imageModels = chatApi.getAvailableModels('IMAGE');
-  const videoModels = chatApi.getAvailableModels('VIDEO');
-  
-  console.log("Available image models:", imageModels);
-  console.log("Available video models:", videoModels);
-  
-  // Get default models
-  const defaultImageModel = chatApi.getDefaultModel('IMAGE');
-  const defaultVideoModel = chatApi.getDefaultModel('VIDEO');
-  
-  console.log("Default image model:", defaultImageModel);
-  console.log("Default video model:", defaultVideoModel);
-};
-
-// Export examples for testing
-export {
-  generateImageExample,
-  generateVideoExample,
-  getAvailableModelsExample
-}; 
\ No newline at end of file
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { chatApi } from "./chat";
+import { ApiError } from "../lib/apiError";
+import { stubHttp } from "../test/httpStub";
+
+const NO_DELAY_RETRY = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+describe("chatApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  describe("generateImage", () => {
+    it("posts an image request to /chat and returns the body", async () => {
+      http.on("post", "/chat", { data: { s3_key: "u1/images/a.png", model: "imagen" } });
+
+      const result = await chatApi.generateImage({
+        visual_prompt: "A mountain",
+        art_style: "  watercolor  ",
+        uuid: "seg-1",
+        project_id: "p1",
+        model: "imagen",
+      });
+
+      expect(result).toEqual({ s3_key: "u1/images/a.png", model: "imagen" });
+      expect(http.requests[0].data).toEqual({
+        model: "imagen",
+        gen_type: "image",
+        uuid: "seg-1",
+        visual_prompt: "A mountain",
+        art_style: "watercolor",
+        projectId: "p1",
+      });
+    });
+
+    it("defaults the model and art style", async () => {
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+
+      await chatApi.generateImage({ visual_prompt: "x", uuid: "1", project_id: "p1" });
+
+      expect(http.requests[0].data.model).toBe("recraft-v3");
+      expect(http.requests[0].data.art_style).toBe("realistic");
+    });
+
+    it("prepares the prompt before sending it", async () => {
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+
+      await chatApi.generateImage({
+        visual_prompt: `  A  cup ☕ of   coffee ${"a".repeat(900)}`,
+        uuid: "1",
+      });
+
+      const sent = http.requests[0].data.visual_prompt;
+      expect(sent.startsWith("A cup of coffee aaa")).toBe(true);
+      expect(sent.length).toBe(800);
+    });
+
+    it("keeps non-English text in the prompt", async () => {
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+
+      await chatApi.generateImage({ visual_prompt: "Niña en la montaña, सूर्योदय", uuid: "1" });
+
+      expect(http.requests[0].data.visual_prompt).toBe("Niña en la montaña, सूर्योदय");
+    });
+
+    it("sends the same idempotency key on every retry", async () => {
+      http.once("post", "/chat", { status: 503, data: {} });
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+
+      await chatApi.generateImage({ visual_prompt: "x", uuid: "1", retry: NO_DELAY_RETRY });
+
+      expect(http.requests).toHaveLength(2);
+      const [first, second] = http.requests.map((r) => r.headers["Idempotency-Key"]);
+      expect(first).toMatch(/^idem-/);
+      expect(second).toBe(first);
+    });
+
+    it("waits out a 429 in the generation queue and resends with the same key", async () => {
+      http.once("post", "/chat", { status: 429, data: {}, headers: { "retry-after": "0" } });
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+      const onStart = vi.fn();
+
+      await chatApi.generateImage({ visual_prompt: "x", uuid: "1", retry: NO_DELAY_RETRY, onStart });
+
+      expect(http.requests).toHaveLength(2);
+      expect(http.requests[1].headers["Idempotency-Key"]).toBe(
+        http.requests[0].headers["Idempotency-Key"],
+      );
+      expect(onStart).toHaveBeenCalledTimes(2);
+    });
+
+    it("uses a new idempotency key for each call", async () => {
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+
+      await chatApi.generateImage({ visual_prompt: "x", uuid: "1" });
+      await chatApi.generateImage({ visual_prompt: "x", uuid: "1" });
+
+      const keys = http.requests.map((r) => r.headers["Idempotency-Key"]);
+      expect(keys[0]).not.toBe(keys[1]);
+    });
+
+    it("does not retry client errors and surfaces them as ApiError", async () => {
+      http.on("post", "/chat", {
+        status: 402,
+        data: { message: "Insufficient credits", code: "INSUFFICIENT_CREDITS" },
+      });
+
+      const error = await chatApi
+        .generateImage({ visual_prompt: "x", uuid: "1", retry: NO_DELAY_RETRY })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(402);
+      expect(error.code).toBe("INSUFFICIENT_CREDITS");
+      expect(error.message).toBe("Insufficient credits");
+      expect(http.requests).toHaveLength(1);
+    });
+
+    it("gives up after the configured retries", async () => {
+      http.on("post", "/chat", { status: 500, data: { message: "stack trace" } });
+
+      const error = await chatApi
+        .generateImage({ visual_prompt: "x", uuid: "1", retry: NO_DELAY_RETRY })
+        .catch((e) => e);
+
+      expect(error.status).toBe(500);
+      expect(error.message).not.toContain("stack trace");
+      expect(http.requests).toHaveLength(3);
+    });
+
+    it("rejects with CANCELLED when the signal is aborted", async () => {
+      http.on("post", "/chat", { data: { s3_key: "k" } });
+      const controller = new AbortController();
+      controller.abort();
+
+      const error = await chatApi
+        .generateImage({ visual_prompt: "x", uuid: "1", signal: controller.signal })
+        .catch((e) => e);
+
+      expect(error.code).toBe("CANCELLED");
+    });
+  });
+
+  describe("generateVideo", () => {
+    it("posts a video request to /chat", async () => {
+      http.on("post", "/chat", { data: { s3_key: "v.mp4", model: "gen4_turbo" } });
+
+      const result = await chatApi.generateVideo({
+        animation_prompt: "Clouds move",
+        art_style: "cinematic",
+        image_s3_key: "u1/images/a.png",
+        uuid: "seg-1",
+        project_id: "p1",
+        model: "gen4_turbo",
+      });
+
+      expect(result.s3_key).toBe("v.mp4");
+      expect(http.requests[0].data).toEqual({
+        model: "gen4_turbo",
+        gen_type: "video",
+        uuid: "seg-1",
+        animation_prompt: "Clouds move",
+        image_s3_key: "u1/images/a.png",
+        art_style: "cinematic",
+        projectId: "p1",
+        duration: 5,
+        aspect_ratio: "16:9",
+        resolution: "720p",
+      });
+    });
+
+    it("sends the chosen duration, aspect ratio and resolution", async () => {
+      http.on("post", "/chat", { data: { s3_key: "v.mp4" } });
+
+      await chatApi.generateVideo({
+        uuid: "seg-1",
+        model: "kling-v2.1-master",
+        duration: "10",
+        aspect_ratio: "9:16",
+        resolution: "1080p",
+      });
+
+      expect(http.requests[0].data).toMatchObject({
+        duration: 10,
+        aspect_ratio: "9:16",
+        resolution: "1080p",
+      });
+    });
+
+    it("rejects settings the model doesn't support without sending anything", async () => {
+      await expect(
+        chatApi.generateVideo({ uuid: "seg-1", model: "gen4_turbo", duration: 8, aspect_ratio: "4:3" }),
+      ).rejects.toMatchObject({ code: "UNSUPPORTED_VIDEO_SETTINGS" });
+      expect(http.requests).toHaveLength(0);
+    });
+
+    it("uses an explicit idempotency key when given", async () => {
+      http.on("post", "/chat", { data: { s3_key: "v.mp4" } });
+
+      await chatApi.generateVideo({ uuid: "1", idempotencyKey: "idem-fixed" });
+
+      expect(http.requests[0].headers["Idempotency-Key"]).toBe("idem-fixed");
+      expect(http.requests[0].data.model).toBe("kling-v2.1-master");
+    });
+  });
+
+  describe("model helpers", () => {
+    it("lists the selectable catalog models per generation type", () => {
+      const ids = (models) => models.map((model) => model.id);
+      expect(ids(chatApi.getAvailableModels("image"))).toEqual(["recraft-v3", "imagen"]);
+      expect(ids(chatApi.getAvailableModels("VIDEO"))).toEqual(["kling-v2.1-master", "gen4_turbo"]);
+      expect(chatApi.getAvailableModels("audio")).toEqual([]);
+    });
+
+    it("sends the model id for an alias", async () => {
+      http.on("post", "/chat", { data: { s3_key: "v.mp4" } });
+
+      await chatApi.generateVideo({
+        animation_prompt: "pan",
+        image_s3_key: "img.png",
+        uuid: "seg-1",
+        model: "kling v2.1-master",
+      });
+
+      expect(http.requests[0].data.model).toBe("kling-v2.1-master");
+    });
+
+    it("returns the first model as the default", () => {
+      expect(chatApi.getDefaultModel("image")).toBe("recraft-v3");
+      expect(chatApi.getDefaultModel("video")).toBe("kling-v2.1-master");
+      expect(chatApi.getDefaultModel("audio")).toBeNull();
+    });
+  });
+});
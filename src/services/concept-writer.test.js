@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { conceptWriterApi } from "./concept-writer";
+import { stubHttp } from "../test/httpStub";
+
+describe("conceptWriterApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("posts the prompt with the web research", async () => {
+    http.on("post", "/concept-writer", { data: { concepts: [{ title: "A" }] } });
+
+    const result = await conceptWriterApi.generateConcepts("coffee", "research", "p1");
+
+    expect(result.concepts).toEqual([{ title: "A" }]);
+    expect(http.requests[0].data).toEqual({
+      prompt: "coffee",
+      web_info: "research",
+      projectId: "p1",
+    });
+  });
+
+  it("surfaces validation messages from the backend", async () => {
+    http.on("post", "/concept-writer", {
+      status: 400,
+      data: { message: ["prompt must not be empty", "web_info must be a string"] },
+    });
+
+    const error = await conceptWriterApi.generateConcepts("", null).catch((e) => e);
+
+    expect(error.code).toBe("BAD_REQUEST");
+    expect(error.message).toBe("prompt must not be empty. web_info must be a string");
+  });
+});
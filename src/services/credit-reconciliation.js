@@ -0,0 +1,208 @@
+import { creditApi } from "./credit";
+import { projectApi } from "./project";
+import { creditLedger, isRefundable, OPERATION_STATUS } from "../lib/creditLedger";
+import { isCancelledError } from "../lib/apiError";
+import { DEFAULT_POLL_POLICY } from "../lib/jobTracker";
+
+const HISTORY_PAGE_SIZE = 50;
+// History is read back until transactions are this much older than the run
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_HISTORY_PAGES = 10;
+// No generation takes longer; past this a missing result won't turn up
+const GENERATION_TIMEOUT_MS = DEFAULT_POLL_POLICY.timeoutMs;
+// Failures that came without an answer from the backend, which may still
+// have finished the generation
+const UNANSWERED_STATUSES = [0, 408, 502, 503, 504];
+// Where the backend keeps the results of each run type
+const RUN_RESOURCES = { IMAGE: "images", VIDEO: "videos" };
+
+const transactionTime = (transaction) => {
+  const time = Date.parse(transaction.createdAt ?? transaction.created_at ?? "");
+  return Number.isNaN(time) ? null : time;
+};
+
+const isSettled = (run) =>
+  run.finishedAt != null &&
+  run.operations.every((operation) => operation.status !== OPERATION_STATUS.PENDING);
+
+// A run that a reload interrupted and nothing has touched since
+const isStale = (run, time) =>
+  run.finishedAt == null && time - run.updatedAt > GENERATION_TIMEOUT_MS;
+
+const operationIdOf = (item) => item.operationId ?? item.operation_id;
+
+const isFailedRecord = (record) =>
+  record.success === false || /fail|error/i.test(String(record.status || ""));
+
+// Whether the backend may still produce a result for the operation
+const mayStillFinish = (operation, run, time) =>
+  (operation.status === OPERATION_STATUS.PENDING ||
+    (operation.status === OPERATION_STATUS.FAILED &&
+      UNANSWERED_STATUSES.includes(operation.errorStatus ?? 0))) &&
+  time - (operation.addedAt ?? run.startedAt) <= GENERATION_TIMEOUT_MS;
+
+// The run's image or video records by the operationId they were generated under
+const fetchResults = async (run, signal) => {
+  const resource = RUN_RESOURCES[run.type];
+  if (!run.projectId || !resource) return new Map();
+  const records = await projectApi.getAllProjectResource(run.projectId, resource, { signal });
+  return new Map(
+    records.filter((record) => operationIdOf(record)).map((record) => [operationIdOf(record), record]),
+  );
+};
+
+/**
+ * Check the run's unresolved operations against the results the backend
+ * stored. An operation with a result record succeeded, whatever the client
+ * saw. Its failure is confirmed by a failed record, or by no record once the
+ * backend can't still be working on it. Resolves to the confirmed
+ * operationIds.
+ */
+const confirmFailures = async (run, { ledger, signal, time, stale }) => {
+  const candidates = run.operations.filter(
+    (operation) =>
+      isRefundable(operation) || (stale && operation.status === OPERATION_STATUS.PENDING),
+  );
+  const confirmed = new Set();
+  if (candidates.length === 0) return confirmed;
+
+  let results;
+  try {
+    results = await fetchResults(run, signal);
+  } catch (error) {
+    if (isCancelledError(error)) throw error;
+    console.error(`Failed to check the results of run ${run.id}:`, error);
+    return confirmed;
+  }
+
+  candidates.forEach((operation) => {
+    const record = results.get(operation.operationId);
+    if (record && !isFailedRecord(record)) {
+      ledger.settleOperation(operation.operationId, OPERATION_STATUS.SUCCEEDED);
+      return;
+    }
+    if (!record && mayStillFinish(operation, run, time)) return;
+    if (operation.status === OPERATION_STATUS.PENDING) {
+      ledger.settleOperation(operation.operationId, OPERATION_STATUS.FAILED, {
+        error: record ? "Generation failed" : "Interrupted before it finished",
+      });
+    }
+    confirmed.add(operation.operationId);
+  });
+  return confirmed;
+};
+
+/**
+ * Match a finished (or stale) run against the credit history and refund
+ * charges for failed or empty results the backend confirms.
+ *
+ * History is newest first; it is read until every operation of the run has
+ * been seen or the transactions predate the run. Failures are then checked
+ * against the project's image or video records (confirmFailures); ones the
+ * backend may still finish are left for a later reconciliation. Refunds go
+ * out through creditApi.refundCredits, one per operation, for the amount its
+ * DEDUCTION took (`charged`); a refund that fails is recorded on the operation
+ * (`refundError`) and retried by the next reconciliation. Resolves to the
+ * run summary from the ledger.
+ */
+export const reconcileRun = async (
+  userId,
+  runId,
+  { ledger = creditLedger, signal, now = Date.now } = {},
+) => {
+  const run = ledger.getRun(runId);
+  if (!run) return null;
+  // Decided before the history is applied, which counts as activity on the run
+  const time = now();
+  const stale = isStale(run, time);
+  const operationIds = new Set(run.operations.map((operation) => operation.operationId));
+
+  if (operationIds.size > 0) {
+    const seen = new Set();
+    let pages = 0;
+    for await (const { items } of creditApi.iterateHistory(userId, {
+      pageSize: HISTORY_PAGE_SIZE,
+      signal,
+    })) {
+      ledger.applyTransactions(items);
+      items.forEach((transaction) => {
+        const operationId = operationIdOf(transaction);
+        if (operationIds.has(operationId)) seen.add(operationId);
+      });
+      pages += 1;
+      const oldest = transactionTime(items[items.length - 1] || {});
+      if (
+        seen.size === operationIds.size ||
+        (oldest != null && oldest < run.startedAt - CLOCK_SKEW_MS) ||
+        pages >= MAX_HISTORY_PAGES
+      ) {
+        break;
+      }
+    }
+  }
+
+  const confirmed = await confirmFailures(ledger.getRun(runId), { ledger, signal, time, stale });
+  const { unrefunded } = ledger.getRunSummary(runId);
+  for (const operation of unrefunded.filter((item) => confirmed.has(item.operationId))) {
+    try {
+      const result = await creditApi.refundCredits({
+        userId,
+        amount: operation.charged,
+        operationId: operation.operationId,
+        description: `Refund: ${run.label} ${operation.status} (segment ${operation.segmentId ?? "?"})`,
+      });
+      ledger.recordRefund(operation.operationId, {
+        amount: Number(result?.amount) || operation.charged,
+        transactionId: result?.transactionId ?? null,
+      });
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      console.error(`Failed to refund operation ${operation.operationId}:`, error);
+      ledger.recordRefund(operation.operationId, {
+        error: error.message || "Refund failed",
+      });
+    }
+  }
+
+  // Every operation of an interrupted run has an outcome now
+  const current = ledger.getRun(runId);
+  if (
+    current.finishedAt == null &&
+    current.operations.every((operation) => operation.status !== OPERATION_STATUS.PENDING)
+  ) {
+    ledger.finishRun(runId);
+  }
+  ledger.markReconciled(runId);
+  return ledger.getRunSummary(runId);
+};
+
+/**
+ * Reconcile every finished run that hasn't been, or still has refunds
+ * outstanding, and runs a reload interrupted once they are stale (nothing
+ * has happened to them for longer than a generation can take). Failures are
+ * logged and left for the next call.
+ */
+export const reconcilePendingRuns = async (
+  userId,
+  { ledger = creditLedger, signal, now = Date.now } = {},
+) => {
+  const time = now();
+  const runs = ledger
+    .getRuns()
+    .filter(
+      (run) =>
+        (isSettled(run) || isStale(run, time)) &&
+        (run.reconciledAt == null ||
+          ledger.getRunSummary(run.id).unrefunded.length > 0),
+    );
+  const summaries = [];
+  for (const run of runs) {
+    try {
+      summaries.push(await reconcileRun(userId, run.id, { ledger, signal, now }));
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      console.error(`Failed to reconcile run ${run.id}:`, error);
+    }
+  }
+  return summaries;
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { reconcileRun, reconcilePendingRuns } from "./credit-reconciliation";
+import { createCreditLedger, OPERATION_STATUS } from "../lib/creditLedger";
+import { stubHttp } from "../test/httpStub";
+
+const memoryStorage = () => {
+  const data = {};
+  return {
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+  };
+};
+
+describe("credit reconciliation", () => {
+  let http;
+  let ledger;
+  let run;
+
+  beforeEach(() => {
+    http = stubHttp();
+    ledger = createCreditLedger({ storage: memoryStorage() });
+    run = ledger.startRun({ type: "VIDEO", model: "gen4_turbo", projectId: "p1", label: "Video generation" });
+    ledger.addOperation(run.id, { operationId: "op-ok", segmentId: 1, expectedCredits: 12.5 });
+    ledger.addOperation(run.id, { operationId: "op-empty", segmentId: 2, expectedCredits: 12.5 });
+    ledger.addOperation(run.id, { operationId: "op-failed", segmentId: 3, expectedCredits: 12.5 });
+    ledger.settleOperation("op-ok", OPERATION_STATUS.SUCCEEDED);
+    ledger.settleOperation("op-empty", OPERATION_STATUS.EMPTY);
+    ledger.settleOperation("op-failed", OPERATION_STATUS.FAILED, { error: "boom", errorStatus: 500 });
+    ledger.finishRun(run.id);
+  });
+
+  afterEach(() => {
+    http.restore();
+    vi.restoreAllMocks();
+  });
+
+  const history = (transactions) =>
+    http.on("get", "/credits/history/u1", { data: { data: transactions, pagination: { totalPages: 1 } } });
+  const videos = (records) =>
+    http.on("get", "/projects/p1/videos", { data: { data: records, pagination: { totalPages: 1 } } });
+  const refunds = () => http.requests.filter((request) => request.method === "post");
+
+  it("refunds charges for failed and empty results", async () => {
+    history([
+      { id: "t1", type: "DEDUCTION", amount: 12.5, operationId: "op-ok" },
+      { id: "t2", type: "DEDUCTION", amount: 12.5, operationId: "op-empty" },
+    ]);
+    videos([{ id: "v1", success: true, operationId: "op-ok" }]);
+    http.on("post", "/credits/add", { data: { success: true, amount: 12.5, transactionId: "r1" } });
+
+    const summary = await reconcileRun("u1", run.id, { ledger });
+
+    expect(refunds()).toHaveLength(1);
+    expect(refunds()[0].data).toMatchObject({ userId: "u1", type: "REFUND", operationId: "op-empty" });
+    expect(refunds()[0].headers["Idempotency-Key"]).toBe("refund:op-empty");
+    expect(summary).toMatchObject({ charged: 25, refunded: 12.5, net: 12.5, reconciled: true });
+  });
+
+  it("refunds the amount the operation was charged", async () => {
+    history([{ id: "t2", type: "DEDUCTION", amount: 7.5, operationId: "op-empty" }]);
+    videos([]);
+    http.on("post", "/credits/add", { data: { success: true, amount: 7.5, transactionId: "r1" } });
+
+    await reconcileRun("u1", run.id, { ledger });
+
+    expect(refunds()[0].data).toMatchObject({ amount: 7.5, operationId: "op-empty" });
+  });
+
+  it("does not refund twice when the history already has the refund", async () => {
+    history([
+      { id: "r1", type: "REFUND", amount: 12.5, operationId: "op-empty" },
+      { id: "t2", type: "DEDUCTION", amount: 12.5, operationId: "op-empty" },
+    ]);
+
+    const summary = await reconcileRun("u1", run.id, { ledger });
+
+    expect(http.requests.some((request) => request.method === "post")).toBe(false);
+    expect(summary.refunded).toBe(12.5);
+  });
+
+  it("keeps failed refunds for the next reconciliation", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    history([{ id: "t2", type: "DEDUCTION", amount: 12.5, operationId: "op-failed" }]);
+    videos([]);
+    http.once("post", "/credits/add", { status: 400, data: { message: "nope" } });
+
+    const first = await reconcileRun("u1", run.id, { ledger });
+    expect(first.unrefunded[0].refundError).toBeTruthy();
+
+    http.on("post", "/credits/add", { data: { success: true, amount: 12.5 } });
+    const [second] = await reconcilePendingRuns("u1", { ledger });
+    expect(second.unrefunded).toEqual([]);
+    expect(second.refunded).toBe(12.5);
+  });
+
+  it("does not refund a request that timed out but whose generation exists", async () => {
+    ledger.addOperation(run.id, { operationId: "op-timeout", segmentId: 4, expectedCredits: 12.5 });
+    ledger.settleOperation("op-timeout", OPERATION_STATUS.FAILED, { error: "timed out", errorStatus: 0 });
+    history([{ id: "t4", type: "DEDUCTION", amount: 12.5, operationId: "op-timeout" }]);
+    videos([{ id: "v4", success: true, operationId: "op-timeout" }]);
+
+    const summary = await reconcileRun("u1", run.id, { ledger });
+
+    expect(refunds()).toEqual([]);
+    expect(ledger.getOperation("op-timeout").status).toBe(OPERATION_STATUS.SUCCEEDED);
+    expect(summary.unrefunded).toEqual([]);
+  });
+
+  it("refunds an unanswered request only once it can no longer finish", async () => {
+    let time = Date.now();
+    const now = () => time;
+    ledger = createCreditLedger({ storage: memoryStorage(), now });
+    run = ledger.startRun({ type: "VIDEO", projectId: "p1", label: "Video generation" });
+    ledger.addOperation(run.id, { operationId: "op-timeout", segmentId: 1, expectedCredits: 12.5 });
+    ledger.settleOperation("op-timeout", OPERATION_STATUS.FAILED, { error: "timed out", errorStatus: 0 });
+    ledger.finishRun(run.id);
+    history([{ id: "t1", type: "DEDUCTION", amount: 12.5, operationId: "op-timeout" }]);
+    videos([]);
+    http.on("post", "/credits/add", { data: { success: true, amount: 12.5 } });
+
+    await reconcileRun("u1", run.id, { ledger, now });
+    expect(refunds()).toEqual([]);
+
+    time += 31 * 60 * 1000;
+    const [summary] = await reconcilePendingRuns("u1", { ledger, now });
+    expect(refunds()).toHaveLength(1);
+    expect(summary.refunded).toBe(12.5);
+  });
+
+  it("reconciles runs a reload interrupted once they are stale", async () => {
+    let time = Date.now();
+    const now = () => time;
+    ledger = createCreditLedger({ storage: memoryStorage(), now });
+    run = ledger.startRun({ type: "VIDEO", projectId: "p1", label: "Video generation" });
+    ledger.addOperation(run.id, { operationId: "op-landed", segmentId: 1, expectedCredits: 12.5 });
+    ledger.addOperation(run.id, { operationId: "op-lost", segmentId: 2, expectedCredits: 12.5 });
+    history([
+      { id: "t1", type: "DEDUCTION", amount: 12.5, operationId: "op-landed" },
+      { id: "t2", type: "DEDUCTION", amount: 12.5, operationId: "op-lost" },
+    ]);
+    videos([{ id: "v1", success: true, operationId: "op-landed" }]);
+    http.on("post", "/credits/add", { data: { success: true, amount: 12.5 } });
+
+    expect(await reconcilePendingRuns("u1", { ledger, now })).toEqual([]);
+
+    time += 31 * 60 * 1000;
+    const [summary] = await reconcilePendingRuns("u1", { ledger, now });
+
+    expect(summary.counts).toMatchObject({ succeeded: 1, failed: 1, pending: 0 });
+    expect(refunds().map((request) => request.data.operationId)).toEqual(["op-lost"]);
+    expect(summary.run.finishedAt).not.toBeNull();
+    expect(summary.reconciled).toBe(true);
+  });
+});
@@ -1,5 +1,5 @@
-import { axiosInstance } from "../lib/axiosInstance";
-import { getAuthHeaders } from "./api";
+import { apiClient } from "../lib/apiClient";
+import { iteratePages, fetchAllPages } from "../lib/paginate";
 
 /**
  * Credit API service
@@ -12,133 +12,93 @@ import { getAuthHeaders } from "./api";
 
 export const creditApi = {
   // Get user's current credit balance
-  getBalance: async (userId) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(`/credits/balance/${userId}`, {
-        headers,
-      });
-      console.log("Credit balance response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in getBalance:", error);
-      throw error;
-    }
-  },
+  getBalance: (userId) =>
+    apiClient.get(`/credits/balance/${userId}`, { label: "getBalance" }),
 
   // Get comprehensive credit statistics
-  getStats: async (userId) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(`/credits/stats/${userId}`, {
-        headers,
-      });
-      console.log("Credit stats response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in getStats:", error);
-      throw error;
-    }
-  },
+  getStats: (userId) =>
+    apiClient.get(`/credits/stats/${userId}`, { label: "getStats" }),
 
   // Get paginated credit transaction history
-  getHistory: async (userId, page = 1, limit = 20) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(`/credits/history/${userId}`, {
-        headers,
-        params: { page, limit },
-      });
-      console.log("Credit history response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in getHistory:", error);
-      throw error;
-    }
-  },
+  getHistory: (userId, page = 1, limit = 20, { signal } = {}) =>
+    apiClient.get(`/credits/history/${userId}`, {
+      params: { page, limit },
+      signal,
+      label: "getHistory",
+    }),
+
+  // Walk every page of the transaction history (see lib/paginate)
+  iterateHistory: (userId, options) =>
+    iteratePages(
+      ({ page, limit, signal }) =>
+        creditApi.getHistory(userId, page, limit, { signal }),
+      options,
+    ),
+
+  // The full transaction history; `onPage` sees each page as it arrives
+  getAllHistory: (userId, options) =>
+    fetchAllPages(
+      ({ page, limit, signal }) =>
+        creditApi.getHistory(userId, page, limit, { signal }),
+      options,
+    ),
 
   // Check if user has sufficient credits for an operation
-  checkCredits: async (
-    userId,
-    operationType,
-    modelName,
-    isEditCall = false,
-  ) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/credits/check/${userId}/${operationType}/${modelName}`,
-        {
-          headers,
-          params: { isEditCall },
-        },
-      );
-      console.log("Credit check response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in checkCredits:", error);
-      throw error;
-    }
+  checkCredits: (userId, operationType, modelName, isEditCall = false) =>
+    apiClient.get(`/credits/check/${userId}/${operationType}/${modelName}`, {
+      params: { isEditCall },
+      label: "checkCredits",
+    }),
+
+  // Check a run priced with estimateGenerationCost (lib/pricing) against the
+  // live balance. Resolves to the estimate plus { balance, sufficient }.
+  checkEstimate: async (userId, estimate) => {
+    const check = await creditApi.checkCredits(
+      userId,
+      estimate.type,
+      estimate.model,
+      estimate.isEdit,
+    );
+    const balance = Number(check?.currentBalance ?? check?.balance ?? 0);
+    return { ...estimate, balance, sufficient: balance >= estimate.total };
   },
 
   // Deduct credits for an operation
-  deductCredits: async ({
+  deductCredits: ({
     userId,
     operationType,
     modelName,
     operationId,
     isEditCall = false,
     description,
-  }) => {
-    try {
-      const payload = {
-        userId,
-        operationType,
-        modelName,
-        operationId,
-        isEditCall,
-        description,
-      };
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/credits/deduct", payload, {
-        headers,
-      });
-      console.log("Credit deduction response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in deductCredits:", error);
-      throw error;
-    }
-  },
+  }) =>
+    apiClient.post(
+      "/credits/deduct",
+      { userId, operationType, modelName, operationId, isEditCall, description },
+      { label: "deductCredits" },
+    ),
 
-  // Add credits to user account
-  addCredits: async ({ userId, amount, type, description }) => {
-    try {
-      const payload = { userId, amount, type, description };
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/credits/add", payload, {
-        headers,
-      });
-      console.log("Credit addition response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in addCredits:", error);
-      throw error;
-    }
-  },
+  // Add credits to user account. An `operationId` (e.g. the payment of a
+  // purchase) is stored on the transaction and makes repeats add them once.
+  addCredits: ({ userId, amount, type, description, operationId }) =>
+    apiClient.post(
+      "/credits/add",
+      { userId, amount, type, description, ...(operationId ? { operationId } : {}) },
+      {
+        label: "addCredits",
+        idempotencyKey: operationId ? `credits:${operationId}` : undefined,
+      },
+    ),
+
+  // Refund the `amount` one operation was charged. The idempotency key
+  // makes a retried or repeated request refund it only once.
+  refundCredits: ({ userId, amount, operationId, description }) =>
+    apiClient.post(
+      "/credits/add",
+      { userId, amount, type: "REFUND", operationId, description },
+      { label: "refundCredits", idempotencyKey: `refund:${operationId}` },
+    ),
 
   // Get current operation pricing
-  getPricing: async () => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get("/credits/pricing", {
-        headers,
-      });
-      console.log("Credit pricing response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in getPricing:", error);
-      throw error;
-    }
-  },
+  getPricing: () => apiClient.get("/credits/pricing", { label: "getPricing" }),
 };
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { creditApi } from "./credit";
+import { stubHttp } from "../test/httpStub";
+
+describe("creditApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("reads the balance", async () => {
+    http.on("get", "/credits/balance/u1", { data: { credits: 42 } });
+
+    await expect(creditApi.getBalance("u1")).resolves.toEqual({ credits: 42 });
+  });
+
+  it("reads stats", async () => {
+    http.on("get", "/credits/stats/u1", { data: { totalSpent: 3 } });
+
+    await expect(creditApi.getStats("u1")).resolves.toEqual({ totalSpent: 3 });
+  });
+
+  it("reads paginated history", async () => {
+    http.on("get", "/credits/history/u1", { data: { data: [] } });
+
+    await creditApi.getHistory("u1", 3, 50);
+
+    expect(http.requests[0].params).toEqual({ page: 3, limit: 50 });
+  });
+
+  it("pages through the whole history", async () => {
+    http.on("get", "/credits/history/u1", (request) => ({
+      data: {
+        success: true,
+        data: request.params.page === 1 ? [{ id: "t1" }] : [],
+        pagination: { page: request.params.page, limit: 1 },
+      },
+    }));
+
+    const history = await creditApi.getAllHistory("u1", { pageSize: 1 });
+
+    expect(history).toEqual([{ id: "t1" }]);
+    expect(http.requests).toHaveLength(2);
+  });
+
+  it("checks credits for an operation", async () => {
+    http.on("get", "/credits/check/u1/IMAGE/imagen", { data: { hasSufficientCredits: true } });
+
+    await creditApi.checkCredits("u1", "IMAGE", "imagen", true);
+
+    expect(http.requests[0].params).toEqual({ isEditCall: true });
+  });
+
+  it("deducts credits", async () => {
+    http.on("post", "/credits/deduct", { data: { success: true } });
+
+    await creditApi.deductCredits({
+      userId: "u1",
+      operationType: "IMAGE",
+      modelName: "imagen",
+      operationId: "op-1",
+      description: "test",
+    });
+
+    expect(http.requests[0].data).toEqual({
+      userId: "u1",
+      operationType: "IMAGE",
+      modelName: "imagen",
+      operationId: "op-1",
+      isEditCall: false,
+      description: "test",
+    });
+  });
+
+  it("adds credits", async () => {
+    http.on("post", "/credits/add", { data: { success: true } });
+
+    await creditApi.addCredits({ userId: "u1", amount: 10, type: "PURCHASE", description: "top up" });
+
+    expect(http.requests[0].data).toEqual({
+      userId: "u1",
+      amount: 10,
+      type: "PURCHASE",
+      description: "top up",
+    });
+  });
+
+  it("reads pricing", async () => {
+    http.on("get", "/credits/pricing", { data: { success: true, data: {} } });
+
+    await expect(creditApi.getPricing()).resolves.toEqual({ success: true, data: {} });
+  });
+
+  it("checks an estimate against the live balance", async () => {
+    http.on("get", "/credits/check/u1/VIDEO/gen4_turbo", {
+      data: { hasSufficientCredits: true, requiredCredits: 12.5, currentBalance: 40 },
+    });
+    const estimate = { type: "VIDEO", model: "gen4_turbo", isEdit: false, total: 50 };
+
+    const result = await creditApi.checkEstimate("u1", estimate);
+
+    expect(http.requests[0].params).toEqual({ isEditCall: false });
+    expect(result).toEqual({ ...estimate, balance: 40, sufficient: false });
+  });
+
+  it("reports network failures as retryable NETWORK_ERROR", async () => {
+    http.on("get", "/credits/balance/u1", { networkError: true });
+
+    const error = await creditApi.getBalance("u1").catch((e) => e);
+
+    expect(error.code).toBe("NETWORK_ERROR");
+    expect(error.retryable).toBe(true);
+    expect(error.status).toBe(0);
+  });
+
+  it("reports insufficient credits", async () => {
+    http.on("post", "/credits/deduct", { status: 402, data: {} });
+
+    const error = await creditApi.deductCredits({ userId: "u1" }).catch((e) => e);
+
+    expect(error.code).toBe("INSUFFICIENT_CREDITS");
+    expect(error.message).toBe("You don't have enough credits for this operation.");
+  });
+});
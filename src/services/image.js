@@ -1,41 +1,22 @@
-import { axiosInstance } from "../lib/axiosInstance";
-import { getAuthHeaders } from "./api";
+import { apiClient } from "../lib/apiClient";
 
 // Image generation API wrapper
 export const imageApi = {
-  generateImage: async ({ visual_prompt, art_style, uuid, project_id }) => {
-    try {
-      const payload = { visual_prompt, uuid, projectId: project_id };
-      payload.art_style =
-        art_style && art_style.trim() ? art_style.trim() : "realistic";
+  generateImage: ({ visual_prompt, art_style, uuid, project_id }) => {
+    const payload = { visual_prompt, uuid, projectId: project_id };
+    payload.art_style =
+      art_style && art_style.trim() ? art_style.trim() : "realistic";
 
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/image-gen", payload, {
-        headers,
-      });
-      console.log("Image generation response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in generateImage:", error);
-      throw error;
-    }
+    return apiClient.post("/image-gen", payload, { label: "generateImage" });
   },
-  regenerateImage: async ({ id, visual_prompt, art_style, s3_key }) => {
-    try {
-      const body = { visual_prompt, art_style };
-      if (s3_key) {
+  regenerateImage: ({ id, visual_prompt, art_style, s3_key }) => {
+    const body = { visual_prompt, art_style };
+    if (s3_key) {
       body.s3_key = s3_key;
       body.image = s3_key; // Added for backend compatibility
     }
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.patch(`/image-gen/${id}`, body, {
-        headers,
-      });
-      console.log("Image regeneration response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in regenerateImage:", error);
-      throw error;
-    }
+    return apiClient.patch(`/image-gen/${id}`, body, {
+      label: "regenerateImage",
+    });
   },
 };
@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { imageApi } from "./image";
+import { stubHttp } from "../test/httpStub";
+
+describe("imageApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("generates an image with a default art style", async () => {
+    http.on("post", "/image-gen", { data: { s3_key: "a.png" } });
+
+    await imageApi.generateImage({ visual_prompt: "v", art_style: " ", uuid: "1", project_id: "p1" });
+
+    expect(http.requests[0].data).toEqual({
+      visual_prompt: "v",
+      uuid: "1",
+      projectId: "p1",
+      art_style: "realistic",
+    });
+  });
+
+  it("regenerates an image and sends the key under both names", async () => {
+    http.on("patch", "/image-gen/img-1", { data: { success: true } });
+
+    await imageApi.regenerateImage({ id: "img-1", visual_prompt: "v", art_style: "a", s3_key: "k" });
+
+    expect(http.requests[0].data).toEqual({ visual_prompt: "v", art_style: "a", s3_key: "k", image: "k" });
+  });
+});
@@ -0,0 +1,117 @@
+import { jobTracker } from "../lib/jobTracker";
+import { ApiError } from "../lib/apiError";
+import { creditLedger, OPERATION_STATUS } from "../lib/creditLedger";
+import { chatApi } from "./chat";
+import { characterGenApi } from "./api";
+
+// Long-running generations tracked by lib/jobTracker. Params are stored with
+// the job (and in localStorage), so they must be plain JSON.
+export const JOB_TYPES = {
+  // params: { characterId }; polls the character until it is finished
+  CHARACTER: "character",
+  // params: the body for characterGenApi.generateVideo, meta: { characterId };
+  // polls the character until it has the video
+  CHARACTER_VIDEO: "character-video",
+  // params: the arguments for chatApi.generateVideo
+  SEGMENT_VIDEO: "segment-video",
+};
+
+const FINISHED_CHARACTER_STATUSES = ["completed", "complete", "done", "success", "succeeded"];
+const FAILED_CHARACTER_STATUSES = ["failed", "error"];
+
+const characterVideoKey = (character) => character?.videoS3Key ?? character?.video_s3_key ?? null;
+
+jobTracker.registerJobType(JOB_TYPES.CHARACTER, {
+  poll: async (job, { signal }) => {
+    const character = await characterGenApi.checkCharacterStatus(job.params.characterId, {
+      signal,
+    });
+    const status = String(character?.status || "").toLowerCase();
+    if (FAILED_CHARACTER_STATUSES.includes(status)) {
+      return {
+        error: {
+          message: character.error || "Character generation failed.",
+          code: "GENERATION_FAILED",
+        },
+      };
+    }
+    // Older characters have no status field; a final image means it is done
+    if (
+      FINISHED_CHARACTER_STATUSES.includes(status) ||
+      (!status && character?.finalCharacterS3Key)
+    ) {
+      return { done: true, result: character };
+    }
+    return { done: false, progress: character?.progress };
+  },
+});
+
+jobTracker.registerJobType(JOB_TYPES.CHARACTER_VIDEO, {
+  start: async (job, { signal }) => {
+    const result = await characterGenApi.generateVideo(job.params, {
+      idempotencyKey: job.idempotencyKey,
+      signal,
+    });
+    if (result?.success === false) {
+      throw new ApiError({
+        message: result.message || "Video generation failed.",
+        code: "GENERATION_FAILED",
+      });
+    }
+    return result;
+  },
+  // The request is accepted before the video is rendered; the character
+  // record gets its key once it is
+  poll: async (job, { signal }) => {
+    const character = await characterGenApi.checkCharacterStatus(job.meta.characterId, {
+      signal,
+    });
+    if (FAILED_CHARACTER_STATUSES.includes(String(character?.videoStatus || "").toLowerCase())) {
+      return {
+        error: {
+          message: character.videoError || "Video generation failed.",
+          code: "GENERATION_FAILED",
+        },
+      };
+    }
+    const s3Key = characterVideoKey(character);
+    // An earlier video of the character doesn't count
+    const expected = job.state?.s3Keys;
+    if (s3Key && (!expected?.length || expected.includes(s3Key))) {
+      return { done: true, result: { ...job.state, s3Keys: [s3Key] } };
+    }
+    return { done: false };
+  },
+});
+
+jobTracker.registerJobType(JOB_TYPES.SEGMENT_VIDEO, {
+  start: (job, { signal, onStart, priority }) =>
+    chatApi.generateVideo({
+      ...job.params,
+      idempotencyKey: job.idempotencyKey,
+      signal,
+      onStart,
+      priority,
+    }),
+});
+
+// The job's idempotency key is the operationId of its charge, so the credit
+// ledger learns the outcome of a video even when the page that started it
+// was reloaded and nothing waits for the job any more
+const LEDGER_OUTCOMES = {
+  completed: (job) => (job.result?.s3_key ? OPERATION_STATUS.SUCCEEDED : OPERATION_STATUS.EMPTY),
+  failed: () => OPERATION_STATUS.FAILED,
+  cancelled: () => OPERATION_STATUS.CANCELLED,
+};
+
+jobTracker.subscribe(({ type, job }) => {
+  if (job?.type !== JOB_TYPES.SEGMENT_VIDEO || !LEDGER_OUTCOMES[type]) return;
+  const operation = creditLedger.getOperation(job.idempotencyKey);
+  if (operation?.status !== OPERATION_STATUS.PENDING) return;
+  creditLedger.settleOperation(job.idempotencyKey, LEDGER_OUTCOMES[type](job), {
+    error: job.error?.message ?? null,
+    errorStatus: job.error?.status ?? null,
+  });
+});
+
+export { jobTracker, JOB_STATUS } from "../lib/jobTracker";
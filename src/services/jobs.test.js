@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { jobTracker, JOB_TYPES, JOB_STATUS } from "./jobs";
+import { creditLedger, OPERATION_STATUS } from "../lib/creditLedger";
+import { stubHttp } from "../test/httpStub";
+
+describe("generation job types", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    http.restore();
+    jobTracker.clearFinishedJobs();
+  });
+
+  it("runs segment videos through /chat with the job's idempotency key", async () => {
+    http.on("post", "/chat", { data: { s3_key: "v.mp4" } });
+
+    const job = jobTracker.startJob(
+      JOB_TYPES.SEGMENT_VIDEO,
+      { animation_prompt: "Clouds move", image_s3_key: "a.png", uuid: "seg-1", project_id: "p1" },
+      { meta: { projectId: "p1", segmentId: "1" } },
+    );
+
+    await expect(jobTracker.waitForJob(job.id)).resolves.toEqual({ s3_key: "v.mp4" });
+    expect(http.requests[0].data).toMatchObject({ gen_type: "video", uuid: "seg-1" });
+    expect(http.requests[0].headers["Idempotency-Key"]).toBe(job.idempotencyKey);
+  });
+
+  it("settles the credit ledger operation of a segment video on its own", async () => {
+    http.once("post", "/chat", { data: { s3_key: "v.mp4" } });
+    http.once("post", "/chat", { status: 422, data: { message: "Bad prompt" } });
+    const run = creditLedger.startRun({ type: "VIDEO", label: "Video generation" });
+    const [done, failed] = ["1", "2"].map((segmentId) => {
+      const job = jobTracker.startJob(
+        JOB_TYPES.SEGMENT_VIDEO,
+        { animation_prompt: "Clouds move", image_s3_key: "a.png", uuid: segmentId, project_id: "p1" },
+        { meta: { projectId: "p1", segmentId } },
+      );
+      creditLedger.addOperation(run.id, { operationId: job.idempotencyKey, segmentId });
+      return job;
+    });
+
+    // Nothing else waits for the jobs, as after a reload
+    await Promise.allSettled([jobTracker.waitForJob(done.id), jobTracker.waitForJob(failed.id)]);
+
+    expect(creditLedger.getOperation(done.idempotencyKey).status).toBe(OPERATION_STATUS.SUCCEEDED);
+    expect(creditLedger.getOperation(failed.idempotencyKey)).toMatchObject({
+      status: OPERATION_STATUS.FAILED,
+      errorStatus: 422,
+    });
+  });
+
+  const characterVideo = () =>
+    jobTracker.startJob(JOB_TYPES.CHARACTER_VIDEO, { uuid: "c1-video" }, { meta: { characterId: "c1" } });
+
+  it("runs character videos through /video-gen", async () => {
+    http.on("post", "/video-gen", { data: { success: true, s3Keys: ["v.mp4"], totalVideos: 1 } });
+    http.on("get", "/character-gen/c1", { data: { success: true, character: { id: "c1", videoS3Key: "v.mp4" } } });
+
+    const job = characterVideo();
+
+    await expect(jobTracker.waitForJob(job.id)).resolves.toMatchObject({ s3Keys: ["v.mp4"] });
+    expect(http.requests[0].headers["Idempotency-Key"]).toBe(job.idempotencyKey);
+  });
+
+  it("fails character videos the backend reports as unsuccessful", async () => {
+    http.on("post", "/video-gen", { data: { success: false, message: "No final image" } });
+
+    const job = characterVideo();
+    const error = await jobTracker.waitForJob(job.id).catch((e) => e);
+
+    expect(error.message).toBe("No final image");
+    expect(jobTracker.getJob(job.id).status).toBe(JOB_STATUS.FAILED);
+  });
+
+  it("keeps a character video running until the character has it", async () => {
+    vi.useFakeTimers();
+    http.on("post", "/video-gen", { data: { success: true, s3Keys: ["v2.mp4"], totalVideos: 1 } });
+    // The character still reports its earlier video
+    http.once("get", "/character-gen/c1", { data: { success: true, character: { id: "c1", videoS3Key: "v1.mp4" } } });
+    http.on("get", "/character-gen/c1", { data: { success: true, character: { id: "c1", videoS3Key: "v2.mp4" } } });
+
+    const job = characterVideo();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(jobTracker.getJob(job.id).status).toBe(JOB_STATUS.RUNNING);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(jobTracker.getJob(job.id)).toMatchObject({
+      status: JOB_STATUS.COMPLETED,
+      result: { s3Keys: ["v2.mp4"], totalVideos: 1 },
+    });
+  });
+
+  it("polls the character status until it is completed", async () => {
+    http.on("get", "/character-gen/c1", {
+      data: { success: true, character: { id: "c1", status: "COMPLETED", finalCharacterS3Key: "f.png" } },
+    });
+
+    const job = jobTracker.startJob(JOB_TYPES.CHARACTER, { characterId: "c1" });
+
+    await expect(jobTracker.waitForJob(job.id)).resolves.toMatchObject({ finalCharacterS3Key: "f.png" });
+  });
+
+  it("fails characters whose generation failed", async () => {
+    http.on("get", "/character-gen/c1", {
+      data: { success: true, character: { id: "c1", status: "FAILED", error: "Upload missing" } },
+    });
+
+    const job = jobTracker.startJob(JOB_TYPES.CHARACTER, { characterId: "c1" });
+    const error = await jobTracker.waitForJob(job.id).catch((e) => e);
+
+    expect(error.code).toBe("GENERATION_FAILED");
+    expect(error.message).toBe("Upload missing");
+  });
+});
@@ -0,0 +1,376 @@
+import { apiClient } from "../lib/apiClient";
+import { CREDIT_PRICES, setPriceLookup } from "../lib/pricing";
+import { creditApi } from "./credit";
+
+const STORAGE_KEY = "modelCatalog";
+// A cached catalog is used right away but refreshed once it is this old
+const CATALOG_TTL_MS = 60 * 60 * 1000;
+
+// Model types that are offered for generation; other pricing categories
+// (TEXT, AUDIO) are priced services rather than selectable models
+export const MODEL_TYPES = ["IMAGE", "VIDEO"];
+
+/**
+ * Models known to this build, used until the backend catalog has loaded and
+ * whenever it can't be reached. Prices come from CREDIT_PRICES.
+ *
+ * - aliases: other ids the backend uses for the model, e.g. in the price table
+ * - available: offered in model selectors and for generation
+ * - capabilities.durations: video lengths in seconds, the first is the default
+ * - capabilities.aspectRatios: the first is the default
+ * - capabilities.resolutions: video output resolutions, the first is the default
+ */
+export const DEFAULT_MODELS = [
+  {
+    id: "recraft-v3",
+    type: "IMAGE",
+    name: "Recraft AI v3",
+    description: "Realistic photographic image generation",
+    provider: "Recraft AI",
+    available: true,
+    capabilities: {
+      imageSize: "1024x1024",
+      aspectRatios: ["1:1"],
+      supportsEdit: true,
+    },
+  },
+  {
+    id: "imagen",
+    type: "IMAGE",
+    name: "Google Imagen",
+    description: "High-quality image generation",
+    provider: "Google Gemini",
+    available: true,
+    capabilities: {
+      imageSize: "Variable",
+      aspectRatios: ["1:1", "16:9", "9:16", "4:3", "3:4"],
+      supportsEdit: true,
+    },
+  },
+  {
+    id: "kling-v2.1-master",
+    type: "VIDEO",
+    name: "Kling v2.1 Master",
+    description: "Image-to-video generation",
+    provider: "Fal.ai",
+    aliases: ["kling v2.1-master"],
+    available: true,
+    capabilities: {
+      durations: [5, 10],
+      aspectRatios: ["16:9", "9:16", "1:1"],
+      resolutions: ["1080p"],
+      supportsEdit: true,
+    },
+  },
+  {
+    id: "gen4_turbo",
+    type: "VIDEO",
+    name: "RunwayML Gen4 Turbo",
+    description: "Advanced video generation",
+    provider: "RunwayML",
+    available: true,
+    capabilities: {
+      durations: [5, 10],
+      aspectRatios: ["16:9", "9:16", "1:1"],
+      resolutions: ["720p"],
+      supportsEdit: true,
+    },
+  },
+  // Priced by the backend but not offered by /chat yet
+  {
+    id: "veo2",
+    type: "VIDEO",
+    name: "Google Veo 2",
+    description: "Text- and image-to-video generation",
+    provider: "Google",
+    available: false,
+    capabilities: {
+      durations: [5, 6, 7, 8],
+      aspectRatios: ["16:9", "9:16"],
+      resolutions: ["720p"],
+      supportsEdit: true,
+    },
+  },
+  {
+    id: "veo3",
+    type: "VIDEO",
+    name: "Google Veo 3",
+    description: "Video generation with audio",
+    provider: "Google",
+    available: false,
+    capabilities: {
+      durations: [8],
+      aspectRatios: ["16:9"],
+      resolutions: ["720p", "1080p"],
+      supportsEdit: false,
+    },
+  },
+];
+
+const unwrap = (response) =>
+  response && typeof response === "object" && "data" in response
+    ? response.data
+    : response;
+
+const toNumberList = (values) =>
+  Array.isArray(values)
+    ? values.map(Number).filter((value) => Number.isFinite(value))
+    : undefined;
+
+// Fill in the shape every consumer relies on
+const normalizeModel = (model) => {
+  const capabilities = model.capabilities || {};
+  return {
+    id: model.id,
+    type: String(model.type || "").toUpperCase(),
+    name: model.name || model.id,
+    description: model.description || "",
+    provider: model.provider || "",
+    aliases: model.aliases || [],
+    available: model.available !== false,
+    capabilities: {
+      ...capabilities,
+      durations: toNumberList(capabilities.durations) || [],
+      aspectRatios: capabilities.aspectRatios || [],
+      resolutions: capabilities.resolutions || [],
+      supportsEdit: capabilities.supportsEdit !== false,
+    },
+    pricing: model.pricing || null,
+  };
+};
+
+// Entries from GET /models. Accepts { id, type } or { id, gen_type },
+// capabilities either nested or at the top level, and a single `resolution`
+// in place of `resolutions`.
+const fromListing = (entry) => {
+  const id = entry.id || entry.model;
+  const type = entry.type || entry.gen_type;
+  if (!id || !type) return null;
+  const { resolution, ...capabilities } = entry.capabilities || {
+    durations: entry.durations,
+    aspectRatios: entry.aspectRatios || entry.aspect_ratios,
+    supportsEdit: entry.supportsEdit ?? entry.supports_edit,
+    imageSize: entry.imageSize,
+    resolutions: entry.resolutions,
+    resolution: entry.resolution,
+  };
+  return {
+    ...entry,
+    id,
+    type,
+    capabilities: {
+      ...capabilities,
+      resolutions: capabilities.resolutions || (resolution ? [resolution] : undefined),
+    },
+  };
+};
+
+/**
+ * Merge the bundled defaults with what the backend returned. Listed models
+ * override the defaults field by field; prices are re-keyed from backend ids
+ * ("kling v2.1-master") to model ids, and priced models nobody listed are
+ * added as unavailable so their costs can still be shown.
+ */
+export const buildCatalog = ({ models: listed, prices } = {}) => {
+  const byId = new Map(DEFAULT_MODELS.map((model) => [model.id, model]));
+
+  (listed || []).map(fromListing).forEach((entry) => {
+    if (!entry) return;
+    const existing =
+      byId.get(entry.id) ||
+      [...byId.values()].find((model) => model.aliases?.includes(entry.id));
+    const capabilities = Object.fromEntries(
+      Object.entries(entry.capabilities).filter(([, value]) => value != null),
+    );
+    byId.set(existing?.id || entry.id, {
+      ...existing,
+      ...entry,
+      id: existing?.id || entry.id,
+      aliases: [
+        ...new Set([...(existing?.aliases || []), ...(entry.aliases || [])]),
+      ],
+      capabilities: { ...existing?.capabilities, ...capabilities },
+    });
+  });
+
+  const models = [...byId.values()].map(normalizeModel);
+  const resolve = (id) =>
+    models.find((model) => model.id === id || model.aliases.includes(id))?.id ||
+    id;
+
+  const priceTable = {};
+  Object.entries(prices || CREDIT_PRICES).forEach(([category, entries]) => {
+    const type = category.toUpperCase();
+    priceTable[type] = {};
+    Object.entries(entries || {}).forEach(([id, price]) => {
+      priceTable[type][resolve(id)] = price;
+    });
+  });
+
+  MODEL_TYPES.forEach((type) => {
+    Object.keys(priceTable[type] || {}).forEach((id) => {
+      if (!models.some((model) => model.id === id)) {
+        models.push(normalizeModel({ id, type, available: false }));
+      }
+    });
+  });
+  models.forEach((model) => {
+    model.pricing = priceTable[model.type]?.[model.id] || model.pricing;
+    // A model without an edit price can't be edited
+    if (model.pricing && !(model.pricing.editCredits > 0)) {
+      model.capabilities.supportsEdit = false;
+    }
+  });
+
+  return { models, prices: priceTable };
+};
+
+/**
+ * The model catalog: which models can be used for generation, what they
+ * support and what they cost. Starts from the cached or bundled catalog and
+ * replaces it with the backend's once load() succeeds.
+ */
+export const createModelCatalog = ({
+  storage = globalThis.localStorage,
+  fetchPricing = () => creditApi.getPricing(),
+  fetchModels = () => apiClient.get("/models", { label: "getModels" }),
+  ttlMs = CATALOG_TTL_MS,
+  now = () => Date.now(),
+} = {}) => {
+  const listeners = new Set();
+  let pending = null;
+
+  const readCache = () => {
+    try {
+      const cached = JSON.parse(storage?.getItem(STORAGE_KEY) || "null");
+      return cached?.loadedAt ? cached : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const writeCache = (value) => {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(value));
+    } catch {
+      // Storage full or unavailable; the in-memory catalog still works
+    }
+  };
+
+  const cached = readCache();
+  let snapshot = cached
+    ? { ...buildCatalog(cached), source: "cache", loadedAt: cached.loadedAt, error: null }
+    : { ...buildCatalog(), source: "default", loadedAt: null, error: null };
+
+  const setSnapshot = (next) => {
+    snapshot = next;
+    [...listeners].forEach((listener) => listener(snapshot));
+  };
+
+  const isFresh = () =>
+    snapshot.source !== "default" &&
+    snapshot.loadedAt != null &&
+    now() - snapshot.loadedAt < ttlMs;
+
+  const catalog = {
+    getSnapshot: () => snapshot,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Fetch pricing and the model listing. Never rejects: if both requests
+     * fail the current (cached or bundled) catalog is kept and the error is
+     * recorded on the snapshot. A fresh catalog is not re-fetched unless
+     * `force` is set.
+     */
+    load({ force = false } = {}) {
+      if (!force && isFresh()) return Promise.resolve(snapshot);
+      if (pending) return pending;
+
+      pending = Promise.allSettled([fetchPricing(), fetchModels()])
+        .then(([pricing, listing]) => {
+          if (pricing.status === "rejected" && listing.status === "rejected") {
+            console.warn("Could not load the model catalog:", pricing.reason);
+            setSnapshot({ ...snapshot, error: pricing.reason });
+            return snapshot;
+          }
+          const prices =
+            pricing.status === "fulfilled" ? unwrap(pricing.value) : null;
+          const listed =
+            listing.status === "fulfilled" ? unwrap(listing.value) : null;
+          const fetched = {
+            prices: prices && typeof prices === "object" ? prices : undefined,
+            models: Array.isArray(listed) ? listed : undefined,
+          };
+          const loadedAt = now();
+          writeCache({ ...fetched, loadedAt });
+          setSnapshot({
+            ...buildCatalog(fetched),
+            source: "backend",
+            loadedAt,
+            error: null,
+          });
+          return snapshot;
+        })
+        .finally(() => {
+          pending = null;
+        });
+      return pending;
+    },
+
+    // Models of a type ("image" / "VIDEO"), in catalog order
+    getModels(type, { includeUnavailable = false } = {}) {
+      const wanted = String(type || "").toUpperCase();
+      return snapshot.models.filter(
+        (model) =>
+          model.type === wanted && (includeUnavailable || model.available),
+      );
+    },
+
+    // A model by id or alias, or null
+    getModel(idOrAlias) {
+      return (
+        snapshot.models.find(
+          (model) => model.id === idOrAlias || model.aliases.includes(idOrAlias),
+        ) || null
+      );
+    },
+
+    // The model id for an alias; unknown ids are returned unchanged
+    resolveModelId(idOrAlias) {
+      return catalog.getModel(idOrAlias)?.id || idOrAlias;
+    },
+
+    // The first available model of a type, or null
+    getDefaultModel(type) {
+      return catalog.getModels(type)[0]?.id || null;
+    },
+
+    // { credits, editCredits, unit, cost } for a model or priced service
+    getPrice(category, idOrAlias) {
+      const prices = snapshot.prices[String(category || "").toUpperCase()];
+      if (!prices) return null;
+      return prices[catalog.resolveModelId(idOrAlias)] || prices[idOrAlias] || null;
+    },
+
+    // Drop the cached catalog and go back to the bundled defaults
+    reset() {
+      try {
+        storage?.removeItem(STORAGE_KEY);
+      } catch {
+        // ignore
+      }
+      setSnapshot({ ...buildCatalog(), source: "default", loadedAt: null, error: null });
+    },
+  };
+
+  return catalog;
+};
+
+export const modelCatalog = createModelCatalog();
+
+// The pricing helpers (lib/pricing) read from the catalog from here on
+setPriceLookup((category, model) => modelCatalog.getPrice(category, model));
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { buildCatalog, createModelCatalog, modelCatalog } from "./model-catalog";
+import { CREDIT_PRICES, getVideoCreditCost } from "../lib/pricing";
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    removeItem: (key) => {
+      delete data[key];
+    },
+  };
+};
+
+const PRICES = {
+  IMAGE: { "recraft-v3": { credits: 1.5, editCredits: 3, unit: "per image", cost: 0.03 } },
+  VIDEO: {
+    "kling v2.1-master": { credits: 22, editCredits: 33, unit: "per second", cost: 0.3 },
+    "luma-ray2": { credits: 10, editCredits: 0, unit: "per second", cost: 0.2 },
+  },
+};
+
+describe("buildCatalog", () => {
+  it("prices the bundled models under their model ids", () => {
+    const { models, prices } = buildCatalog();
+    const kling = models.find((model) => model.id === "kling-v2.1-master");
+
+    expect(kling.pricing).toBe(CREDIT_PRICES.VIDEO["kling v2.1-master"]);
+    expect(prices.VIDEO["kling-v2.1-master"].credits).toBe(20);
+    expect(models.find((model) => model.id === "veo3")).toMatchObject({
+      available: false,
+      capabilities: { supportsEdit: false, durations: [8] },
+    });
+  });
+
+  it("merges listed models over the defaults and adds unlisted priced models", () => {
+    const { models } = buildCatalog({
+      prices: PRICES,
+      models: [
+        { id: "veo2", type: "video", available: true },
+        { id: "kling v2.1-master", gen_type: "video", durations: [5], resolution: "720p" },
+      ],
+    });
+    const byId = Object.fromEntries(models.map((model) => [model.id, model]));
+
+    expect(byId.veo2.available).toBe(true);
+    expect(byId.veo2.name).toBe("Google Veo 2");
+    expect(byId["kling-v2.1-master"].capabilities).toMatchObject({
+      durations: [5],
+      aspectRatios: ["16:9", "9:16", "1:1"],
+      resolutions: ["720p"],
+    });
+    expect(byId["luma-ray2"]).toMatchObject({
+      type: "VIDEO",
+      available: false,
+      pricing: PRICES.VIDEO["luma-ray2"],
+    });
+  });
+});
+
+describe("modelCatalog", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("uses the bundled defaults until loaded", () => {
+    const catalog = createModelCatalog({ storage });
+
+    expect(catalog.getSnapshot().source).toBe("default");
+    expect(catalog.getDefaultModel("image")).toBe("recraft-v3");
+    expect(catalog.getDefaultModel("audio")).toBeNull();
+    expect(catalog.resolveModelId("kling v2.1-master")).toBe("kling-v2.1-master");
+    expect(catalog.resolveModelId("mystery")).toBe("mystery");
+    expect(catalog.getPrice("text", "web-info").credits).toBe(1);
+  });
+
+  it("loads pricing and the model listing once and caches them", async () => {
+    const fetchPricing = vi.fn(async () => ({ success: true, data: PRICES }));
+    const fetchModels = vi.fn(async () => ({
+      success: true,
+      data: [{ id: "veo2", type: "VIDEO", available: true }],
+    }));
+    const catalog = createModelCatalog({ storage, fetchPricing, fetchModels });
+    const listener = vi.fn();
+    catalog.subscribe(listener);
+
+    await Promise.all([catalog.load(), catalog.load()]);
+    await catalog.load();
+
+    expect(fetchPricing).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(catalog.getSnapshot().source).toBe("backend");
+    expect(catalog.getPrice("VIDEO", "kling-v2.1-master").credits).toBe(22);
+    expect(catalog.getModels("video").map((model) => model.id)).toContain("veo2");
+
+    const restored = createModelCatalog({ storage, fetchPricing, fetchModels });
+    expect(restored.getSnapshot().source).toBe("cache");
+    expect(restored.getPrice("IMAGE", "recraft-v3").credits).toBe(1.5);
+    await restored.load();
+    expect(fetchPricing).toHaveBeenCalledTimes(1);
+  });
+
+  it("refreshes a stale cache and keeps it when the backend is down", async () => {
+    let time = 0;
+    const fetchPricing = vi.fn(async () => PRICES);
+    const fetchModels = vi.fn(async () => []);
+    const catalog = createModelCatalog({
+      storage,
+      fetchPricing,
+      fetchModels,
+      ttlMs: 1000,
+      now: () => time,
+    });
+    await catalog.load();
+
+    time = 5000;
+    const error = new Error("offline");
+    fetchPricing.mockRejectedValue(error);
+    fetchModels.mockRejectedValue(error);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const snapshot = await catalog.load();
+
+    expect(fetchPricing).toHaveBeenCalledTimes(2);
+    expect(snapshot.error).toBe(error);
+    expect(catalog.getPrice("VIDEO", "kling v2.1-master").credits).toBe(22);
+  });
+
+  it("backs the pricing helpers", () => {
+    expect(modelCatalog.getSnapshot()).toBeTruthy();
+    expect(getVideoCreditCost("kling-v2.1-master", 5)).toBe(100);
+    expect(getVideoCreditCost("kling v2.1-master", 5)).toBe(100);
+  });
+});
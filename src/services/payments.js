@@ -0,0 +1,136 @@
+import { creditApi } from "./credit";
+import { ApiError } from "../lib/apiError";
+import { createRequestNonce } from "../lib/idempotency";
+import { isMockApiEnabled } from "../mocks/config";
+
+/**
+ * Credit purchases.
+ *
+ * Taking the payment is up to a payment provider:
+ *
+ *   {
+ *     id, name,
+ *     checkout({ userId, credits, signal }) -> { status, paymentId }
+ *   }
+ *
+ * where status is one of PAYMENT_STATUS. Once a payment succeeds the credits
+ * are recorded as a PURCHASE through creditApi.addCredits, keyed by the
+ * payment id so they are added once however often that is retried.
+ *
+ * Until a real provider is installed with setPaymentProvider(), purchases
+ * are unavailable: the default provider rejects every checkout. Only with the
+ * mock backend (mocks/config) is the default the local provider, which
+ * approves every payment without charging anything.
+ */
+
+export const PAYMENT_STATUS = {
+  SUCCEEDED: "succeeded",
+  CANCELLED: "cancelled",
+};
+
+export const PURCHASE_NOT_RECORDED = "PURCHASE_NOT_RECORDED";
+export const PAYMENTS_UNAVAILABLE = "PAYMENTS_UNAVAILABLE";
+
+// Credit amounts offered in the purchase panel
+export const CREDIT_PACKAGES = [50, 100, 250, 500];
+
+export const createLocalPaymentProvider = () => ({
+  id: "local",
+  name: "Test payment (no charge)",
+  checkout: async ({ credits }) => ({
+    status: PAYMENT_STATUS.SUCCEEDED,
+    paymentId: `local-${credits}-${createRequestNonce()}`,
+  }),
+});
+
+const unavailableError = () =>
+  new ApiError({
+    message: "Buying credits isn't available yet.",
+    code: PAYMENTS_UNAVAILABLE,
+  });
+
+// Stands in while no payment provider is installed
+export const createUnavailablePaymentProvider = () => ({
+  id: "unavailable",
+  name: "No payment provider",
+  available: false,
+  checkout: async () => {
+    throw unavailableError();
+  },
+});
+
+const createDefaultPaymentProvider = () =>
+  isMockApiEnabled() ? createLocalPaymentProvider() : createUnavailablePaymentProvider();
+
+let paymentProvider = createDefaultPaymentProvider();
+
+// Install the payment provider; null restores the default one
+export const setPaymentProvider = (provider) => {
+  paymentProvider = provider || createDefaultPaymentProvider();
+};
+
+export const paymentsApi = {
+  getProvider: () => paymentProvider,
+
+  // Whether credits can be bought, i.e. a payment provider is installed
+  isAvailable: () => paymentProvider.available !== false,
+
+  /**
+   * Pay for `credits` and add them to the user's balance. Resolves to
+   * { status, paymentId, credits, newBalance }; a cancelled payment adds
+   * nothing. When the payment went through but the credits couldn't be
+   * recorded, rejects with PURCHASE_NOT_RECORDED and the paymentId in
+   * `details`: passing that paymentId back finishes the purchase without
+   * paying again.
+   */
+  purchaseCredits: async ({ userId, credits, paymentId, signal }) => {
+    const amount = Number(credits);
+    if (!userId || !(amount > 0)) {
+      throw new ApiError({
+        message: "Choose a number of credits to buy.",
+        code: "VALIDATION_ERROR",
+      });
+    }
+
+    const provider = paymentProvider;
+    // Without a provider nothing was paid, whatever payment id is passed
+    if (provider.available === false) throw unavailableError();
+    let paidId = paymentId;
+    if (!paidId) {
+      const payment = await provider.checkout({ userId, credits: amount, signal });
+      if (payment?.status !== PAYMENT_STATUS.SUCCEEDED) {
+        return {
+          status: payment?.status || PAYMENT_STATUS.CANCELLED,
+          paymentId: payment?.paymentId ?? null,
+          credits: 0,
+          newBalance: null,
+        };
+      }
+      paidId = payment.paymentId;
+    }
+
+    try {
+      const result = await creditApi.addCredits({
+        userId,
+        amount,
+        type: "PURCHASE",
+        description: `Credit purchase (${provider.name})`,
+        operationId: paidId,
+      });
+      return {
+        status: PAYMENT_STATUS.SUCCEEDED,
+        paymentId: paidId,
+        credits: amount,
+        newBalance: result?.newBalance ?? null,
+      };
+    } catch (error) {
+      throw new ApiError({
+        message: "Payment received, but the credits couldn't be added yet. Try again to finish the purchase.",
+        code: PURCHASE_NOT_RECORDED,
+        status: error.status,
+        details: { paymentId: paidId, credits: amount },
+        cause: error,
+      });
+    }
+  },
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  paymentsApi,
+  setPaymentProvider,
+  PAYMENT_STATUS,
+  PURCHASE_NOT_RECORDED,
+  PAYMENTS_UNAVAILABLE,
+} from "./payments";
+import { stubHttp } from "../test/httpStub";
+
+describe("paymentsApi", () => {
+  let http;
+  let checkout;
+
+  beforeEach(() => {
+    http = stubHttp();
+    checkout = vi.fn(async () => ({ status: PAYMENT_STATUS.SUCCEEDED, paymentId: "pay-1" }));
+    setPaymentProvider({ id: "test", name: "Test provider", checkout });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    http.restore();
+    setPaymentProvider(null);
+    vi.restoreAllMocks();
+  });
+
+  it("records a paid purchase once per payment", async () => {
+    http.on("post", "/credits/add", { data: { success: true, newBalance: 150 } });
+
+    const result = await paymentsApi.purchaseCredits({ userId: "u1", credits: 100 });
+
+    expect(checkout).toHaveBeenCalledWith(expect.objectContaining({ userId: "u1", credits: 100 }));
+    expect(result).toEqual({ status: "succeeded", paymentId: "pay-1", credits: 100, newBalance: 150 });
+    expect(http.requests[0].data).toEqual({
+      userId: "u1",
+      amount: 100,
+      type: "PURCHASE",
+      description: "Credit purchase (Test provider)",
+      operationId: "pay-1",
+    });
+    expect(http.requests[0].headers["Idempotency-Key"]).toBe("credits:pay-1");
+  });
+
+  it("adds nothing when the payment is cancelled", async () => {
+    checkout.mockResolvedValueOnce({ status: PAYMENT_STATUS.CANCELLED });
+
+    const result = await paymentsApi.purchaseCredits({ userId: "u1", credits: 100 });
+
+    expect(result).toMatchObject({ status: "cancelled", credits: 0 });
+    expect(http.requests).toHaveLength(0);
+  });
+
+  it("finishes a paid purchase that couldn't be recorded without paying again", async () => {
+    http.once("post", "/credits/add", { status: 500, data: {} });
+    http.on("post", "/credits/add", { data: { success: true, newBalance: 50 } });
+
+    const error = await paymentsApi.purchaseCredits({ userId: "u1", credits: 50 }).catch((e) => e);
+    expect(error.code).toBe(PURCHASE_NOT_RECORDED);
+    expect(error.details).toEqual({ paymentId: "pay-1", credits: 50 });
+
+    const result = await paymentsApi.purchaseCredits({
+      userId: "u1",
+      credits: 50,
+      paymentId: error.details.paymentId,
+    });
+    expect(result.status).toBe("succeeded");
+    expect(checkout).toHaveBeenCalledTimes(1);
+    expect(http.requests[1].data.operationId).toBe("pay-1");
+  });
+
+  it("can't complete a checkout without a payment provider outside mock mode", async () => {
+    setPaymentProvider(null);
+
+    expect(paymentsApi.isAvailable()).toBe(false);
+    await expect(paymentsApi.purchaseCredits({ userId: "u1", credits: 100 })).rejects.toMatchObject({
+      code: PAYMENTS_UNAVAILABLE,
+    });
+    await expect(
+      paymentsApi.purchaseCredits({ userId: "u1", credits: 100, paymentId: "made-up" }),
+    ).rejects.toMatchObject({ code: PAYMENTS_UNAVAILABLE });
+    expect(http.requests).toHaveLength(0);
+  });
+
+  it("uses the no-charge provider only with the mock backend", async () => {
+    localStorage.setItem("useMockApi", "true");
+    setPaymentProvider(null);
+    localStorage.removeItem("useMockApi");
+    http.on("post", "/credits/add", { data: { success: true, newBalance: 100 } });
+
+    expect(paymentsApi.getProvider().id).toBe("local");
+    const result = await paymentsApi.purchaseCredits({ userId: "u1", credits: 100 });
+    expect(result.status).toBe("succeeded");
+  });
+});
@@ -1,216 +1,148 @@
-import { getAuthHeaders } from "./api";
-import { axiosInstance } from "../lib/axiosInstance";
+import { apiClient } from "../lib/apiClient";
+import { iteratePages, fetchAllPages } from "../lib/paginate";
 
 // Project API wrapper
 export const projectApi = {
   // Create new project
-  createProject: async ({ name, description }) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post(
-        "/projects",
-        { name, description },
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in createProject:", error);
-      throw error;
-    }
-  },
+  createProject: ({ name, description }) =>
+    apiClient.post(
+      "/projects",
+      { name, description },
+      { label: "createProject" },
+    ),
 
   // Get all user projects (paginated)
-  getProjects: async ({ page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjects:", error);
-      throw error;
-    }
-  },
+  getProjects: ({ page = 1, limit = 10, signal } = {}) =>
+    apiClient.get("/projects", {
+      params: { page, limit },
+      signal,
+      label: "getProjects",
+    }),
 
   // Get specific project with statistics
-  getProjectById: async (projectId) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(`/projects/${projectId}`, {
-        headers,
-      });
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectById:", error);
-      throw error;
-    }
-  },
+  getProjectById: (projectId) =>
+    apiClient.get(`/projects/${projectId}`, { label: "getProjectById" }),
+
+  // Get a project with all of its resources in one response
+  getProjectFull: (projectId, { signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/full`, {
+      signal,
+      label: "getProjectFull",
+    }),
 
   // Update project (generic)
-  updateProject: async (projectId, payload = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.patch(
-        `/projects/${projectId}`,
-        payload,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in updateProject:", error);
-      throw error;
-    }
-  },
+  updateProject: (projectId, payload = {}) =>
+    apiClient.patch(`/projects/${projectId}`, payload, {
+      label: "updateProject",
+    }),
 
   // Set an existing image as the primary storyboard image for the project
-  setPrimaryImage: async (projectId, imageId) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.patch(
-        `/projects/${projectId}/primary-image`,
-        { imageId },
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in setPrimaryImage:", error);
-      throw error;
-    }
-  },
+  setPrimaryImage: (projectId, imageId) =>
+    apiClient.patch(
+      `/projects/${projectId}/primary-image`,
+      { imageId },
+      { label: "setPrimaryImage" },
+    ),
 
   // Delete project
-  deleteProject: async (projectId) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.delete(`/projects/${projectId}`, {
-        headers,
-      });
-      return data;
-    } catch (error) {
-      console.error("Error in deleteProject:", error);
-      throw error;
-    }
-  },
+  deleteProject: (projectId) =>
+    apiClient.delete(`/projects/${projectId}`, { label: "deleteProject" }),
 
   // Get paginated conversations for a project
-  getProjectConversations: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/conversations?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectConversations:", error);
-      throw error;
-    }
-  },
+  getProjectConversations: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/conversations`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectConversations",
+    }),
 
   // Get paginated concepts for a project
-  getProjectConcepts: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/concepts?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectConcepts:", error);
-      throw error;
-    }
-  },
+  getProjectConcepts: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/concepts`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectConcepts",
+    }),
 
   // Get paginated images for a project
-  getProjectImages: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/images?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectImages:", error);
-      throw error;
-    }
-  },
+  getProjectImages: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/images`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectImages",
+    }),
 
   // Get paginated videos for a project
-  getProjectVideos: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/videos?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectVideos:", error);
-      throw error;
-    }
-  },
+  getProjectVideos: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/videos`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectVideos",
+    }),
 
   // Get paginated voiceovers for a project
-  getProjectVoiceovers: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/voiceovers?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectVoiceovers:", error);
-      throw error;
-    }
-  },
+  getProjectVoiceovers: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/voiceovers`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectVoiceovers",
+    }),
 
   // Get paginated segmentations for a project
-  getProjectSegmentations: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/segmentations?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectSegmentations:", error);
-      throw error;
-    }
-  },
+  getProjectSegmentations: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/segmentations`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectSegmentations",
+    }),
 
   // Get paginated summaries for a project
-  getProjectSummaries: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/summaries?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectSummaries:", error);
-      throw error;
-    }
-  },
+  getProjectSummaries: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/summaries`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectSummaries",
+    }),
 
   // Get paginated web research for a project
-  getProjectResearch: async (projectId, { page = 1, limit = 10 } = {}) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.get(
-        `/projects/${projectId}/research?page=${page}&limit=${limit}`,
-        { headers },
-      );
-      return data;
-    } catch (error) {
-      console.error("Error in getProjectResearch:", error);
-      throw error;
-    }
-  },
+  getProjectResearch: (projectId, { page = 1, limit = 10, signal } = {}) =>
+    apiClient.get(`/projects/${projectId}/research`, {
+      params: { page, limit },
+      signal,
+      label: "getProjectResearch",
+    }),
+
+  // Walk every page of the user's projects (see lib/paginate)
+  iterateProjects: (options) =>
+    iteratePages((params) => projectApi.getProjects(params), options),
+
+  // All of the user's projects; `onPage` sees each page as it arrives
+  getAllProjects: (options) =>
+    fetchAllPages((params) => projectApi.getProjects(params), options),
+
+  // Walk every page of one project resource, e.g. "images"
+  iterateProjectResource: (projectId, resource, options) =>
+    iteratePages(
+      (params) => projectApi[PROJECT_LISTS[resource]](projectId, params),
+      options,
+    ),
+
+  // Every item of one project resource; `onPage` sees each page as it arrives
+  getAllProjectResource: (projectId, resource, options) =>
+    fetchAllPages(
+      (params) => projectApi[PROJECT_LISTS[resource]](projectId, params),
+      options,
+    ),
+};
+
+// Paginated project resources and the projectApi method that lists them
+export const PROJECT_LISTS = {
+  conversations: "getProjectConversations",
+  concepts: "getProjectConcepts",
+  images: "getProjectImages",
+  videos: "getProjectVideos",
+  voiceovers: "getProjectVoiceovers",
+  segmentations: "getProjectSegmentations",
+  summaries: "getProjectSummaries",
+  research: "getProjectResearch",
 };
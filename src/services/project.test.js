@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { projectApi } from "./project";
+import { ApiError } from "../lib/apiError";
+import { stubHttp } from "../test/httpStub";
+
+describe("projectApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("creates a project", async () => {
+    http.on("post", "/projects", { data: { id: "p1", name: "Launch" } });
+
+    const project = await projectApi.createProject({ name: "Launch", description: "Q3" });
+
+    expect(project).toEqual({ id: "p1", name: "Launch" });
+    expect(http.requests[0].data).toEqual({ name: "Launch", description: "Q3" });
+  });
+
+  it("lists projects with paging params", async () => {
+    http.on("get", "/projects", { data: [{ id: "p1" }] });
+
+    const projects = await projectApi.getProjects({ page: 2, limit: 5 });
+
+    expect(projects).toEqual([{ id: "p1" }]);
+    expect(http.requests[0].params).toEqual({ page: 2, limit: 5 });
+  });
+
+  it("defaults paging params", async () => {
+    http.on("get", "/projects/p1/images", { data: { success: true, data: [] } });
+
+    await projectApi.getProjectImages("p1");
+
+    expect(http.requests[0].params).toEqual({ page: 1, limit: 10 });
+  });
+
+  it.each([
+    ["getProjectConversations", "conversations"],
+    ["getProjectConcepts", "concepts"],
+    ["getProjectImages", "images"],
+    ["getProjectVideos", "videos"],
+    ["getProjectVoiceovers", "voiceovers"],
+    ["getProjectSegmentations", "segmentations"],
+    ["getProjectSummaries", "summaries"],
+    ["getProjectResearch", "research"],
+  ])("%s reads /projects/:id/%s", async (method, resource) => {
+    const page = { success: true, data: [{ id: "x" }], pagination: { page: 1 } };
+    http.on("get", `/projects/p1/${resource}`, { data: page });
+
+    await expect(projectApi[method]("p1", { page: 1, limit: 50 })).resolves.toEqual(page);
+    expect(http.requests[0].params).toEqual({ page: 1, limit: 50 });
+  });
+
+  it("updates a project", async () => {
+    http.on("patch", "/projects/p1", { data: { id: "p1", name: "New" } });
+
+    await projectApi.updateProject("p1", { name: "New" });
+
+    expect(http.requests[0].data).toEqual({ name: "New" });
+  });
+
+  it("sets the primary image", async () => {
+    http.on("patch", "/projects/p1/primary-image", { data: { success: true } });
+
+    await projectApi.setPrimaryImage("p1", "img-1");
+
+    expect(http.requests[0].data).toEqual({ imageId: "img-1" });
+  });
+
+  it("deletes a project", async () => {
+    http.on("delete", "/projects/p1", { data: { success: true } });
+
+    await expect(projectApi.deleteProject("p1")).resolves.toEqual({ success: true });
+  });
+
+  it("loads a project with all of its resources from the full endpoint", async () => {
+    const full = { success: true, data: { id: "p1", images: [], videos: [] } };
+    http.on("get", "/projects/p1/full", { data: full });
+
+    await expect(projectApi.getProjectFull("p1")).resolves.toEqual(full);
+  });
+
+  it("pages through a whole project resource", async () => {
+    http.on("get", "/projects/p1/images", (request) => ({
+      data: {
+        success: true,
+        data: request.params.page === 1 ? [{ id: "a" }, { id: "b" }] : [{ id: "c" }],
+        pagination: { page: request.params.page, limit: 2, total: 3, totalPages: 2 },
+      },
+    }));
+
+    const images = await projectApi.getAllProjectResource("p1", "images", { pageSize: 2 });
+
+    expect(images.map((image) => image.id)).toEqual(["a", "b", "c"]);
+    expect(http.requests.map((r) => r.params)).toEqual([
+      { page: 1, limit: 2 },
+      { page: 2, limit: 2 },
+    ]);
+  });
+
+  it("sends the stored auth token", async () => {
+    localStorage.setItem("authToken", "t-123");
+    http.on("get", "/projects/p1", { data: { id: "p1" } });
+
+    await projectApi.getProjectById("p1");
+
+    expect(http.requests[0].headers.Authorization).toBe("Bearer t-123");
+    localStorage.removeItem("authToken");
+  });
+
+  it("converts a 404 into an ApiError", async () => {
+    http.on("get", "/projects/missing", { status: 404, data: { message: "Project not found" } });
+
+    const error = await projectApi.getProjectById("missing").catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(404);
+    expect(error.code).toBe("NOT_FOUND");
+    expect(error.message).toBe("Project not found");
+  });
+});
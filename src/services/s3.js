@@ -1,11 +1,11 @@
+import { resolveAsset } from "../lib/assets";
+
+// URLs for stored media; see lib/assets for where they are served from
 export const s3Api = {
   downloadImage: async (s3Key) => {
     try {
-      // Construct CloudFront URL directly from S3 key
-      const cloudfrontUrl = `https://ds0fghatf06yb.cloudfront.net/${s3Key}`;
-
-      console.log("Image CloudFront URL:", cloudfrontUrl);
-      return cloudfrontUrl;
+      const url = await resolveAsset(s3Key, { kind: "image" });
+      return url;
     } catch (error) {
       console.error("Error in downloadImage:", error);
       throw error;
@@ -14,11 +14,8 @@ export const s3Api = {
 
   downloadVideo: async (s3Key) => {
     try {
-      // Construct CloudFront URL directly from S3 key
-      const cloudfrontUrl = `https://ds0fghatf06yb.cloudfront.net/${s3Key}`;
-
-      console.log("Video CloudFront URL:", cloudfrontUrl);
-      return cloudfrontUrl;
+      const url = await resolveAsset(s3Key, { kind: "video" });
+      return url;
     } catch (error) {
       console.error("Error in downloadVideo:", error);
       throw error;
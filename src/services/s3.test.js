@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { s3Api } from "./s3";
+import { createMockMediaKey } from "../mocks/media";
+import { configureAssets } from "../lib/assets";
+
+describe("s3Api", () => {
+  it("builds CloudFront URLs from S3 keys", async () => {
+    await expect(s3Api.downloadImage("u1/images/a.png")).resolves.toBe(
+      "https://ds0fghatf06yb.cloudfront.net/u1/images/a.png",
+    );
+    await expect(s3Api.downloadVideo("u1/videos/a.mp4")).resolves.toBe(
+      "https://ds0fghatf06yb.cloudfront.net/u1/videos/a.mp4",
+    );
+  });
+
+  it("uses the configured asset origin", async () => {
+    configureAssets({ baseUrl: "https://staging-cdn.example.com" });
+
+    await expect(s3Api.downloadImage("u1/images/a.png")).resolves.toBe(
+      "https://staging-cdn.example.com/u1/images/a.png",
+    );
+    configureAssets();
+  });
+
+  it("resolves mock media keys locally in mock mode", async () => {
+    localStorage.setItem("useMockApi", "true");
+    const key = createMockMediaKey("images", "A cup of coffee", "svg");
+
+    const url = await s3Api.downloadImage(key);
+    localStorage.removeItem("useMockApi");
+
+    expect(url.startsWith("data:image/svg+xml")).toBe(true);
+    expect(decodeURIComponent(url)).toContain("A cup of coffee");
+  });
+});
@@ -1,26 +1,23 @@
-import { getAuthHeaders } from "./api";
-import { axiosInstance } from "../lib/axiosInstance";
+import { apiClient } from "../lib/apiClient";
+import { ApiError } from "../lib/apiError";
 
 export const segmentationApi = {
-  getSegmentation: async ({ prompt, concept = "", negative_prompt = "", project_id }) => {
-    try {
-      const headers = await getAuthHeaders();
-      const payload = { prompt, concept, negative_prompt };
-      if (project_id) payload.projectId = project_id;
-      
-      const { data } = await axiosInstance.post(
-        "/segmentation",
-        payload,
-        { headers },
-      );
-      console.log("Segmentation response:", data);
-      if (!data.segments || !Array.isArray(data.segments)) {
-        throw new Error("Invalid response format: missing segments array");
-      }
-      return data;
-    } catch (error) {
-      console.error("Error in getSegmentation:", error);
-      throw error;
+  getSegmentation: async ({ prompt, concept = "", negative_prompt = "", project_id, signal }) => {
+    const payload = { prompt, concept, negative_prompt };
+    if (project_id) payload.projectId = project_id;
+
+    const data = await apiClient.post("/segmentation", payload, {
+      label: "getSegmentation",
+      signal,
+    });
+    if (!data.segments || !Array.isArray(data.segments)) {
+      throw new ApiError({
+        message: "The script generator returned an unexpected response. Please try again.",
+        code: "INVALID_RESPONSE",
+        retryable: true,
+        details: data,
+      });
     }
+    return data;
   },
 };
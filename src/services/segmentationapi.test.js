@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { segmentationApi } from "./segmentationapi";
+import { stubHttp } from "../test/httpStub";
+
+describe("segmentationApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("returns the segmentation", async () => {
+    const body = { segments: [{ id: 1, visual: "v" }], artStyle: "noir" };
+    http.on("post", "/segmentation", { data: body });
+
+    const result = await segmentationApi.getSegmentation({
+      prompt: "p",
+      concept: "c",
+      project_id: "p1",
+    });
+
+    expect(result).toEqual(body);
+    expect(http.requests[0].data).toEqual({
+      prompt: "p",
+      concept: "c",
+      negative_prompt: "",
+      projectId: "p1",
+    });
+  });
+
+  it("omits projectId when there is no project", async () => {
+    http.on("post", "/segmentation", { data: { segments: [] } });
+
+    await segmentationApi.getSegmentation({ prompt: "p" });
+
+    expect(http.requests[0].data).not.toHaveProperty("projectId");
+  });
+
+  it("rejects a response without segments", async () => {
+    http.on("post", "/segmentation", { data: { error: "model overloaded" } });
+
+    const error = await segmentationApi.getSegmentation({ prompt: "p" }).catch((e) => e);
+
+    expect(error.code).toBe("INVALID_RESPONSE");
+    expect(error.retryable).toBe(true);
+    expect(error.details).toEqual({ error: "model overloaded" });
+  });
+});
@@ -1,43 +1,24 @@
-import { axiosInstance } from "../lib/axiosInstance";
-import { getAuthHeaders } from "./api";
+import { apiClient } from "../lib/apiClient";
 
 // Video generation API wrapper
 export const videoApi = {
-  generateVideo: async ({ animation_prompt, art_style, imageS3Key, uuid, project_id }) => {
-    try {
-      const payload = { animation_prompt, imageS3Key, uuid, projectId: project_id };
-      payload.art_style =
-        art_style && art_style.trim() ? art_style.trim() : "realistic";
+  generateVideo: ({ animation_prompt, art_style, imageS3Key, uuid, project_id }) => {
+    const payload = { animation_prompt, imageS3Key, uuid, projectId: project_id };
+    payload.art_style =
+      art_style && art_style.trim() ? art_style.trim() : "realistic";
 
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post("/video-gen", payload, {
-        headers,
-      });
-      console.log("Video generation response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in generateVideo:", error);
-      throw error;
-    }
+    return apiClient.post("/video-gen", payload, { label: "generateVideo" });
   },
-  regenerateVideo: async ({
+  regenerateVideo: ({
     id,
     animation_prompt,
     art_style,
     image_s3_key,
     video_s3_keys,
   }) => {
-    try {
-      const body = { animation_prompt, art_style, video_s3_keys, image_s3_key };
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.patch(`/video-gen/${id}`, body, {
-        headers,
-      });
-      console.log("Video regeneration response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in regenerateVideo:", error);
-      throw error;
-    }
+    const body = { animation_prompt, art_style, video_s3_keys, image_s3_key };
+    return apiClient.patch(`/video-gen/${id}`, body, {
+      label: "regenerateVideo",
+    });
   },
 };
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { videoApi } from "./video-gen";
+import { stubHttp } from "../test/httpStub";
+
+describe("videoApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("generates a video", async () => {
+    http.on("post", "/video-gen", { data: { s3Keys: ["v.mp4"] } });
+
+    const result = await videoApi.generateVideo({
+      animation_prompt: "a",
+      art_style: "noir",
+      imageS3Key: "i.png",
+      uuid: "1",
+      project_id: "p1",
+    });
+
+    expect(result.s3Keys).toEqual(["v.mp4"]);
+    expect(http.requests[0].data).toEqual({
+      animation_prompt: "a",
+      imageS3Key: "i.png",
+      uuid: "1",
+      projectId: "p1",
+      art_style: "noir",
+    });
+  });
+
+  it("regenerates a video", async () => {
+    http.on("patch", "/video-gen/v1", { data: { success: true } });
+
+    await videoApi.regenerateVideo({
+      id: "v1",
+      animation_prompt: "a",
+      art_style: "noir",
+      image_s3_key: "i.png",
+      video_s3_keys: ["v.mp4"],
+    });
+
+    expect(http.requests[0].data).toEqual({
+      animation_prompt: "a",
+      art_style: "noir",
+      image_s3_key: "i.png",
+      video_s3_keys: ["v.mp4"],
+    });
+  });
+});
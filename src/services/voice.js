@@ -1,20 +1,10 @@
-import { getAuthHeaders } from "./api";
-import { axiosInstance } from "../lib/axiosInstance";
+import { apiClient } from "../lib/apiClient";
 
 export const voiceApi = {
-  generateVoice: async (narration_prompt) => {
-    try {
-      const headers = await getAuthHeaders();
-      const { data } = await axiosInstance.post(
-        "/voiceover",
-        { narration_prompt },
-        { headers },
-      );
-      console.log("Voiceover response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in generateVoice:", error);
-      throw error;
-    }
-  },
+  generateVoice: (narration_prompt) =>
+    apiClient.post(
+      "/voiceover",
+      { narration_prompt },
+      { label: "generateVoice" },
+    ),
 };
@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { voiceApi } from "./voice";
+import { stubHttp } from "../test/httpStub";
+
+describe("voiceApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("posts the narration", async () => {
+    http.on("post", "/voiceover", { data: { s3_key: "a.mp3" } });
+
+    await expect(voiceApi.generateVoice("Hello")).resolves.toEqual({ s3_key: "a.mp3" });
+    expect(http.requests[0].data).toEqual({ narration_prompt: "Hello" });
+  });
+
+  it("rejects on failure", async () => {
+    http.on("post", "/voiceover", { status: 429, data: {} });
+
+    const error = await voiceApi.generateVoice("Hello").catch((e) => e);
+
+    expect(error.code).toBe("RATE_LIMITED");
+    expect(error.retryable).toBe(true);
+  });
+});
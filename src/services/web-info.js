@@ -1,24 +1,14 @@
-import { getAuthHeaders } from "./api";
-import { axiosInstance } from "../lib/axiosInstance";
+import { apiClient } from "../lib/apiClient";
 
 // Web-info API wrapper
 export const webInfoApi = {
-  processWebInfo: async (prompt, project_id) => {
-    try {
-      const headers = await getAuthHeaders();
-      const payload = { prompt };
-      if (project_id) payload.projectId = project_id;
-      
-      const { data } = await axiosInstance.post(
-        "/get-web-info",
-        payload,
-        { headers },
-      );
-      console.log("Web-info response:", data);
-      return data;
-    } catch (error) {
-      console.error("Error in processWebInfo:", error);
-      throw error;
-    }
+  processWebInfo: (prompt, project_id, { signal } = {}) => {
+    const payload = { prompt };
+    if (project_id) payload.projectId = project_id;
+
+    return apiClient.post("/get-web-info", payload, {
+      label: "processWebInfo",
+      signal,
+    });
   },
 };
@@ -0,0 +1,33 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { webInfoApi } from "./web-info";
+import { stubHttp } from "../test/httpStub";
+
+describe("webInfoApi", () => {
+  let http;
+
+  beforeEach(() => {
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  it("posts the prompt and project", async () => {
+    const body = { choices: [{ message: { content: "research" } }] };
+    http.on("post", "/get-web-info", { data: body });
+
+    await expect(webInfoApi.processWebInfo("coffee", "p1")).resolves.toEqual(body);
+    expect(http.requests[0].data).toEqual({ prompt: "coffee", projectId: "p1" });
+  });
+
+  it("hides server error details", async () => {
+    http.on("post", "/get-web-info", { status: 502, data: "<html>Bad gateway</html>" });
+
+    const error = await webInfoApi.processWebInfo("coffee").catch((e) => e);
+
+    expect(error.status).toBe(502);
+    expect(error.retryable).toBe(true);
+    expect(error.message).toBe("The server ran into a problem. Please try again shortly.");
+  });
+});
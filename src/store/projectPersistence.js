@@ -0,0 +1,125 @@
+import { createJSONStorage } from "zustand/middleware";
+
+/**
+ * How useProjectStore is saved in localStorage: one versioned entry under
+ * PROJECT_STORE_KEY, written by zustand's persist middleware.
+ *
+ * Version 0 is the layout from before the store persisted itself, where
+ * components kept the selected project, the project list and generated media
+ * under separate keys. When the versioned entry is missing those keys are read
+ * as version 0 state, migrated like any older version, and removed once the
+ * migrated state has been written.
+ *
+ * To change the persisted shape, bump PROJECT_STORE_VERSION and add a step to
+ * migrateProjectState.
+ */
+
+export const PROJECT_STORE_KEY = "project-store";
+export const PROJECT_STORE_VERSION = 1;
+
+// segmentMedia key for media generated while no project was selected
+export const NO_PROJECT = "none";
+
+// Version 0 keys and the state field each one held
+export const LEGACY_STORAGE_KEYS = {
+  selectedProject: "project-store-selectedProject",
+  projects: "project-store-projects",
+  images: "project-store-images",
+  videos: "project-store-videos",
+  segmentations: "project-store-segmentations",
+  segmentImages: "segmentImages",
+  segmentVideos: "segmentVideos",
+};
+
+const isPlainObject = (value) =>
+  value != null && typeof value === "object" && !Array.isArray(value);
+
+// URLs by segment id; anything else (e.g. copies of the project's records) is dropped
+const toUrlMap = (value) =>
+  isPlainObject(value)
+    ? Object.fromEntries(
+        Object.entries(value).filter(([, url]) => typeof url === "string" && url),
+      )
+    : {};
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+// The version 0 keys as state, or null when none of them are set
+export const readLegacyState = (storage) => {
+  const entries = Object.entries(LEGACY_STORAGE_KEYS).filter(
+    ([, key]) => storage.getItem(key) != null,
+  );
+  if (entries.length === 0) return null;
+  return Object.fromEntries(entries.map(([field, key]) => [field, readJson(storage, key)]));
+};
+
+const addMedia = (segmentMedia, projectId, images, videos) => {
+  if (Object.keys(images).length === 0 && Object.keys(videos).length === 0) return;
+  const current = segmentMedia[projectId] || { images: {}, videos: {} };
+  segmentMedia[projectId] = {
+    images: { ...current.images, ...images },
+    videos: { ...current.videos, ...videos },
+  };
+};
+
+/**
+ * Bring persisted state from `version` up to PROJECT_STORE_VERSION.
+ *
+ * 0 -> 1: "project-store-images"/"-videos" held URL maps for the selected
+ * project (or, from the project dropdown, copies of its records, which are
+ * refetched on hydration anyway); "segmentImages"/"segmentVideos" held the
+ * maps used without a project. Both become `segmentMedia`.
+ */
+export const migrateProjectState = (persisted, version) => {
+  let state = isPlainObject(persisted) ? persisted : {};
+
+  if (version < 1) {
+    const selectedProject = isPlainObject(state.selectedProject) && state.selectedProject.id
+      ? state.selectedProject
+      : null;
+    const segmentMedia = {};
+    if (selectedProject) {
+      addMedia(segmentMedia, selectedProject.id, toUrlMap(state.images), toUrlMap(state.videos));
+    }
+    addMedia(segmentMedia, NO_PROJECT, toUrlMap(state.segmentImages), toUrlMap(state.segmentVideos));
+    state = {
+      selectedProject,
+      projects: Array.isArray(state.projects) ? state.projects : [],
+      segmentMedia,
+    };
+  }
+
+  return state;
+};
+
+/**
+ * Storage for the persist middleware that reads the version 0 keys when the
+ * versioned entry doesn't exist yet, and removes them after the first write.
+ */
+export const createProjectStorage = (getStorage = () => globalThis.localStorage) =>
+  createJSONStorage(() => {
+    const storage = getStorage();
+    let legacyRemoved = false;
+    return {
+      getItem: (name) => {
+        const stored = storage.getItem(name);
+        if (stored != null) return stored;
+        const legacy = readLegacyState(storage);
+        return legacy ? JSON.stringify({ state: legacy, version: 0 }) : null;
+      },
+      setItem: (name, value) => {
+        storage.setItem(name, value);
+        if (!legacyRemoved) {
+          Object.values(LEGACY_STORAGE_KEYS).forEach((key) => storage.removeItem(key));
+          legacyRemoved = true;
+        }
+      },
+      removeItem: (name) => storage.removeItem(name),
+    };
+  });
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { createStore } from "zustand/vanilla";
+import { persist } from "zustand/middleware";
+import {
+  PROJECT_STORE_KEY,
+  PROJECT_STORE_VERSION,
+  NO_PROJECT,
+  LEGACY_STORAGE_KEYS,
+  createProjectStorage,
+  migrateProjectState,
+} from "./projectPersistence";
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => data[key] ?? null,
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    removeItem: (key) => {
+      delete data[key];
+    },
+  };
+};
+
+const createPersistedStore = (storage) =>
+  createStore(
+    persist(
+      (set) => ({
+        selectedProject: null,
+        projects: [],
+        segmentMedia: {},
+        select: (selectedProject) => set({ selectedProject }),
+      }),
+      {
+        name: PROJECT_STORE_KEY,
+        version: PROJECT_STORE_VERSION,
+        storage: createProjectStorage(() => storage),
+        migrate: migrateProjectState,
+      },
+    ),
+  );
+
+describe("migrateProjectState", () => {
+  it("turns the legacy keys into segment media by project", () => {
+    const state = migrateProjectState(
+      {
+        selectedProject: { id: "p1", name: "Launch" },
+        projects: [{ id: "p1" }],
+        images: { 1: "https://cdn/p1-1.png" },
+        // The project dropdown stored the project's records here instead of a map
+        videos: [{ id: "v1", s3Key: "videos/v1.mp4" }],
+        segmentImages: { 2: "https://cdn/loose-2.png" },
+        segmentVideos: null,
+      },
+      0,
+    );
+
+    expect(state).toEqual({
+      selectedProject: { id: "p1", name: "Launch" },
+      projects: [{ id: "p1" }],
+      segmentMedia: {
+        p1: { images: { 1: "https://cdn/p1-1.png" }, videos: {} },
+        [NO_PROJECT]: { images: { 2: "https://cdn/loose-2.png" }, videos: {} },
+      },
+    });
+  });
+
+  it("leaves current state alone", () => {
+    const state = { selectedProject: null, projects: [], segmentMedia: {} };
+    expect(migrateProjectState(state, PROJECT_STORE_VERSION)).toBe(state);
+  });
+});
+
+describe("createProjectStorage", () => {
+  it("migrates the legacy keys on first load and removes them", () => {
+    const storage = createStorage({
+      [LEGACY_STORAGE_KEYS.selectedProject]: JSON.stringify({ id: "p1" }),
+      [LEGACY_STORAGE_KEYS.projects]: JSON.stringify([{ id: "p1" }, { id: "p2" }]),
+      [LEGACY_STORAGE_KEYS.videos]: JSON.stringify({ 3: "https://cdn/p1-3.mp4" }),
+      [LEGACY_STORAGE_KEYS.segmentations]: "not json",
+      authToken: "kept",
+    });
+
+    const store = createPersistedStore(storage);
+
+    expect(store.getState().selectedProject).toEqual({ id: "p1" });
+    expect(store.getState().projects).toHaveLength(2);
+    expect(store.getState().segmentMedia.p1.videos).toEqual({ 3: "https://cdn/p1-3.mp4" });
+    expect(Object.keys(storage.data).sort()).toEqual(["authToken", PROJECT_STORE_KEY]);
+    expect(JSON.parse(storage.data[PROJECT_STORE_KEY]).version).toBe(PROJECT_STORE_VERSION);
+  });
+
+  it("prefers the versioned entry and saves changes to it", () => {
+    const storage = createStorage({
+      [PROJECT_STORE_KEY]: JSON.stringify({
+        state: { selectedProject: { id: "p2" }, projects: [], segmentMedia: {} },
+        version: PROJECT_STORE_VERSION,
+      }),
+      [LEGACY_STORAGE_KEYS.selectedProject]: JSON.stringify({ id: "stale" }),
+    });
+
+    const store = createPersistedStore(storage);
+    expect(store.getState().selectedProject).toEqual({ id: "p2" });
+
+    store.getState().select({ id: "p3" });
+    expect(JSON.parse(storage.data[PROJECT_STORE_KEY]).state.selectedProject).toEqual({ id: "p3" });
+  });
+});
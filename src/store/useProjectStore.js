@@ -1,9 +1,221 @@
 import { create } from "zustand";
+import { persist } from "zustand/middleware";
 import { projectApi } from "../services/project";
+import { imageApi } from "../services/image";
 import { creditApi } from "../services/credit";
+import { summarizeSpending } from "../lib/creditReport";
+import { getBudgetStatus, assertWithinBudget } from "../lib/budget";
+import {
+  EMPTY_ENTITIES,
+  normalizeProjectEntities,
+  getPrimaryImage,
+  getSegmentImages,
+  getSegmentVideo,
+} from "../lib/entities";
+import { EMPTY_HISTORY, pushHistory, peekHistory, moveHistoryEntry } from "../lib/history";
+import { createSyncChannel, createStoreSync } from "../lib/storeSync";
+import {
+  PROJECT_STORE_KEY,
+  PROJECT_STORE_VERSION,
+  NO_PROJECT,
+  createProjectStorage,
+  migrateProjectState,
+} from "./projectPersistence";
+
+// Resource collections returned alongside the project by /projects/:id/full
+const PROJECT_RESOURCES = [
+  "conversations",
+  "concepts",
+  "images",
+  "videos",
+  "voiceovers",
+  "segmentations",
+  "summaries",
+  "research",
+];
+
+// Resources the normalized entities are built from
+const ENTITY_RESOURCES = ["segmentations", "images", "videos", "voiceovers"];
+
+// A state patch, with `entities` rebuilt when it replaces one of their resources
+const withEntities = (state, patch) =>
+  ENTITY_RESOURCES.some((resource) => resource in patch)
+    ? { ...patch, entities: normalizeProjectEntities({ ...state, ...patch }) }
+    : patch;
+
+// State kept in sync between windows and widget instances (lib/storeSync).
+// Each unit is replaced as a whole; the hydrated project travels with its
+// resources so they never mix with another project's.
+const SYNC_UNITS = {
+  selection: ["selectedProject"],
+  projects: ["projects"],
+  media: ["segmentMedia"],
+  project: ["hydratedProjectId", "projectDetails", ...PROJECT_RESOURCES],
+};
+
+// In-flight hydrations by project id, so concurrent callers share one request.
+// Every bundle calls the actions of the one global store, so these are shared too.
+const pendingHydrations = new Map();
+let latestHydration = 0;
+
+// The freshest copy of a project that has `field` set
+const findProject = (state, projectId, field) =>
+  [state.projectDetails, state.selectedProject, ...state.projects].find(
+    (project) => project?.id === projectId && project[field] !== undefined,
+  ) || null;
+
+const EMPTY_MEDIA = { images: {}, videos: {} };
+
+/**
+ * Generated media URLs by segment id for a project ({ images, videos }),
+ * including ones not saved to the backend. Without a project id, the media
+ * generated while no project was selected.
+ */
+export const selectSegmentMedia = (state, projectId) =>
+  state.segmentMedia[projectId || NO_PROJECT] || EMPTY_MEDIA;
+
+// Selectors over the normalized entities (lib/entities). The ones returning
+// lists build a new array per call, so memoize them in components.
+export const selectPrimaryImage = (state, segmentId) =>
+  getPrimaryImage(state.entities, segmentId);
+export const selectSegmentImages = (state, segmentId) =>
+  getSegmentImages(state.entities, segmentId);
+export const selectSegmentVideo = (state, segmentId) =>
+  getSegmentVideo(state.entities, segmentId);
+
+// Change a hydrated project's image records in place. `patch` gets each
+// normalized image and returns the fields to change, or null to leave it.
+const patchImages = (set, projectId, patch) =>
+  set((state) => {
+    if (state.hydratedProjectId !== projectId) return {};
+    const images = state.images.map((record) => {
+      const image = state.entities.images.byId[String(record?.id)];
+      const fields = image && patch(image);
+      return fields ? { ...record, ...fields } : record;
+    });
+    return withEntities(state, { images });
+  });
+
+/**
+ * Apply a change to the store before the backend confirms it. When `request`
+ * fails, `revert` takes the change back, the failure is recorded in `error`
+ * and rethrown.
+ */
+const optimistic = async (set, { apply, revert, request, failure }) => {
+  apply();
+  try {
+    return await request();
+  } catch (error) {
+    revert();
+    set({ error: error.message || failure });
+    throw error;
+  }
+};
+
+// Of the `applied` fields, the ones `current` still has, with their `previous`
+// values; a rollback must not undo changes made since
+const fieldsToRevert = (current, applied, previous) =>
+  Object.fromEntries(
+    Object.keys(applied)
+      .filter((field) => current?.[field] === applied[field])
+      .map((field) => [field, previous[field]]),
+  );
+
+const definedFields = (fields) =>
+  Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+// Undo ("undo") or redo ("redo") the next history entry; one at a time
+const stepHistory = async (set, get, direction) => {
+  const { history } = get();
+  const entry = peekHistory(history, direction);
+  if (!entry || history.busy) return null;
+  set({ history: { ...history, busy: true } });
+  try {
+    await entry[direction]();
+  } catch (error) {
+    set((state) => ({
+      history: { ...state.history, busy: false },
+      error: `Couldn't ${direction} "${entry.label}": ${error.message}`,
+    }));
+    throw error;
+  }
+  set((state) => ({
+    history: { ...moveHistoryEntry(state.history, entry, direction), busy: false },
+  }));
+  return entry;
+};
+
+// History belongs to the project it was recorded in
+const historyFor = (state, project) =>
+  project?.id === state.selectedProject?.id ? {} : { history: EMPTY_HISTORY };
+
+const findBudgetProject = (state, projectId) => findProject(state, projectId, "creditBudget");
+
+// Apply fields saved with projectApi.updateProject to every copy of the project
+const patchProject = (set, projectId, patch) => {
+  const patched = (project) => (project?.id === projectId ? { ...project, ...patch } : project);
+  set((state) => ({
+    projects: state.projects.map(patched),
+    selectedProject: patched(state.selectedProject),
+    projectDetails: patched(state.projectDetails),
+  }));
+};
+
+const budgetLimit = (project) =>
+  project?.creditBudget == null || project.creditBudget === ""
+    ? null
+    : Number(project.creditBudget);
+
+// Update one project's budget entry; `patch` may be a function of the entry
+const updateBudget = (set, projectId, patch) =>
+  set((state) => {
+    const current = state.projectBudgets[projectId] || {
+      limit: budgetLimit(findBudgetProject(state, projectId)),
+      spent: 0,
+      reserved: 0,
+      loaded: false,
+      loading: false,
+      error: null,
+    };
+    return {
+      projectBudgets: {
+        ...state.projectBudgets,
+        [projectId]: {
+          ...current,
+          ...(typeof patch === "function" ? patch(current) : patch),
+        },
+      },
+    };
+  });
+
+// Spend per project is summarized from the whole credit history, so it is
+// read once per user and reused for this long when switching projects
+const SPENDING_TTL_MS = 5 * 60 * 1000;
+// History reads in flight by user id, shared by projects loading together
+const spendingRequests = new Map();
+
+const loadSpending = (userId) => {
+  if (!spendingRequests.has(userId)) {
+    spendingRequests.set(
+      userId,
+      creditApi
+        .getAllHistory(userId)
+        .then((history) =>
+          Object.fromEntries(
+            summarizeSpending(history).byProject.map((group) => [group.key, group.net]),
+          ),
+        )
+        .finally(() => spendingRequests.delete(userId)),
+    );
+  }
+  return spendingRequests.get(userId);
+};
 
 const storeImpl = (set, get) => ({
   projects: [],
+  // True once the project list has been requested this session, whether it
+  // loaded or failed, so an empty list isn't fetched again and again
+  projectsLoaded: false,
   selectedProject: null,
   conversations: [],
   concepts: [],
@@ -13,6 +225,13 @@ const storeImpl = (set, get) => ({
   segmentations: [],
   summaries: [],
   research: [],
+  // Segments, images, videos and voiceovers of the resources above, normalized
+  // by lib/entities and rebuilt whenever one of those resources is replaced
+  entities: EMPTY_ENTITIES,
+  // Project fields from the full endpoint (name, description, ...)
+  projectDetails: null,
+  hydratedProjectId: null,
+  hydrating: false,
   loading: false,
   loadingData: {
     conversations: false,
@@ -27,49 +246,379 @@ const storeImpl = (set, get) => ({
   },
   error: null,
   creditBalance: 0,
+  // False until the balance has been fetched, so 0 isn't mistaken for empty
+  creditBalanceLoaded: false,
+  // Credit budgets by project id: { limit, spent, reserved, loaded, loading,
+  // error }; `loaded` turns true once spent has been read.
+  // The limit is stored on the project (creditBudget), spent comes from the
+  // credit history and reserved covers paid requests still in flight.
+  projectBudgets: {},
+  // Net spend by project id from the credit history of one user:
+  // { userId, byProject, loadedAt }, or null before it is read
+  projectSpending: null,
+  // Media URLs by project id (NO_PROJECT without one), then segment id:
+  // { [projectId]: { images: { [segmentId]: url }, videos: { ... } } }
+  segmentMedia: {},
+  // Undo/redo history of the selected project (lib/history). Not saved or
+  // shared with other windows: its entries hold functions.
+  history: EMPTY_HISTORY,
 
   setProjects: (projects) => set({ projects }),
   setSelectedProject: (project) => {
-    set({ selectedProject: project });
+    set((state) => ({ selectedProject: project, ...historyFor(state, project) }));
     if (project?.id) {
-      get().fetchProjectEssentials(project.id);
+      // Errors are recorded in `error`; callers that need them await hydrateProject
+      get()
+        .hydrateProject(project.id)
+        .catch(() => {});
     }
   },
   setLoading: (loading) => set({ loading }),
   setError: (error) => set({ error }),
   setConversations: (conversations) => set({ conversations }),
   setConcepts: (concepts) => set({ concepts }),
-  setImages: (images) => set({ images }),
-  setVideos: (videos) => set({ videos }),
-  setVoiceovers: (voiceovers) => set({ voiceovers }),
-  setSegmentations: (segmentations) => set({ segmentations }),
+  setImages: (images) => set((state) => withEntities(state, { images })),
+  setVideos: (videos) => set((state) => withEntities(state, { videos })),
+  setVoiceovers: (voiceovers) => set((state) => withEntities(state, { voiceovers })),
+  setSegmentations: (segmentations) => set((state) => withEntities(state, { segmentations })),
   setSummaries: (summaries) => set({ summaries }),
   setResearch: (research) => set({ research }),
   setCreditBalance: (balance) => set({ creditBalance: balance }),
+  // Apply state received from another window
+  applySyncedState: (patch) =>
+    set((state) => ({
+      ...withEntities(state, patch),
+      ...("selectedProject" in patch ? historyFor(state, patch.selectedProject) : {}),
+    })),
+  // Remember a segment's generated image or video ("images" | "videos")
+  setSegmentMedia: (projectId, kind, segmentId, url) =>
+    set((state) => {
+      const key = projectId || NO_PROJECT;
+      const media = state.segmentMedia[key] || EMPTY_MEDIA;
+      return {
+        segmentMedia: {
+          ...state.segmentMedia,
+          [key]: { ...media, [kind]: { ...media[kind], [segmentId]: url } },
+        },
+      };
+    }),
+
+  // Record an action for undo: { label, projectId, undo, redo }
+  recordHistory: (entry) => set((state) => ({ history: pushHistory(state.history, entry) })),
+  undo: () => stepHistory(set, get, "undo"),
+  redo: () => stepHistory(set, get, "redo"),
+  clearHistory: () => set({ history: EMPTY_HISTORY }),
+
+  /**
+   * Make an image its segment's primary one, in the hydrated project at once
+   * and then on the backend; reverted if that fails. Undo makes the previous
+   * primary image primary again.
+   */
+  makePrimaryImage: async (projectId, segmentId, imageId, { record = true } = {}) => {
+    const state = get();
+    const hydrated = state.hydratedProjectId === projectId;
+    const previous = hydrated ? getPrimaryImage(state.entities, segmentId) : null;
+    const flags = Object.fromEntries(
+      (hydrated ? getSegmentImages(state.entities, segmentId) : []).map((image) => [image.id, image.isPrimary]),
+    );
+    const data = await optimistic(set, {
+      apply: () =>
+        patchImages(set, projectId, (image) =>
+          image.id in flags ? { isPrimary: image.id === String(imageId) } : null,
+        ),
+      revert: () => {
+        if (getPrimaryImage(get().entities, segmentId)?.id !== String(imageId)) return;
+        patchImages(set, projectId, (image) =>
+          image.id in flags ? { isPrimary: flags[image.id] } : null,
+        );
+      },
+      request: () => projectApi.setPrimaryImage(projectId, imageId),
+      failure: "Failed to make the image primary",
+    });
+    if (record && previous && previous.id !== String(imageId)) {
+      get().recordHistory({
+        label: `Primary image of scene ${segmentId}`,
+        projectId,
+        undo: () => get().makePrimaryImage(projectId, segmentId, previous.id, { record: false }),
+        redo: () => get().makePrimaryImage(projectId, segmentId, imageId, { record: false }),
+      });
+    }
+    return data;
+  },
+
+  /**
+   * Save an image's { visualPrompt, artStyle, s3Key }, e.g. after it was
+   * regenerated from an edited prompt; applied at once and reverted if the
+   * request fails. Undo points the image back at its previous file.
+   */
+  updateImage: async (projectId, imageId, changes, { label, record = true } = {}) => {
+    const state = get();
+    const previous =
+      state.hydratedProjectId === projectId ? state.entities.images.byId[String(imageId)] : null;
+    const { visualPrompt, artStyle, s3Key } = changes;
+    const fields = definedFields({ visualPrompt, artStyle, s3Key });
+    const data = await optimistic(set, {
+      apply: () => patchImages(set, projectId, (image) => (image.id === String(imageId) ? fields : null)),
+      revert: () =>
+        previous &&
+        patchImages(set, projectId, (image) =>
+          image.id === String(imageId) ? fieldsToRevert(image, fields, previous) : null,
+        ),
+      // With an s3_key the backend points the record at that file
+      request: () =>
+        imageApi.regenerateImage({
+          id: imageId,
+          visual_prompt: visualPrompt,
+          art_style: artStyle,
+          s3_key: s3Key,
+        }),
+      failure: "Failed to update the image",
+    });
+    // Undo and redo send a file's s3_key too, so neither generates an image;
+    // an edit without one can't be replayed that way and isn't recorded
+    if (record && previous?.s3Key && s3Key) {
+      const restored = {
+        visualPrompt: previous.visualPrompt ?? undefined,
+        artStyle: previous.artStyle ?? undefined,
+        s3Key: previous.s3Key ?? undefined,
+      };
+      get().recordHistory({
+        label: label || `Image of scene ${previous.segmentId}`,
+        projectId,
+        undo: () => get().updateImage(projectId, imageId, restored, { record: false }),
+        redo: () => get().updateImage(projectId, imageId, changes, { record: false }),
+      });
+    }
+    return data;
+  },
+
+  /**
+   * Save project fields (name, description, creditBudget, ...). Every copy
+   * of the project in the store changes at once, `updatedAt` included, and
+   * is reverted if the request fails; the backend's `updatedAt` replaces
+   * ours once it answers.
+   */
+  updateProject: async (projectId, fields) => {
+    const applied = { ...fields, updatedAt: new Date().toISOString() };
+    // Current values of the fields, whichever copy of the project has them
+    const valuesOf = (state) =>
+      Object.fromEntries(
+        Object.keys(applied).map((field) => [field, findProject(state, projectId, field)?.[field]]),
+      );
+    const previous = valuesOf(get());
+    const data = await optimistic(set, {
+      apply: () => patchProject(set, projectId, applied),
+      revert: () => patchProject(set, projectId, fieldsToRevert(valuesOf(get()), applied, previous)),
+      request: () => projectApi.updateProject(projectId, fields),
+      failure: "Failed to update the project",
+    });
+    const updatedAt = data?.updatedAt ?? data?.updated_at;
+    if (updatedAt) patchProject(set, projectId, { updatedAt });
+    return data;
+  },
+
+  /**
+   * Create a copy of a project: its name (with " (copy)"), description and
+   * settings. Images, videos and the other resources stay with the original.
+   * The copy is listed first; it isn't selected.
+   */
+  duplicateProject: async (projectId) => {
+    const state = get();
+    const source = [state.projectDetails, state.selectedProject, ...state.projects].find(
+      (project) => project?.id === projectId,
+    );
+    if (!source) throw new Error("Project not found");
+    const created = await projectApi.createProject({
+      name: `${source.name} (copy)`,
+      description: source.description,
+    });
+    const settings = Object.fromEntries(
+      ["videoSettings", "creditBudget"]
+        .filter((field) => source[field] != null)
+        .map((field) => [field, source[field]]),
+    );
+    if (Object.keys(settings).length > 0) {
+      await projectApi.updateProject(created.id, settings);
+    }
+    const copy = { ...created, ...settings };
+    set((current) => ({
+      projects: [copy, ...current.projects.filter((project) => project.id !== copy.id)],
+    }));
+    return copy;
+  },
+
+  /**
+   * Delete a project on the backend, then forget what the store keeps about
+   * it (and saves to localStorage): its list entry, segment media and budget,
+   * and the selection and loaded resources when it was selected.
+   */
+  deleteProject: async (projectId) => {
+    const data = await projectApi.deleteProject(projectId);
+    if (get().selectedProject?.id === projectId) get().clearProjectData();
+    set((state) => {
+      const { [projectId]: _media, ...segmentMedia } = state.segmentMedia;
+      const { [projectId]: _budget, ...projectBudgets } = state.projectBudgets;
+      return {
+        projects: state.projects.filter((project) => project.id !== projectId),
+        segmentMedia,
+        projectBudgets,
+      };
+    });
+    return data;
+  },
+
+  /**
+   * Refetch some resources of the hydrated project (e.g. ["images"]) after
+   * they changed on the backend, instead of the whole project. Lists are
+   * replaced once all of their pages have loaded, so they don't shrink
+   * meanwhile.
+   */
+  refreshProjectResources: async (projectId, resources) => {
+    try {
+      const lists = await Promise.all(
+        resources.map((resource) => projectApi.getAllProjectResource(projectId, resource)),
+      );
+      const patch = Object.fromEntries(resources.map((resource, i) => [resource, lists[i]]));
+      // Another project may have been hydrated meanwhile
+      set((state) => (state.hydratedProjectId === projectId ? withEntities(state, patch) : {}));
+      return patch;
+    } catch (e) {
+      set({ error: e.message || `Failed to refresh ${resources.join(", ")}` });
+      throw e;
+    }
+  },
 
   fetchProjects: async (page = 1, limit = 10) => {
     set({ loading: true, error: null });
     try {
       const data = await projectApi.getProjects({ page, limit });
-      set({ projects: data, loading: false });
+      set({ projects: data, loading: false, projectsLoaded: true });
     } catch (e) {
-      set({ error: e.message || "Failed to fetch projects", loading: false });
+      set({ error: e.message || "Failed to fetch projects", loading: false, projectsLoaded: true });
     }
   },
-  fetchProjectEssentials: async (projectId) => {
-    const { setSegmentations, setImages, setVideos } = get();
+  /**
+   * Load a project and all of its resources from the full-project endpoint in
+   * one request. Resolves to the project with its resource arrays.
+   *
+   * A project that is already hydrated is served from the store unless
+   * `force` is set, and concurrent calls for the same project share a request.
+   * If another project is hydrated in the meantime, the older response is
+   * returned to its caller but not written to the store.
+   */
+  hydrateProject: (projectId, { force = false } = {}) => {
+    if (!projectId) return Promise.resolve(null);
+    if (!force && get().hydratedProjectId === projectId) {
+      return Promise.resolve(get().getHydratedProject());
+    }
+    if (!force && pendingHydrations.has(projectId)) {
+      return pendingHydrations.get(projectId);
+    }
+
+    const token = ++latestHydration;
+    set({ hydrating: true, error: null });
+
+    const request = projectApi
+      .getProjectFull(projectId)
+      .then((response) => {
+        const data = response?.data ?? response ?? {};
+        const project = { ...data };
+        const resources = {};
+        PROJECT_RESOURCES.forEach((resource) => {
+          resources[resource] = Array.isArray(data[resource])
+            ? data[resource]
+            : [];
+          delete project[resource];
+        });
+        if (token === latestHydration) {
+          set((state) =>
+            withEntities(state, {
+              ...resources,
+              projectDetails: project,
+              hydratedProjectId: projectId,
+              hydrating: false,
+            }),
+          );
+        }
+        return { ...project, ...resources };
+      })
+      .catch((error) => {
+        if (token === latestHydration) {
+          console.error("Failed to hydrate project:", error);
+          set({
+            error: error.message || "Failed to fetch project data",
+            hydrating: false,
+          });
+        }
+        throw error;
+      })
+      .finally(() => {
+        if (pendingHydrations.get(projectId) === request) {
+          pendingHydrations.delete(projectId);
+        }
+      });
+
+    pendingHydrations.set(projectId, request);
+    return request;
+  },
+  // The hydrated project in the shape hydrateProject resolves to
+  getHydratedProject: () => {
+    const state = get();
+    if (!state.hydratedProjectId) return null;
+    const project = { ...state.projectDetails };
+    PROJECT_RESOURCES.forEach((resource) => {
+      project[resource] = state[resource];
+    });
+    return project;
+  },
+  // Load every page of the user's projects, updating `projects` per page
+  fetchAllProjects: async ({ pageSize } = {}) => {
+    set({ loading: true, error: null });
     try {
-      const [segmentationsRes, imagesRes, videosRes] = await Promise.all([
-        projectApi.getProjectSegmentations(projectId, { page: 1, limit: 50 }),
-        projectApi.getProjectImages(projectId, { page: 1, limit: 100 }),
-        projectApi.getProjectVideos(projectId, { page: 1, limit: 100 }),
-      ]);
-      setSegmentations(segmentationsRes.data || []);
-      setImages(imagesRes.data || []);
-      setVideos(videosRes.data || []);
-    } catch (error) {
-      console.error("Failed to fetch project essentials:", error);
-      set({ error: error.message || "Failed to fetch project data" });
+      const projects = await projectApi.getAllProjects({
+        pageSize,
+        onPage: (_, all) => set({ projects: all }),
+      });
+      set({ projects, loading: false, projectsLoaded: true });
+      return projects;
+    } catch (e) {
+      set({ error: e.message || "Failed to fetch projects", loading: false, projectsLoaded: true });
+      throw e;
+    }
+  },
+  // Load every page of one project resource (e.g. "images"), rendering as pages arrive
+  fetchAllProjectResource: async (
+    projectId,
+    resource,
+    { pageSize, signal } = {},
+  ) => {
+    set((state) => ({
+      loadingData: { ...state.loadingData, [resource]: true },
+      error: null,
+    }));
+    try {
+      const items = await projectApi.getAllProjectResource(
+        projectId,
+        resource,
+        {
+          pageSize,
+          signal,
+          onPage: (_, all) => set((state) => withEntities(state, { [resource]: all })),
+        },
+      );
+      set((state) =>
+        withEntities(state, {
+          [resource]: items,
+          loadingData: { ...state.loadingData, [resource]: false },
+        }),
+      );
+      return items;
+    } catch (e) {
+      set((state) => ({
+        error: e.message || `Failed to fetch ${resource}`,
+        loadingData: { ...state.loadingData, [resource]: false },
+      }));
+      throw e;
     }
   },
   fetchConversations: async (projectId, page = 1, limit = 10) => {
@@ -128,10 +677,12 @@ const storeImpl = (set, get) => ({
         page,
         limit,
       });
-      set((state) => ({
-        images: data.data || [],
-        loadingData: { ...state.loadingData, images: false },
-      }));
+      set((state) =>
+        withEntities(state, {
+          images: data.data || [],
+          loadingData: { ...state.loadingData, images: false },
+        }),
+      );
       return data;
     } catch (e) {
       set((state) => ({
@@ -151,10 +702,12 @@ const storeImpl = (set, get) => ({
         page,
         limit,
       });
-      set((state) => ({
-        videos: data.data || [],
-        loadingData: { ...state.loadingData, videos: false },
-      }));
+      set((state) =>
+        withEntities(state, {
+          videos: data.data || [],
+          loadingData: { ...state.loadingData, videos: false },
+        }),
+      );
       return data;
     } catch (e) {
       set((state) => ({
@@ -174,10 +727,12 @@ const storeImpl = (set, get) => ({
         page,
         limit,
       });
-      set((state) => ({
-        voiceovers: data.data || [],
-        loadingData: { ...state.loadingData, voiceovers: false },
-      }));
+      set((state) =>
+        withEntities(state, {
+          voiceovers: data.data || [],
+          loadingData: { ...state.loadingData, voiceovers: false },
+        }),
+      );
       return data;
     } catch (e) {
       set((state) => ({
@@ -197,10 +752,12 @@ const storeImpl = (set, get) => ({
         page,
         limit,
       });
-      set((state) => ({
-        segmentations: data.data || [],
-        loadingData: { ...state.loadingData, segmentations: false },
-      }));
+      set((state) =>
+        withEntities(state, {
+          segmentations: data.data || [],
+          loadingData: { ...state.loadingData, segmentations: false },
+        }),
+      );
       return data;
     } catch (e) {
       set((state) => ({
@@ -267,6 +824,7 @@ const storeImpl = (set, get) => ({
       const data = await creditApi.getBalance(userId);
       set((state) => ({
         creditBalance: data.credits || 0,
+        creditBalanceLoaded: true,
         loadingData: { ...state.loadingData, balance: false },
       }));
       return data;
@@ -302,10 +860,112 @@ const storeImpl = (set, get) => ({
     }
   },
 
+  // getBudgetStatus (lib/budget) for a project: limit, used, remaining, ...
+  getProjectBudget: (projectId) => {
+    const state = get();
+    const entry = state.projectBudgets[projectId] || {
+      limit: budgetLimit(findBudgetProject(state, projectId)),
+      loaded: false,
+    };
+    return { ...getBudgetStatus(entry), loaded: entry.loaded, error: entry.error ?? null };
+  },
+
+  // Read the budget from the project and what it has cost from the credit
+  // history (charges minus refunds). The user's spend per project is cached
+  // (projectSpending) for a few minutes; `force` reads the history again.
+  loadProjectBudget: async (projectId, userId, { force = false } = {}) => {
+    updateBudget(set, projectId, {
+      limit: budgetLimit(findBudgetProject(get(), projectId)),
+      loading: true,
+      error: null,
+    });
+    try {
+      const cached = get().projectSpending;
+      let byProject = {};
+      if (!force && cached?.userId === userId && Date.now() - cached.loadedAt < SPENDING_TTL_MS) {
+        byProject = cached.byProject;
+      } else if (userId) {
+        byProject = await loadSpending(userId);
+        set({ projectSpending: { userId, byProject, loadedAt: Date.now() } });
+      }
+      updateBudget(set, projectId, { spent: byProject[projectId] || 0, loaded: true, loading: false });
+      return get().getProjectBudget(projectId);
+    } catch (error) {
+      updateBudget(set, projectId, {
+        loading: false,
+        error: error.message || "Failed to load the project budget",
+      });
+      throw error;
+    }
+  },
+
+  // Store a budget (credits, or null for none) on the project
+  setProjectBudget: async (projectId, limit) => {
+    const creditBudget = limit == null || limit === "" ? null : Number(limit);
+    updateBudget(set, projectId, { limit: creditBudget });
+    try {
+      return await get().updateProject(projectId, { creditBudget });
+    } catch (error) {
+      updateBudget(set, projectId, { limit: budgetLimit(findBudgetProject(get(), projectId)) });
+      throw error;
+    }
+  },
+
+  // Video settings saved on the project (lib/videoSettings): defaults
+  // { duration, aspectRatio, resolution } plus `segments`, overrides by id.
+  // Null when none are known.
+  getProjectVideoSettings: (projectId) =>
+    findProject(get(), projectId, "videoSettings")?.videoSettings ?? null,
+
+  setProjectVideoSettings: (projectId, videoSettings) =>
+    get().updateProject(projectId, { videoSettings }),
+
+  /**
+   * Run a paid call for a project within its budget. The cost is reserved
+   * before `run` is called, so parallel calls can't overshoot together; it
+   * counts as spent when `run` resolves and is released when it fails.
+   * Rejects with BUDGET_EXCEEDED (lib/budget) without calling `run` when the
+   * cost doesn't fit, and with BUDGET_UNKNOWN while the project's spend is
+   * loading or failed to load. Projects without a budget just run.
+   */
+  withProjectBudget: async (projectId, cost, run) => {
+    if (!projectId) return run();
+    const state = get();
+    assertWithinBudget(state.getProjectBudget(projectId), cost, {
+      projectName: findBudgetProject(state, projectId)?.name,
+    });
+    updateBudget(set, projectId, (entry) => ({ reserved: entry.reserved + cost }));
+    try {
+      const result = await run();
+      updateBudget(set, projectId, (entry) => ({
+        reserved: entry.reserved - cost,
+        spent: entry.spent + cost,
+      }));
+      // Kept in the cached spend too, for when the project is opened again
+      set((current) =>
+        current.projectSpending
+          ? {
+              projectSpending: {
+                ...current.projectSpending,
+                byProject: {
+                  ...current.projectSpending.byProject,
+                  [projectId]: (current.projectSpending.byProject[projectId] || 0) + cost,
+                },
+              },
+            }
+          : {},
+      );
+      return result;
+    } catch (error) {
+      updateBudget(set, projectId, (entry) => ({ reserved: entry.reserved - cost }));
+      throw error;
+    }
+  },
+
   refreshSelectedProjectData: async () => {
     const { selectedProject } = get();
     if (selectedProject?.id) {
-      await get().fetchProjectEssentials(selectedProject.id);
+      await get().hydrateProject(selectedProject.id, { force: true });
     }
   },
   clearProjectData: () => {
@@ -318,14 +978,39 @@ const storeImpl = (set, get) => ({
       segmentations: [],
       summaries: [],
       research: [],
+      entities: EMPTY_ENTITIES,
+      projectDetails: null,
+      hydratedProjectId: null,
       selectedProject: null,
+      history: EMPTY_HISTORY,
     });
   },
 });
 
+// Only the selection, the project list and generated media URLs are saved;
+// project resources are refetched by hydrateProject.
+const persistOptions = {
+  name: PROJECT_STORE_KEY,
+  version: PROJECT_STORE_VERSION,
+  storage: createProjectStorage(),
+  migrate: migrateProjectState,
+  partialize: (state) => ({
+    selectedProject: state.selectedProject,
+    projects: state.projects,
+    segmentMedia: state.segmentMedia,
+  }),
+};
+
 export const useProjectStore =
-  window.__MY_GLOBAL_PROJECT_STORE__ || create(storeImpl);
+  window.__MY_GLOBAL_PROJECT_STORE__ || create(persist(storeImpl, persistOptions));
 
 if (!window.__MY_GLOBAL_PROJECT_STORE__) {
   window.__MY_GLOBAL_PROJECT_STORE__ = useProjectStore;
+  // Share selection, projects and generated media with the app's other windows
+  createStoreSync({
+    store: useProjectStore,
+    channel: createSyncChannel(`${PROJECT_STORE_KEY}-sync`),
+    units: SYNC_UNITS,
+    apply: (patch) => useProjectStore.getState().applySyncedState(patch),
+  });
 }
@@ -0,0 +1,618 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { useProjectStore, selectSegmentMedia, selectPrimaryImage, selectSegmentVideo } from "./useProjectStore";
+import { PROJECT_STORE_KEY } from "./projectPersistence";
+import { stubHttp } from "../test/httpStub";
+
+const initialState = useProjectStore.getState();
+
+const page = (data) => ({ data: { success: true, data, pagination: { page: 1 } } });
+
+describe("useProjectStore", () => {
+  let http;
+
+  beforeEach(() => {
+    useProjectStore.setState(initialState, true);
+    http = stubHttp();
+  });
+
+  afterEach(() => {
+    http.restore();
+  });
+
+  describe("fetchProjects", () => {
+    it("stores the projects and clears the loading flag", async () => {
+      http.on("get", "/projects", { data: [{ id: "p1" }] });
+
+      const pending = useProjectStore.getState().fetchProjects();
+      expect(useProjectStore.getState().loading).toBe(true);
+      await pending;
+
+      expect(useProjectStore.getState().projects).toEqual([{ id: "p1" }]);
+      expect(useProjectStore.getState().loading).toBe(false);
+    });
+
+    it("records the error without throwing", async () => {
+      http.on("get", "/projects", { status: 403, data: {} });
+
+      await useProjectStore.getState().fetchProjects();
+
+      expect(useProjectStore.getState().error).toBe("You don't have permission to do that.");
+      expect(useProjectStore.getState().loading).toBe(false);
+    });
+  });
+
+  describe.each([
+    ["fetchConversations", "conversations"],
+    ["fetchConcepts", "concepts"],
+    ["fetchImages", "images"],
+    ["fetchVideos", "videos"],
+    ["fetchVoiceovers", "voiceovers"],
+    ["fetchSegmentations", "segmentations"],
+    ["fetchSummaries", "summaries"],
+    ["fetchResearch", "research"],
+  ])("%s", (action, resource) => {
+    it(`stores ${resource} and toggles its loading flag`, async () => {
+      http.on("get", `/projects/p1/${resource}`, page([{ id: "x" }]));
+
+      const pending = useProjectStore.getState()[action]("p1", 2, 25);
+      expect(useProjectStore.getState().loadingData[resource]).toBe(true);
+      const result = await pending;
+
+      expect(result.data).toEqual([{ id: "x" }]);
+      expect(useProjectStore.getState()[resource]).toEqual([{ id: "x" }]);
+      expect(useProjectStore.getState().loadingData[resource]).toBe(false);
+      expect(http.requests[0].params).toEqual({ page: 2, limit: 25 });
+    });
+
+    it("sets the error, clears the flag and rethrows", async () => {
+      http.on("get", `/projects/p1/${resource}`, { status: 500, data: {} });
+
+      await expect(useProjectStore.getState()[action]("p1")).rejects.toMatchObject({ status: 500 });
+
+      expect(useProjectStore.getState().error).toBe(
+        "The server ran into a problem. Please try again shortly.",
+      );
+      expect(useProjectStore.getState().loadingData[resource]).toBe(false);
+    });
+  });
+
+  describe("fetchAllProjectResource", () => {
+    it("streams every page into the store", async () => {
+      const seen = [];
+      const unsubscribe = useProjectStore.subscribe((state) => seen.push(state.videos.length));
+      http.on("get", "/projects/p1/videos", (request) => ({
+        data: {
+          success: true,
+          data: request.params.page === 1 ? [{ id: "v1" }, { id: "v2" }] : [{ id: "v3" }],
+          pagination: { page: request.params.page, total: 3 },
+        },
+      }));
+
+      const videos = await useProjectStore
+        .getState()
+        .fetchAllProjectResource("p1", "videos", { pageSize: 2 });
+      unsubscribe();
+
+      expect(videos).toHaveLength(3);
+      expect(useProjectStore.getState().videos).toEqual(videos);
+      expect(seen).toContain(2);
+      expect(useProjectStore.getState().loadingData.videos).toBe(false);
+    });
+  });
+
+  it("fetchAllProjects loads every page of projects", async () => {
+    http.on("get", "/projects", (request) => ({
+      data: request.params.page === 1 ? [{ id: "p1" }, { id: "p2" }] : [{ id: "p3" }],
+    }));
+
+    await useProjectStore.getState().fetchAllProjects({ pageSize: 2 });
+
+    expect(useProjectStore.getState().projects.map((p) => p.id)).toEqual(["p1", "p2", "p3"]);
+    expect(useProjectStore.getState().loading).toBe(false);
+  });
+
+  it("remembers that the project list was requested, even when it failed", async () => {
+    http.once("get", "/projects", { status: 400, data: {} });
+    expect(useProjectStore.getState().projectsLoaded).toBe(false);
+
+    await expect(useProjectStore.getState().fetchAllProjects()).rejects.toThrow();
+    expect(useProjectStore.getState().projectsLoaded).toBe(true);
+
+    useProjectStore.setState({ projectsLoaded: false });
+    http.on("get", "/projects", { data: [] });
+    await useProjectStore.getState().fetchAllProjects();
+    expect(useProjectStore.getState()).toMatchObject({ projects: [], projectsLoaded: true });
+  });
+
+  describe("hydrateProject", () => {
+    const full = (data) => ({ data: { success: true, data } });
+
+    it("fills every resource from one request", async () => {
+      http.on(
+        "get",
+        "/projects/p1/full",
+        full({ id: "p1", name: "Launch", images: [{ id: "i" }], segmentations: [{ id: "s" }] }),
+      );
+
+      const project = await useProjectStore.getState().hydrateProject("p1");
+
+      const state = useProjectStore.getState();
+      expect(http.requests).toHaveLength(1);
+      expect(state.images).toEqual([{ id: "i" }]);
+      expect(state.segmentations).toEqual([{ id: "s" }]);
+      expect(state.videos).toEqual([]);
+      expect(state.projectDetails).toEqual({ id: "p1", name: "Launch" });
+      expect(state.hydratedProjectId).toBe("p1");
+      expect(state.hydrating).toBe(false);
+      expect(project).toMatchObject({ name: "Launch", images: [{ id: "i" }], research: [] });
+    });
+
+    it("keeps the segments, images and videos normalized", async () => {
+      http.on(
+        "get",
+        "/projects/p1/full",
+        full({
+          id: "p1",
+          segmentations: [{ id: "s", segments: [{ id: 1, visual: "Harbour" }] }],
+          images: [
+            { id: "i1", uuid: "seg-1", s3Key: "images/a.png" },
+            { id: "i2", uuid: "seg-1-1712345678901", imageS3Key: "images/b.png", isPrimary: true },
+          ],
+          videos: [{ id: "v1", uuid: "seg-1", imageS3Key: "images/b.png", videoFiles: [{ s3Key: "videos/b.mp4" }] }],
+        }),
+      );
+
+      await useProjectStore.getState().hydrateProject("p1");
+
+      const state = useProjectStore.getState();
+      expect(state.entities.segments.ids).toEqual(["1"]);
+      expect(selectPrimaryImage(state, 1).s3Key).toBe("images/b.png");
+      expect(selectSegmentVideo(state, "1")).toMatchObject({ id: "v1", imageId: "i2" });
+
+      useProjectStore.getState().setImages([]);
+      expect(selectPrimaryImage(useProjectStore.getState(), 1)).toBeNull();
+    });
+
+    it("shares concurrent requests and reuses a hydrated project", async () => {
+      http.on("get", "/projects/p1/full", full({ id: "p1", images: [{ id: "i" }] }));
+      const { hydrateProject } = useProjectStore.getState();
+
+      await Promise.all([hydrateProject("p1"), hydrateProject("p1")]);
+      const cached = await hydrateProject("p1");
+      await hydrateProject("p1", { force: true });
+
+      expect(cached.images).toEqual([{ id: "i" }]);
+      expect(http.requests).toHaveLength(2);
+    });
+
+    it("keeps the latest project when responses arrive out of order", async () => {
+      let releaseFirst;
+      http.on("get", "/projects/p1/full", () =>
+        new Promise((resolve) => {
+          releaseFirst = () => resolve(full({ id: "p1", images: [{ id: "old" }] }));
+        }),
+      );
+      http.on("get", "/projects/p2/full", full({ id: "p2", images: [{ id: "new" }] }));
+      const { hydrateProject } = useProjectStore.getState();
+
+      const first = hydrateProject("p1");
+      await hydrateProject("p2");
+      releaseFirst();
+      await first;
+
+      expect(useProjectStore.getState().hydratedProjectId).toBe("p2");
+      expect(useProjectStore.getState().images).toEqual([{ id: "new" }]);
+    });
+
+    it("records and rethrows errors", async () => {
+      http.on("get", "/projects/p1/full", { networkError: true });
+
+      await expect(useProjectStore.getState().hydrateProject("p1")).rejects.toMatchObject({
+        code: "NETWORK_ERROR",
+      });
+      expect(useProjectStore.getState().error).toBe(
+        "Unable to reach the server. Check your connection and try again.",
+      );
+      expect(useProjectStore.getState().hydrating).toBe(false);
+    });
+  });
+
+  it("selecting a project hydrates it from the full endpoint", async () => {
+    http.on("get", "/projects/p1/full", { data: { success: true, data: { id: "p1" } } });
+
+    useProjectStore.getState().setSelectedProject({ id: "p1" });
+
+    expect(useProjectStore.getState().selectedProject).toEqual({ id: "p1" });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(http.requests.map((r) => r.path)).toEqual(["/projects/p1/full"]);
+    expect(useProjectStore.getState().hydratedProjectId).toBe("p1");
+  });
+
+  describe("credits", () => {
+    it("fetches the balance", async () => {
+      http.on("get", "/credits/balance/u1", { data: { credits: 12.5 } });
+
+      const pending = useProjectStore.getState().fetchBalance("u1");
+      expect(useProjectStore.getState().loadingData.balance).toBe(true);
+      await pending;
+
+      expect(useProjectStore.getState().creditBalance).toBe(12.5);
+      expect(useProjectStore.getState().loadingData.balance).toBe(false);
+    });
+
+    it("rethrows balance errors", async () => {
+      http.on("get", "/credits/balance/u1", { status: 404, data: {} });
+
+      await expect(useProjectStore.getState().fetchBalance("u1")).rejects.toMatchObject({
+        code: "NOT_FOUND",
+      });
+      expect(useProjectStore.getState().loadingData.balance).toBe(false);
+    });
+
+    it("adds credits to the local balance", async () => {
+      useProjectStore.setState({ creditBalance: 5 });
+      http.on("post", "/credits/add", { data: { success: true } });
+
+      await useProjectStore.getState().addCredits({ userId: "u1", amount: 10, type: "PURCHASE" });
+
+      expect(useProjectStore.getState().creditBalance).toBe(15);
+      expect(useProjectStore.getState().loading).toBe(false);
+    });
+
+    it("keeps the balance when adding credits fails", async () => {
+      useProjectStore.setState({ creditBalance: 5 });
+      http.on("post", "/credits/add", { status: 400, data: { message: "Invalid amount" } });
+
+      await expect(
+        useProjectStore.getState().addCredits({ userId: "u1", amount: -1, type: "PURCHASE" }),
+      ).rejects.toThrow("Invalid amount");
+      expect(useProjectStore.getState().creditBalance).toBe(5);
+      expect(useProjectStore.getState().error).toBe("Invalid amount");
+    });
+  });
+
+  describe("project budgets", () => {
+    it("loads the budget from the project and the spend from the history", async () => {
+      useProjectStore.setState({ projects: [{ id: "p1", name: "Trailer", creditBudget: 50 }] });
+      http.on("get", "/credits/history/u1", {
+        data: {
+          data: [
+            { type: "REFUND", amount: 20, operationId: "op-2" },
+            { type: "DEDUCTION", amount: 20, projectId: "p1", operationId: "op-2" },
+            { type: "DEDUCTION", amount: 12, projectId: "p1", operationId: "op-1" },
+            { type: "DEDUCTION", amount: 99, projectId: "p2" },
+          ],
+          pagination: { totalPages: 1 },
+        },
+      });
+
+      const budget = await useProjectStore.getState().loadProjectBudget("p1", "u1");
+
+      expect(budget).toMatchObject({ limit: 50, spent: 12, remaining: 38 });
+      // Other projects of the user come from the same read of the history
+      await useProjectStore.getState().loadProjectBudget("p2", "u1");
+      expect(useProjectStore.getState().getProjectBudget("p2").spent).toBe(99);
+      expect(http.requests).toHaveLength(1);
+      await useProjectStore.getState().loadProjectBudget("p1", "u1", { force: true });
+      expect(http.requests).toHaveLength(2);
+    });
+
+    it("holds budgeted calls back until the spend has loaded", async () => {
+      useProjectStore.setState({ projects: [{ id: "p1", name: "Trailer", creditBudget: 50 }] });
+      http.once("get", "/credits/history/u1", { status: 400, data: { message: "History unavailable" } });
+      const run = vi.fn(async () => "ok");
+      const { withProjectBudget, loadProjectBudget } = useProjectStore.getState();
+
+      await expect(withProjectBudget("p1", 5, run)).rejects.toMatchObject({ code: "BUDGET_UNKNOWN" });
+      await expect(loadProjectBudget("p1", "u1")).rejects.toThrow("History unavailable");
+      expect(useProjectStore.getState().projectBudgets.p1.error).toBe("History unavailable");
+      await expect(withProjectBudget("p1", 5, run)).rejects.toThrow(/Couldn't check the credit budget/);
+      expect(run).not.toHaveBeenCalled();
+
+      http.on("get", "/credits/history/u1", { data: { data: [], pagination: { totalPages: 1 } } });
+      await loadProjectBudget("p1", "u1");
+      await expect(withProjectBudget("p1", 5, run)).resolves.toBe("ok");
+    });
+
+    it("stores a budget on the project", async () => {
+      useProjectStore.setState({ selectedProject: { id: "p1" }, projects: [{ id: "p1" }] });
+      http.on("patch", "/projects/p1", { data: { id: "p1", creditBudget: 25 } });
+
+      await useProjectStore.getState().setProjectBudget("p1", "25");
+
+      expect(http.requests[0].data).toEqual({ creditBudget: 25 });
+      expect(useProjectStore.getState().selectedProject.creditBudget).toBe(25);
+      expect(useProjectStore.getState().getProjectBudget("p1").limit).toBe(25);
+    });
+
+    it("reserves costs so parallel calls stop at the budget", async () => {
+      useProjectStore.setState({
+        projects: [{ id: "p1", creditBudget: 25 }],
+        projectBudgets: { p1: { limit: 25, spent: 0, reserved: 0, loaded: true } },
+      });
+      const { withProjectBudget } = useProjectStore.getState();
+      const run = vi.fn(async () => "ok");
+
+      const results = await Promise.allSettled([
+        withProjectBudget("p1", 10, run),
+        withProjectBudget("p1", 10, run),
+        withProjectBudget("p1", 10, run),
+        withProjectBudget("p1", 5, async () => {
+          throw new Error("failed");
+        }),
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual([
+        "fulfilled",
+        "fulfilled",
+        "rejected",
+        "rejected",
+      ]);
+      expect(results[2].reason.code).toBe("BUDGET_EXCEEDED");
+      expect(results[3].reason.message).toBe("failed");
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(useProjectStore.getState().getProjectBudget("p1")).toMatchObject({
+        spent: 20,
+        reserved: 0,
+        remaining: 5,
+      });
+    });
+  });
+
+  it("stores video settings on the project", async () => {
+    const videoSettings = { duration: 10, segments: { s1: { aspectRatio: "9:16" } } };
+    useProjectStore.setState({ projectDetails: { id: "p1" } });
+    http.on("patch", "/projects/p1", { data: { id: "p1", videoSettings } });
+
+    expect(useProjectStore.getState().getProjectVideoSettings("p1")).toBeNull();
+    await useProjectStore.getState().setProjectVideoSettings("p1", videoSettings);
+
+    expect(http.requests[0].data).toEqual({ videoSettings });
+    expect(useProjectStore.getState().getProjectVideoSettings("p1")).toEqual(videoSettings);
+  });
+
+  describe("history", () => {
+    const hydrated = (images) => {
+      useProjectStore.setState({ selectedProject: { id: "p1" }, hydratedProjectId: "p1" });
+      useProjectStore.getState().setImages(images);
+    };
+
+    it("undoes and redoes a primary image change on the backend", async () => {
+      hydrated([
+        { id: "i1", uuid: "seg-1", s3Key: "images/a.png", isPrimary: true },
+        { id: "i2", uuid: "seg-1", s3Key: "images/b.png" },
+      ]);
+      http.on("patch", "/projects/p1/primary-image", { data: { success: true } });
+      const { makePrimaryImage, undo, redo } = useProjectStore.getState();
+
+      await makePrimaryImage("p1", "1", "i2");
+      expect(selectPrimaryImage(useProjectStore.getState(), 1).id).toBe("i2");
+
+      await undo();
+      expect(http.requests.map((request) => request.data.imageId)).toEqual(["i2", "i1"]);
+      expect(selectPrimaryImage(useProjectStore.getState(), 1).id).toBe("i1");
+      expect(useProjectStore.getState().history.future).toHaveLength(1);
+
+      await redo();
+      expect(http.requests[2].data.imageId).toBe("i2");
+      expect(selectPrimaryImage(useProjectStore.getState(), 1).id).toBe("i2");
+      expect(useProjectStore.getState().history.past.map((entry) => entry.label)).toEqual([
+        "Primary image of scene 1",
+      ]);
+    });
+
+    it("restores an edited image's prompt and file", async () => {
+      hydrated([{ id: "i1", uuid: "seg-1", s3Key: "images/a.png", visualPrompt: "Harbour" }]);
+      http.on("patch", "/image-gen/i1", { data: { success: true } });
+      const { updateImage, undo, redo } = useProjectStore.getState();
+
+      await updateImage("p1", "i1", { visualPrompt: "Harbour at night", s3Key: "images/b.png" });
+      expect(useProjectStore.getState().entities.images.byId.i1.s3Key).toBe("images/b.png");
+
+      await undo();
+      expect(http.requests[1].data).toMatchObject({ visual_prompt: "Harbour", s3_key: "images/a.png" });
+      expect(useProjectStore.getState().entities.images.byId.i1).toMatchObject({
+        visualPrompt: "Harbour",
+        s3Key: "images/a.png",
+      });
+
+      await redo();
+      expect(useProjectStore.getState().entities.images.byId.i1.s3Key).toBe("images/b.png");
+      // Every replay names an existing file, so nothing is generated again
+      expect(http.requests.map((request) => request.path)).toEqual(["/image-gen/i1", "/image-gen/i1", "/image-gen/i1"]);
+      expect(http.requests.map((request) => request.data.s3_key)).toEqual([
+        "images/b.png",
+        "images/a.png",
+        "images/b.png",
+      ]);
+    });
+
+    it("doesn't record an image edit it couldn't replay without generating", async () => {
+      hydrated([{ id: "i1", uuid: "seg-1", visualPrompt: "Harbour" }]);
+      http.on("patch", "/image-gen/i1", { data: { success: true } });
+
+      await useProjectStore.getState().updateImage("p1", "i1", { s3Key: "images/b.png" });
+
+      expect(useProjectStore.getState().history.past).toEqual([]);
+    });
+
+    it("keeps a failed undo in the history and records the error", async () => {
+      const undoAction = vi.fn().mockRejectedValueOnce(new Error("offline")).mockResolvedValue();
+      useProjectStore.getState().recordHistory({ label: "Choose a script", undo: undoAction, redo: vi.fn() });
+
+      await expect(useProjectStore.getState().undo()).rejects.toThrow("offline");
+      expect(useProjectStore.getState().error).toBe('Couldn\'t undo "Choose a script": offline');
+      expect(useProjectStore.getState().history).toMatchObject({ future: [], busy: false });
+
+      await useProjectStore.getState().undo();
+      expect(useProjectStore.getState().history.past).toEqual([]);
+    });
+
+    it("starts over when another project is selected", () => {
+      useProjectStore.setState({ selectedProject: { id: "p1" } });
+      useProjectStore.getState().recordHistory({ label: "Choose a script", undo: vi.fn(), redo: vi.fn() });
+
+      useProjectStore.getState().setSelectedProject(null);
+
+      expect(useProjectStore.getState().history.past).toEqual([]);
+    });
+  });
+
+  describe("optimistic updates", () => {
+    it("shows a new primary image before the backend confirms it", async () => {
+      useProjectStore.setState({ hydratedProjectId: "p1" });
+      useProjectStore.getState().setImages([
+        { id: "i1", uuid: "seg-1", s3Key: "images/a.png", isPrimary: true },
+        { id: "i2", uuid: "seg-1", s3Key: "images/b.png" },
+      ]);
+      http.on("patch", "/projects/p1/primary-image", { data: { success: true } });
+
+      const pending = useProjectStore.getState().makePrimaryImage("p1", "1", "i2");
+      expect(selectPrimaryImage(useProjectStore.getState(), 1).id).toBe("i2");
+      await pending;
+
+      expect(http.requests.map((request) => request.path)).toEqual(["/projects/p1/primary-image"]);
+    });
+
+    it("rolls a failed primary image change back", async () => {
+      useProjectStore.setState({ hydratedProjectId: "p1" });
+      useProjectStore.getState().setImages([
+        { id: "i1", uuid: "seg-1", s3Key: "images/a.png", isPrimary: true },
+        { id: "i2", uuid: "seg-1", s3Key: "images/b.png" },
+      ]);
+      http.on("patch", "/projects/p1/primary-image", { status: 500, data: { message: "Database down" } });
+
+      await expect(useProjectStore.getState().makePrimaryImage("p1", "1", "i2")).rejects.toThrow();
+
+      const state = useProjectStore.getState();
+      expect(selectPrimaryImage(state, 1).id).toBe("i1");
+      expect(state.entities.images.byId.i2.isPrimary).toBe(false);
+      expect(state.error).toBeTruthy();
+      expect(state.history.past).toEqual([]);
+    });
+
+    it("rolls back project fields only where nothing changed them since", async () => {
+      useProjectStore.setState({
+        selectedProject: { id: "p1", name: "Draft", description: "Old" },
+        projects: [{ id: "p1", name: "Draft", description: "Old" }],
+      });
+      let fail;
+      http.on("patch", "/projects/p1", () => new Promise((resolve) => (fail = resolve)));
+      const { updateProject } = useProjectStore.getState();
+
+      const pending = updateProject("p1", { name: "Launch", description: "New" });
+      expect(useProjectStore.getState().projects[0]).toMatchObject({ name: "Launch", description: "New" });
+      await vi.waitFor(() => expect(fail).toBeDefined());
+      useProjectStore.setState((state) => ({ selectedProject: { ...state.selectedProject, name: "Renamed" } }));
+      fail({ status: 500, data: {} });
+      await expect(pending).rejects.toThrow();
+
+      expect(useProjectStore.getState().selectedProject).toMatchObject({ name: "Renamed", description: "Old" });
+      expect(useProjectStore.getState().projects[0].description).toBe("Old");
+    });
+
+    it("moves an updated project's modification time forward", async () => {
+      const project = { id: "p1", name: "Draft", updatedAt: "2024-01-01T00:00:00.000Z" };
+      useProjectStore.setState({ selectedProject: project, projects: [project] });
+      http.once("patch", "/projects/p1", { status: 500, data: {} });
+      http.once("patch", "/projects/p1", { data: { ...project, name: "Launch", updatedAt: "2024-06-01T00:00:00.000Z" } });
+      const { updateProject } = useProjectStore.getState();
+
+      const failed = updateProject("p1", { name: "Launch" });
+      expect(useProjectStore.getState().projects[0].updatedAt > project.updatedAt).toBe(true);
+      await expect(failed).rejects.toThrow();
+      expect(useProjectStore.getState().projects[0]).toEqual(project);
+
+      await updateProject("p1", { name: "Launch" });
+      expect(useProjectStore.getState().projects[0].updatedAt).toBe("2024-06-01T00:00:00.000Z");
+      expect(useProjectStore.getState().selectedProject.updatedAt).toBe("2024-06-01T00:00:00.000Z");
+      expect(http.requests[1].data).toEqual({ name: "Launch" });
+    });
+
+    it("refreshes single resources of the hydrated project", async () => {
+      useProjectStore.setState({ hydratedProjectId: "p1", videos: [{ id: "v0" }] });
+      http.on("get", "/projects/p1/images", page([{ id: "i1", uuid: "seg-1", s3Key: "images/a.png" }]));
+
+      await useProjectStore.getState().refreshProjectResources("p1", ["images"]);
+
+      expect(http.requests.map((request) => request.path)).toEqual(["/projects/p1/images"]);
+      expect(selectPrimaryImage(useProjectStore.getState(), 1).id).toBe("i1");
+      expect(useProjectStore.getState().videos).toEqual([{ id: "v0" }]);
+    });
+  });
+
+  describe("project management", () => {
+    it("duplicates a project with its settings", async () => {
+      useProjectStore.setState({
+        projects: [{ id: "p1", name: "Launch", description: "Teaser", videoSettings: { duration: 10 } }],
+      });
+      http.on("post", "/projects", { data: { id: "p2", name: "Launch (copy)", description: "Teaser" } });
+      http.on("patch", "/projects/p2", { data: { id: "p2" } });
+
+      const copy = await useProjectStore.getState().duplicateProject("p1");
+
+      expect(http.requests[0].data).toEqual({ name: "Launch (copy)", description: "Teaser" });
+      expect(http.requests[1].data).toEqual({ videoSettings: { duration: 10 } });
+      expect(copy).toMatchObject({ id: "p2", videoSettings: { duration: 10 } });
+      expect(useProjectStore.getState().projects.map((project) => project.id)).toEqual(["p2", "p1"]);
+    });
+
+    it("forgets everything about a deleted project", async () => {
+      const { setSegmentMedia, recordHistory } = useProjectStore.getState();
+      useProjectStore.setState({
+        selectedProject: { id: "p1" },
+        hydratedProjectId: "p1",
+        images: [{ id: "i" }],
+        projects: [{ id: "p1" }, { id: "p2" }],
+        projectBudgets: { p1: { limit: 5 } },
+      });
+      setSegmentMedia("p1", "images", "s1", "https://cdn/s1.png");
+      setSegmentMedia("p2", "images", "s1", "https://cdn/other.png");
+      recordHistory({ label: "Choose a script", undo: vi.fn(), redo: vi.fn() });
+      http.on("delete", "/projects/p1", { data: { success: true } });
+
+      await useProjectStore.getState().deleteProject("p1");
+
+      const state = useProjectStore.getState();
+      expect(state).toMatchObject({ selectedProject: null, hydratedProjectId: null, images: [], projectBudgets: {} });
+      expect(state.projects).toEqual([{ id: "p2" }]);
+      expect(state.history.past).toEqual([]);
+      const { state: saved } = JSON.parse(localStorage.getItem(PROJECT_STORE_KEY));
+      expect(Object.keys(saved.segmentMedia)).toEqual(["p2"]);
+      expect(saved.selectedProject).toBeNull();
+    });
+
+    it("keeps a project the backend didn't delete", async () => {
+      useProjectStore.setState({ selectedProject: { id: "p1" }, projects: [{ id: "p1" }] });
+      http.on("delete", "/projects/p1", { status: 500, data: {} });
+
+      await expect(useProjectStore.getState().deleteProject("p1")).rejects.toThrow();
+
+      expect(useProjectStore.getState().projects).toEqual([{ id: "p1" }]);
+      expect(useProjectStore.getState().selectedProject).toEqual({ id: "p1" });
+    });
+  });
+
+  it("persists the selection and segment media, not project resources", () => {
+    const { setSegmentMedia } = useProjectStore.getState();
+    useProjectStore.setState({ selectedProject: { id: "p1" }, images: [{ id: "i" }] });
+    setSegmentMedia("p1", "videos", "s1", "https://cdn/s1.mp4");
+    setSegmentMedia(null, "images", "s2", "https://cdn/s2.png");
+
+    expect(selectSegmentMedia(useProjectStore.getState(), "p1").videos).toEqual({ s1: "https://cdn/s1.mp4" });
+    expect(selectSegmentMedia(useProjectStore.getState()).images).toEqual({ s2: "https://cdn/s2.png" });
+    const { state } = JSON.parse(localStorage.getItem(PROJECT_STORE_KEY));
+    expect(state.selectedProject).toEqual({ id: "p1" });
+    expect(state.segmentMedia.p1.videos.s1).toBe("https://cdn/s1.mp4");
+    expect(state.images).toBeUndefined();
+  });
+
+  it("clears project data", () => {
+    useProjectStore.setState({ images: [{ id: "i" }], selectedProject: { id: "p1" } });
+
+    useProjectStore.getState().clearProjectData();
+
+    expect(useProjectStore.getState().images).toEqual([]);
+    expect(useProjectStore.getState().selectedProject).toBeNull();
+  });
+});
@@ -0,0 +1,102 @@
+import { AxiosError } from "axios";
+import { axiosInstance } from "../lib/axiosInstance";
+
+const parseBody = (data) => {
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+const matches = (matcher, value) =>
+  matcher instanceof RegExp ? matcher.test(value) : matcher === value;
+
+/**
+ * Replace the adapter of the shared axiosInstance so service tests run offline.
+ *
+ *   const http = stubHttp();
+ *   http.on("post", "/chat", { data: { s3_key: "a.png" } });
+ *   http.on("get", /\/projects\/\w+$/, (request) => ({ status: 404, data: {} }));
+ *   http.on("get", "/credits/balance/u1", { networkError: true });
+ *   ...
+ *   http.requests[0].data; // parsed request body
+ *   http.restore();
+ *
+ * Replies are { status = 200, data } objects or functions returning one.
+ * Handlers registered with `once` are used for a single request. Requests
+ * without a handler fail with 501 so a missing stub is obvious.
+ */
+export const stubHttp = () => {
+  const originalAdapter = axiosInstance.defaults.adapter;
+  const handlers = [];
+  const requests = [];
+
+  axiosInstance.defaults.adapter = async (config) => {
+    const url = new URL(config.url, config.baseURL || "http://localhost");
+    const method = (config.method || "get").toLowerCase();
+    const request = {
+      method,
+      url: config.url,
+      path: url.pathname,
+      params: config.params,
+      data: parseBody(config.data),
+      headers: config.headers,
+    };
+    requests.push(request);
+
+    const index = handlers.findIndex(
+      (handler) => handler.method === method && matches(handler.path, url.pathname),
+    );
+    if (index === -1) {
+      throw new AxiosError(
+        `No stub for ${method.toUpperCase()} ${url.pathname}`,
+        AxiosError.ERR_BAD_RESPONSE,
+        config,
+        null,
+        { status: 501, data: {}, headers: {}, config },
+      );
+    }
+    const handler = handlers[index];
+    if (handler.once) handlers.splice(index, 1);
+
+    const reply =
+      typeof handler.reply === "function" ? await handler.reply(request) : handler.reply;
+    if (reply.networkError) {
+      throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config, {});
+    }
+
+    const response = {
+      data: reply.data,
+      status: reply.status ?? 200,
+      statusText: "",
+      headers: reply.headers || {},
+      config,
+    };
+    if (response.status >= 200 && response.status < 300) return response;
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      {},
+      response,
+    );
+  };
+
+  const stub = {
+    requests,
+    on(method, path, reply) {
+      handlers.push({ method, path, reply });
+      return stub;
+    },
+    once(method, path, reply) {
+      handlers.push({ method, path, reply, once: true });
+      return stub;
+    },
+    restore() {
+      axiosInstance.defaults.adapter = originalAdapter;
+    },
+  };
+  return stub;
+};
@@ -4,4 +4,9 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    // The app logs every request and failure; keep test output readable
+    onConsoleLog: () => false,
+  },
 })